@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+/**
+ * probviz - batch simulations from the command line
+ *
+ *   probviz simulate --initial 0.5 --decay 0.98 --target 20 --runs 1000 --seed 42 --format csv
+ *
+ * Runs SimulationEngine directly (no workers, no DOM) and prints the per-run
+ * summaries, the statistics and optionally the paths. `probviz help` lists
+ * the options. Needs a Node.js version that loads the .js sources as ES
+ * modules without a package.json (20.19+ or 22.12+).
+ */
+import { writeFileSync } from 'node:fs';
+import { SimulationEngine } from '../src/js/modules/SimulationEngine.js';
+import { StatisticsCalculator } from '../src/js/modules/StatisticsCalculator.js';
+import { MarkovChainSolver } from '../src/js/modules/MarkovChainSolver.js';
+import { validateSimulationParameters } from '../src/js/models/SimulationParameters.js';
+import { parseCliArguments, formatRegistryList, CLI_USAGE } from '../src/js/cli/CliArguments.js';
+import { buildBatchReport, formatBatchReport } from '../src/js/cli/BatchReport.js';
+
+/**
+ * Run one command
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+  let options;
+  try {
+    options = parseCliArguments(argv);
+  } catch (error) {
+    console.error(`probviz: ${error.message}\nRun 'probviz help' for the options.`);
+    return 2;
+  }
+
+  if (options.command === 'help') {
+    process.stdout.write(CLI_USAGE);
+    return 0;
+  }
+  if (options.command === 'list') {
+    process.stdout.write(formatRegistryList());
+    return 0;
+  }
+
+  const { params, output, verbose } = options;
+  const errors = validateSimulationParameters(params);
+  if (errors.length > 0) {
+    console.error(`probviz: invalid parameters\n${errors.map((error) => `  - ${error}`).join('\n')}`);
+    return 2;
+  }
+
+  // stdout carries the results, so progress messages go to stderr and only on request
+  const engine = new SimulationEngine({
+    logger: { log: verbose ? console.error : () => {}, warn: console.warn, error: console.error }
+  });
+
+  // Ctrl+C ends the collection early (even in the middle of a long run) and still prints what was simulated
+  const cancel = () => engine.cancel();
+  process.once('SIGINT', cancel);
+  let results;
+  try {
+    results = await engine.runMultipleSimulations(params);
+  } finally {
+    process.off('SIGINT', cancel);
+  }
+
+  const stats = new StatisticsCalculator().calculateStats(results, params.maxValue, solveExactly(params, verbose));
+  const report = buildBatchReport(params, results, stats, { includePaths: output.includePaths });
+  const text = formatBatchReport(report, output.format, output.table);
+
+  if (output.file) {
+    writeFileSync(output.file, text);
+  } else {
+    process.stdout.write(text);
+  }
+  return 0;
+}
+
+/**
+ * Exact Markov-chain values for the parameters, or null if they cannot be solved
+ */
+function solveExactly(params, verbose) {
+  try {
+    return new MarkovChainSolver().solve(params);
+  } catch (error) {
+    if (verbose) console.error(`Exact solution unavailable: ${error.message}`);
+    return null;
+  }
+}
+
+main(process.argv.slice(2)).then(
+  (code) => { process.exitCode = code; },
+  (error) => {
+    console.error(`probviz: ${error.message}`);
+    process.exitCode = 1;
+  }
+);
@@ -1,13 +1,36 @@
 /**
  * Main application class that orchestrates all components
  */
-import { SimulationEngine } from './modules/SimulationEngine.js';
+import { SimulationWorkerPool } from './modules/SimulationWorkerPool.js';
+import { SimulationRun } from './modules/SimulationRun.js';
+import { MarkovChainSolver } from './modules/MarkovChainSolver.js';
+import { RareEventEstimator } from './modules/RareEventEstimator.js';
+import { ParameterSweep, createSweepAxis } from './modules/ParameterSweep.js';
+import { SweepHeatmap } from './modules/SweepHeatmap.js';
+import { HittingTimeDistribution } from './modules/HittingTimeDistribution.js';
+import { HittingTimePanel } from './modules/HittingTimePanel.js';
+import { SurvivalAnalysis } from './modules/SurvivalAnalysis.js';
+import { SurvivalChart } from './modules/SurvivalChart.js';
+import { TransitionAnalysis } from './modules/TransitionAnalysis.js';
+import { TransitionChart } from './modules/TransitionChart.js';
+import { ParameterComparison } from './modules/ParameterComparison.js';
+import { ComparisonView } from './modules/ComparisonView.js';
 import { VisualizationEngine } from './modules/VisualizationEngine.js';
 import { StatisticsCalculator } from './modules/StatisticsCalculator.js';
 import { UIController } from './modules/UIController.js';
 import { PresetManager } from './utils/PresetManager.js';
 import { EventBus } from './utils/EventBus.js';
 import { ProgressIndicator } from './utils/ProgressIndicator.js';
+import { createRandomGenerator } from './utils/RandomGenerator.js';
+import { CheckpointStore } from './utils/CheckpointStore.js';
+import { formatDuration } from './utils/Formatters.js';
+
+// Cap on absorbed and censored run paths kept for drawing
+const MAX_DRAWN_ABSORBED_RUNS = 500;
+const MAX_DRAWN_FAILED_RUNS = 500;
+
+// How often extended and unlimited runs are saved for resuming after a reload
+const CHECKPOINT_INTERVAL_MS = 30000;
 
 export class ProbabilityVisualizer {
   constructor() {
@@ -16,13 +39,22 @@ export class ProbabilityVisualizer {
     this.setupEventListeners();
     this.currentData = {
       runs: [],
+      density: null,
+      absorbedRuns: [],
+      failedRuns: [],
+      failedDensity: null,
       stats: null,
-      maxValue: 20
+      hittingTimes: null, // HittingTimeDistribution of the last results
+      survival: null, // Kaplan-Meier estimate of the last results
+      transitions: null, // Counted moves per level of the last results, against the model
+      maxValue: 20,
+      topValue: 20 // Highest value a path can hold - above maxValue when overshooting steps are kept
     };
     this.previousResults = null; // Store results for continuation
-    this.isStopped = false; // Track if simulation was stopped by user
-    this.pauseStartTime = null; // Track when simulation was paused
-    this.totalPausedTime = 0; // Cumulative time spent paused
+    this.currentSweep = null; // Last parameter sweep, kept for redrawing its map
+    this.comparisonSets = []; // { description, params } per set added for comparison; the first is the baseline
+    this.currentComparison = null; // Last comparison, kept for redrawing its view
+    this.activeRun = null; // SimulationRun of the simulation in progress, for pause/resume/cancel
   }
 
   initializeComponents() {
@@ -33,12 +65,39 @@ export class ProbabilityVisualizer {
     }
 
     // Initialize all components
-    this.simulationEngine = new SimulationEngine();
-    this.visualizationEngine = new VisualizationEngine(canvas);
+    this.simulationPool = new SimulationWorkerPool();
+    // Zooming the main view can narrow the step axes of the panels below it
+    this.visualizationEngine = new VisualizationEngine(canvas, (timeWindow, zoomed) => this.onViewChange(zoomed));
     this.statisticsCalculator = new StatisticsCalculator();
-    this.uiController = new UIController();
+    this.markovSolver = new MarkovChainSolver();
+    this.rareEventEstimator = new RareEventEstimator();
+    this.uiController = new UIController(this.markovSolver);
     this.presetManager = new PresetManager();
     this.progressIndicator = new ProgressIndicator();
+    this.checkpointStore = new CheckpointStore();
+
+    // Parameter sweeps run their cells through the same worker pool
+    this.parameterSweep = new ParameterSweep(this.simulationPool);
+    const sweepCanvas = document.getElementById("sweepCanvas");
+    this.sweepHeatmap = sweepCanvas ? new SweepHeatmap(sweepCanvas, (cell) => this.loadSweepCell(cell)) : null;
+
+    // Hovering a bin of the hitting-time panel highlights those runs in the main view
+    const hittingTimeCanvas = document.getElementById("hittingTimeCanvas");
+    this.hittingTimePanel = hittingTimeCanvas ?
+      new HittingTimePanel(hittingTimeCanvas, (bin) => this.highlightRunLengths(bin)) : null;
+
+    // Comparisons run their sets through the same worker pool and summarize them like the main view
+    this.parameterComparison = new ParameterComparison(this.simulationPool, this.statisticsCalculator);
+    const compareCanvas = document.getElementById("compareCanvas");
+    this.comparisonView = compareCanvas ? new ComparisonView(compareCanvas, this.visualizationEngine) : null;
+
+    this.survivalAnalysis = new SurvivalAnalysis();
+    const survivalCanvas = document.getElementById("survivalCanvas");
+    this.survivalChart = survivalCanvas ? new SurvivalChart(survivalCanvas) : null;
+
+    this.transitionAnalysis = new TransitionAnalysis();
+    const transitionCanvas = document.getElementById("transitionCanvas");
+    this.transitionChart = transitionCanvas ? new TransitionChart(transitionCanvas) : null;
 
     console.log("All components initialized successfully");
   }
@@ -60,6 +119,7 @@ export class ProbabilityVisualizer {
     // Setup visualization change listeners
     const visualizationSelect = document.getElementById("visualization");
     const colorScalingSelect = document.getElementById("colorScaling");
+    const showFailedCheckbox = document.getElementById("showFailed");
 
     if (visualizationSelect) {
       visualizationSelect.addEventListener("change", () => {
@@ -70,6 +130,68 @@ export class ProbabilityVisualizer {
     if (colorScalingSelect) {
       colorScalingSelect.addEventListener("change", () => {
         this.redrawVisualization();
+        this.redrawComparison();
+      });
+    }
+
+    if (showFailedCheckbox) {
+      showFailedCheckbox.addEventListener("change", () => {
+        this.redrawVisualization();
+      });
+    }
+
+    // Percentile band settings
+    ["showEnvelope", "envelopeInner", "envelopeOuter", "envelopeFinished"].forEach((id) => {
+      const element = document.getElementById(id);
+      if (element) {
+        element.addEventListener("change", () => this.redrawVisualization());
+      }
+    });
+
+    // Sweep map settings redraw the last sweep
+    ["sweepMetric", "sweepTargetView"].forEach((id) => {
+      const select = document.getElementById(id);
+      if (select) {
+        select.addEventListener("change", () => this.redrawSweep());
+      }
+    });
+
+    // Hitting-time panel settings redraw the panel (fit checkboxes report through their container)
+    ["hittingTimeView", "hittingTimeScale", "hittingTimeFits", "hittingTimeTail"].forEach((id) => {
+      const element = document.getElementById(id);
+      if (element) {
+        element.addEventListener("change", () => this.redrawHittingTimes());
+      }
+    });
+
+    // Comparison view settings redraw the last comparison; removing a set is a click on its button
+    ["compareView", "compareOther"].forEach((id) => {
+      const select = document.getElementById(id);
+      if (select) {
+        select.addEventListener("change", () => this.redrawComparison());
+      }
+    });
+    const compareSets = document.getElementById("compareSets");
+    if (compareSets) {
+      compareSets.addEventListener("click", (event) => {
+        const index = event.target.dataset?.remove;
+        if (index !== undefined) {
+          this.removeComparisonSet(parseInt(index));
+        }
+      });
+      this.uiController.setComparisonSets([]);
+    }
+
+    const survivalScale = document.getElementById("survivalScale");
+    if (survivalScale) {
+      survivalScale.addEventListener("change", () => this.redrawSurvival());
+    }
+
+    const linkStepAxes = document.getElementById("linkStepAxes");
+    if (linkStepAxes) {
+      linkStepAxes.addEventListener("change", () => {
+        this.redrawHittingTimes();
+        this.redrawSurvival();
       });
     }
 
@@ -99,7 +221,7 @@ export class ProbabilityVisualizer {
 
   setupInputFieldListeners() {
     // List of input field IDs that should clear extended UI when clicked
-    const inputFields = ['numRuns', 'maxValue', 'initialProb', 'decayFactor'];
+    const inputFields = ['numRuns', 'maxValue', 'model', 'failureMode', 'successStep', 'failureStep', 'overshoot', 'timeModifier', 'historyModifier', 'rareEvent', 'rareEventFloor', 'rngAlgorithm', 'seed'];
     
     inputFields.forEach(fieldId => {
       const field = document.getElementById(fieldId);
@@ -111,6 +233,17 @@ export class ProbabilityVisualizer {
         });
       }
     });
+
+    // Model, failure, step and modifier parameter inputs are regenerated when the selection changes, so listen on their containers
+    ['modelParams', 'failureParams', 'successStepParams', 'failureStepParams', 'timeModifierParams', 'historyModifierParams'].forEach(containerId => {
+      const container = document.getElementById(containerId);
+      if (container) {
+        container.addEventListener('focusin', (event) => {
+          console.log(`🎛️ Parameter "${event.target.id}" focused - clearing extended UI`);
+          this.clearExtendedUI();
+        });
+      }
+    });
   }
 
   clearExtendedUI() {
@@ -118,6 +251,10 @@ export class ProbabilityVisualizer {
     this.progressIndicator.hide();
     this.uiController.setButtonLoadingState(false);
     this.uiController.setTimeoutPhase('initial');
+    // The continuation is gone, so its checkpoint is too
+    if (this.previousResults) {
+      this._discardCheckpoint();
+    }
     this.previousResults = null; // Clear continuation data
     
     // Clear any warning messages
@@ -138,14 +275,15 @@ export class ProbabilityVisualizer {
     }
 
     console.log(`📝 Applying preset "${preset.name}":`, {
-      initialProb: preset.initialProb,
-      decayFactor: preset.decayFactor
+      model: preset.model,
+      ...preset.params,
+      failureMode: preset.failureMode || 'step-down'
     });
     
     // Clear any extended run UI when changing presets
     this.clearExtendedUI();
     
-    this.uiController.setPreset(preset.initialProb, preset.decayFactor, preset.name);
+    this.uiController.setPreset(preset);
     
     // Don't auto-run - let user click "Run Simulation" when ready
     console.log(`✅ Preset "${preset.name}" applied. Click "Run Simulation" to start.`);
@@ -155,6 +293,11 @@ export class ProbabilityVisualizer {
    * Run the simulation with current or provided parameters
    */
   async runSimulation(providedParams = null) {
+    if (this.parameterSweep.isRunning || this.parameterComparison.isRunning) {
+      this.uiController.showWarning('A parameter sweep or comparison is running - cancel it or wait for it to finish first.');
+      return;
+    }
+
     try {
       // Get parameters from UI or use provided ones
       const validation = this.uiController.validateParameters();
@@ -166,21 +309,24 @@ export class ProbabilityVisualizer {
       const params = providedParams || validation.params;
       const currentPhase = this.uiController.getTimeoutPhase();
       
-      // Reset pause tracking for fresh simulations (not continuations)
-      if (!this.isStopped && currentPhase === 'initial') {
-        this.totalPausedTime = 0;
-        this.pauseStartTime = null;
-      }
-      
       // Set loading state and show progress for extended phases
       this.uiController.setButtonLoadingState(true);
       this.currentData.maxValue = params.maxValue;
 
       console.log(`🚀 Starting ${currentPhase} phase simulation:`, {
-        initialProb: params.initialProb,
-        decayFactor: params.decayFactor, 
+        model: params.model,
+        ...params.modelParams,
+        failureMode: params.failureMode,
+        ...params.failureParams,
+        successStep: params.successStep,
+        failureStep: params.failureStep,
+        overshoot: params.overshoot,
+        timeModifier: params.timeModifier,
+        historyModifier: params.historyModifier,
         maxValue: params.maxValue,
-        numRuns: params.numRuns
+        numRuns: params.numRuns,
+        rngAlgorithm: params.rngAlgorithm,
+        seed: params.seed ?? '(random)'
       });
 
       // Determine time limits based on current phase
@@ -193,39 +339,33 @@ export class ProbabilityVisualizer {
         case 'extended':
           totalTimeLimit = 10000; // 10 seconds total
           singleRunTimeLimit = 2000; // 2 seconds per individual run
-          this.progressIndicator.show('extended', { target: params.numRuns });
+          this.progressIndicator.show('extended', { target: params.numRuns, rareEvent: Boolean(params.rareEventFloor) });
           break;
         case 'unlimited':
           totalTimeLimit = null; // No time limit
           singleRunTimeLimit = 30000; // But still cap individual runs at 30s
-          this.progressIndicator.show('unlimited', { target: params.numRuns });
+          this.progressIndicator.show('unlimited', { target: params.numRuns, rareEvent: Boolean(params.rareEventFloor) });
           break;
       }
 
+      // The pause and cancel buttons act on this handle and show its status
+      const run = new SimulationRun();
+      this.activeRun = run;
+      run.onChange((status) => this.progressIndicator.showRunStatus(status));
+
       // Enhanced parameters with time limits and robust progress callback
       const enhancedParams = { 
         ...params, 
         totalTimeLimit,
         singleRunTimeLimit,
-        progressCallback: (progress) => {
-          // Only update progress if not stopped/paused
-          if (!this.isStopped) {
-            // Adjust elapsed time to exclude paused time
-            if (this.pauseStartTime) {
-              const pausedDuration = performance.now() - this.pauseStartTime;
-              this.totalPausedTime += pausedDuration;
-              this.pauseStartTime = null; // Reset after accounting for pause
-            }
-            
-            // Update progress with adjusted time
-            const adjustedProgress = {
-              ...progress,
-              elapsedMs: progress.elapsedMs - this.totalPausedTime
-            };
-            
-            this.progressIndicator.update(adjustedProgress);
-          }
-        },
+        run,
+        // Elapsed time comes from the run handle, so paused periods are already left out
+        progressCallback: (progress) => this.progressIndicator.update(progress),
+        // Long phases are saved periodically so a reload or crash does not lose them
+        checkpointInterval: currentPhase !== 'initial' ? CHECKPOINT_INTERVAL_MS : null,
+        checkpointCallback: currentPhase !== 'initial'
+          ? (partialResults) => this._saveCheckpoint(currentPhase, params, partialResults)
+          : null,
         // Pass existing results if continuing from previous phase
         existingResults: (currentPhase !== 'initial') ? this.previousResults : null
       };
@@ -239,8 +379,9 @@ export class ProbabilityVisualizer {
         });
       }
 
-      // Run simulation asynchronously with proper DOM yielding
-      const results = await this.simulationEngine.runMultipleSimulations(enhancedParams);
+      // Run simulation in the worker pool (falls back to the main thread when workers are unavailable)
+      const results = await this.simulationPool.runMultipleSimulations(enhancedParams);
+      this.activeRun = null;
       
       console.log('✅ Simulation complete:', {
         phase: results.timeoutPhase,
@@ -248,9 +389,12 @@ export class ProbabilityVisualizer {
         actualSuccesses: results.actualSuccesses,
         totalAttempts: results.totalAttempts,
         reachedTarget: results.reachedDesiredCount,
-        hitTimeLimit: results.hitTimeLimit,
+        stopReason: results.stopReason,
+        stoppedBy: results.stoppedBy,
         timeElapsed: (results.totalTimeMs / 1000).toFixed(1) + 's',
-        efficiency: results.actualCompletionRate.toFixed(1) + '%'
+        efficiency: results.actualCompletionRate.toFixed(1) + '%',
+        absorbed: results.totalAbsorbed,
+        seed: results.seed
       });
 
       // Show completion state in progress indicator
@@ -260,30 +404,76 @@ export class ProbabilityVisualizer {
 
       // Store results for potential continuation
       this.previousResults = results;
+      this._updateCheckpoint(results, params, currentPhase);
       
       // Handle timeout progression
       this._handleTimeoutProgression(results, params);
 
       // Store results - use allPaths for visualization
       this.currentData.runs = results.allPaths;
+      this.currentData.density = results.density;
+      if (results.rareEventFloor) {
+        // Tilted paths climb unrealistically fast - draw a weighted resample instead (seeded, so redraws match)
+        const random = createRandomGenerator(results.rngAlgorithm, results.seed ?? 0);
+        this.currentData.runs = this.rareEventEstimator.resamplePaths(results, () => random.next());
+        this.currentData.density = this.rareEventEstimator.buildDensity(this.currentData.runs, results.topValue);
+      }
+      // Only the most recent absorbed runs are drawn - there can be far more of them than successes
+      this.currentData.absorbedRuns = results.absorbedRuns
+        .slice(-MAX_DRAWN_ABSORBED_RUNS)
+        .map((run) => run.path);
+      // Failed runs that were cut off at a limit rather than absorbed, for the "show failed runs" layer
+      this.currentData.failedRuns = results.failedRuns
+        .filter((run) => !run.absorbed)
+        .slice(-MAX_DRAWN_FAILED_RUNS)
+        .map((run) => run.path);
+      this.currentData.failedDensity = results.failedDensity;
+      this.currentData.topValue = results.topValue;
       
-      // Calculate and display statistics
-      this.currentData.stats = this.statisticsCalculator.calculateStats(results, params.maxValue);
+      // Calculate and display statistics, next to the exact values for the same parameters
+      const exact = this._solveExactly(params);
+      this.currentData.stats = this.statisticsCalculator.calculateStats(
+        results,
+        params.maxValue,
+        exact
+      );
+      this.currentData.hittingTimes = new HittingTimeDistribution(results, {
+        exactCdf: exact ? this._exactStepDistribution(params, results) : null
+      });
+      this.currentData.survival = this.survivalAnalysis.estimate(results);
+      this.currentData.transitions = this.transitionAnalysis.estimate(results, params.maxValue);
+
+      // Calibrate the forecast with the measured simulation speed (short runs are too noisy)
+      const totalSteps = results.allAttempts.reduce((sum, attempt) => sum + attempt.iterations, 0);
+      if (totalSteps > 100000 && results.totalTimeMs > 0) {
+        this.uiController.setMeasuredSpeed(totalSteps / (results.totalTimeMs / 1000));
+      }
 
       const statsElement = document.getElementById("stats");
       if (statsElement) {
         this.statisticsCalculator.displayStats(this.currentData.stats, statsElement);
       }
+      // New results start zoomed out
+      this.visualizationEngine.resetView(false);
+      this.uiController.setZoomed(false);
+      this.redrawHittingTimes();
+      this.redrawSurvival();
+      this.redrawTransitions();
 
       // Draw visualization
       const settings = this.uiController.getVisualizationSettings();
       
-      if (results.hasAnyData) {
+      if (results.hasAnyData || this._showsFailedRuns(settings)) {
         this.visualizationEngine.drawVisualization(
           this.currentData.runs,
           settings.visualizationType,
           settings.colorScaling,
-          this.currentData.maxValue
+          this.currentData.maxValue,
+          this._drawOptions(settings)
+        );
+      } else if (results.totalAbsorbed > 0) {
+        this.visualizationEngine.showNoDataMessage(
+          `No successes achieved in ${(results.totalTimeMs/1000).toFixed(1)} seconds - ${results.totalAbsorbed} runs were absorbed at 0.\nTry easier parameters, a smaller failure step or a different failure mode.`
         );
       } else {
         this.visualizationEngine.showNoDataMessage(
@@ -300,6 +490,7 @@ export class ProbabilityVisualizer {
 
     } catch (error) {
       console.error('❌ Simulation error:', error);
+      this.activeRun = null;
       this.uiController.showError(`Simulation failed: ${error.message}`);
       this.visualizationEngine.showNoDataMessage();
       this.progressIndicator.hide();
@@ -307,24 +498,464 @@ export class ProbabilityVisualizer {
     }
   }
 
+  /**
+   * Keep the checkpoint in step with a finished phase: finished simulations
+   * need none, unfinished long ones are saved to continue in the phase the
+   * run button now offers
+   * @private
+   */
+  _updateCheckpoint(results, params, phase) {
+    if (phase === 'initial') return;
+
+    if (results.stopReason === 'rules') {
+      this._discardCheckpoint();
+    } else {
+      this._saveCheckpoint(results.hitTimeLimit && phase === 'extended' ? 'unlimited' : phase, params, results);
+    }
+  }
+
+  /**
+   * Save a checkpoint; failures (quota, private mode) only cost the ability to resume
+   * @private
+   */
+  _saveCheckpoint(phase, params, results) {
+    if (!this.checkpointStore.isAvailable()) return;
+    this.checkpointStore.save({ phase, params, results })
+      .then(() => console.log(`💾 Checkpoint saved: ${results.actualSuccesses}/${results.desiredSuccesses} successes, ${results.totalAttempts} attempts`))
+      .catch((error) => console.warn('⚠️ Could not save checkpoint:', error.message));
+  }
+
+  /**
+   * Delete the saved checkpoint, if any
+   * @private
+   */
+  _discardCheckpoint() {
+    if (!this.checkpointStore.isAvailable()) return;
+    this.checkpointStore.clear()
+      .catch((error) => console.warn('⚠️ Could not delete checkpoint:', error.message));
+  }
+
+  /**
+   * Load the checkpoint of an unfinished simulation from an earlier visit
+   * @private
+   */
+  async _loadCheckpoint() {
+    if (!this.checkpointStore.isAvailable()) return null;
+    try {
+      return await this.checkpointStore.load();
+    } catch (error) {
+      console.warn('⚠️ Could not load checkpoint:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Ask whether to resume a saved simulation or start over
+   * @private
+   */
+  _offerResume(checkpoint) {
+    const { results, savedAt } = checkpoint;
+    this.visualizationEngine.showNoDataMessage('An unfinished simulation was found - resume or discard it.');
+    this.uiController.showResumePrompt(
+      `Unfinished simulation from ${new Date(savedAt).toLocaleString()}: ` +
+      `${results.actualSuccesses}/${results.desiredSuccesses} successes in ${results.totalAttempts.toLocaleString()} attempts ` +
+      `after ${formatDuration(results.totalTimeMs)} of sampling.`,
+      {
+        onResume: () => this.resumeCheckpoint(checkpoint),
+        onDiscard: () => {
+          this._discardCheckpoint();
+          this.runSimulation();
+        }
+      }
+    );
+  }
+
+  /**
+   * Continue a saved simulation. Every stream carries on from its saved
+   * generator state, so the runs are the ones an uninterrupted simulation
+   * would have produced.
+   * @param {Object} checkpoint - Checkpoint from CheckpointStore.load
+   */
+  resumeCheckpoint({ phase, params, results }) {
+    console.log(`▶️ Resuming ${phase} phase from checkpoint:`, {
+      successes: results.actualSuccesses,
+      attempts: results.totalAttempts,
+      seed: results.seed
+    });
+    this.uiController.setSimulationParameters(params);
+    this.previousResults = results;
+    this.uiController.setTimeoutPhase(phase, results);
+    this.runSimulation();
+  }
+
+  /**
+   * Exact Markov-chain values for the given parameters, or null if they cannot be solved
+   * @private
+   */
+  _solveExactly(params) {
+    try {
+      return this.markovSolver.solve(params);
+    } catch (error) {
+      console.warn('⚠️ Exact solution unavailable:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Exact distribution of a successful run's steps, up to the longest simulated success
+   * @private
+   * @returns {Float64Array|null} See MarkovChainSolver.successStepDistribution
+   */
+  _exactStepDistribution(params, results) {
+    const longest = results.allAttempts.reduce(
+      (max, attempt) => (attempt.completed ? Math.max(max, attempt.iterations) : max), 0);
+    try {
+      return this.markovSolver.successStepDistribution(params, longest);
+    } catch (error) {
+      console.warn('⚠️ Exact hitting-time distribution unavailable:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Run a parameter sweep over the grid configured in the sweep panel
+   */
+  async runSweep() {
+    if (this.parameterSweep.isRunning || this.parameterComparison.isRunning || this.simulationPool.isRunning) {
+      this.uiController.showWarning('Wait for the running simulation to finish before starting a sweep.');
+      return;
+    }
+
+    const validation = this.uiController.validateSweepParameters();
+    if (!validation.isValid) {
+      validation.errors.forEach(error => this.uiController.showError(error));
+      return;
+    }
+
+    const { sweep } = validation;
+
+    this.clearExtendedUI();
+    this.uiController.setSweepRunningState(true);
+    this.progressIndicator.show('sweep', { timeBudgetMs: sweep.timeBudgetMs });
+
+    try {
+      const results = await this.parameterSweep.run({
+        baseParams: sweep.baseParams,
+        initialProbs: createSweepAxis(sweep.initialProb),
+        decayFactors: createSweepAxis(sweep.decayFactor),
+        maxValues: sweep.maxValues,
+        runsPerCell: sweep.runsPerCell,
+        timeBudgetMs: sweep.timeBudgetMs,
+        progressCallback: (progress) => this.progressIndicator.updateSweep(progress)
+      });
+
+      console.log('✅ Sweep complete:', {
+        cells: `${results.cellsDone}/${results.cells.length}`,
+        attempts: results.totalAttempts,
+        timeElapsed: (results.totalTimeMs / 1000).toFixed(1) + 's',
+        cancelled: results.wasCancelled,
+        seed: results.seed
+      });
+
+      this.currentSweep = results;
+      this.uiController.setSweepTargets(results.maxValues);
+      this.redrawSweep();
+
+      if (results.wasCancelled || results.hitTimeBudget) {
+        this.uiController.showWarning(
+          `${results.wasCancelled ? 'Sweep cancelled' : 'Sweep time budget used up'} after ` +
+          `${results.cellsDone}/${results.cells.length} cells - grey cells were not simulated.`
+        );
+      }
+    } catch (error) {
+      console.error('❌ Sweep error:', error);
+      this.uiController.showError(`Sweep failed: ${error.message}`);
+    } finally {
+      this.progressIndicator.hide();
+      this.uiController.setSweepRunningState(false);
+    }
+  }
+
+  /**
+   * Cancel a running parameter sweep
+   */
+  cancelSweep() {
+    this.parameterSweep.cancel();
+  }
+
+  /**
+   * Add the parameters currently set up as the next comparison set
+   */
+  addComparisonSet() {
+    const validation = this.uiController.getComparisonSet(this.comparisonSets);
+    if (!validation.isValid) {
+      validation.errors.forEach(error => this.uiController.showError(error));
+      return;
+    }
+
+    this.comparisonSets.push(validation.set);
+    console.log(`➕ Comparison set ${this.comparisonSets.length} added: ${validation.set.description}`);
+    this.uiController.setComparisonSets(this._labelledComparisonSets());
+  }
+
+  /**
+   * Remove a comparison set
+   * @param {number} index - Position of the set (0 is the baseline)
+   */
+  removeComparisonSet(index) {
+    if (this.parameterComparison.isRunning) return;
+    this.comparisonSets.splice(index, 1);
+    this.uiController.setComparisonSets(this._labelledComparisonSets());
+  }
+
+  /**
+   * Run every comparison set and show their heatmaps, deltas and tests
+   */
+  async runComparison() {
+    if (this.parameterComparison.isRunning || this.parameterSweep.isRunning || this.simulationPool.isRunning) {
+      this.uiController.showWarning('Wait for the running simulation to finish before starting a comparison.');
+      return;
+    }
+
+    const validation = this.uiController.validateComparisonSettings(this.comparisonSets);
+    if (!validation.isValid) {
+      validation.errors.forEach(error => this.uiController.showError(error));
+      return;
+    }
+
+    const { runsPerSet, timeBudgetMs } = validation.settings;
+    const sets = this._labelledComparisonSets();
+
+    this.clearExtendedUI();
+    this.uiController.setComparisonRunningState(true);
+    this.progressIndicator.show('sweep', { timeBudgetMs, title: 'Comparison', unit: 'sets', totalCells: sets.length });
+
+    try {
+      const results = await this.parameterComparison.run({
+        sets,
+        runsPerSet,
+        timeBudgetMs,
+        progressCallback: ({ setsDone, totalSets, ...progress }) => this.progressIndicator.updateSweep({
+          ...progress, cellsDone: setsDone, totalCells: totalSets, title: 'Comparison', unit: 'sets'
+        })
+      });
+
+      console.log('✅ Comparison complete:', {
+        sets: `${results.setsDone}/${results.sets.length}`,
+        attempts: results.totalAttempts,
+        timeElapsed: (results.totalTimeMs / 1000).toFixed(1) + 's',
+        cancelled: results.wasCancelled,
+        seed: results.seed
+      });
+
+      this.currentComparison = results;
+      this.redrawComparison();
+
+      if (results.wasCancelled || results.hitTimeBudget) {
+        this.uiController.showWarning(
+          `${results.wasCancelled ? 'Comparison cancelled' : 'Comparison time budget used up'} after ` +
+          `${results.setsDone}/${results.sets.length} sets - the rest were not simulated.`
+        );
+      }
+    } catch (error) {
+      console.error('❌ Comparison error:', error);
+      this.uiController.showError(`Comparison failed: ${error.message}`);
+    } finally {
+      this.progressIndicator.hide();
+      this.uiController.setComparisonRunningState(false);
+    }
+  }
+
+  /**
+   * Cancel a running comparison
+   */
+  cancelComparison() {
+    this.parameterComparison.cancel();
+  }
+
+  /**
+   * Redraw the last comparison with the current comparison view settings
+   */
+  redrawComparison() {
+    if (!this.currentComparison || !this.comparisonView) return;
+
+    document.getElementById("compareCanvas").style.display = 'block';
+    document.getElementById("compareViewControls").style.display = '';
+    this.comparisonView.draw(this.currentComparison, this.uiController.getComparisonViewSettings());
+    this.comparisonView.renderTable(document.getElementById("comparisonTable"));
+  }
+
+  /**
+   * Comparison sets with their letters (A is the baseline)
+   * @private
+   */
+  _labelledComparisonSets() {
+    return this.comparisonSets.map((set, index) => ({ ...set, label: String.fromCharCode(65 + index) }));
+  }
+
+  /**
+   * Redraw the map of the last sweep with the current sweep view settings
+   */
+  redrawSweep() {
+    if (!this.currentSweep || !this.sweepHeatmap) return;
+
+    document.getElementById("sweepCanvas").style.display = 'block';
+    document.getElementById("sweepViewControls").style.display = '';
+
+    const { metric, maxValue } = this.uiController.getSweepViewSettings();
+    this.sweepHeatmap.draw(this.currentSweep, metric, maxValue);
+  }
+
+  /**
+   * Redraw the hitting-time panel of the last results with its current settings
+   */
+  redrawHittingTimes() {
+    const distribution = this.currentData.hittingTimes;
+    if (!this.hittingTimePanel || !distribution) return;
+
+    document.getElementById("hittingTimeSection").style.display = '';
+    const settings = this.uiController.getHittingTimeSettings();
+    // A run of length L ends at step L - 1
+    const timeWindow = this._linkedTimeWindow();
+    this.hittingTimePanel.draw(distribution, {
+      ...settings,
+      lengthRange: timeWindow ? { from: timeWindow.start + 1, to: timeWindow.end + 1 } : null
+    });
+    this.hittingTimePanel.renderSummary(document.getElementById("hittingTimeSummary"), settings.tailLength);
+  }
+
+  /**
+   * Redraw the survival chart of the last results with its current step axis
+   */
+  redrawSurvival() {
+    const estimate = this.currentData.survival;
+    if (!this.survivalChart || !estimate) return;
+
+    document.getElementById("survivalSection").style.display = '';
+    this.survivalChart.draw(estimate, this.uiController.getSurvivalSettings().logX, this._linkedTimeWindow());
+  }
+
+  /**
+   * Follow the zoom of the main view: the reset button, and the panels when their step axes are linked
+   * @param {boolean} zoomed - Whether the main view is zoomed
+   */
+  onViewChange(zoomed) {
+    this.uiController.setZoomed(zoomed);
+    if (this.uiController.getZoomSettings().linkAxes) {
+      this.redrawHittingTimes();
+      this.redrawSurvival();
+    }
+  }
+
+  /**
+   * Zoom the main view back out
+   */
+  resetZoom() {
+    this.visualizationEngine.resetView();
+  }
+
+  /**
+   * Steps shown by the zoomed main view, when the panels follow it
+   * @private
+   */
+  _linkedTimeWindow() {
+    return this.uiController.getZoomSettings().linkAxes ? this.visualizationEngine.getTimeWindow() : null;
+  }
+
+  /**
+   * Redraw the counted transitions of the last results against the model
+   */
+  redrawTransitions() {
+    const estimate = this.currentData.transitions;
+    if (!this.transitionChart || !estimate) return;
+
+    document.getElementById("transitionSection").style.display = '';
+    this.transitionChart.draw(estimate);
+    this.transitionChart.renderSummary(document.getElementById("transitionSummary"));
+  }
+
+  /**
+   * Highlight the drawn runs whose length falls into a hitting-time bin
+   * @param {Object|null} bin - { from, to } (to exclusive) from the hitting-time panel; null clears the highlight
+   */
+  highlightRunLengths(bin) {
+    const runs = bin ?
+      this.currentData.runs.filter((run) => run.length >= bin.from && run.length < bin.to) : [];
+    this.visualizationEngine.highlightRuns(runs, bin);
+  }
+
+  /**
+   * Load a sweep cell's parameters into the main view and simulate them
+   * @param {Object} cell - Cell from the last sweep
+   */
+  loadSweepCell(cell) {
+    if (this.parameterSweep.isRunning) return;
+
+    console.log(`📝 Loading sweep cell:`, cell);
+    this.clearExtendedUI();
+    this.uiController.setMaxValue(cell.maxValue);
+    this.uiController.setPreset({
+      name: 'Sweep cell',
+      model: 'exponential',
+      params: { initialProb: cell.initialProb, decayFactor: cell.decayFactor },
+      failureMode: this.currentSweep.failureMode,
+      failureParams: this.currentSweep.failureParams,
+      successStep: this.currentSweep.successStep,
+      successStepParams: this.currentSweep.successStepParams,
+      failureStep: this.currentSweep.failureStep,
+      failureStepParams: this.currentSweep.failureStepParams,
+      overshoot: this.currentSweep.overshoot,
+      timeModifier: this.currentSweep.timeModifier,
+      timeModifierParams: this.currentSweep.timeModifierParams,
+      historyModifier: this.currentSweep.historyModifier,
+      historyModifierParams: this.currentSweep.historyModifierParams
+    });
+    this.runSimulation();
+  }
+
   /**
    * Redraw visualization with current data and new settings
    */
   redrawVisualization() {
-    if (!this.currentData.runs || this.currentData.runs.length === 0) {
+    const settings = this.uiController.getVisualizationSettings();
+    if ((!this.currentData.runs || this.currentData.runs.length === 0) && !this._showsFailedRuns(settings)) {
       this.visualizationEngine.showNoDataMessage();
       return;
     }
 
-    const settings = this.uiController.getVisualizationSettings();
     this.visualizationEngine.drawVisualization(
       this.currentData.runs,
       settings.visualizationType,
       settings.colorScaling,
-      this.currentData.maxValue
+      this.currentData.maxValue,
+      this._drawOptions(settings)
     );
   }
 
+  /**
+   * Extra layers passed to the visualization engine
+   * @private
+   */
+  _drawOptions(settings) {
+    return {
+      absorbedRuns: this.currentData.absorbedRuns,
+      density: this.currentData.density,
+      showFailed: settings.showFailed,
+      failedRuns: this.currentData.failedRuns,
+      failedDensity: this.currentData.failedDensity,
+      topValue: this.currentData.topValue,
+      envelope: settings.envelope
+    };
+  }
+
+  /**
+   * Whether the failed-run layer is switched on and has anything to draw
+   * @private
+   */
+  _showsFailedRuns(settings) {
+    return settings.showFailed && this.currentData.failedDensity?.runCount > 0;
+  }
+
   /**
    * Update visualization with new settings
    */
@@ -339,8 +970,8 @@ export class ProbabilityVisualizer {
   _handleTimeoutProgression(results, params) {
     const currentPhase = this.uiController.getTimeoutPhase();
     
-    if (results.reachedDesiredCount) {
-      // Success! Show completion state, then reset to initial
+    if (results.stopReason === 'rules') {
+      // Success (or another stopping rule was met)! Show completion state, then reset to initial
       if (currentPhase === 'extended' || currentPhase === 'unlimited') {
         this.uiController.showCompletionState(results);
       } else {
@@ -364,7 +995,7 @@ export class ProbabilityVisualizer {
         this.uiController.setTimeoutPhase('unlimited', results);
         this.uiController.showWarning(
           `⏱ Hit 10-second limit with ${results.actualSuccesses}/${results.desiredSuccesses} successes. ` +
-          `Click the red button to continue without time limits (may freeze browser).`
+          `Click the red button to continue without time limits.`
         );
         
       } else {
@@ -389,21 +1020,32 @@ export class ProbabilityVisualizer {
    * @private
    */
   _provideFeedback(results, params) {
-    const { initialProb, decayFactor, maxValue, numRuns } = params;
+    const { maxValue, numRuns } = params;
+    // Parameter-specific hints only make sense for the exponential model
+    const isExponential = params.model === 'exponential';
+    const { initialProb, decayFactor } = isExponential ? params.modelParams : {};
     
     if (!results.hasAnyData) {
       let suggestions = [];
+
+      // Importance sampling can still estimate what brute force cannot reach
+      if (!results.rareEventFloor) {
+        suggestions.push('switch on rare-event mode to estimate the success probability anyway');
+      }
       
       // Analyze parameters and suggest specific improvements
-      if (decayFactor < 0.9) {
+      if (isExponential && decayFactor < 0.9) {
         suggestions.push(`increase decay factor (${decayFactor} → 0.95+)`);
       }
-      if (initialProb < 0.5) {
+      if (isExponential && initialProb < 0.5) {
         suggestions.push(`increase initial probability (${initialProb} → 0.6+)`);
       }
       if (maxValue > 25) {
         suggestions.push(`lower target value (${maxValue} → 20)`);
       }
+      if (params.failureMode === 'absorbing') {
+        suggestions.push(`use a non-absorbing failure mode (${results.totalAbsorbed} runs absorbed at 0)`);
+      }
       
       const suggestionText = suggestions.length > 0 
         ? ` Try: ${suggestions.join(', ')}.`
@@ -416,18 +1058,22 @@ export class ProbabilityVisualizer {
     } else if (results.hitAttemptLimit && !results.reachedDesiredCount) {
       const efficiency = ((results.actualSuccesses / results.totalAttempts) * 100).toFixed(1);
       this.uiController.showWarning(
-        `⏱ Hit attempt limit: got ${results.actualSuccesses}/${numRuns} successes ` +
+        `⏱ Hit attempt budget: got ${results.actualSuccesses}/${numRuns} successes ` +
         `in ${results.totalAttempts} attempts (${efficiency}% efficiency). ` +
         `Consider easier parameters for full visualization.`
       );
       
+    } else if (results.rareEventFloor) {
+      // Efficiency is that of the tilted draws, so the hints below do not apply
+      return;
+
     } else if (results.actualCompletionRate > 80) {
       // Very high efficiency - suggest making it more challenging
       let challenges = [];
-      if (decayFactor > 1.0) {
+      if (isExponential && decayFactor > 1.0) {
         challenges.push(`lower decay factor (${decayFactor} → 0.98)`);
       }
-      if (initialProb > 0.7) {
+      if (isExponential && initialProb > 0.7) {
         challenges.push(`lower initial probability (${initialProb} → 0.5)`);
       }
       if (maxValue < 25) {
@@ -458,9 +1104,15 @@ export class ProbabilityVisualizer {
       // Update initial formula display
       this.uiController.updateFormula();
       
-      // Run initial simulation with a slight delay to ensure DOM is ready
-      setTimeout(() => {
+      // Offer to resume an unfinished simulation, otherwise run the initial one
+      // (with a slight delay to ensure DOM is ready)
+      setTimeout(async () => {
         try {
+          const checkpoint = await this._loadCheckpoint();
+          if (checkpoint) {
+            this._offerResume(checkpoint);
+            return;
+          }
           this.runSimulation();
         } catch (error) {
           console.error("Initial simulation failed:", error);
@@ -476,41 +1128,27 @@ export class ProbabilityVisualizer {
   }
 
   /**
-   * Handle stop/continue button functionality
+   * Pause the running simulation, or resume it if it is paused. The workers
+   * stay where they are, so resuming carries on with the same runs.
    */
-  handleStopContinue() {
-    const stopButton = document.getElementById('stopButton');
-    
-    if (stopButton.textContent === 'Stop Simulation') {
-      // Stop the simulation
-      this.simulationEngine.stop();
-      this.isStopped = true;
-      this.pauseStartTime = performance.now(); // Mark when pause started
-      
-      // Change button to continue
-      stopButton.textContent = 'Continue Simulation';
-      stopButton.style.background = '#22c55e'; // Green
-      
-      console.log('⏸️ Simulation paused - timer will freeze');
-      
-    } else if (stopButton.textContent === 'Continue Simulation') {
-      // Continue the simulation
-      if (this.pauseStartTime) {
-        // Add the paused time to total
-        this.totalPausedTime += performance.now() - this.pauseStartTime;
-        this.pauseStartTime = null;
-      }
-      
-      this.isStopped = false;
-      
-      // Change button back to stop
-      stopButton.textContent = 'Stop Simulation';
-      stopButton.style.background = '#dc2626'; // Red
-      
-      console.log('▶️ Simulation resumed - timer will resume');
-      
-      // Continue simulation from where we left off
-      this.runSimulation();
+  togglePause() {
+    const run = this.activeRun;
+    if (!run) return;
+
+    if (run.isPaused) {
+      run.resume();
+      console.log(`▶️ Simulation resumed after ${(run.elapsedMs() / 1000).toFixed(1)}s of sampling`);
+    } else if (run.pause()) {
+      console.log(`⏸️ Simulation paused after ${(run.elapsedMs() / 1000).toFixed(1)}s of sampling`);
+    }
+  }
+
+  /**
+   * Cancel the running simulation; the results so far are shown and kept as a checkpoint
+   */
+  cancelRun() {
+    if (this.activeRun?.cancel()) {
+      console.log('⏹️ Simulation cancelled');
     }
   }
 
@@ -519,6 +1157,7 @@ export class ProbabilityVisualizer {
    */
   destroy() {
     this.eventBus.removeAllListeners();
+    this.simulationPool.terminate();
     console.log("Probability Visualizer destroyed");
   }
 }
@@ -527,7 +1166,11 @@ export class ProbabilityVisualizer {
 window.setPreset = function(initial, decay, name) {
   if (window.app) {
     console.log(`Setting preset: ${name} (${initial}, ${decay})`);
-    window.app.uiController.setPreset(initial, decay, name);
+    window.app.uiController.setPreset({
+      name,
+      model: 'exponential',
+      params: { initialProb: initial, decayFactor: decay }
+    });
     // Reset progress and run simulation
     window.app.progressIndicator.hide();
     window.app.runSimulation().catch(error => {
@@ -544,8 +1187,48 @@ window.runSimulation = function() {
   }
 };
 
+window.runSweep = function() {
+  if (window.app) {
+    window.app.runSweep().catch(error => {
+      console.error('Error in parameter sweep:', error);
+    });
+  }
+};
+
+window.cancelSweep = function() {
+  if (window.app) {
+    window.app.cancelSweep();
+  }
+};
+
+window.addComparisonSet = function() {
+  if (window.app) {
+    window.app.addComparisonSet();
+  }
+};
+
+window.runComparison = function() {
+  if (window.app) {
+    window.app.runComparison().catch(error => {
+      console.error('Error in parameter comparison:', error);
+    });
+  }
+};
+
+window.cancelComparison = function() {
+  if (window.app) {
+    window.app.cancelComparison();
+  }
+};
+
 window.redrawVisualization = function() {
   if (window.app) {
     window.app.redrawVisualization();
   }
+};
+
+window.resetZoom = function() {
+  if (window.app) {
+    window.app.resetZoom();
+  }
 };
\ No newline at end of file
@@ -0,0 +1,144 @@
+/**
+ * Output of the batch runner: the parameters, a per-run summary of every
+ * attempt, the statistics object from StatisticsCalculator and optionally
+ * the retained paths, as one JSON document or as CSV tables.
+ *
+ * Runs are numbered from 1 in the order they were simulated, so the rows of
+ * the runs and paths tables of the same seed line up.
+ */
+
+// Tables the CSV output can print
+export const CSV_TABLES = ['runs', 'stats', 'paths'];
+
+// Columns of the runs table, in order
+const RUN_COLUMNS = [
+  'run', 'reason', 'completed', 'absorbed', 'hitIterationLimit', 'iterations', 'maxLevel',
+  'upSteps', 'upLevels', 'downSteps', 'downLevels', 'timeMs'
+];
+
+// Results fields that describe the configuration rather than the outcome
+const PARAMETER_FIELDS = [
+  'model', 'modelParams', 'failureMode', 'failureParams',
+  'successStep', 'successStepParams', 'failureStep', 'failureStepParams', 'overshoot', 'topValue',
+  'timeModifier', 'timeModifierParams', 'historyModifier', 'historyModifierParams',
+  'rareEventFloor', 'rngAlgorithm', 'seed'
+];
+
+/**
+ * Assemble the report of a batch run
+ * @param {Object} params - Simulation parameters the run was started with
+ * @param {Object} results - Results from SimulationEngine.runMultipleSimulations
+ * @param {Object} stats - Statistics from StatisticsCalculator.calculateStats
+ * @param {Object} options - Report options
+ * @param {boolean} options.includePaths - Add the retained paths
+ * @returns {Object} Plain, serializable report
+ */
+export function buildBatchReport(params, results, stats, { includePaths = false } = {}) {
+  const report = {
+    parameters: {
+      numRuns: params.numRuns,
+      maxValue: params.maxValue,
+      ...Object.fromEntries(PARAMETER_FIELDS.map((field) => [field, results[field] ?? null])),
+      timeLimitMs: params.totalTimeLimit,
+      stopping: results.stopping
+    },
+    summary: {
+      desiredSuccesses: results.desiredSuccesses,
+      actualSuccesses: results.actualSuccesses,
+      totalAttempts: results.totalAttempts,
+      parameterEfficiency: results.parameterEfficiency,
+      totalAbsorbed: results.totalAbsorbed,
+      reachedDesiredCount: results.reachedDesiredCount,
+      hitTimeLimit: results.hitTimeLimit,
+      wasStopped: results.wasStopped,
+      stopReason: results.stopReason,
+      stoppedBy: results.stoppedBy,
+      totalTimeMs: results.totalTimeMs
+    },
+    stats,
+    runs: results.allAttempts.map((attempt, index) => ({ run: index + 1, ...attempt }))
+  };
+
+  if (includePaths) {
+    report.paths = collectPaths(results);
+  }
+  return report;
+}
+
+/**
+ * Retained paths with the number of the run they belong to. The engine keeps
+ * the first successful and the first failed paths, in simulation order.
+ * @private
+ */
+function collectPaths(results) {
+  const completedRunNumbers = [];
+  const failedRunNumbers = [];
+  results.allAttempts.forEach((attempt, index) => {
+    (attempt.completed ? completedRunNumbers : failedRunNumbers).push(index + 1);
+  });
+
+  return [
+    ...results.completedRuns.map((path, index) => ({ run: completedRunNumbers[index], values: path.toArray() })),
+    ...results.failedRuns.map((run, index) => ({ run: failedRunNumbers[index], values: run.path.toArray() }))
+  ].sort((a, b) => a.run - b.run);
+}
+
+/**
+ * Serialize a report
+ * @param {Object} report - Output of buildBatchReport
+ * @param {string} format - 'json' or 'csv'
+ * @param {string} table - Key from CSV_TABLES (csv only)
+ * @returns {string}
+ */
+export function formatBatchReport(report, format, table = 'runs') {
+  if (format === 'json') {
+    // Infinite expectations (e.g. an unreachable target) would otherwise turn into null
+    return JSON.stringify(report, (key, value) =>
+      (typeof value === 'number' && !Number.isFinite(value) ? String(value) : value), 2) + '\n';
+  }
+
+  switch (table) {
+    case 'runs': {
+      const columns = report.parameters.rareEventFloor ? [...RUN_COLUMNS, 'logWeight'] : RUN_COLUMNS;
+      return toCsv(columns, report.runs.map((run) => columns.map((column) => run[column])));
+    }
+    case 'stats':
+      return toCsv(['statistic', 'value'], flatten({ parameters: report.parameters, ...report.stats }));
+    case 'paths':
+      return toCsv(['run', 'step', 'value'],
+        (report.paths || []).flatMap(({ run, values }) => values.map((value, step) => [run, step, value])));
+    default:
+      throw new Error(`Unknown table '${table}'`);
+  }
+}
+
+/**
+ * Nested object as [dotted.key, value] rows
+ * @private
+ */
+function flatten(value, prefix = '', rows = []) {
+  if (value !== null && typeof value === 'object') {
+    Object.entries(value).forEach(([key, inner]) => flatten(inner, prefix ? `${prefix}.${key}` : key, rows));
+  } else {
+    rows.push([prefix, value]);
+  }
+  return rows;
+}
+
+/**
+ * CSV text with a header row
+ * @private
+ */
+function toCsv(columns, rows) {
+  return [columns, ...rows].map((row) => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+/**
+ * One CSV cell, quoted when needed
+ * @private
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -0,0 +1,338 @@
+/**
+ * Command-line arguments of the batch runner (bin/probviz.js)
+ *
+ * Turns `probviz simulate --initial 0.5 --decay 0.98 --target 20 ...` into
+ * the parameter object SimulationEngine.runMultipleSimulations takes, with
+ * the registry defaults filled in, plus the output options. Parameters of
+ * the pluggable rules are given as repeated key=value pairs, e.g.
+ * `--failure-step geometric --failure-step-param mean=3`, and converted
+ * according to their declarations. Only the syntax is checked here - the
+ * values go through validateSimulationParameters like the UI's do.
+ */
+import { parseArgs } from 'node:util';
+import { PROBABILITY_MODELS, DEFAULT_MODEL, getProbabilityModel, getDefaultModelParams } from '../models/ProbabilityModels.js';
+import { FAILURE_MODES, DEFAULT_FAILURE_MODE, getFailureMode, getDefaultFailureParams } from '../models/FailureModes.js';
+import {
+  STEP_DISTRIBUTIONS,
+  OVERSHOOT_POLICIES,
+  DEFAULT_STEP_DISTRIBUTION,
+  DEFAULT_OVERSHOOT,
+  getStepDistribution,
+  getDefaultStepParams
+} from '../models/StepDistributions.js';
+import {
+  TIME_MODIFIERS,
+  HISTORY_MODIFIERS,
+  DEFAULT_TIME_MODIFIER,
+  DEFAULT_HISTORY_MODIFIER,
+  getProbabilityModifier,
+  getDefaultModifierParams
+} from '../models/ProbabilityModifiers.js';
+import { STOPPING_RULES, STOP_COMBINATIONS, DEFAULT_STOP_COMBINATION } from '../models/StoppingRules.js';
+import { RNG_ALGORITHMS, DEFAULT_RNG_ALGORITHM } from '../utils/RandomGenerator.js';
+import { DEFAULT_MAX_RETAINED_PATHS } from '../modules/SimulationEngine.js';
+import { CSV_TABLES } from './BatchReport.js';
+
+// Batch runs are not watched, so they get a generous but finite default time limit
+const DEFAULT_TIME_LIMIT_SECONDS = 60;
+
+export const OUTPUT_FORMATS = ['json', 'csv'];
+
+// Metrics of --stop-precision and the stopping rules they select
+const PRECISION_METRICS = {
+  'efficiency': 'efficiency-precision',
+  'hitting-time': 'hitting-time-precision'
+};
+
+export const CLI_USAGE = `Usage: probviz <command> [options]
+
+Commands:
+  simulate                     Run a batch simulation and print the results
+  list                         Show the available models, failure modes, step
+                               distributions, modifiers and generators
+  help                         Show this message
+
+Simulation options:
+  -n, --runs <count>           Successful runs to collect (default 100)
+  -t, --target <value>         Target value (default 20)
+  --model <key>                Probability model (default ${DEFAULT_MODEL})
+  --model-param <key=value>    Model parameter, repeatable
+  --initial <p>                Shorthand for --model-param initialProb=<p>
+  --decay <factor>             Shorthand for --model-param decayFactor=<factor>
+  --failure-mode <key>         What a failed step does (default ${DEFAULT_FAILURE_MODE})
+  --failure-param <key=value>  Failure mode parameter, repeatable
+  --success-step <key>         Step-size distribution of successful steps (default ${DEFAULT_STEP_DISTRIBUTION})
+  --success-step-param <k=v>   Its parameters, repeatable
+  --failure-step <key>         Step-size distribution of failed steps (default ${DEFAULT_STEP_DISTRIBUTION})
+  --failure-step-param <k=v>   Its parameters, repeatable
+  --overshoot <key>            Steps past the target: clamp or success (default ${DEFAULT_OVERSHOOT})
+  --time-modifier <key>        Dependence of P(increment) on the iteration (default ${DEFAULT_TIME_MODIFIER})
+  --time-modifier-param <k=v>  Its parameters, repeatable
+  --history-modifier <key>     Dependence on recent outcomes (default ${DEFAULT_HISTORY_MODIFIER})
+  --history-modifier-param <k=v>
+                               Its parameters, repeatable
+  --rare-event <floor>         Importance sampling with P(increment) raised to at least <floor>
+  --seed <seed>                Seed; the same seed reproduces the same runs (default: random)
+  --rng <key>                  Random generator (default ${DEFAULT_RNG_ALGORITHM})
+  --time-limit <seconds>       Stop collecting after this long, 0 for no limit (default ${DEFAULT_TIME_LIMIT_SECONDS})
+  --max-paths <count>          Successful and failed paths to keep each (default ${DEFAULT_MAX_RETAINED_PATHS})
+
+Stopping rules (besides collecting --runs successes):
+  --stop-attempts <count>      Stop after this many runs, successful or not
+  --stop-time <seconds>        Stop after sampling for this long
+  --stop-precision <metric=e>  Stop once the 95% CI of efficiency or hitting-time is
+                               within ±e of it (e.g. efficiency=0.05), repeatable
+  --stop-when <any|all>        Stop when any rule is met or only when all are (default ${DEFAULT_STOP_COMBINATION})
+
+Output options:
+  --format <json|csv>          Output format (default json)
+  --table <runs|stats|paths>   Table to print in CSV format (default runs)
+  --paths                      Include the retained paths in JSON output
+  -o, --output <file>          Write to a file instead of stdout
+  -v, --verbose                Print simulation progress to stderr
+`;
+
+const OPTIONS = {
+  'runs': { type: 'string', short: 'n' },
+  'target': { type: 'string', short: 't' },
+  'model': { type: 'string' },
+  'model-param': { type: 'string', multiple: true },
+  'initial': { type: 'string' },
+  'decay': { type: 'string' },
+  'failure-mode': { type: 'string' },
+  'failure-param': { type: 'string', multiple: true },
+  'success-step': { type: 'string' },
+  'success-step-param': { type: 'string', multiple: true },
+  'failure-step': { type: 'string' },
+  'failure-step-param': { type: 'string', multiple: true },
+  'overshoot': { type: 'string' },
+  'time-modifier': { type: 'string' },
+  'time-modifier-param': { type: 'string', multiple: true },
+  'history-modifier': { type: 'string' },
+  'history-modifier-param': { type: 'string', multiple: true },
+  'rare-event': { type: 'string' },
+  'seed': { type: 'string' },
+  'rng': { type: 'string' },
+  'time-limit': { type: 'string' },
+  'max-paths': { type: 'string' },
+  'stop-attempts': { type: 'string' },
+  'stop-time': { type: 'string' },
+  'stop-precision': { type: 'string', multiple: true },
+  'stop-when': { type: 'string' },
+  'format': { type: 'string' },
+  'table': { type: 'string' },
+  'paths': { type: 'boolean' },
+  'output': { type: 'string', short: 'o' },
+  'verbose': { type: 'boolean', short: 'v' },
+  'help': { type: 'boolean', short: 'h' }
+};
+
+/**
+ * Parse the command line
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} { command, params, output: { format, table, includePaths, file }, verbose };
+ *   params is null for commands other than simulate
+ */
+export function parseCliArguments(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  const command = values.help ? 'help' : (positionals[0] || 'help');
+  if (positionals.length > 1) {
+    throw new Error(`Unexpected argument '${positionals[1]}'`);
+  }
+  if (!['simulate', 'list', 'help'].includes(command)) {
+    throw new Error(`Unknown command '${command}'`);
+  }
+
+  const format = values.format || 'json';
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`--format must be one of ${OUTPUT_FORMATS.join(', ')}`);
+  }
+  const table = values.table || 'runs';
+  if (!CSV_TABLES.includes(table)) {
+    throw new Error(`--table must be one of ${CSV_TABLES.join(', ')}`);
+  }
+
+  return {
+    command,
+    params: command === 'simulate' ? parseSimulationOptions(values) : null,
+    output: {
+      format,
+      table,
+      // The paths table needs them even without --paths
+      includePaths: Boolean(values.paths) || (format === 'csv' && table === 'paths'),
+      file: values.output || null
+    },
+    verbose: Boolean(values.verbose)
+  };
+}
+
+/**
+ * Build simulation parameters from the parsed options
+ * @private
+ */
+function parseSimulationOptions(values) {
+  const model = values.model || DEFAULT_MODEL;
+  const failureMode = values['failure-mode'] || DEFAULT_FAILURE_MODE;
+  const successStep = values['success-step'] || DEFAULT_STEP_DISTRIBUTION;
+  const failureStep = values['failure-step'] || DEFAULT_STEP_DISTRIBUTION;
+  const timeModifier = values['time-modifier'] || DEFAULT_TIME_MODIFIER;
+  const historyModifier = values['history-modifier'] || DEFAULT_HISTORY_MODIFIER;
+  const rngAlgorithm = values.rng || DEFAULT_RNG_ALGORITHM;
+  if (!RNG_ALGORITHMS[rngAlgorithm]) {
+    throw new Error(`Unknown random generator '${rngAlgorithm}'`);
+  }
+
+  // The shorthands only make sense for models that have these parameters
+  const modelPairs = [...(values['model-param'] || [])];
+  [['initial', 'initialProb'], ['decay', 'decayFactor']].forEach(([option, key]) => {
+    if (values[option] !== undefined) modelPairs.push(`${key}=${values[option]}`);
+  });
+
+  const timeLimitSeconds = values['time-limit'] !== undefined
+    ? parseNumber('time-limit', values['time-limit'])
+    : DEFAULT_TIME_LIMIT_SECONDS;
+  if (timeLimitSeconds < 0) {
+    throw new Error('--time-limit must not be negative');
+  }
+  const totalTimeLimit = timeLimitSeconds > 0 ? timeLimitSeconds * 1000 : null;
+
+  return {
+    numRuns: values.runs !== undefined ? parseInteger('runs', values.runs) : 100,
+    maxValue: values.target !== undefined ? parseInteger('target', values.target) : 20,
+    model,
+    modelParams: parseDeclaredParams('model-param', getProbabilityModel(model).parameters,
+      modelPairs, getDefaultModelParams(model)),
+    failureMode,
+    failureParams: parseDeclaredParams('failure-param', getFailureMode(failureMode).parameters,
+      values['failure-param'], getDefaultFailureParams(failureMode)),
+    successStep,
+    successStepParams: parseDeclaredParams('success-step-param', getStepDistribution(successStep).parameters,
+      values['success-step-param'], getDefaultStepParams(successStep)),
+    failureStep,
+    failureStepParams: parseDeclaredParams('failure-step-param', getStepDistribution(failureStep).parameters,
+      values['failure-step-param'], getDefaultStepParams(failureStep)),
+    overshoot: values.overshoot || DEFAULT_OVERSHOOT,
+    timeModifier,
+    timeModifierParams: parseDeclaredParams('time-modifier-param', getProbabilityModifier('time', timeModifier).parameters,
+      values['time-modifier-param'], getDefaultModifierParams('time', timeModifier)),
+    historyModifier,
+    historyModifierParams: parseDeclaredParams('history-modifier-param', getProbabilityModifier('history', historyModifier).parameters,
+      values['history-modifier-param'], getDefaultModifierParams('history', historyModifier)),
+    rareEventFloor: values['rare-event'] !== undefined ? parseNumber('rare-event', values['rare-event']) : null,
+    rngAlgorithm,
+    seed: values.seed !== undefined && values.seed.trim() !== '' ? values.seed.trim() : null,
+    totalTimeLimit,
+    singleRunTimeLimit: totalTimeLimit,
+    // Nobody is waiting on a frozen browser tab here
+    safetyTimeLimit: null,
+    yieldToUi: false,
+    maxRetainedPaths: values['max-paths'] !== undefined
+      ? parseInteger('max-paths', values['max-paths'])
+      : DEFAULT_MAX_RETAINED_PATHS,
+    stopping: parseStoppingOptions(values)
+  };
+}
+
+/**
+ * Build stopping settings from the --stop-* options
+ * @private
+ */
+function parseStoppingOptions(values) {
+  const rules = [];
+  if (values['stop-attempts'] !== undefined) {
+    rules.push({ rule: 'attempts', count: parseInteger('stop-attempts', values['stop-attempts']) });
+  }
+  if (values['stop-time'] !== undefined) {
+    rules.push({ rule: 'time', seconds: parseNumber('stop-time', values['stop-time']) });
+  }
+  (values['stop-precision'] || []).forEach((pair) => {
+    const separator = pair.indexOf('=');
+    const rule = PRECISION_METRICS[pair.slice(0, separator).trim()];
+    if (separator <= 0 || !rule) {
+      throw new Error(`--stop-precision expects ${Object.keys(PRECISION_METRICS).join('|')}=<relative error>, got '${pair}'`);
+    }
+    rules.push({ rule, relativeError: parseNumber('stop-precision', pair.slice(separator + 1)) });
+  });
+
+  const combine = values['stop-when'] || DEFAULT_STOP_COMBINATION;
+  if (!STOP_COMBINATIONS[combine]) {
+    throw new Error(`--stop-when must be one of ${Object.keys(STOP_COMBINATIONS).join(', ')}`);
+  }
+  return rules.length > 0 ? { combine, rules } : null;
+}
+
+/**
+ * Convert key=value pairs according to a declared parameter list
+ * @private
+ */
+function parseDeclaredParams(option, declarations, pairs = [], defaults = {}) {
+  const params = { ...defaults };
+  pairs.forEach((pair) => {
+    const separator = pair.indexOf('=');
+    if (separator <= 0) {
+      throw new Error(`--${option} expects key=value, got '${pair}'`);
+    }
+    const key = pair.slice(0, separator).trim();
+    const text = pair.slice(separator + 1).trim();
+    const declaration = declarations.find((param) => param.key === key);
+    if (!declaration) {
+      const known = declarations.map((param) => param.key).join(', ') || 'none';
+      throw new Error(`Unknown parameter '${key}' for --${option} (available: ${known})`);
+    }
+    params[key] = declaration.type === 'text' ? text : parseNumber(option, text);
+  });
+  return params;
+}
+
+/**
+ * Parse a numeric option value
+ * @private
+ */
+function parseNumber(option, text) {
+  const value = Number(text);
+  if (text.trim() === '' || !Number.isFinite(value)) {
+    throw new Error(`--${option} expects a number, got '${text}'`);
+  }
+  return value;
+}
+
+/**
+ * Parse a whole-number option value
+ * @private
+ */
+function parseInteger(option, text) {
+  const value = parseNumber(option, text);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`--${option} expects a whole number, got '${text}'`);
+  }
+  return value;
+}
+
+/**
+ * Text listing every registry entry with its parameters, for `probviz list`
+ * @returns {string}
+ */
+export function formatRegistryList() {
+  const describeParameters = (parameters = []) => parameters
+    .map((param) => `${param.key}=${param.default}`)
+    .join(' ');
+
+  const sections = [
+    ['Models (--model, --model-param)', PROBABILITY_MODELS],
+    ['Failure modes (--failure-mode, --failure-param)', FAILURE_MODES],
+    ['Step distributions (--success-step, --failure-step)', STEP_DISTRIBUTIONS],
+    ['Overshoot policies (--overshoot)', OVERSHOOT_POLICIES],
+    ['Time modifiers (--time-modifier, --time-modifier-param)', TIME_MODIFIERS],
+    ['History modifiers (--history-modifier, --history-modifier-param)', HISTORY_MODIFIERS],
+    ['Stopping rules (--stop-attempts, --stop-time, --stop-precision)', STOPPING_RULES],
+    ['Random generators (--rng)', RNG_ALGORITHMS]
+  ];
+
+  return sections.map(([title, registry]) => {
+    const entries = Object.entries(registry).map(([key, entry]) => {
+      const parameters = describeParameters(entry.parameters);
+      return `  ${key.padEnd(18)} ${entry.description || entry.name}${parameters ? `\n  ${''.padEnd(18)} ${parameters}` : ''}`;
+    });
+    return `${title}:\n${entries.join('\n')}`;
+  }).join('\n\n') + '\n';
+}
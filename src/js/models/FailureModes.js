@@ -0,0 +1,103 @@
+/**
+ * Registry of failure behaviors - what happens to the counter when a step fails
+ *
+ * Each mode declares its parameters like the probability models do and
+ * provides:
+ *   create(params)      - returns (counter, step) => ({ counter, absorbed }) giving
+ *                         the counter after a failed step and whether the run ends
+ *                         there; `step` is the size drawn from the failure step
+ *                         distribution (see StepDistributions.js)
+ *   usesStep            - whether the mode looks at the drawn step size at all
+ *   label(params, step) - short text for the formula banner and stats; `step`
+ *                         is the failure step distribution's label
+ */
+import { getParameterDefaults, validateParameterValues } from './ModelParameters.js';
+
+export const FAILURE_MODES = {
+  'step-down': {
+    name: 'Step Down',
+    description: 'A failure drops the counter by the failure step (never below 0)',
+    parameters: [],
+    usesStep: true,
+    label: (params, step) => `failure: −${step}`,
+    create: () =>
+      (counter, step) => ({ counter: Math.max(0, counter - step), absorbed: false })
+  },
+
+  'reset': {
+    name: 'Reset to Zero',
+    description: 'A failure sends the counter back to 0',
+    parameters: [],
+    usesStep: false,
+    label: () => 'failure: reset to 0',
+    create: () =>
+      () => ({ counter: 0, absorbed: false })
+  },
+
+  'stay': {
+    name: 'No Effect',
+    description: 'A failure leaves the counter where it is',
+    parameters: [],
+    usesStep: false,
+    label: () => 'failure: stay',
+    create: () =>
+      (counter) => ({ counter, absorbed: false })
+  },
+
+  'absorbing': {
+    name: 'Absorbing Floor',
+    description: "A failure drops the counter by the failure step; landing on 0 ends the run (gambler's ruin)",
+    parameters: [],
+    usesStep: true,
+    label: (params, step) => `failure: −${step}, absorbed at 0`,
+    create: () =>
+      (counter, step) => {
+        const next = Math.max(0, counter - step);
+        return { counter: next, absorbed: next === 0 };
+      }
+  }
+};
+
+export const DEFAULT_FAILURE_MODE = 'step-down';
+
+/**
+ * Look up a failure mode definition
+ * @param {string} key - Failure mode key
+ * @returns {Object} Failure mode definition
+ */
+export function getFailureMode(key = DEFAULT_FAILURE_MODE) {
+  const mode = FAILURE_MODES[key];
+  if (!mode) {
+    throw new Error(`Unknown failure mode '${key}'`);
+  }
+  return mode;
+}
+
+/**
+ * Default parameter values for a failure mode
+ * @param {string} key - Failure mode key
+ * @returns {Object} Parameter values keyed by parameter key
+ */
+export function getDefaultFailureParams(key = DEFAULT_FAILURE_MODE) {
+  return getParameterDefaults(getFailureMode(key).parameters);
+}
+
+/**
+ * Validate failure mode parameters
+ * @param {string} key - Failure mode key
+ * @param {Object} params - Parameter values
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+export function validateFailureParams(key, params) {
+  return validateParameterValues(getFailureMode(key).parameters, params);
+}
+
+/**
+ * Build the failure transition for a mode
+ * @param {string} key - Failure mode key
+ * @param {Object} params - Parameter values
+ * @returns {Function} (counter, step) => ({ counter, absorbed })
+ */
+export function createFailureFunction(key = DEFAULT_FAILURE_MODE, params = null) {
+  return getFailureMode(key).create(params || getDefaultFailureParams(key));
+}
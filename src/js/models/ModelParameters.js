@@ -0,0 +1,46 @@
+/**
+ * Shared helpers for declared parameter lists
+ *
+ * Probability models, failure modes and other pluggable rules declare their
+ * inputs as [{ key, label, type: 'number' | 'text', default, min, max, step,
+ * exclusiveMin, integer, title }] so the UI can render and validate them
+ * generically.
+ */
+
+/**
+ * Default values for a parameter list
+ * @param {Array<Object>} parameters - Parameter declarations
+ * @returns {Object} Values keyed by parameter key
+ */
+export function getParameterDefaults(parameters) {
+  return Object.fromEntries(parameters.map((param) => [param.key, param.default]));
+}
+
+/**
+ * Validate values against their parameter declarations
+ * @param {Array<Object>} parameters - Parameter declarations
+ * @param {Object} values - Parameter values
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+export function validateParameterValues(parameters, values) {
+  const errors = [];
+
+  parameters.forEach((param) => {
+    const value = values[param.key];
+    if (param.type === 'text') {
+      if (typeof value !== 'string' || value.trim() === '') {
+        errors.push(`${param.label} is required`);
+      }
+      return;
+    }
+
+    const belowMin = param.exclusiveMin ? value <= param.min : value < param.min;
+    if (!Number.isFinite(value) || belowMin || value > param.max) {
+      errors.push(`${param.label} must be between ${param.min} and ${param.max}`);
+    } else if (param.integer && !Number.isInteger(value)) {
+      errors.push(`${param.label} must be a whole number`);
+    }
+  });
+
+  return errors;
+}
@@ -0,0 +1,227 @@
+/**
+ * Registry of probability models for the counter's transition rule
+ *
+ * A model turns its parameters into P(increment | counter). Each model
+ * declares the parameters it needs so the input panel, validation, the
+ * formula banner and presets can adapt to whichever model is selected:
+ *
+ *   name, description - shown in the model selector
+ *   parameters        - declared inputs, see ModelParameters.js
+ *   formula(params)   - text for the formula banner
+ *   validate(params, maxValue) - optional extra checks, returns an array of error messages
+ *   create(params, maxValue)   - returns (counter) => P(increment), before capping to [0, 1]
+ *
+ * Models are referenced by key so that simulations can be configured with
+ * plain, serializable data (e.g. when posted to a worker).
+ */
+import { compileExpression } from '../utils/ExpressionParser.js';
+import { getParameterDefaults, validateParameterValues } from './ModelParameters.js';
+
+const formatNumber = (value, digits = 2) => (Number.isFinite(value) ? value.toFixed(digits) : '?');
+
+/**
+ * Parse the stepped model's level table.
+ * Accepts "level:probability" breakpoints ("0:0.8, 5:0.6, 10:0.3") or a plain
+ * per-level list ("0.9, 0.8, 0.7") whose last value applies to all higher levels.
+ * @param {string} text - Level table
+ * @returns {Array<{level: number, probability: number}>} Breakpoints sorted by level
+ */
+export function parseStepTable(text) {
+  const entries = String(text).split(/[,;\n]/).map((entry) => entry.trim()).filter(Boolean);
+  if (entries.length === 0) {
+    throw new Error('Step table is empty');
+  }
+
+  const breakpoints = entries.map((entry, index) => {
+    const parts = entry.split(':').map((part) => part.trim());
+    if (parts.length > 2) {
+      throw new Error(`Invalid step '${entry}'`);
+    }
+    const level = parts.length === 2 ? Number(parts[0]) : index;
+    const probability = Number(parts[parts.length - 1]);
+    if (!Number.isInteger(level) || level < 0) {
+      throw new Error(`Invalid level in step '${entry}'`);
+    }
+    if (!Number.isFinite(probability) || probability < 0 || probability > 1) {
+      throw new Error(`Probability in step '${entry}' must be between 0 and 1`);
+    }
+    return { level, probability };
+  });
+
+  breakpoints.sort((a, b) => a.level - b.level);
+  if (breakpoints[0].level !== 0) {
+    throw new Error('Step table must define level 0');
+  }
+  return breakpoints;
+}
+
+export const PROBABILITY_MODELS = {
+  'exponential': {
+    name: 'Exponential Decay',
+    description: 'Initial probability multiplied by the decay factor at every level',
+    parameters: [
+      { key: 'initialProb', label: 'Initial Probability', type: 'number', default: 0.5, min: 0, max: 1, exclusiveMin: true, step: 0.01 },
+      { key: 'decayFactor', label: 'Decay Factor', type: 'number', default: 0.98, min: 0, max: 2, exclusiveMin: true, step: 0.01 }
+    ],
+    formula: ({ initialProb, decayFactor }) =>
+      `${formatNumber(initialProb)} × ${formatNumber(decayFactor)}^counter`,
+    create: ({ initialProb, decayFactor }) =>
+      (counter) => initialProb * Math.pow(decayFactor, counter)
+  },
+
+  'linear': {
+    name: 'Linear Decay',
+    description: 'Initial probability reduced by a fixed amount at every level',
+    parameters: [
+      { key: 'initialProb', label: 'Initial Probability', type: 'number', default: 0.8, min: 0, max: 1, exclusiveMin: true, step: 0.01 },
+      { key: 'slope', label: 'Decrease per Level', type: 'number', default: 0.02, min: -1, max: 1, step: 0.005,
+        title: 'Negative values make progress easier as the counter climbs' }
+    ],
+    formula: ({ initialProb, slope }) =>
+      `${formatNumber(initialProb)} − ${formatNumber(slope, 3)} × counter`,
+    validate: ({ initialProb, slope }, maxValue) => {
+      const atTop = initialProb - slope * (maxValue - 1);
+      return atTop <= 0
+        ? [`Probability reaches 0 before the target (level ${Math.ceil(initialProb / slope)}) - the target is unreachable`]
+        : [];
+    },
+    create: ({ initialProb, slope }) =>
+      (counter) => initialProb - slope * counter
+  },
+
+  'logistic': {
+    name: 'Logistic',
+    description: 'S-shaped difficulty wall centered on a midpoint level',
+    parameters: [
+      { key: 'maxProb', label: 'Maximum Probability', type: 'number', default: 0.9, min: 0, max: 1, exclusiveMin: true, step: 0.01 },
+      { key: 'midpoint', label: 'Midpoint Level', type: 'number', default: 15, min: 0, max: 100, step: 1 },
+      { key: 'steepness', label: 'Steepness', type: 'number', default: 0.4, min: -5, max: 5, step: 0.05,
+        title: 'Positive: harder above the midpoint. Negative: easier above the midpoint.' }
+    ],
+    formula: ({ maxProb, midpoint, steepness }) =>
+      `${formatNumber(maxProb)} / (1 + e^(${formatNumber(steepness)} × (counter − ${formatNumber(midpoint, 0)})))`,
+    create: ({ maxProb, midpoint, steepness }) =>
+      (counter) => maxProb / (1 + Math.exp(steepness * (counter - midpoint)))
+  },
+
+  'stepped': {
+    name: 'Stepped Difficulty',
+    description: 'Piecewise-constant probability per level range',
+    parameters: [
+      { key: 'steps', label: 'Level:Probability Steps', type: 'text', default: '0:0.8, 5:0.6, 10:0.45, 15:0.35',
+        title: 'Comma-separated level:probability breakpoints, or one probability per level' }
+    ],
+    formula: ({ steps }) => {
+      try {
+        return parseStepTable(steps)
+          .map(({ level, probability }) => `${formatNumber(probability)} from ${level}`)
+          .join(', ');
+      } catch (error) {
+        return '?';
+      }
+    },
+    validate: ({ steps }) => {
+      try {
+        parseStepTable(steps);
+        return [];
+      } catch (error) {
+        return [error.message];
+      }
+    },
+    create: ({ steps }) => {
+      const breakpoints = parseStepTable(steps);
+      return (counter) => {
+        let probability = breakpoints[0].probability;
+        for (const breakpoint of breakpoints) {
+          if (breakpoint.level > counter) break;
+          probability = breakpoint.probability;
+        }
+        return probability;
+      };
+    }
+  },
+
+  'expression': {
+    name: 'Custom Expression',
+    description: 'Any formula of k (counter) and n (target value)',
+    parameters: [
+      { key: 'expression', label: 'P(increment) =', type: 'text', default: '0.7 * exp(-k / (2 * n))',
+        title: 'Variables: k (counter), n (target). Functions: abs, sqrt, exp, log, floor, ceil, round, pow, min, max, clamp, if. Operators: + - * / % ^ < <= > >= == !=' }
+    ],
+    formula: ({ expression }) => expression || '?',
+    validate: ({ expression }, maxValue) => {
+      let evaluate;
+      try {
+        evaluate = compileExpression(expression, ['k', 'n']);
+      } catch (error) {
+        return [`Expression: ${error.message}`];
+      }
+      for (let k = 0; k < maxValue; k++) {
+        if (!Number.isFinite(evaluate({ k, n: maxValue }))) {
+          return [`Expression is not a finite number at k = ${k}`];
+        }
+      }
+      return [];
+    },
+    create: ({ expression }, maxValue) => {
+      const evaluate = compileExpression(expression, ['k', 'n']);
+      const scope = { k: 0, n: maxValue };
+      return (counter) => {
+        scope.k = counter;
+        return evaluate(scope);
+      };
+    }
+  }
+};
+
+export const DEFAULT_MODEL = 'exponential';
+
+/**
+ * Look up a model definition
+ * @param {string} key - Model key
+ * @returns {Object} Model definition
+ */
+export function getProbabilityModel(key = DEFAULT_MODEL) {
+  const model = PROBABILITY_MODELS[key];
+  if (!model) {
+    throw new Error(`Unknown probability model '${key}'`);
+  }
+  return model;
+}
+
+/**
+ * Default parameter values for a model
+ * @param {string} key - Model key
+ * @returns {Object} Parameter values keyed by parameter key
+ */
+export function getDefaultModelParams(key = DEFAULT_MODEL) {
+  return getParameterDefaults(getProbabilityModel(key).parameters);
+}
+
+/**
+ * Validate model parameters against their declared bounds and the model's own checks
+ * @param {string} key - Model key
+ * @param {Object} params - Parameter values
+ * @param {number} maxValue - Target value
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+export function validateModelParams(key, params, maxValue) {
+  const model = getProbabilityModel(key);
+  const errors = validateParameterValues(model.parameters, params);
+
+  if (errors.length === 0 && model.validate) {
+    errors.push(...model.validate(params, maxValue));
+  }
+  return errors;
+}
+
+/**
+ * Build the P(increment | counter) function for a model
+ * @param {string} key - Model key
+ * @param {Object} params - Parameter values
+ * @param {number} maxValue - Target value
+ * @returns {Function} (counter) => probability, not yet capped to [0, 1]
+ */
+export function createProbabilityFunction(key, params, maxValue) {
+  return getProbabilityModel(key).create(params, maxValue);
+}
@@ -0,0 +1,190 @@
+/**
+ * Registries of time- and history-dependent adjustments to P(increment)
+ *
+ * The probability model only sees the counter value. A time modifier scales
+ * it by a factor of the iteration index (warm-up, fatigue); a history
+ * modifier then adds an adjustment that depends on the recent outcomes
+ * (streak bonus, penalty after a failure). The step probability is
+ *
+ *   p = model(counter) · timeFactor(iteration) + historyAdjustment(history)
+ *
+ * capped to [0, 1] like before. Each modifier declares its parameters like
+ * the probability models do and provides:
+ *   create(params) - returns the factor/adjustment function, or null when
+ *                    the modifier never changes anything (so the simulation
+ *                    loop can skip it)
+ *   label(params)  - short text for the formula banner and stats
+ *
+ * History modifiers are called with { streak, sinceFailure }: the number of
+ * successes in a row just before this step, and the steps since the last
+ * failure (Infinity before the first one).
+ */
+import { getParameterDefaults, validateParameterValues } from './ModelParameters.js';
+
+export const TIME_MODIFIERS = {
+  'none': {
+    name: 'None',
+    description: 'The iteration index does not matter',
+    parameters: [],
+    label: () => '',
+    create: () => null
+  },
+
+  'warmup': {
+    name: 'Warm-up',
+    description: 'Odds start reduced and rise linearly to the full model value',
+    parameters: [
+      { key: 'start', label: 'Starting Multiplier', type: 'number', default: 0.3, min: 0, max: 1, step: 0.05 },
+      { key: 'duration', label: 'Warm-up Iterations', type: 'number', default: 50, min: 1, max: 10000000, step: 1, integer: true }
+    ],
+    label: ({ start, duration }) => `× warm-up ${start}→1 over ${duration} steps`,
+    create: ({ start, duration }) =>
+      (iteration) => (iteration >= duration ? 1 : start + ((1 - start) * iteration) / duration)
+  },
+
+  'fatigue': {
+    name: 'Fatigue',
+    description: 'Odds decay with elapsed iterations towards a floor',
+    parameters: [
+      { key: 'halfLife', label: 'Half-life (Iterations)', type: 'number', default: 500, min: 1, max: 10000000, step: 1, integer: true,
+        title: 'Iterations after which the multiplier is halfway between 1 and the floor' },
+      { key: 'floor', label: 'Lowest Multiplier', type: 'number', default: 0.2, min: 0, max: 1, step: 0.05 }
+    ],
+    label: ({ halfLife, floor }) => `× fatigue (half-life ${halfLife}, floor ${floor})`,
+    create: ({ halfLife, floor }) =>
+      (iteration) => floor + (1 - floor) * Math.pow(2, -iteration / halfLife)
+  }
+};
+
+export const HISTORY_MODIFIERS = {
+  'none': {
+    name: 'None',
+    description: 'Earlier outcomes do not matter',
+    parameters: [],
+    label: () => '',
+    create: () => null
+  },
+
+  'streak-bonus': {
+    name: 'Streak Bonus',
+    description: 'Odds change by a fixed amount after enough successes in a row (momentum)',
+    parameters: [
+      { key: 'streak', label: 'Successes in a Row', type: 'number', default: 3, min: 1, max: 1000, step: 1, integer: true },
+      { key: 'bonus', label: 'Bonus', type: 'number', default: 0.1, min: -1, max: 1, step: 0.01,
+        title: 'Added to P(increment) while the streak lasts; negative values punish streaks' }
+    ],
+    label: ({ streak, bonus }) => `${bonus >= 0 ? '+' : '−'}${Math.abs(bonus)} after ${streak} wins in a row`,
+    create: ({ streak, bonus }) =>
+      (history) => (history.streak >= streak ? bonus : 0)
+  },
+
+  'failure-penalty': {
+    name: 'Failure Penalty',
+    description: 'Odds change by a fixed amount for a few steps after every failure (tilt)',
+    parameters: [
+      { key: 'penalty', label: 'Penalty', type: 'number', default: 0.1, min: -1, max: 1, step: 0.01,
+        title: 'Subtracted from P(increment) after a failure; negative values give a comeback bonus' },
+      { key: 'duration', label: 'Steps Affected', type: 'number', default: 1, min: 1, max: 1000, step: 1, integer: true }
+    ],
+    label: ({ penalty, duration }) =>
+      `${penalty >= 0 ? '−' : '+'}${Math.abs(penalty)} for ${duration} step${duration === 1 ? '' : 's'} after a failure`,
+    create: ({ penalty, duration }) =>
+      (history) => (history.sinceFailure < duration ? -penalty : 0)
+  }
+};
+
+export const DEFAULT_TIME_MODIFIER = 'none';
+export const DEFAULT_HISTORY_MODIFIER = 'none';
+
+const REGISTRIES = {
+  time: { modifiers: TIME_MODIFIERS, defaultKey: DEFAULT_TIME_MODIFIER, noun: 'time modifier' },
+  history: { modifiers: HISTORY_MODIFIERS, defaultKey: DEFAULT_HISTORY_MODIFIER, noun: 'history modifier' }
+};
+
+/**
+ * Look up a modifier definition
+ * @param {string} kind - 'time' or 'history'
+ * @param {string} key - Modifier key
+ * @returns {Object} Modifier definition
+ */
+export function getProbabilityModifier(kind, key = REGISTRIES[kind].defaultKey) {
+  const modifier = REGISTRIES[kind].modifiers[key];
+  if (!modifier) {
+    throw new Error(`Unknown ${REGISTRIES[kind].noun} '${key}'`);
+  }
+  return modifier;
+}
+
+/**
+ * Default parameter values for a modifier
+ * @param {string} kind - 'time' or 'history'
+ * @param {string} key - Modifier key
+ * @returns {Object} Parameter values keyed by parameter key
+ */
+export function getDefaultModifierParams(kind, key = REGISTRIES[kind].defaultKey) {
+  return getParameterDefaults(getProbabilityModifier(kind, key).parameters);
+}
+
+/**
+ * Validate modifier parameters
+ * @param {string} kind - 'time' or 'history'
+ * @param {string} key - Modifier key
+ * @param {Object} params - Parameter values
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+export function validateModifierParams(kind, key, params) {
+  return validateParameterValues(getProbabilityModifier(kind, key).parameters, params);
+}
+
+/**
+ * Build a modifier's function
+ * @param {string} kind - 'time' or 'history'
+ * @param {string} key - Modifier key
+ * @param {Object} params - Parameter values
+ * @returns {Function|null} (iteration) => factor for time modifiers, (history) => adjustment
+ *   for history modifiers, or null when the modifier has no effect
+ */
+export function createModifierFunction(kind, key = REGISTRIES[kind].defaultKey, params = null) {
+  return getProbabilityModifier(kind, key).create(params || getDefaultModifierParams(kind, key));
+}
+
+/**
+ * Modifier configuration of a set of simulation parameters with defaults
+ * filled in, in the shape the results carry it
+ * @param {Object} params - Simulation parameters
+ * @returns {Object} { timeModifier, timeModifierParams, historyModifier, historyModifierParams }
+ */
+export function resolveModifierSettings({
+  timeModifier = DEFAULT_TIME_MODIFIER,
+  timeModifierParams = null,
+  historyModifier = DEFAULT_HISTORY_MODIFIER,
+  historyModifierParams = null
+}) {
+  return {
+    timeModifier,
+    timeModifierParams: timeModifierParams || getDefaultModifierParams('time', timeModifier),
+    historyModifier,
+    historyModifierParams: historyModifierParams || getDefaultModifierParams('history', historyModifier)
+  };
+}
+
+/**
+ * Whether P(increment) depends on the counter value alone
+ * @param {Object} settings - { timeModifier, historyModifier }
+ * @returns {boolean}
+ */
+export function hasStaticProbability({ timeModifier = DEFAULT_TIME_MODIFIER, historyModifier = DEFAULT_HISTORY_MODIFIER }) {
+  return timeModifier === 'none' && historyModifier === 'none';
+}
+
+/**
+ * Text describing the modifiers in effect, e.g. for the formula banner
+ * @param {Object} settings - Output of resolveModifierSettings
+ * @returns {string} Labels joined with ' · ', empty when there are none
+ */
+export function describeModifiers(settings) {
+  return [
+    getProbabilityModifier('time', settings.timeModifier).label(settings.timeModifierParams),
+    getProbabilityModifier('history', settings.historyModifier).label(settings.historyModifierParams)
+  ].filter(Boolean).join(' · ');
+}
@@ -0,0 +1,110 @@
+/**
+ * Validation of a complete set of simulation parameters
+ *
+ * Shared by the browser UI and the command-line runner, so both accept
+ * exactly the same configurations. Works on the parameter object passed to
+ * SimulationEngine.runMultipleSimulations, without touching the DOM.
+ */
+import { PROBABILITY_MODELS, validateModelParams } from './ProbabilityModels.js';
+import { FAILURE_MODES, validateFailureParams } from './FailureModes.js';
+import { STEP_DISTRIBUTIONS, OVERSHOOT_POLICIES, validateStepParams } from './StepDistributions.js';
+import { TIME_MODIFIERS, HISTORY_MODIFIERS, validateModifierParams } from './ProbabilityModifiers.js';
+import { validateStoppingSettings } from './StoppingRules.js';
+import { MIN_RARE_EVENT_FLOOR, MAX_RARE_EVENT_FLOOR } from '../modules/RareEventEstimator.js';
+
+// Successes are streamed into a density accumulator, so this is bounded by time rather than memory
+export const MAX_NUM_RUNS = 100000;
+
+// Highest target value
+export const MAX_TARGET_VALUE = 100;
+
+/**
+ * Validate a set of simulation parameters
+ * @param {Object} params - Simulation parameters (see SimulationEngine.runMultipleSimulations)
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+export function validateSimulationParameters(params) {
+  const errors = [];
+
+  if (params.numRuns < 1 || params.numRuns > MAX_NUM_RUNS) {
+    errors.push(`Number of runs must be between 1 and ${MAX_NUM_RUNS.toLocaleString()}`);
+  }
+
+  if (params.maxValue < 1 || params.maxValue > MAX_TARGET_VALUE) {
+    errors.push(`Target value must be between 1 and ${MAX_TARGET_VALUE}`);
+  }
+
+  if (!PROBABILITY_MODELS[params.model]) {
+    errors.push(`Unknown probability model '${params.model}'`);
+  } else if (errors.length === 0) {
+    errors.push(...validateModelParams(params.model, params.modelParams, params.maxValue));
+  }
+
+  errors.push(...validateFailureSettings(params));
+  errors.push(...validateStepSettings(params));
+  errors.push(...validateModifierSettings(params));
+
+  if (params.rareEventFloor !== null && params.rareEventFloor !== undefined &&
+      !(params.rareEventFloor >= MIN_RARE_EVENT_FLOOR && params.rareEventFloor <= MAX_RARE_EVENT_FLOOR)) {
+    errors.push(`Rare-event P(increment) must be between ${MIN_RARE_EVENT_FLOOR} and ${MAX_RARE_EVENT_FLOOR}`);
+  }
+
+  errors.push(...validateStoppingSettings(params.stopping, {
+    rareEvent: params.rareEventFloor !== null && params.rareEventFloor !== undefined
+  }));
+
+  return errors;
+}
+
+/**
+ * Validate the failure mode of a parameter set
+ * @param {Object} params - { failureMode, failureParams }
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+export function validateFailureSettings({ failureMode, failureParams }) {
+  if (!FAILURE_MODES[failureMode]) {
+    return [`Unknown failure mode '${failureMode}'`];
+  }
+  return validateFailureParams(failureMode, failureParams);
+}
+
+/**
+ * Validate the step-size distributions and overshoot policy of a parameter set
+ * @param {Object} params - { successStep, successStepParams, failureStep, failureStepParams, overshoot }
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+export function validateStepSettings({ successStep, successStepParams, failureStep, failureStepParams, overshoot }) {
+  const errors = [];
+  [['Success step', successStep, successStepParams], ['Failure step', failureStep, failureStepParams]]
+    .forEach(([label, key, values]) => {
+      if (!STEP_DISTRIBUTIONS[key]) {
+        errors.push(`Unknown step distribution '${key}'`);
+      } else {
+        errors.push(...validateStepParams(key, values).map((error) => `${label}: ${error}`));
+      }
+    });
+  if (!OVERSHOOT_POLICIES[overshoot]) {
+    errors.push(`Unknown overshoot policy '${overshoot}'`);
+  }
+  return errors;
+}
+
+/**
+ * Validate the time and history modifiers of a parameter set
+ * @param {Object} params - { timeModifier, timeModifierParams, historyModifier, historyModifierParams }
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+export function validateModifierSettings({ timeModifier, timeModifierParams, historyModifier, historyModifierParams }) {
+  const errors = [];
+  if (!TIME_MODIFIERS[timeModifier]) {
+    errors.push(`Unknown time modifier '${timeModifier}'`);
+  } else {
+    errors.push(...validateModifierParams('time', timeModifier, timeModifierParams));
+  }
+  if (!HISTORY_MODIFIERS[historyModifier]) {
+    errors.push(`Unknown history modifier '${historyModifier}'`);
+  } else {
+    errors.push(...validateModifierParams('history', historyModifier, historyModifierParams));
+  }
+  return errors;
+}
@@ -0,0 +1,183 @@
+/**
+ * Registry of step-size distributions for successful and failed steps
+ *
+ * A successful step raises the counter by a drawn number of levels, a failed
+ * step hands a drawn number of levels to the failure mode (step-down and the
+ * absorbing floor lose that many). Each distribution declares its parameters
+ * like the probability models do and provides:
+ *   create(params)  - returns (random) => step size, a whole number ≥ 1
+ *   maxStep(params) - largest size it can draw, so paths and grids can be sized
+ *   label(params)   - short text for the formula banner
+ *
+ * Fixed sizes draw no random numbers, so the default (±1) configuration
+ * reproduces the same paths for a seed as before step sizes were configurable.
+ */
+import { getParameterDefaults, validateParameterValues } from './ModelParameters.js';
+
+// Largest step any distribution may draw
+const MAX_STEP_SIZE = 100;
+
+export const STEP_DISTRIBUTIONS = {
+  'fixed': {
+    name: 'Fixed',
+    description: 'Always the same number of levels',
+    parameters: [
+      { key: 'size', label: 'Levels', type: 'number', default: 1, min: 1, max: MAX_STEP_SIZE, step: 1, integer: true }
+    ],
+    label: ({ size }) => `${size}`,
+    maxStep: ({ size }) => size,
+    create: ({ size }) => () => size
+  },
+
+  'uniform': {
+    name: 'Uniform Range',
+    description: 'Any number of levels in a range, equally likely',
+    parameters: [
+      { key: 'min', label: 'Fewest Levels', type: 'number', default: 1, min: 1, max: MAX_STEP_SIZE, step: 1, integer: true },
+      { key: 'max', label: 'Most Levels', type: 'number', default: 3, min: 1, max: MAX_STEP_SIZE, step: 1, integer: true }
+    ],
+    label: ({ min, max }) => `U{${min}..${max}}`,
+    maxStep: ({ max }) => max,
+    validate: ({ min, max }) => (min > max ? ['Fewest levels must not exceed most levels'] : []),
+    create: ({ min, max }) =>
+      (random) => min + Math.floor(random() * (max - min + 1))
+  },
+
+  'geometric': {
+    name: 'Geometric',
+    description: 'Usually small, occasionally large: P(k) ∝ (1 − 1/mean)^(k − 1), cut off at a maximum',
+    parameters: [
+      { key: 'mean', label: 'Mean Levels (uncapped)', type: 'number', default: 2, min: 1, max: MAX_STEP_SIZE, step: 0.5,
+        title: 'Mean of the geometric distribution before it is cut off at the maximum' },
+      { key: 'max', label: 'Most Levels', type: 'number', default: 10, min: 1, max: MAX_STEP_SIZE, step: 1, integer: true }
+    ],
+    label: ({ mean, max }) => `Geo(${mean})≤${max}`,
+    maxStep: ({ max }) => max,
+    create: ({ mean, max }) => {
+      if (mean <= 1) return () => 1;
+      // Inverse CDF of the geometric distribution truncated at max
+      const logStay = Math.log1p(-1 / mean);
+      const truncatedMass = -Math.expm1(max * logStay);
+      return (random) => Math.min(max, 1 + Math.floor(Math.log1p(-random() * truncatedMass) / logStay));
+    }
+  }
+};
+
+export const DEFAULT_STEP_DISTRIBUTION = 'fixed';
+
+/**
+ * What happens when a successful step would pass the target
+ */
+export const OVERSHOOT_POLICIES = {
+  'clamp': {
+    name: 'Clamp to Target',
+    description: 'The step stops at the target'
+  },
+  'success': {
+    name: 'Count as Success',
+    description: 'The run succeeds and its path keeps the value it landed on, above the target'
+  }
+};
+
+export const DEFAULT_OVERSHOOT = 'clamp';
+
+/**
+ * Look up a step distribution definition
+ * @param {string} key - Distribution key
+ * @returns {Object} Distribution definition
+ */
+export function getStepDistribution(key = DEFAULT_STEP_DISTRIBUTION) {
+  const distribution = STEP_DISTRIBUTIONS[key];
+  if (!distribution) {
+    throw new Error(`Unknown step distribution '${key}'`);
+  }
+  return distribution;
+}
+
+/**
+ * Default parameter values for a step distribution
+ * @param {string} key - Distribution key
+ * @returns {Object} Parameter values keyed by parameter key
+ */
+export function getDefaultStepParams(key = DEFAULT_STEP_DISTRIBUTION) {
+  return getParameterDefaults(getStepDistribution(key).parameters);
+}
+
+/**
+ * Validate step distribution parameters
+ * @param {string} key - Distribution key
+ * @param {Object} params - Parameter values
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+export function validateStepParams(key, params) {
+  const distribution = getStepDistribution(key);
+  const errors = validateParameterValues(distribution.parameters, params);
+  if (errors.length === 0 && distribution.validate) {
+    errors.push(...distribution.validate(params));
+  }
+  return errors;
+}
+
+/**
+ * Build the step sampler for a distribution
+ * @param {string} key - Distribution key
+ * @param {Object} params - Parameter values
+ * @returns {Function} (random) => step size
+ */
+export function createStepSampler(key = DEFAULT_STEP_DISTRIBUTION, params = null) {
+  return getStepDistribution(key).create(params || getDefaultStepParams(key));
+}
+
+/**
+ * Whether a configuration always steps by exactly `size` levels
+ * @param {string} key - Distribution key
+ * @param {Object} params - Parameter values
+ * @param {number} size - Expected step size
+ * @returns {boolean}
+ */
+export function isFixedStep(key = DEFAULT_STEP_DISTRIBUTION, params = null, size = 1) {
+  const resolved = params || getDefaultStepParams(key);
+  return (key === 'fixed' && resolved.size === size) ||
+         (key === 'uniform' && resolved.min === size && resolved.max === size) ||
+         (key === 'geometric' && size === 1 && (resolved.mean <= 1 || resolved.max === 1));
+}
+
+/**
+ * Highest counter value a run can reach: the target, or past it when
+ * overshooting steps count as success
+ * @param {number} maxValue - Target value
+ * @param {string} successStep - Distribution key of successful steps
+ * @param {Object} successStepParams - Its parameters
+ * @param {string} overshoot - Key from OVERSHOOT_POLICIES
+ * @returns {number}
+ */
+export function getTopValue(maxValue, successStep = DEFAULT_STEP_DISTRIBUTION, successStepParams = null, overshoot = DEFAULT_OVERSHOOT) {
+  if (overshoot !== 'success') return maxValue;
+  const maxStep = getStepDistribution(successStep).maxStep(successStepParams || getDefaultStepParams(successStep));
+  return maxValue - 1 + maxStep;
+}
+
+/**
+ * Step configuration of a set of simulation parameters with defaults filled in,
+ * in the shape the results carry it
+ * @param {Object} params - Simulation parameters
+ * @returns {Object} { successStep, successStepParams, failureStep, failureStepParams, overshoot, topValue }
+ */
+export function resolveStepSettings({
+  maxValue,
+  successStep = DEFAULT_STEP_DISTRIBUTION,
+  successStepParams = null,
+  failureStep = DEFAULT_STEP_DISTRIBUTION,
+  failureStepParams = null,
+  overshoot = DEFAULT_OVERSHOOT
+}) {
+  const resolvedSuccessStepParams = successStepParams || getDefaultStepParams(successStep);
+  return {
+    successStep,
+    successStepParams: resolvedSuccessStepParams,
+    failureStep,
+    failureStepParams: failureStepParams || getDefaultStepParams(failureStep),
+    overshoot,
+    topValue: getTopValue(maxValue, successStep, resolvedSuccessStepParams, overshoot)
+  };
+}
@@ -0,0 +1,310 @@
+/**
+ * Registry of stopping rules
+ *
+ * A simulation always aims for numRuns successes - that target is the
+ * 'successes' rule and is always in effect. Further rules are added as
+ * stopping settings { combine, rules: [{ rule, ...params }] }:
+ *   combine 'any' - stop as soon as one rule (the success target included) is met
+ *   combine 'all' - keep sampling until every rule is met
+ * The time limits of the phases (2 s, 10 s) still end a phase early either way.
+ *
+ * Rules are evaluated on a tally of the simulation so far:
+ *   { successes, attempts, stepSum, stepSquareSum, elapsedMs }
+ * where the step sums run over the successful runs and elapsedMs includes
+ * earlier phases. Each rule declares its parameters like the probability
+ * models do and provides:
+ *   label(params)                  - short text for progress and stats
+ *   progress(params, tally)        - fraction of the way to the rule, exactly 1 once it is met
+ *   status(params, tally)          - current value towards the rule, e.g. '1,234/5,000 attempts'
+ *   forStream(params, stream)      - the share of the rule one of several random streams
+ *                                    gets (see SimulationWorkerPool)
+ *
+ * Precision rules compare the relative half-width of the 95% confidence
+ * interval with the requested one. Half-widths shrink with 1/√n, so a stream
+ * with 1/k of the runs aims for √k times the half-width and the merged
+ * streams end up near the requested precision. The minimum of successes
+ * before stopping is split the same way, as minSamples, so k streams
+ * together still need MIN_PRECISION_SAMPLES rather than k times as many.
+ */
+import { getParameterDefaults, validateParameterValues } from './ModelParameters.js';
+import { formatCount } from '../utils/Formatters.js';
+import { CONFIDENCE_Z } from '../utils/ConfidenceIntervals.js';
+
+// Successes needed before a confidence interval is trusted to stop on
+export const MIN_PRECISION_SAMPLES = 30;
+
+/**
+ * Relative half-width of the efficiency's confidence interval (Infinity without successes)
+ * @private
+ */
+function efficiencyError({ successes, attempts }) {
+  if (successes === 0) return Infinity;
+  const p = successes / attempts;
+  return (CONFIDENCE_Z * Math.sqrt(p * (1 - p) / attempts)) / p;
+}
+
+/**
+ * Relative half-width of the mean hitting time's confidence interval (Infinity below two successes)
+ * @private
+ */
+function hittingTimeError({ successes, stepSum, stepSquareSum }) {
+  if (successes < 2) return Infinity;
+  const mean = stepSum / successes;
+  const variance = Math.max(0, (stepSquareSum - successes * mean * mean) / (successes - 1));
+  return (CONFIDENCE_Z * Math.sqrt(variance / successes)) / mean;
+}
+
+/**
+ * Rule on the relative precision of an estimate
+ * @private
+ */
+function precisionRule(name, noun, error) {
+  return {
+    name,
+    description: `Stop once the 95% confidence interval of the ${noun} is narrower than ± the given fraction of it`,
+    parameters: [
+      { key: 'relativeError', label: 'Relative Error (±)', type: 'number', default: 0.05, min: 0.001, max: 1, step: 0.01,
+        title: `Half-width of the 95% confidence interval of the ${noun}, as a fraction of it (0.05 = ±5%)` }
+    ],
+    supportsRareEvent: false,
+    label: ({ relativeError }) => `${noun} ±${(relativeError * 100).toPrecision(2)}%`,
+    progress: ({ relativeError, minSamples = MIN_PRECISION_SAMPLES }, tally) => {
+      const current = error(tally);
+      const ratio = current <= relativeError ? 1 : Math.min(0.999, (relativeError / current) ** 2);
+      return tally.successes < minSamples ? Math.min(ratio, tally.successes / minSamples) : ratio;
+    },
+    status: ({ relativeError }, tally) => {
+      const current = error(tally);
+      return Number.isFinite(current)
+        ? `${noun} ±${(current * 100).toPrecision(2)}% (target ±${(relativeError * 100).toPrecision(2)}%)`
+        : `${noun} ± – (target ±${(relativeError * 100).toPrecision(2)}%)`;
+    },
+    forStream: ({ relativeError }, { streamCount }) => ({
+      relativeError: relativeError * Math.sqrt(streamCount),
+      minSamples: Math.ceil(MIN_PRECISION_SAMPLES / streamCount)
+    })
+  };
+}
+
+export const STOPPING_RULES = {
+  'successes': {
+    name: 'Success Target',
+    description: 'Stop once the requested number of runs has reached the target (always in effect)',
+    parameters: [
+      { key: 'count', label: 'Successes', type: 'number', default: 100, min: 1, max: 100000, step: 1, integer: true }
+    ],
+    label: ({ count }) => `${formatCount(count, 0)} successes`,
+    // A stream may get a quota of 0, which is met right away
+    progress: ({ count }, { successes }) => (successes >= count ? 1 : successes / count),
+    status: ({ count }, { successes }) => `${formatCount(successes, 0)}/${formatCount(count, 0)} successes`,
+    forStream: ({ count }, { quota }) => ({ count: quota })
+  },
+
+  'attempts': {
+    name: 'Attempt Budget',
+    description: 'Stop after a number of runs, successful or not',
+    parameters: [
+      { key: 'count', label: 'Attempts', type: 'number', default: 10000, min: 1, max: 100000000, step: 1000, integer: true }
+    ],
+    label: ({ count }) => `${formatCount(count, 0)} attempts`,
+    progress: ({ count }, { attempts }) => Math.min(1, attempts / count),
+    status: ({ count }, { attempts }) => `${formatCount(attempts, 0)}/${formatCount(count, 0)} attempts`,
+    // Shared out like the success target, so a seed gives the same runs on any machine
+    forStream: ({ count }, { index, streamCount }) => ({
+      count: Math.floor(count / streamCount) + (index < count % streamCount ? 1 : 0)
+    })
+  },
+
+  'time': {
+    name: 'Time Budget',
+    description: 'Stop after sampling for a given time (paused periods do not count)',
+    parameters: [
+      { key: 'seconds', label: 'Seconds', type: 'number', default: 30, min: 0.1, max: 86400, step: 5 }
+    ],
+    label: ({ seconds }) => `${seconds}s budget`,
+    progress: ({ seconds }, { elapsedMs }) => Math.min(1, elapsedMs / (seconds * 1000)),
+    status: ({ seconds }, { elapsedMs }) => `${(elapsedMs / 1000).toFixed(1)}s/${seconds}s`,
+    // Streams keep their own clocks; clockOffsetMs is how far the simulation's clock is ahead of the stream's
+    forStream: ({ seconds }, { clockOffsetMs }) => ({ seconds: Math.max(0, seconds - clockOffsetMs / 1000) })
+  },
+
+  'efficiency-precision': precisionRule('Efficiency Precision', 'efficiency', efficiencyError),
+
+  'hitting-time-precision': precisionRule('Hitting Time Precision', 'mean hitting time', hittingTimeError)
+};
+
+/**
+ * How the rules combine
+ */
+export const STOP_COMBINATIONS = {
+  'any': {
+    name: 'Any rule is met (OR)',
+    description: 'Stop at the first rule that is met'
+  },
+  'all': {
+    name: 'All rules are met (AND)',
+    description: 'Keep sampling until every rule is met'
+  }
+};
+
+export const DEFAULT_STOP_COMBINATION = 'any';
+
+/**
+ * Look up a stopping rule definition
+ * @param {string} key - Rule key
+ * @returns {Object} Rule definition
+ */
+export function getStoppingRule(key) {
+  const rule = STOPPING_RULES[key];
+  if (!rule) {
+    throw new Error(`Unknown stopping rule '${key}'`);
+  }
+  return rule;
+}
+
+/**
+ * Default parameter values for a stopping rule
+ * @param {string} key - Rule key
+ * @returns {Object} Parameter values keyed by parameter key
+ */
+export function getDefaultStoppingParams(key) {
+  return getParameterDefaults(getStoppingRule(key).parameters);
+}
+
+/**
+ * Validate stopping settings (the success target is validated with numRuns)
+ * @param {Object|null} stopping - { combine, rules }
+ * @param {Object} options - Context of the simulation
+ * @param {boolean} options.rareEvent - Whether rare-event mode is on (its runs are weighted, so the precision rules do not apply)
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+export function validateStoppingSettings(stopping, { rareEvent = false } = {}) {
+  if (!stopping) return [];
+  const errors = [];
+
+  if (!STOP_COMBINATIONS[stopping.combine]) {
+    errors.push(`Unknown stopping rule combination '${stopping.combine}'`);
+  }
+  (stopping.rules || []).forEach(({ rule, ...params }) => {
+    const definition = STOPPING_RULES[rule];
+    if (!definition || rule === 'successes') {
+      errors.push(`Unknown stopping rule '${rule}'`);
+      return;
+    }
+    if (rareEvent && definition.supportsRareEvent === false) {
+      errors.push(`${definition.name} is not available in rare-event mode`);
+    }
+    errors.push(...validateParameterValues(definition.parameters, params).map((error) => `${definition.name}: ${error}`));
+  });
+  return errors;
+}
+
+/**
+ * Stopping settings with defaults filled in, in the shape the results carry them
+ * @param {Object|null} stopping - { combine, rules } (null for the success target alone)
+ * @returns {Object} { combine, rules }
+ */
+export function resolveStoppingSettings(stopping = null) {
+  return {
+    combine: stopping?.combine || DEFAULT_STOP_COMBINATION,
+    rules: (stopping?.rules || []).map(({ rule, ...params }) => ({ rule, ...getDefaultStoppingParams(rule), ...params }))
+  };
+}
+
+/**
+ * The rules in effect for a simulation: the success target followed by the configured rules
+ * @param {Object} stopping - Output of resolveStoppingSettings
+ * @param {number} numRuns - Success target
+ * @returns {Array<Object>} [{ rule, ...params }]
+ */
+export function getActiveRules(stopping, numRuns) {
+  return [{ rule: 'successes', count: numRuns }, ...stopping.rules];
+}
+
+/**
+ * The stopping settings one random stream applies
+ * @param {Object} stopping - Output of resolveStoppingSettings
+ * @param {Object} stream - { index, streamCount, quota, clockOffsetMs }
+ * @returns {Object} { combine, rules }
+ */
+export function getStreamStoppingSettings(stopping, stream) {
+  return {
+    combine: stopping.combine,
+    rules: stopping.rules.map(({ rule, ...params }) => ({ rule, ...getStoppingRule(rule).forStream(params, stream) }))
+  };
+}
+
+/**
+ * Tally of finished runs, without the elapsed time
+ * @param {Array<Object>} allAttempts - Attempt summaries of a results object
+ * @returns {Object} { successes, attempts, stepSum, stepSquareSum }
+ */
+export function tallyAttempts(allAttempts) {
+  const tally = { successes: 0, attempts: allAttempts.length, stepSum: 0, stepSquareSum: 0 };
+  allAttempts.forEach((attempt) => {
+    if (!attempt.completed) return;
+    tally.successes++;
+    tally.stepSum += attempt.iterations;
+    tally.stepSquareSum += attempt.iterations * attempt.iterations;
+  });
+  return tally;
+}
+
+/**
+ * Whether the simulation should stop
+ * @param {Object} stopping - Output of resolveStoppingSettings
+ * @param {Array<Object>} rules - Output of getActiveRules
+ * @param {Object} tally - { successes, attempts, stepSum, stepSquareSum, elapsedMs }
+ * @returns {Array<string>|null} Keys of the rules that are met when the combination is satisfied, otherwise null
+ */
+export function checkStoppingRules(stopping, rules, tally) {
+  const met = rules.filter(({ rule, ...params }) => STOPPING_RULES[rule].progress(params, tally) >= 1);
+  const satisfied = stopping.combine === 'all' ? met.length === rules.length : met.length > 0;
+  return satisfied ? met.map(({ rule }) => rule) : null;
+}
+
+/**
+ * Progress towards the stopping rules, for the progress indicator
+ * @param {Object} stopping - Output of resolveStoppingSettings
+ * @param {Array<Object>} rules - Output of getActiveRules
+ * @param {Object} tally - { successes, attempts, stepSum, stepSquareSum, elapsedMs }
+ * @returns {Object} { combine, progress, rules: [{ rule, label, progress, status }] } - progress is that
+ *   of the rule closest to being met for 'any' and of the one furthest from it for 'all'
+ */
+export function describeStoppingProgress(stopping, rules, tally) {
+  const described = rules.map(({ rule, ...params }) => {
+    const definition = STOPPING_RULES[rule];
+    return {
+      rule,
+      label: definition.label(params),
+      progress: definition.progress(params, tally),
+      status: definition.status(params, tally)
+    };
+  });
+  const fractions = described.map((rule) => rule.progress);
+  return {
+    combine: stopping.combine,
+    progress: stopping.combine === 'all' ? Math.min(...fractions) : Math.max(...fractions),
+    rules: described
+  };
+}
+
+/**
+ * Text describing the configured rules besides the success target, e.g. '10,000 attempts or 30s budget'
+ * @param {Object|null} stopping - { combine, rules }
+ * @returns {string} Empty when only the success target applies
+ */
+export function describeStoppingSettings(stopping) {
+  if (!stopping || stopping.rules.length === 0) return '';
+  const joiner = stopping.combine === 'all' ? ' and ' : ' or ';
+  return stopping.rules.map(({ rule, ...params }) => getStoppingRule(rule).label(params)).join(joiner);
+}
+
+/**
+ * Text naming the rules that ended a simulation, e.g. for the stats panel
+ * @param {Array<string>} stoppedBy - Rule keys from the results
+ * @returns {string}
+ */
+export function describeStoppedBy(stoppedBy) {
+  return stoppedBy.map((rule) => getStoppingRule(rule).name).join(' + ');
+}
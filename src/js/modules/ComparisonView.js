@@ -0,0 +1,395 @@
+/**
+ * Heatmaps and stats table of a parameter comparison
+ *
+ * Side by side, every set gets its own panel on shared axes - the longest
+ * run of any set spans the width and the highest value the height - so the
+ * panels can be read against each other. The difference map shows, per
+ * value and time, how many more steps per successful run a set spends there
+ * than the baseline: red where it spends more, blue where it spends less.
+ * Summed step counts can be re-binned exactly, unlike "runs passing through",
+ * which is why the difference is taken over time spent.
+ */
+import { COMPARISON_METRICS, SIGNIFICANCE_LEVEL } from './ParameterComparison.js';
+import { divergingColor } from '../utils/ColorScale.js';
+import { formatCount } from '../utils/Formatters.js';
+
+export const COMPARISON_VIEWS = {
+  'side-by-side': { name: 'Side by side', description: 'One heatmap per set on shared axes' },
+  difference: { name: 'Difference', description: 'Steps per run spent at each value and time, set minus baseline' }
+};
+export const DEFAULT_COMPARISON_VIEW = 'side-by-side';
+
+// Time columns of the difference map
+const DIFFERENCE_COLUMNS = 200;
+
+// Gap between side-by-side panels
+const PANEL_GAP = 12;
+
+export class ComparisonView {
+  /**
+   * @param {HTMLCanvasElement} canvas - Canvas to draw on
+   * @param {VisualizationEngine} heatmaps - Turns densities into heatmaps (createHeatmap, getHeatmapColor)
+   */
+  constructor(canvas, heatmaps) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext("2d");
+    this.margin = { top: 30, right: 20, bottom: 40, left: 40 };
+    this.heatmaps = heatmaps;
+
+    this.comparison = null;
+    this.view = DEFAULT_COMPARISON_VIEW;
+    this.other = 1;
+    this.panels = [];
+    this.difference = null;
+
+    this.canvas.addEventListener('mousemove', (e) => {
+      this.canvas.title = this._describePoint(e) || '';
+    });
+  }
+
+  /**
+   * Draw a comparison
+   * @param {Object} comparison - Results from ParameterComparison.run (may be partial)
+   * @param {Object} settings - View settings
+   * @param {string} settings.view - Key from COMPARISON_VIEWS
+   * @param {number} settings.other - Index of the set the difference map compares with the baseline
+   * @param {string} settings.colorScaling - Color scaling of the side-by-side heatmaps
+   */
+  draw(comparison, { view = DEFAULT_COMPARISON_VIEW, other = 1, colorScaling = 'log' } = {}) {
+    this.comparison = comparison;
+    this.view = COMPARISON_VIEWS[view] ? view : DEFAULT_COMPARISON_VIEW;
+    this.other = other;
+    this.panels = [];
+    this.difference = null;
+
+    const ctx = this.ctx;
+    ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    if (!comparison) return;
+
+    const drawn = comparison.sets.filter((set) => set.status === 'done' && set.density?.runCount > 0);
+    this.maxLength = Math.max(1, ...drawn.map((set) => set.density.maxLength));
+    this.topValue = Math.max(1, ...comparison.sets.map((set) => set.topValue ?? set.params.maxValue));
+
+    if (this.view === 'difference') {
+      this._drawDifference();
+    } else {
+      this._drawSideBySide(colorScaling);
+    }
+  }
+
+  /**
+   * Render the stats table: one column per set, deltas and tests against the baseline
+   * @param {HTMLElement} container - Element to fill
+   */
+  renderTable(container) {
+    const comparison = this.comparison;
+    if (!comparison) {
+      container.innerHTML = '';
+      return;
+    }
+
+    const { sets, comparisons } = comparison;
+    const testsOf = (index) => comparisons.find((entry) => entry.index === index);
+    const pending = (set) => (set.status === 'done' ? '' : '<div class="comparison-delta">not simulated</div>');
+
+    const header = sets.map((set, index) => `
+      <th title="${escapeHtml(set.description)}">${escapeHtml(set.label)}${index === 0 ? ' (baseline)' : ''}</th>
+    `).join('');
+
+    const metricRows = Object.entries(COMPARISON_METRICS).map(([key, metric]) => {
+      const cells = sets.map((set, index) => {
+        const value = set.status === 'done' ? metric.value(set) : null;
+        const text = Number.isFinite(value) ? metric.format(value) : 'N/A';
+        const delta = index > 0 ? testsOf(index)?.deltas[key] : null;
+        return `<td>${text}${delta ? this._renderDelta(metric, delta) : ''}${pending(set)}</td>`;
+      }).join('');
+      return `<tr><th>${metric.label}</th>${cells}</tr>`;
+    }).join('');
+
+    const runsRow = sets.map((set) => (set.status === 'done'
+      ? `<td>${formatCount(set.successes, 0)} / ${formatCount(set.attempts, 0)}</td>`
+      : '<td>N/A</td>')).join('');
+
+    const testRow = (label, title, render) => `
+      <tr class="comparison-test" title="${title}">
+        <th>${label}</th>
+        ${sets.map((set, index) => {
+          const tests = index > 0 ? testsOf(index) : null;
+          return `<td>${index === 0 ? '-' : tests ? render(tests) : 'N/A'}</td>`;
+        }).join('')}
+      </tr>
+    `;
+    const significance = (pValue) => (pValue < SIGNIFICANCE_LEVEL
+      ? ' <span class="comparison-significant">significant</span>'
+      : ' <span class="comparison-not-significant">no evidence of a difference</span>');
+
+    const ksRow = testRow(
+      'Hitting Times (Kolmogorov-Smirnov)',
+      'Two-sample KS test on the step counts of the successful runs: D is the largest gap between the two distribution functions. Ties between whole step counts make the p-value conservative.',
+      ({ hittingTimes }) => (hittingTimes
+        ? `D = ${hittingTimes.statistic.toFixed(3)}, p ${formatPValue(hittingTimes.pValue)}${significance(hittingTimes.pValue)}`
+        : 'needs successes in both sets')
+    );
+    const efficiencyRow = testRow(
+      'Efficiency (two-proportion z)',
+      'Pooled two-proportion z test of the success rates, with Newcombe\'s 95% interval for the difference',
+      ({ efficiency }) => (efficiency
+        ? `${signed(efficiency.difference * 100, (value) => value.toFixed(2))} pts ` +
+          `[${(efficiency.interval[0] * 100).toFixed(2)}, ${(efficiency.interval[1] * 100).toFixed(2)}], ` +
+          `z = ${efficiency.z.toFixed(2)}, p ${formatPValue(efficiency.pValue)}${significance(efficiency.pValue)}`
+        : 'needs attempts in both sets')
+    );
+
+    container.innerHTML = `
+      <table class="comparison-table">
+        <thead><tr><th></th>${header}</tr></thead>
+        <tbody>
+          ${metricRows}
+          <tr><th>Successes / Attempts</th>${runsRow}</tr>
+          ${ksRow}
+          ${efficiencyRow}
+        </tbody>
+      </table>
+      <div class="comparison-note">Deltas and tests are against the baseline; green marks an improvement, red a deterioration. Significance at the ${(SIGNIFICANCE_LEVEL * 100).toFixed(0)}% level, without correction for testing several sets.</div>
+    `;
+  }
+
+  /**
+   * Signed delta below a value, colored by whether it is an improvement
+   * @private
+   */
+  _renderDelta(metric, { absolute, relative }) {
+    if (absolute === 0) return '<div class="comparison-delta">±0</div>';
+    const better = (absolute > 0) === metric.higherIsBetter;
+    const relativeText = metric.relative && relative !== null && Number.isFinite(relative)
+      ? ` (${signed(relative * 100, (value) => value.toFixed(1))}%)` : '';
+    return `<div class="comparison-delta ${better ? 'comparison-better' : 'comparison-worse'}">` +
+      `${signed(absolute, (value) => metric.formatDelta(value))}${relativeText}</div>`;
+  }
+
+  /**
+   * One heatmap per set
+   * @private
+   */
+  _drawSideBySide(colorScaling) {
+    const ctx = this.ctx;
+    const sets = this.comparison.sets;
+    const plotWidth = this.canvas.width - this.margin.left - this.margin.right;
+    const plotHeight = this.canvas.height - this.margin.top - this.margin.bottom;
+    const panelWidth = (plotWidth - PANEL_GAP * (sets.length - 1)) / sets.length;
+    const rowHeight = plotHeight / (this.topValue + 1);
+
+    sets.forEach((set, index) => {
+      const left = this.margin.left + index * (panelWidth + PANEL_GAP);
+      const panel = { set, index, left, width: panelWidth, heatmap: null };
+      this.panels.push(panel);
+
+      ctx.fillStyle = "#333";
+      ctx.font = "12px Arial";
+      ctx.textAlign = "center";
+      ctx.fillText(`${set.label}${index === 0 ? ' (baseline)' : ''}`, left + panelWidth / 2, this.margin.top - 10);
+
+      if (set.status !== 'done' || !(set.density?.runCount > 0)) {
+        ctx.fillStyle = "#999";
+        ctx.fillText(set.status === 'done' ? 'No successful runs' : 'Not simulated', left + panelWidth / 2, this.margin.top + plotHeight / 2);
+      } else {
+        panel.heatmap = this.heatmaps.createHeatmap(set.density, colorScaling, 'heatmap');
+        const { colorDensity, alphaDensity, gridWidth, gridHeight, binWidth } = panel.heatmap;
+        const cellWidth = (panelWidth * binWidth) / this.maxLength;
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(left, this.margin.top, panelWidth, plotHeight);
+        ctx.clip();
+        for (let y = 0; y < gridHeight; y++) {
+          for (let x = 0; x < gridWidth; x++) {
+            if (colorDensity[y][x] > 0 || alphaDensity[y][x] > 0) {
+              ctx.fillStyle = this.heatmaps.getHeatmapColor(colorDensity[y][x], alphaDensity[y][x]);
+              ctx.fillRect(left + x * cellWidth, this.margin.top + plotHeight - (y + 1) * rowHeight, cellWidth + 1, rowHeight + 1);
+            }
+          }
+        }
+        ctx.restore();
+      }
+
+      this._drawPanelFrame(left, panelWidth, plotHeight, index === 0);
+    });
+
+    this._drawTitle(`Steps (shared axis, longest run ${formatCount(this.maxLength - 1, 0)}) · color: ${colorScaling} scaling of runs per cell`);
+  }
+
+  /**
+   * Steps per run spent at each value and time, one set minus the baseline
+   * @private
+   */
+  _drawDifference() {
+    const ctx = this.ctx;
+    const sets = this.comparison.sets;
+    const baseline = sets[0];
+    const other = sets[this.other];
+    const plotWidth = this.canvas.width - this.margin.left - this.margin.right;
+    const plotHeight = this.canvas.height - this.margin.top - this.margin.bottom;
+
+    const usable = (set) => set && set.status === 'done' && set.density?.runCount > 0;
+    if (!usable(baseline) || !usable(other) || this.other === 0) {
+      ctx.font = "14px Arial";
+      ctx.fillStyle = "#999";
+      ctx.textAlign = "center";
+      ctx.fillText("The difference map needs successful runs in the baseline and the chosen set", this.canvas.width / 2, this.canvas.height / 2);
+      return;
+    }
+
+    const columns = Math.min(DIFFERENCE_COLUMNS, this.maxLength);
+    const rows = this.topValue + 1;
+    const base = this._timePerRun(baseline, columns, rows);
+    const compared = this._timePerRun(other, columns, rows);
+    const difference = compared.map((row, y) => row.map((value, x) => value - base[y][x]));
+    const largest = difference.reduce((max, row) => row.reduce((rowMax, value) => Math.max(rowMax, Math.abs(value)), max), 0);
+    this.difference = { base, compared, difference, columns, rows, largest, left: this.margin.left, width: plotWidth };
+
+    const cellWidth = plotWidth / columns;
+    const rowHeight = plotHeight / rows;
+    difference.forEach((row, y) => {
+      row.forEach((value, x) => {
+        if (value === 0) return;
+        // Square root keeps small differences visible next to large ones
+        ctx.fillStyle = divergingColor(Math.sign(value) * Math.sqrt(Math.abs(value) / largest));
+        ctx.fillRect(this.margin.left + x * cellWidth, this.margin.top + plotHeight - (y + 1) * rowHeight, cellWidth + 1, rowHeight + 1);
+      });
+    });
+
+    this._drawPanelFrame(this.margin.left, plotWidth, plotHeight, true);
+    ctx.fillStyle = "#333";
+    ctx.font = "12px Arial";
+    ctx.textAlign = "center";
+    ctx.fillText(`${other.label} minus ${baseline.label}: red = more steps per run spent there, blue = fewer`, this.margin.left + plotWidth / 2, this.margin.top - 10);
+    this._drawTitle(`Steps (longest run ${formatCount(this.maxLength - 1, 0)}) · largest difference ${largest.toFixed(3)} steps per run per cell`);
+  }
+
+  /**
+   * Steps per successful run spent in each cell of a common grid, re-binned from a set's density
+   * @private
+   */
+  _timePerRun(set, columns, rows) {
+    const { rawHorizontalDensity, gridWidth, gridHeight, binWidth, totalRuns } = this.heatmaps.createHeatmap(set.density, 'linear', 'heatmap');
+    const grid = Array.from({ length: rows }, () => new Float64Array(columns));
+    const columnSteps = this.maxLength / columns;
+
+    for (let x = 0; x < gridWidth; x++) {
+      // Spread each source bin over the target columns it overlaps
+      const start = x * binWidth;
+      const end = start + binWidth;
+      for (let column = Math.floor(start / columnSteps); column < columns && column * columnSteps < end; column++) {
+        const overlap = Math.min(end, (column + 1) * columnSteps) - Math.max(start, column * columnSteps);
+        if (overlap <= 0) continue;
+        const share = overlap / binWidth / totalRuns;
+        for (let y = 0; y < Math.min(gridHeight, rows); y++) {
+          grid[y][column] += rawHorizontalDensity[y][x] * share;
+        }
+      }
+    }
+    return grid;
+  }
+
+  /**
+   * Panel border with value ticks on the left of the first panel
+   * @private
+   */
+  _drawPanelFrame(left, width, plotHeight, withValueTicks) {
+    const ctx = this.ctx;
+    ctx.strokeStyle = "#333";
+    ctx.lineWidth = 1;
+    ctx.strokeRect(left, this.margin.top, width, plotHeight);
+
+    ctx.fillStyle = "#666";
+    ctx.font = "10px Arial";
+    ctx.textAlign = "center";
+    [0, 0.5, 1].forEach((t) => {
+      ctx.fillText(formatCount(Math.round(t * (this.maxLength - 1)), 0), left + t * width, this.margin.top + plotHeight + 14);
+    });
+
+    if (withValueTicks) {
+      ctx.textAlign = "right";
+      [0, Math.round(this.topValue / 2), this.topValue].forEach((value) => {
+        const y = this.margin.top + plotHeight - ((value + 0.5) / (this.topValue + 1)) * plotHeight;
+        ctx.fillText(String(value), left - 5, y + 3);
+      });
+    }
+  }
+
+  /**
+   * Axis title below the panels
+   * @private
+   */
+  _drawTitle(text) {
+    const ctx = this.ctx;
+    ctx.fillStyle = "#333";
+    ctx.font = "12px Arial";
+    ctx.textAlign = "center";
+    ctx.fillText(text, this.canvas.width / 2, this.canvas.height - 8);
+  }
+
+  /**
+   * Tooltip text for the point under the mouse
+   * @private
+   */
+  _describePoint(e) {
+    if (!this.comparison) return null;
+
+    const rect = this.canvas.getBoundingClientRect();
+    // The canvas may be scaled by CSS
+    const canvasX = (e.clientX - rect.left) * (this.canvas.width / rect.width);
+    const canvasY = (e.clientY - rect.top) * (this.canvas.height / rect.height);
+    const plotHeight = this.canvas.height - this.margin.top - this.margin.bottom;
+    const value = Math.floor(((this.margin.top + plotHeight - canvasY) / plotHeight) * (this.topValue + 1));
+    if (value < 0 || value > this.topValue) return null;
+
+    if (this.view === 'difference') {
+      const map = this.difference;
+      if (!map) return null;
+      const column = Math.floor(((canvasX - map.left) / map.width) * map.columns);
+      if (column < 0 || column >= map.columns) return null;
+      const from = Math.floor((column * this.maxLength) / map.columns);
+      const to = Math.floor(((column + 1) * this.maxLength) / map.columns) - 1;
+      const { sets } = this.comparison;
+      return `Value ${value}, steps ${formatCount(from, 0)}–${formatCount(Math.max(from, to), 0)}\n` +
+        `${sets[0].label}: ${map.base[value][column].toFixed(3)} steps per run\n` +
+        `${sets[this.other].label}: ${map.compared[value][column].toFixed(3)} steps per run\n` +
+        `Difference: ${signed(map.difference[value][column], (amount) => amount.toFixed(3))}`;
+    }
+
+    const panel = this.panels.find((candidate) => canvasX >= candidate.left && canvasX < candidate.left + candidate.width);
+    if (!panel?.heatmap) return null;
+    const { rawVerticalDensity, binWidth, totalRuns, gridWidth, gridHeight } = panel.heatmap;
+    const step = Math.floor(((canvasX - panel.left) / panel.width) * this.maxLength);
+    const column = Math.floor(step / binWidth);
+    if (column >= gridWidth || value >= gridHeight) return `${panel.set.label}: no runs here`;
+    const runs = rawVerticalDensity[value][column];
+    return `${panel.set.label} · value ${value}, steps ${formatCount(column * binWidth, 0)}–${formatCount((column + 1) * binWidth - 1, 0)}\n` +
+      `${formatCount(runs, 0)} of ${formatCount(totalRuns, 0)} successful runs pass through (${((runs / totalRuns) * 100).toFixed(1)}%)`;
+  }
+}
+
+/**
+ * Number with an explicit sign
+ * @private
+ */
+function signed(value, format) {
+  return `${value < 0 ? '−' : '+'}${format(Math.abs(value))}`;
+}
+
+/**
+ * p-value as "= 0.123" or "< 0.001"
+ * @private
+ */
+function formatPValue(pValue) {
+  return pValue < 0.001 ? '< 0.001' : `= ${pValue.toFixed(3)}`;
+}
+
+/**
+ * Escape text for HTML (set descriptions may hold custom expressions)
+ * @private
+ */
+function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"]/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+}
@@ -0,0 +1,142 @@
+/**
+ * Live mini-chart of the running estimates while a simulation runs
+ *
+ * Two panels over elapsed time: the mean hitting time and the efficiency,
+ * each with its 95% band (estimate ± 1.96 standard errors) and a dashed line
+ * at the current value. Early bands are very wide, so the value axis follows
+ * the estimates and the current band rather than the widest band.
+ */
+import { formatCount } from '../utils/Formatters.js';
+
+const PANELS = [
+  {
+    title: 'Mean hitting time',
+    value: 'mean',
+    error: 'meanError',
+    color: '#7c3aed',
+    format: (value) => formatCount(value)
+  },
+  {
+    title: 'Efficiency',
+    value: 'efficiency',
+    error: 'efficiencyError',
+    color: '#0ea5e9',
+    format: (value) => `${(value * 100).toFixed(2)}%`
+  }
+];
+
+// Band half-widths, in standard errors
+const BAND_Z = 1.96;
+
+export class ConvergenceChart {
+  /**
+   * @param {HTMLCanvasElement} canvas - Canvas to draw on
+   */
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext("2d");
+    this.margin = { top: 18, right: 10, bottom: 18, left: 50 };
+    this.gap = 30;
+  }
+
+  /**
+   * Draw the history of a ConvergenceMonitor
+   * @param {Array<Object>} points - ConvergenceMonitor.points
+   * @param {boolean} stable - Whether the estimates have stabilized (colors the frames green)
+   */
+  draw(points, stable = false) {
+    const ctx = this.ctx;
+    ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    const usable = points.filter((point) => Number.isFinite(point.mean));
+    if (usable.length < 2) {
+      ctx.font = "12px Arial";
+      ctx.fillStyle = "#999";
+      ctx.textAlign = "center";
+      ctx.fillText("Waiting for successful runs...", this.canvas.width / 2, this.canvas.height / 2);
+      return;
+    }
+
+    const panelWidth = (this.canvas.width - this.margin.left * PANELS.length - this.margin.right * PANELS.length - this.gap) / PANELS.length;
+    PANELS.forEach((panel, index) => {
+      const left = this.margin.left + index * (panelWidth + this.margin.right + this.gap + this.margin.left);
+      this._drawPanel(panel, usable, left, panelWidth, stable);
+    });
+  }
+
+  /**
+   * One estimate with its band
+   * @private
+   */
+  _drawPanel(panel, points, left, width, stable) {
+    const ctx = this.ctx;
+    const top = this.margin.top;
+    const height = this.canvas.height - this.margin.top - this.margin.bottom;
+    const last = points[points.length - 1];
+    const band = (point) => BAND_Z * (Number.isFinite(point[panel.error]) ? point[panel.error] : 0);
+
+    // Value axis: every estimate and the current band, with some room
+    let low = last[panel.value] - 2 * band(last);
+    let high = last[panel.value] + 2 * band(last);
+    points.forEach((point) => {
+      low = Math.min(low, point[panel.value]);
+      high = Math.max(high, point[panel.value]);
+    });
+    if (high <= low) {
+      high += Math.abs(high) * 0.05 || 1;
+      low -= Math.abs(low) * 0.05 || 1;
+    }
+    const startTime = points[0].elapsedMs;
+    const span = Math.max(1, last.elapsedMs - startTime);
+    const x = (point) => left + ((point.elapsedMs - startTime) / span) * width;
+    const y = (value) => top + height - ((value - low) / (high - low)) * height;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(left, top, width, height);
+    ctx.clip();
+
+    ctx.fillStyle = panel.color;
+    ctx.globalAlpha = 0.15;
+    ctx.beginPath();
+    points.forEach((point) => ctx.lineTo(x(point), y(point[panel.value] + band(point))));
+    for (let i = points.length - 1; i >= 0; i--) {
+      ctx.lineTo(x(points[i]), y(points[i][panel.value] - band(points[i])));
+    }
+    ctx.closePath();
+    ctx.fill();
+    ctx.globalAlpha = 1;
+
+    ctx.strokeStyle = panel.color;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    points.forEach((point) => ctx.lineTo(x(point), y(point[panel.value])));
+    ctx.stroke();
+
+    ctx.strokeStyle = "#666";
+    ctx.lineWidth = 1;
+    ctx.setLineDash([3, 3]);
+    ctx.beginPath();
+    ctx.moveTo(left, y(last[panel.value]));
+    ctx.lineTo(left + width, y(last[panel.value]));
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.restore();
+
+    ctx.strokeStyle = stable ? "#16a34a" : "#cbd5e1";
+    ctx.lineWidth = stable ? 2 : 1;
+    ctx.strokeRect(left, top, width, height);
+
+    ctx.font = "11px Arial";
+    ctx.fillStyle = "#333";
+    ctx.textAlign = "left";
+    ctx.fillText(`${panel.title}: ${panel.format(last[panel.value])} ± ${panel.format(band(last))}`, left, top - 5);
+
+    ctx.fillStyle = "#666";
+    ctx.font = "10px Arial";
+    ctx.textAlign = "right";
+    ctx.fillText(panel.format(high), left - 4, top + 8);
+    ctx.fillText(panel.format(low), left - 4, top + height);
+    ctx.textAlign = "center";
+    ctx.fillText(`${(startTime / 1000).toFixed(1)}s – ${(last.elapsedMs / 1000).toFixed(1)}s`, left + width / 2, top + height + 13);
+  }
+}
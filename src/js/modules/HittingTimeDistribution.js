@@ -0,0 +1,260 @@
+/**
+ * Distribution of the lengths of successful runs, with fitted models
+ *
+ * A run's length is the number of values on its path (steps + 1), the same
+ * axis as the main view. Every successful attempt counts, not only the paths
+ * retained for drawing. Rare-event results are weighted by their likelihood
+ * ratios, so the distribution is that of the untilted process.
+ *
+ * Fits are a registry like the probability models. Each one turns the sample
+ * into a distribution function that may only cover part of the lengths
+ * (`from` and up); the panel draws and compares whatever it returns.
+ */
+import { normalCdf } from '../utils/ConfidenceIntervals.js';
+
+// Runs needed beyond the tail threshold before a tail rate is fitted
+const MIN_TAIL_RUNS = 10;
+
+// Histogram bins at most
+const MAX_BINS = 40;
+
+export const HITTING_TIME_VIEWS = {
+  histogram: { name: 'Histogram', description: 'Successful runs per length bin' },
+  ecdf: { name: 'ECDF', description: 'P(length ≤ k)' },
+  survival: { name: 'Survival', description: 'P(length > k)' }
+};
+export const DEFAULT_HITTING_TIME_VIEW = 'histogram';
+
+export const HITTING_TIME_SCALES = {
+  linear: { name: 'Linear', logX: false, logY: false },
+  'log-x': { name: 'Log length', logX: true, logY: false },
+  'log-y': { name: 'Log probability', logX: false, logY: true },
+  'log-log': { name: 'Log-log', logX: true, logY: true }
+};
+export const DEFAULT_HITTING_TIME_SCALE = 'linear';
+
+export const HITTING_TIME_FITS = {
+  'geometric-tail': {
+    name: 'Geometric tail',
+    description: 'P(length > k) = P(length > u) · r^(k − u) beyond the median u; the continuous analogue is an exponential tail',
+    color: '#dc2626',
+    fit: (sample) => {
+      const threshold = sample.quantile(0.5);
+      let weight = 0;
+      let excess = 0;
+      let runs = 0;
+      sample.lengths.forEach((length, i) => {
+        if (length <= threshold) return;
+        weight += sample.weights[i];
+        excess += sample.weights[i] * (length - threshold - 1);
+        runs++;
+      });
+      if (runs < MIN_TAIL_RUNS) return null;
+
+      // Maximum likelihood for geometric excesses: r = mean / (1 + mean)
+      const meanExcess = excess / weight;
+      const rate = meanExcess / (1 + meanExcess);
+      const tailMass = sample.survival(threshold);
+      const decay = -Math.log(rate);
+      return {
+        from: threshold,
+        params: { threshold, rate, decay, halfLife: decay > 0 ? Math.LN2 / decay : Infinity },
+        summary: `r = ${rate.toFixed(4)} per step beyond ${threshold}`,
+        cdf: (length) => (length < threshold ? null : 1 - tailMass * Math.pow(rate, length - threshold))
+      };
+    }
+  },
+  lognormal: {
+    name: 'Lognormal',
+    description: 'log(length) normally distributed, fitted by maximum likelihood',
+    color: '#2563eb',
+    fit: (sample) => {
+      if (sample.count < 2) return null;
+      let mu = 0;
+      sample.lengths.forEach((length, i) => { mu += sample.weights[i] * Math.log(length); });
+      mu /= sample.totalWeight;
+      let variance = 0;
+      sample.lengths.forEach((length, i) => { variance += sample.weights[i] * (Math.log(length) - mu) ** 2; });
+      const sigma = Math.sqrt(variance / sample.totalWeight);
+      if (!(sigma > 0)) return null;
+
+      return {
+        from: 1,
+        params: { mu, sigma },
+        summary: `μ = ${mu.toFixed(3)}, σ = ${sigma.toFixed(3)} (log length)`,
+        // Lengths are whole numbers: P(L ≤ k) takes the density up to k + 1/2
+        cdf: (length) => normalCdf((Math.log(length + 0.5) - mu) / sigma)
+      };
+    }
+  },
+  exact: {
+    name: 'Exact',
+    description: 'Distribution of the Markov chain itself (single-level steps without modifiers)',
+    color: '#16a34a',
+    fit: (sample) => {
+      const steps = sample.exactCdf;
+      if (!steps || steps.length === 0) return null;
+      const complete = steps[steps.length - 1] === 1;
+      return {
+        from: 1,
+        params: { steps: steps.length - 1, complete },
+        summary: complete ? 'solved exactly' : `solved exactly up to length ${steps.length}`,
+        // A path of length k took k - 1 steps
+        cdf: (length) => {
+          const index = Math.floor(length) - 1;
+          if (index < 0) return 0;
+          if (index < steps.length) return steps[index];
+          return complete ? 1 : null;
+        }
+      };
+    }
+  }
+};
+
+export class HittingTimeDistribution {
+  /**
+   * @param {Object} results - Simulation results
+   * @param {Object} options - Extra inputs
+   * @param {Float64Array|null} options.exactCdf - P(steps ≤ n | success) from MarkovChainSolver.successStepDistribution
+   */
+  constructor(results, { exactCdf = null } = {}) {
+    const successes = (results?.allAttempts || []).filter((attempt) => attempt.completed);
+    this.weighted = Boolean(results?.rareEventFloor);
+    const maxLogWeight = this.weighted ?
+      successes.reduce((max, attempt) => Math.max(max, attempt.logWeight), -Infinity) : 0;
+
+    const entries = successes
+      .map((attempt) => ({
+        length: attempt.iterations + 1,
+        weight: this.weighted ? Math.exp(attempt.logWeight - maxLogWeight) : 1
+      }))
+      .sort((a, b) => a.length - b.length);
+
+    this.count = entries.length;
+    this.lengths = Float64Array.from(entries, (entry) => entry.length);
+    this.weights = Float64Array.from(entries, (entry) => entry.weight);
+    this.cumulative = new Float64Array(this.count);
+    let running = 0;
+    entries.forEach((entry, i) => {
+      running += entry.weight;
+      this.cumulative[i] = running;
+    });
+    this.totalWeight = running;
+    this.minLength = this.count > 0 ? this.lengths[0] : null;
+    this.maxLength = this.count > 0 ? this.lengths[this.count - 1] : null;
+    this.exactCdf = exactCdf;
+
+    this.fits = {};
+    if (this.count > 0) {
+      Object.entries(HITTING_TIME_FITS).forEach(([key, fit]) => {
+        const fitted = fit.fit(this);
+        if (fitted) this.fits[key] = fitted;
+      });
+    }
+  }
+
+  /**
+   * Empirical P(length ≤ k)
+   * @param {number} length - k
+   * @returns {number}
+   */
+  cdf(length) {
+    if (this.count === 0) return NaN;
+    // Last index whose length is at most k
+    let low = -1;
+    let high = this.count - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (this.lengths[middle] <= length) low = middle; else high = middle - 1;
+    }
+    return low < 0 ? 0 : this.cumulative[low] / this.totalWeight;
+  }
+
+  /**
+   * Empirical P(length > k)
+   * @param {number} length - k
+   * @returns {number}
+   */
+  survival(length) {
+    return 1 - this.cdf(length);
+  }
+
+  /**
+   * Smallest length whose empirical P(length ≤ k) reaches q
+   * @param {number} q - Probability in (0, 1]
+   * @returns {number|null} null without successes
+   */
+  quantile(q) {
+    if (this.count === 0) return null;
+    const target = q * this.totalWeight;
+    const index = this.cumulative.findIndex((value) => value >= target);
+    return this.lengths[index < 0 ? this.count - 1 : index];
+  }
+
+  /**
+   * Whole-number lengths the bins span: the whole sample, or a range of it
+   * @param {Object|null} range - Lengths { from, to } (to exclusive), e.g. those of a zoomed view
+   * @returns {Object} { low, high } with high exclusive
+   */
+  lengthSpan(range = null) {
+    if (!range) return { low: this.minLength, high: this.maxLength + 1 };
+    const low = Math.max(1, Math.floor(range.from));
+    return { low, high: Math.max(low + 1, Math.ceil(range.to)) };
+  }
+
+  /**
+   * Whole-number bin edges spanning the sample, equally wide or (logX) growing geometrically
+   * @param {boolean} logX - Logarithmic bins
+   * @param {Object|null} range - Only span these lengths { from, to } (to exclusive), binned as finely as the whole sample
+   * @returns {Array<number>} Edges; bin i holds lengths in [edges[i], edges[i + 1])
+   */
+  binEdges(logX = false, range = null) {
+    if (this.count === 0) return [];
+    const { low, high } = this.lengthSpan(range);
+    if (logX) {
+      const ratio = Math.log(high / low) / MAX_BINS;
+      const edges = [];
+      for (let i = 0; i <= MAX_BINS; i++) {
+        const edge = Math.round(low * Math.exp(ratio * i));
+        if (edges.length === 0 || edge > edges[edges.length - 1]) edges.push(edge);
+      }
+      if (edges[edges.length - 1] < high) edges.push(high);
+      return edges;
+    }
+    const width = Math.max(1, Math.ceil((high - low) / MAX_BINS));
+    const edges = [];
+    for (let edge = low; edge < high; edge += width) edges.push(edge);
+    edges.push(edges[edges.length - 1] + width);
+    return edges;
+  }
+
+  /**
+   * Successful runs per bin (weighted and rescaled to the number of successes in rare-event mode)
+   * @param {Array<number>} edges - From binEdges()
+   * @returns {Array<Object>} { from, to, count, probability } with `to` exclusive
+   */
+  histogram(edges) {
+    const bins = [];
+    for (let i = 0; i + 1 < edges.length; i++) {
+      const probability = this.cdf(edges[i + 1] - 1) - this.cdf(edges[i] - 1);
+      bins.push({ from: edges[i], to: edges[i + 1], probability, count: probability * this.count });
+    }
+    return bins;
+  }
+
+  /**
+   * P(length > k) from the sample and from every fit covering k
+   * @param {Array<number>} lengths - Values of k
+   * @returns {Array<Object>} { length, empirical, fits: { key: probability } }
+   */
+  tail(lengths) {
+    return lengths.map((length) => {
+      const fits = {};
+      Object.entries(this.fits).forEach(([key, fitted]) => {
+        const cdf = fitted.cdf(length);
+        if (cdf !== null) fits[key] = Math.max(0, 1 - cdf);
+      });
+      return { length, empirical: this.survival(length), fits };
+    });
+  }
+}
@@ -0,0 +1,410 @@
+/**
+ * Hitting-time distribution panel under the main view
+ *
+ * Shows the lengths of the successful runs as a histogram, an ECDF or a
+ * survival curve P(length > k), with optional fitted models drawn over the
+ * sample. Hovering a bin (in any view) hands its length range to the hover
+ * callback, so the main view can highlight the runs of that length.
+ */
+import {
+  HITTING_TIME_FITS,
+  HITTING_TIME_SCALES,
+  HITTING_TIME_VIEWS,
+  DEFAULT_HITTING_TIME_SCALE,
+  DEFAULT_HITTING_TIME_VIEW
+} from './HittingTimeDistribution.js';
+import { formatCount, formatPercent } from '../utils/Formatters.js';
+
+const SAMPLE_COLOR = "#8b5cf6";
+const HOVER_COLOR = "#0ea5e9";
+
+export class HittingTimePanel {
+  /**
+   * @param {HTMLCanvasElement} canvas - Canvas to draw on
+   * @param {Function} onHover - Called with the hovered bin { from, to, count, probability }, or null
+   */
+  constructor(canvas, onHover) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext("2d");
+    this.margin = { top: 20, right: 20, bottom: 45, left: 60 };
+    this.onHover = onHover;
+
+    this.distribution = null;
+    this.settings = null;
+    this.bins = [];
+    this.hoveredBin = null;
+
+    this.canvas.addEventListener('mousemove', (e) => {
+      const bin = this._binAt(e);
+      this.canvas.title = bin ? this._describeBin(bin) : '';
+      this._setHovered(bin);
+    });
+    this.canvas.addEventListener('mouseleave', () => {
+      this.canvas.title = '';
+      this._setHovered(null);
+    });
+  }
+
+  /**
+   * Draw a distribution
+   * @param {HittingTimeDistribution|null} distribution - Lengths of the successful runs
+   * @param {Object} settings - Display settings
+   * @param {string} settings.view - Key from HITTING_TIME_VIEWS
+   * @param {string} settings.scale - Key from HITTING_TIME_SCALES
+   * @param {Array<string>} settings.fits - Keys from HITTING_TIME_FITS to draw
+   * @param {Object|null} settings.lengthRange - Only show the lengths { from, to } (to exclusive), e.g. those of
+   *   the zoomed main view; null shows the whole sample
+   */
+  draw(distribution, settings) {
+    this.distribution = distribution;
+    this.settings = {
+      view: HITTING_TIME_VIEWS[settings.view] ? settings.view : DEFAULT_HITTING_TIME_VIEW,
+      scale: HITTING_TIME_SCALES[settings.scale] ? settings.scale : DEFAULT_HITTING_TIME_SCALE,
+      fits: settings.fits.filter((key) => distribution?.fits[key]),
+      lengthRange: settings.lengthRange || null
+    };
+    const { logX } = HITTING_TIME_SCALES[this.settings.scale];
+    this.bins = distribution && distribution.count > 0
+      ? distribution.histogram(distribution.binEdges(logX, this.settings.lengthRange)) : [];
+    this.hoveredBin = null;
+    this._render();
+  }
+
+  /**
+   * Fill the summary element with tail probabilities of the sample and the drawn fits, and the fitted tail rate
+   * @param {HTMLElement} container - Element to fill
+   * @param {number|null} tailLength - k for P(length > k); a few quantile-based lengths when null
+   */
+  renderSummary(container, tailLength = null) {
+    const distribution = this.distribution;
+    if (!distribution || distribution.count === 0) {
+      container.innerHTML = '';
+      return;
+    }
+
+    const median = distribution.quantile(0.5);
+    const lengths = tailLength !== null ? [tailLength] :
+      [...new Set([distribution.quantile(0.9), 2 * median, 4 * median])].sort((a, b) => a - b);
+    const fitKeys = this.settings.fits;
+    const header = ['k', distribution.weighted ? 'Sample (weighted)' : 'Sample',
+      ...fitKeys.map((key) => HITTING_TIME_FITS[key].name)];
+    const rows = distribution.tail(lengths).map(({ length, empirical, fits }) => [
+      formatCount(length, 0),
+      formatPercent(empirical),
+      ...fitKeys.map((key) => (key in fits ? formatPercent(fits[key]) : '–'))
+    ]);
+
+    const lines = [];
+    const tailFit = distribution.fits['geometric-tail'];
+    if (tailFit) {
+      const { rate, decay, halfLife, threshold } = tailFit.params;
+      lines.push(`Tail rate beyond ${formatCount(threshold, 0)}: P(length > k + 1 | length > k) = ${rate.toFixed(4)} ` +
+        `(decay ${decay.toPrecision(3)} per step, halving every ${formatCount(halfLife)} steps)`);
+    } else {
+      lines.push('Too few long runs to fit a tail rate');
+    }
+    fitKeys.filter((key) => key !== 'geometric-tail').forEach((key) => {
+      lines.push(`${HITTING_TIME_FITS[key].name}: ${distribution.fits[key].summary}`);
+    });
+
+    container.innerHTML = `
+      <table class="hitting-time-table">
+        <tr>${header.map((cell, i) => `<th>${i === 0 ? 'P(length > k) at k' : cell}</th>`).join('')}</tr>
+        ${rows.map((row) => `<tr>${row.map((cell) => `<td>${cell}</td>`).join('')}</tr>`).join('')}
+      </table>
+      ${lines.map((line) => `<div class="stat-exact">${line}</div>`).join('')}
+      <div class="stat-exact">${formatCount(distribution.count, 0)} successful runs · median length ${formatCount(median, 0)}</div>
+    `;
+  }
+
+  /**
+   * Draw the current distribution, marking the hovered bin
+   * @private
+   */
+  _render() {
+    const ctx = this.ctx;
+    ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    if (!this.distribution || this.distribution.count === 0) {
+      ctx.font = "14px Arial";
+      ctx.fillStyle = "#999";
+      ctx.textAlign = "center";
+      ctx.fillText("No successful runs to show", this.canvas.width / 2, this.canvas.height / 2);
+      return;
+    }
+
+    const { plotWidth, plotHeight } = this._layout();
+    const axes = this._axes();
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(this.margin.left, this.margin.top, plotWidth, plotHeight);
+    ctx.clip();
+    if (this.settings.view === 'histogram') {
+      this._drawHistogram(axes);
+    } else {
+      this._drawCurves(axes);
+    }
+    ctx.restore();
+
+    this._drawAxes(axes, plotWidth, plotHeight);
+    this._drawLegend();
+  }
+
+  /**
+   * Bars of the sample and the expected counts of each fit per bin
+   * @private
+   */
+  _drawHistogram({ x, y, bottom }) {
+    const ctx = this.ctx;
+    const distribution = this.distribution;
+    this.bins.forEach((bin) => {
+      if (bin.count <= 0) return;
+      const left = x(bin.from);
+      ctx.fillStyle = bin === this.hoveredBin ? HOVER_COLOR : SAMPLE_COLOR;
+      ctx.globalAlpha = bin === this.hoveredBin ? 1 : 0.6;
+      ctx.fillRect(left, y(bin.count), Math.max(1, x(bin.to) - left - 1), bottom - y(bin.count));
+    });
+    ctx.globalAlpha = 1;
+
+    this.settings.fits.forEach((key) => {
+      const fitted = distribution.fits[key];
+      const points = this.bins.map((bin) => {
+        const upper = fitted.cdf(bin.to - 1);
+        const lower = bin.from - 1 < fitted.from ? null : fitted.cdf(bin.from - 1);
+        // Bins below the start of a fit only count when the fit covers all lengths
+        const start = lower ?? (fitted.from <= 1 ? 0 : null);
+        if (upper === null || start === null) return null;
+        return { x: (x(bin.from) + x(bin.to)) / 2, value: (upper - start) * distribution.count };
+      });
+      this._drawPolyline(points, y, HITTING_TIME_FITS[key].color, true);
+    });
+  }
+
+  /**
+   * ECDF or survival curve of the sample and of each fit, evaluated per pixel column
+   * @private
+   */
+  _drawCurves({ x, y, lengthAt }) {
+    const survival = this.settings.view === 'survival';
+    const { plotWidth } = this._layout();
+    const columns = Array.from({ length: Math.ceil(plotWidth) + 1 }, (_, i) => this.margin.left + i);
+    const curve = (cdf) => columns.map((column) => {
+      const value = cdf(Math.floor(lengthAt(column)));
+      if (value === null) return null;
+      return { x: column, value: survival ? 1 - value : value };
+    });
+
+    this._drawPolyline(curve((length) => this.distribution.cdf(length)), y, SAMPLE_COLOR, false, 2);
+    this.settings.fits.forEach((key) => {
+      const fitted = this.distribution.fits[key];
+      this._drawPolyline(curve((length) => fitted.cdf(length)), y, HITTING_TIME_FITS[key].color, false);
+    });
+
+    if (this.hoveredBin) {
+      const { height } = this.canvas;
+      this.ctx.fillStyle = HOVER_COLOR;
+      this.ctx.globalAlpha = 0.15;
+      this.ctx.fillRect(x(this.hoveredBin.from), 0, x(this.hoveredBin.to) - x(this.hoveredBin.from), height);
+      this.ctx.globalAlpha = 1;
+    }
+  }
+
+  /**
+   * Connect points, breaking the line at missing or non-positive (on a log axis) values
+   * @private
+   */
+  _drawPolyline(points, y, color, markers, lineWidth = 1.5) {
+    const ctx = this.ctx;
+    const { logY } = HITTING_TIME_SCALES[this.settings.scale];
+    ctx.strokeStyle = color;
+    ctx.fillStyle = color;
+    ctx.lineWidth = lineWidth;
+    ctx.beginPath();
+    let drawing = false;
+    points.forEach((point) => {
+      if (!point || !Number.isFinite(point.value) || (logY && point.value <= 0)) {
+        drawing = false;
+        return;
+      }
+      const py = y(point.value);
+      if (drawing) ctx.lineTo(point.x, py); else ctx.moveTo(point.x, py);
+      drawing = true;
+      if (markers) ctx.fillRect(point.x - 2, py - 2, 4, 4);
+    });
+    ctx.stroke();
+  }
+
+  /**
+   * Coordinate transforms of the current view
+   * @private
+   */
+  _axes() {
+    const { plotWidth, plotHeight } = this._layout();
+    const { logX, logY } = HITTING_TIME_SCALES[this.settings.scale];
+    const distribution = this.distribution;
+
+    const { low: lowLength, high: highLength } = distribution.lengthSpan(this.settings.lengthRange);
+    const tx = (length) => (logX ? Math.log10(length) : length);
+    const x = (length) => this.margin.left + ((tx(length) - tx(lowLength)) / (tx(highLength) - tx(lowLength))) * plotWidth;
+    const lengthAt = (px) => {
+      const t = tx(lowLength) + ((px - this.margin.left) / plotWidth) * (tx(highLength) - tx(lowLength));
+      return logX ? Math.pow(10, t) : t;
+    };
+
+    // Histograms count runs; the curves are probabilities
+    let high;
+    let low;
+    if (this.settings.view === 'histogram') {
+      const counts = this.bins.map((bin) => bin.count).filter((count) => count > 0);
+      // A zoomed range may hold no runs at all
+      if (counts.length === 0) counts.push(1);
+      high = Math.max(...counts) * (logY ? 2 : 1.1);
+      low = logY ? Math.min(...counts) / 2 : 0;
+    } else {
+      high = 1;
+      // The smallest step of the sample sets the floor of a log axis
+      const smallest = distribution.weights.reduce((min, weight) => Math.min(min, weight), Infinity) / distribution.totalWeight;
+      low = logY ? smallest / 2 : 0;
+    }
+    const ty = (value) => (logY ? Math.log10(value) : value);
+    const bottom = this.margin.top + plotHeight;
+    const y = (value) => bottom - ((ty(Math.max(value, low)) - ty(low)) / (ty(high) - ty(low))) * plotHeight;
+
+    return { x, y, lengthAt, bottom, low, high, lowLength, highLength, logX, logY };
+  }
+
+  /**
+   * Plot area size
+   * @private
+   */
+  _layout() {
+    return {
+      plotWidth: this.canvas.width - this.margin.left - this.margin.right,
+      plotHeight: this.canvas.height - this.margin.top - this.margin.bottom
+    };
+  }
+
+  /**
+   * Draw tick labels and axis titles
+   * @private
+   */
+  _drawAxes({ x, y, low, high, lowLength, highLength, logX, logY }, plotWidth, plotHeight) {
+    const ctx = this.ctx;
+    ctx.strokeStyle = "#333";
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(this.margin.left, this.margin.top);
+    ctx.lineTo(this.margin.left, this.margin.top + plotHeight);
+    ctx.lineTo(this.margin.left + plotWidth, this.margin.top + plotHeight);
+    ctx.stroke();
+
+    ctx.fillStyle = "#666";
+    ctx.font = "10px Arial";
+    ctx.textAlign = "center";
+    this._ticks(lowLength, highLength, logX).forEach((length) => {
+      ctx.fillText(formatCount(length, 0), x(length), this.margin.top + plotHeight + 15);
+    });
+
+    const histogram = this.settings.view === 'histogram';
+    ctx.textAlign = "right";
+    this._ticks(low, high, logY).forEach((value) => {
+      const label = histogram ? formatCount(value, value < 10 ? 1 : 0) : formatPercent(value);
+      ctx.fillText(label, this.margin.left - 5, y(value) + 3);
+    });
+
+    ctx.font = "12px Arial";
+    ctx.fillStyle = "#333";
+    ctx.textAlign = "center";
+    ctx.fillText(
+      `Run length (values on the path)${this.settings.lengthRange ? ', zoomed with the view above' : ''} · hover to highlight those runs above`,
+      this.margin.left + plotWidth / 2,
+      this.canvas.height - 8
+    );
+    ctx.save();
+    ctx.translate(15, this.margin.top + plotHeight / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.fillText(histogram ? "Successful runs" : HITTING_TIME_VIEWS[this.settings.view].description, 0, 0);
+    ctx.restore();
+  }
+
+  /**
+   * Tick values: six even steps, or the powers of ten on a log axis
+   * @private
+   */
+  _ticks(low, high, log) {
+    if (log) {
+      const ticks = [];
+      for (let power = Math.ceil(Math.log10(low)); power <= Math.floor(Math.log10(high)); power++) {
+        ticks.push(Math.pow(10, power));
+      }
+      return ticks.length >= 2 ? ticks : [low, high];
+    }
+    return Array.from({ length: 6 }, (_, i) => low + ((high - low) * i) / 5);
+  }
+
+  /**
+   * Names of the drawn curves in their colors
+   * @private
+   */
+  _drawLegend() {
+    const ctx = this.ctx;
+    const entries = [
+      { name: this.distribution.weighted ? 'Sample (weighted)' : 'Sample', color: SAMPLE_COLOR },
+      ...this.settings.fits.map((key) => ({
+        name: `${HITTING_TIME_FITS[key].name} (${this.distribution.fits[key].summary})`,
+        color: HITTING_TIME_FITS[key].color
+      }))
+    ];
+    ctx.font = "11px Arial";
+    ctx.textAlign = "right";
+    entries.forEach((entry, i) => {
+      const top = this.margin.top + 5 + i * 15;
+      const right = this.canvas.width - this.margin.right - 5;
+      ctx.fillStyle = entry.color;
+      ctx.fillRect(right - 10, top, 10, 10);
+      ctx.fillText(entry.name, right - 15, top + 9);
+    });
+  }
+
+  /**
+   * Histogram bin under the mouse, if any
+   * @private
+   */
+  _binAt(e) {
+    if (this.bins.length === 0) return null;
+
+    const rect = this.canvas.getBoundingClientRect();
+    // The canvas may be scaled by CSS
+    const canvasX = (e.clientX - rect.left) * (this.canvas.width / rect.width);
+    const canvasY = (e.clientY - rect.top) * (this.canvas.height / rect.height);
+    const { plotWidth, plotHeight } = this._layout();
+    if (canvasX < this.margin.left || canvasX > this.margin.left + plotWidth ||
+        canvasY < this.margin.top || canvasY > this.margin.top + plotHeight) {
+      return null;
+    }
+
+    const length = this._axes().lengthAt(canvasX);
+    return this.bins.find((bin) => length >= bin.from && length < bin.to) || null;
+  }
+
+  /**
+   * Switch the hovered bin and tell the listener
+   * @private
+   */
+  _setHovered(bin) {
+    if (bin === this.hoveredBin) return;
+    this.hoveredBin = bin;
+    this._render();
+    this.onHover(bin);
+  }
+
+  /**
+   * Tooltip text for a bin
+   * @private
+   */
+  _describeBin(bin) {
+    const range = bin.to - bin.from === 1 ? `Length ${bin.from}` : `Lengths ${bin.from}–${bin.to - 1}`;
+    const runs = this.distribution.weighted ? `≈${formatCount(bin.count)} runs (weighted)` : `${formatCount(bin.count, 0)} runs`;
+    return `${range}: ${runs}, ${formatPercent(bin.probability)}\n` +
+      `P(length > ${bin.to - 1}) = ${formatPercent(this.distribution.survival(bin.to - 1))}`;
+  }
+}
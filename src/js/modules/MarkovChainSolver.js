@@ -0,0 +1,382 @@
+/**
+ * Exact solver for the counter's Markov chain
+ *
+ * The counter lives on the states 0..maxValue. From state k it moves to k + 1
+ * with the model's P(increment | k) = p_k; otherwise the failure mode decides
+ * the state it falls back to, or whether the run is absorbed (ruin). Because
+ * a run only ever climbs one level at a time, it passes every level on its
+ * way to the target and its step count splits into independent level
+ * passage times X_k (first arrival at k until first arrival at k + 1).
+ * Falling from k back to j means passing levels j..k-1 again, so every
+ * quantity follows from a recursion over the levels below:
+ *
+ *   R_k = P(climb back from the landing state to k)   = s_j · ... · s_{k-1}
+ *   s_k = P(reach k + 1 before ruin | at k)           = p_k / (p_k + q_k (1 - R_k))
+ *
+ * Conditioned on success the chain is again skip-free (up with probability
+ * 1 - q_k R_k), which gives the mean and variance of each X_k and hence of
+ * the number of steps of a successful run. All terms are positive, so even
+ * configurations expected to take 10^15 steps are solved accurately.
+ *
+ * The distribution of the step count is obtained by stepping the state
+ * distribution forward; past the iteration cap its geometric tail is
+ * extrapolated. Steps are counted like SimulationEngine iterations: a
+ * successful run's path holds steps + 1 values.
+ *
+ * The recursion needs single-level climbs, so only configurations whose
+ * steps are fixed at one level can be solved, and the chain must be
+ * time-homogeneous and memoryless - time or history modifiers make
+ * P(increment) depend on more than the state. Other configurations throw.
+ */
+import { createProbabilityFunction, DEFAULT_MODEL } from '../models/ProbabilityModels.js';
+import { createFailureFunction, getDefaultFailureParams, DEFAULT_FAILURE_MODE } from '../models/FailureModes.js';
+import { isFixedStep, DEFAULT_STEP_DISTRIBUTION } from '../models/StepDistributions.js';
+import { hasStaticProbability } from '../models/ProbabilityModifiers.js';
+
+// Pseudo-states for the two ways a run can end
+const TARGET = -1;
+const RUIN = -2;
+
+export class MarkovChainSolver {
+  /**
+   * @param {Object} options - Solver options
+   * @param {number} options.maxIterations - Steps of the forward distribution before extrapolating the tail
+   * @param {number} options.tolerance - Remaining probability mass at which forward iteration stops early
+   */
+  constructor({ maxIterations = 100000, tolerance = 1e-12 } = {}) {
+    this.maxIterations = maxIterations;
+    this.tolerance = tolerance;
+
+    // The stats panel and the forecast ask for the same configurations repeatedly
+    this.cache = new Map();
+    this.cacheSize = 8;
+  }
+
+  /**
+   * Solve the chain for a configuration
+   * @param {Object} config - Same shape as the simulation parameters
+   * @param {number} config.maxValue - Target value
+   * @param {string} config.model - Key from PROBABILITY_MODELS
+   * @param {Object} config.modelParams - Parameters of the selected model
+   * @param {string} config.failureMode - Key from FAILURE_MODES
+   * @param {Object} config.failureParams - Parameters of the selected failure mode
+   * @param {string} config.successStep - Key from STEP_DISTRIBUTIONS; must always step by 1
+   * @param {Object} config.successStepParams - Its parameters
+   * @param {string} config.failureStep - Key from STEP_DISTRIBUTIONS; must always step by 1
+   * @param {Object} config.failureStepParams - Its parameters
+   * @param {string} config.timeModifier - Key from TIME_MODIFIERS; must be 'none'
+   * @param {string} config.historyModifier - Key from HISTORY_MODIFIERS; must be 'none'
+   * @param {Object} options - What to compute
+   * @param {Array<number>} options.quantiles - Quantiles of the steps of a successful run
+   * @param {Array<number>} options.horizons - Step counts for P(success within N steps)
+   * @returns {Object} Analysis (see _analyze); infinite expectations are reported as Infinity
+   */
+  solve(config, { quantiles = [0.5, 0.9, 0.99], horizons = [] } = {}) {
+    const key = JSON.stringify([
+      config.maxValue, config.model, config.modelParams, config.failureMode, config.failureParams,
+      config.successStep, config.successStepParams, config.failureStep, config.failureStepParams,
+      config.timeModifier, config.historyModifier, quantiles, horizons
+    ]);
+    if (!this.cache.has(key)) {
+      if (this.cache.size >= this.cacheSize) {
+        this.cache.delete(this.cache.keys().next().value);
+      }
+      this.cache.set(key, this._analyze(this.buildChain(config), quantiles, horizons));
+    }
+    return this.cache.get(key);
+  }
+
+  /**
+   * Build the transition structure of the chain
+   * @param {Object} config - See solve()
+   * @returns {Object} { size, transitions: Array<{upProb, up, downProb, down}> } where up/down
+   *   are the next state, or TARGET/RUIN (negative) when the run ends there
+   */
+  buildChain({
+    maxValue,
+    model = DEFAULT_MODEL,
+    modelParams,
+    failureMode = DEFAULT_FAILURE_MODE,
+    failureParams = null,
+    successStep = DEFAULT_STEP_DISTRIBUTION,
+    successStepParams = null,
+    failureStep = DEFAULT_STEP_DISTRIBUTION,
+    failureStepParams = null,
+    timeModifier,
+    historyModifier
+  }) {
+    if (!isFixedStep(successStep, successStepParams, 1) || !isFixedStep(failureStep, failureStepParams, 1)) {
+      throw new Error('The exact solver only handles steps of exactly one level');
+    }
+    if (!hasStaticProbability({ timeModifier, historyModifier })) {
+      throw new Error('The exact solver only handles probabilities that depend on the counter value alone');
+    }
+    const probability = createProbabilityFunction(model, modelParams, maxValue);
+    const failure = createFailureFunction(failureMode, failureParams || getDefaultFailureParams(failureMode));
+
+    const transitions = [];
+    for (let state = 0; state < maxValue; state++) {
+      // Capped exactly like SimulationEngine; NaN never passes `random() < p`
+      const raw = Math.max(0, Math.min(1, probability(state)));
+      const upProb = Number.isNaN(raw) ? 0 : raw;
+      const landing = failure(state, 1);
+
+      transitions.push({
+        upProb,
+        up: state + 1 === maxValue ? TARGET : state + 1,
+        downProb: 1 - upProb,
+        down: landing.absorbed ? RUIN : landing.counter
+      });
+    }
+
+    return { size: maxValue, transitions };
+  }
+
+  /**
+   * P(a run reaches the target within the given number of steps)
+   * @param {Object} config - See solve()
+   * @param {number} steps - Step budget
+   * @returns {number} Probability
+   */
+  successProbabilityWithin(config, steps) {
+    return this.solve(config, { quantiles: [], horizons: [steps] }).horizons[0].probability;
+  }
+
+  /**
+   * Distribution function of the steps of a successful run
+   * @param {Object} config - See solve()
+   * @param {number} maxSteps - Last step count to include (capped at maxIterations)
+   * @returns {Float64Array|null} cdf[n] = P(steps <= n | success) for n = 0..maxSteps; shorter
+   *   when the remaining mass falls below the tolerance first, null when runs never succeed
+   */
+  successStepDistribution(config, maxSteps) {
+    const chain = this.buildChain(config);
+    const { successProbability } = this.solve(config, { quantiles: [], horizons: [] });
+    if (successProbability <= 0) return null;
+
+    const steps = Math.max(0, Math.min(Math.floor(maxSteps), this.maxIterations));
+    const cdf = new Float64Array(steps + 1);
+    let current = new Float64Array(chain.size);
+    let next = new Float64Array(chain.size);
+    current[0] = 1;
+    let arrived = 0;
+    for (let step = 1; step <= steps; step++) {
+      arrived += this._stepForward(chain.transitions, current, next);
+      [current, next] = [next, current];
+      cdf[step] = Math.min(1, arrived / successProbability);
+      if (1 - cdf[step] <= this.tolerance) {
+        cdf[step] = 1;
+        return cdf.slice(0, step + 1);
+      }
+    }
+    return cdf;
+  }
+
+  /**
+   * Compute all analytic quantities for a chain
+   * @private
+   */
+  _analyze(chain, quantiles, horizons) {
+    const { size, transitions } = chain;
+
+    // Per level: failure (ruin) probability 1 - s_k kept as a complement for precision,
+    // expected time until leaving upwards or being ruined, and the moments of X_k given success
+    const fail = new Float64Array(size);
+    const exitTime = new Float64Array(size);
+    const mean = new Float64Array(size);
+    const variance = new Float64Array(size);
+    let stallLevel = -1;
+
+    for (let k = 0; k < size; k++) {
+      const { upProb, downProb, down } = transitions[k];
+      const ruined = down < 0;
+      const from = ruined ? k : down;
+
+      // Climbing back from the landing state to k: P(no ruin on the way), expected time, moments given success
+      let logClimb = 0;
+      let climbTime = 0;
+      let climbMean = 0;
+      let climbVariance = 0;
+      for (let i = from; i < k; i++) {
+        climbTime += Math.exp(logClimb) * exitTime[i];
+        logClimb += Math.log1p(-fail[i]);
+        climbMean += mean[i];
+        climbVariance += variance[i];
+      }
+      const notClimbing = ruined ? 1 : -Math.expm1(logClimb);
+      const climb = 1 - notClimbing;
+
+      // Leaving k upwards or being ruined ends the level; falling and climbing back restarts it
+      const leave = upProb + downProb * notClimbing;
+      if (leave <= 0) {
+        stallLevel = k;
+        break;
+      }
+      fail[k] = (downProb * notClimbing) / leave;
+      exitTime[k] = (1 + downProb * (ruined ? 0 : climbTime)) / leave;
+
+      // Given success: X_k = 1 when going up, else 1 + climb back + a fresh X_k
+      const upGivenSuccess = leave;
+      const downGivenSuccess = downProb * climb;
+      if (upProb > 0) {
+        mean[k] = (1 + downGivenSuccess * climbMean) / upGivenSuccess;
+        const restart = 1 + climbMean;
+        const restartSquare = climbVariance + restart * restart;
+        const square = (upGivenSuccess + downGivenSuccess * (restartSquare + 2 * restart * mean[k])) / upGivenSuccess;
+        variance[k] = Math.max(0, square - mean[k] * mean[k]);
+      } else {
+        mean[k] = Infinity;
+        variance[k] = Infinity;
+      }
+    }
+
+    // Combine the levels from 0 up to the target (or the level where runs get stuck)
+    const levels = stallLevel >= 0 ? stallLevel : size;
+    let logReach = 0;
+    let expectedAttemptSteps = 0;
+    let expectedSteps = 0;
+    let varianceSteps = 0;
+    for (let k = 0; k < levels; k++) {
+      expectedAttemptSteps += Math.exp(logReach) * exitTime[k];
+      logReach += Math.log1p(-fail[k]);
+      expectedSteps += mean[k];
+      varianceSteps += variance[k];
+    }
+
+    const reachProbability = Math.exp(logReach);
+    const successProbability = stallLevel >= 0 ? 0 : this._clampProbability(reachProbability);
+    const stallProbability = stallLevel >= 0 ? this._clampProbability(reachProbability) : 0;
+    const absorptionProbability = this._clampProbability(1 - successProbability - stallProbability);
+
+    if (successProbability === 0) {
+      expectedSteps = Infinity;
+      varianceSteps = Infinity;
+    }
+    if (stallProbability > 0) {
+      expectedAttemptSteps = Infinity;
+    }
+
+    return {
+      maxValue: size,
+      successProbability,
+      absorptionProbability,
+      stallProbability,
+      expectedSteps,
+      stdSteps: Math.sqrt(varianceSteps),
+      // Per level k, expected steps from first reaching k to first reaching k + 1, given success
+      levelSteps: successProbability > 0 ? Array.from(mean) : [],
+      expectedAttemptSteps,
+      // Steps spent (including failed attempts) per successful run
+      expectedStepsPerSuccess: successProbability > 0 ? expectedAttemptSteps / successProbability : Infinity,
+      ...this._distribution(chain, successProbability, expectedSteps, quantiles, horizons)
+    };
+  }
+
+  /**
+   * Step the state distribution forward to get quantiles of the successful
+   * runs' step count and P(success within N steps)
+   * @private
+   */
+  _distribution(chain, successProbability, expectedSteps, quantiles, horizons) {
+    const { size, transitions } = chain;
+    const quantileSteps = quantiles.map(() => null);
+    const horizonProbabilities = horizons.map(() => null);
+
+    if (successProbability <= 0) {
+      return {
+        quantiles: quantiles.map((q) => ({ q, steps: Infinity, extrapolated: false })),
+        horizons: horizons.map((steps) => ({ steps, probability: 0, extrapolated: false })),
+        iterations: 0
+      };
+    }
+
+    let current = new Float64Array(size);
+    let next = new Float64Array(size);
+    current[0] = 1;
+    let arrived = 0;
+    let previousRemaining = successProbability;
+    let decay = null;
+    let step = 0;
+
+    const lastHorizon = horizons.length > 0 ? Math.max(...horizons) : 0;
+    const record = () => {
+      quantiles.forEach((q, i) => {
+        if (quantileSteps[i] === null && arrived >= q * successProbability) quantileSteps[i] = step;
+      });
+      horizons.forEach((steps, i) => {
+        if (steps === step) horizonProbabilities[i] = arrived;
+      });
+    };
+    const done = () =>
+      decay === 0 || (quantileSteps.every((value) => value !== null) && step >= lastHorizon);
+
+    record();
+    while (step < this.maxIterations && !done()) {
+      arrived += this._stepForward(transitions, current, next);
+      [current, next] = [next, current];
+      step++;
+
+      // Success mass still to arrive shrinks geometrically once the slowest mode dominates
+      const remaining = successProbability - arrived;
+      if (remaining <= this.tolerance * successProbability) {
+        decay = 0;
+        arrived = Math.min(arrived, successProbability);
+      } else if (previousRemaining > 0) {
+        decay = remaining / previousRemaining;
+      }
+      previousRemaining = remaining;
+      record();
+    }
+
+    // Extrapolate whatever was not reached within the iteration cap. When the decay
+    // per step is too close to 1 to measure, the run is waiting for a rare escape
+    // and the remaining time is close to exponential with the expected step count.
+    const remaining = Math.max(0, successProbability - arrived);
+    const logDecay = decay !== null && decay > 0 && decay < 1 - 1e-8 ? Math.log(decay) :
+                     Number.isFinite(expectedSteps) && expectedSteps > step ? -1 / (expectedSteps - step) :
+                     null;
+    const extrapolate = logDecay !== null;
+
+    return {
+      quantiles: quantiles.map((q, i) => {
+        if (quantileSteps[i] !== null) return { q, steps: quantileSteps[i], extrapolated: false };
+        if (!extrapolate) return { q, steps: Infinity, extrapolated: true };
+        const target = (1 - q) * successProbability;
+        return { q, steps: Math.ceil(step + Math.log(target / remaining) / logDecay), extrapolated: true };
+      }),
+      horizons: horizons.map((steps, i) => {
+        if (horizonProbabilities[i] !== null) return { steps, probability: horizonProbabilities[i], extrapolated: false };
+        if (steps <= step) return { steps, probability: arrived, extrapolated: false };
+        const tail = extrapolate ? remaining * Math.exp(logDecay * (steps - step)) : remaining;
+        return { steps, probability: this._clampProbability(successProbability - tail), extrapolated: true };
+      }),
+      iterations: step
+    };
+  }
+
+  /**
+   * Move one step of probability mass from `current` into `next`
+   * @private
+   * @returns {number} Mass that reached the target in this step
+   */
+  _stepForward(transitions, current, next) {
+    let arrived = 0;
+    next.fill(0);
+    for (let state = 0; state < current.length; state++) {
+      const mass = current[state];
+      if (mass === 0) continue;
+      const { upProb, up, downProb, down } = transitions[state];
+      if (up === TARGET) arrived += mass * upProb; else next[up] += mass * upProb;
+      if (down >= 0) next[down] += mass * downProb;
+    }
+    return arrived;
+  }
+
+  /**
+   * Clamp rounding noise out of a probability
+   * @private
+   */
+  _clampProbability(value) {
+    return Math.max(0, Math.min(1, value));
+  }
+}
@@ -0,0 +1,243 @@
+/**
+ * A/B comparison of two or more parameter sets
+ *
+ * Every set is an ordinary simulation run through the simulator handed in -
+ * the worker pool or a SimulationEngine - and summarized with the same
+ * StatisticsCalculator as the main view. The time budget is shared out like
+ * the sweep's. The first set is the baseline: every other set is reported
+ * as deltas against it, with a Kolmogorov-Smirnov test on the hitting times
+ * and a two-proportion test on the efficiency. Each set draws from its own
+ * stream (derived from one seed), so the samples are independent as the
+ * tests assume.
+ */
+import { deriveSeed, generateSeed, RNG_ALGORITHMS } from '../utils/RandomGenerator.js';
+import { formatCount } from '../utils/Formatters.js';
+import { kolmogorovSmirnovTest, twoProportionTest } from '../utils/TwoSampleTests.js';
+import { StatisticsCalculator } from './StatisticsCalculator.js';
+
+// Sets get at least this long, even when the budget is nearly used up
+const MIN_SET_TIME_MS = 50;
+
+// Differences with a p-value below this are flagged as significant
+export const SIGNIFICANCE_LEVEL = 0.05;
+
+const steps = (value) => `${formatCount(value)} steps`;
+
+/**
+ * Rows of the comparison table
+ *
+ *   label             - row heading
+ *   value(set)        - number for a compared set, or null when it has none
+ *   format(value)     - text for a value
+ *   formatDelta(abs)  - text for the size of a difference (the sign is added)
+ *   relative          - also show differences relative to the baseline (not for percentages)
+ *   higherIsBetter    - whether an increase is an improvement
+ */
+export const COMPARISON_METRICS = {
+  efficiency: {
+    label: 'Efficiency',
+    value: (set) => set.efficiency,
+    format: (value) => `${value.toFixed(1)}%`,
+    formatDelta: (value) => `${value.toFixed(1)} pts`,
+    relative: false,
+    higherIsBetter: true
+  },
+  meanSteps: {
+    label: 'Mean Hitting Time',
+    value: (set) => (set.successes > 0 ? set.stats.meanSteps : null),
+    format: steps,
+    formatDelta: steps,
+    relative: true,
+    higherIsBetter: false
+  },
+  medianSteps: {
+    label: 'Median Hitting Time',
+    value: (set) => (set.successes > 0 ? set.stats.medianSteps : null),
+    format: steps,
+    formatDelta: steps,
+    relative: true,
+    higherIsBetter: false
+  },
+  stdSteps: {
+    label: 'Std Dev of Hitting Time',
+    value: (set) => (set.successes > 1 ? set.stats.stdSteps : null),
+    format: steps,
+    formatDelta: steps,
+    relative: true,
+    higherIsBetter: false
+  },
+  censoredMedian: {
+    label: 'Median Steps (censoring-aware)',
+    value: (set) => (set.stats.survival?.median.reached ? set.stats.survival.median.steps : null),
+    format: steps,
+    formatDelta: steps,
+    relative: true,
+    higherIsBetter: false
+  },
+  absorptionRate: {
+    label: 'Absorbed',
+    value: (set) => parseFloat(set.stats.absorptionRate),
+    format: (value) => `${value.toFixed(1)}%`,
+    formatDelta: (value) => `${value.toFixed(1)} pts`,
+    relative: false,
+    higherIsBetter: false
+  },
+  avgRunTime: {
+    // Mean wall time over every attempt, successful or not - unrounded, as most attempts take well under 1 ms
+    label: 'Avg Time per Attempt',
+    value: (set) => set.avgRunTimeMs ?? null,
+    format: (value) => `${formatCount(value, 2)}ms`,
+    formatDelta: (value) => `${formatCount(value, 2)}ms`,
+    relative: true,
+    higherIsBetter: false
+  }
+};
+
+export class ParameterComparison {
+  /**
+   * @param {Object} simulator - Anything with runMultipleSimulations() and cancel(), e.g. SimulationWorkerPool
+   * @param {StatisticsCalculator} statisticsCalculator - Summarizes each set's results
+   */
+  constructor(simulator, statisticsCalculator = new StatisticsCalculator()) {
+    this.simulator = simulator;
+    this.statisticsCalculator = statisticsCalculator;
+    this.isRunning = false;
+    this.isCancelled = false;
+  }
+
+  /**
+   * Run every set
+   * @param {Object} params - Comparison parameters
+   * @param {Array<Object>} params.sets - { label, description, params } with full simulation parameters; the first is the baseline
+   * @param {number} params.runsPerSet - Successful runs sought per set
+   * @param {number} params.timeBudgetMs - Total time for the whole comparison
+   * @param {Function} params.progressCallback - Optional, called with { setsDone, totalSets, attempts, elapsedMs, timeBudgetMs }
+   * @returns {Promise<Object>} One summary per set, the tests of every set against the baseline and how the run ended
+   */
+  async run({ sets, runsPerSet, timeBudgetMs, progressCallback = null }) {
+    this.isRunning = true;
+    this.isCancelled = false;
+
+    const startTime = performance.now();
+    const baseSeed = sets[0].params.seed;
+    const seed = (baseSeed !== null && baseSeed !== undefined && baseSeed !== '') ? baseSeed : generateSeed();
+    const entries = sets.map(({ label, description, params }) => ({ label, description, params, status: 'pending' }));
+
+    let attempts = 0;
+    let hitTimeBudget = false;
+    const reportProgress = (setsDone, setAttempts = 0) => {
+      if (!progressCallback) return;
+      progressCallback({
+        setsDone,
+        totalSets: entries.length,
+        attempts: attempts + setAttempts,
+        elapsedMs: performance.now() - startTime,
+        timeBudgetMs
+      });
+    };
+
+    try {
+      for (let index = 0; index < entries.length; index++) {
+        if (this.isCancelled) break;
+
+        const remainingMs = timeBudgetMs - (performance.now() - startTime);
+        if (remainingMs <= 0) {
+          hitTimeBudget = true;
+          break;
+        }
+        const setTimeMs = Math.max(MIN_SET_TIME_MS, remainingMs / (entries.length - index));
+
+        const entry = entries[index];
+        const seedable = RNG_ALGORITHMS[entry.params.rngAlgorithm]?.seedable ?? false;
+        const results = await this.simulator.runMultipleSimulations({
+          ...entry.params,
+          numRuns: runsPerSet,
+          seed: seedable ? deriveSeed(seed, index) : null,
+          totalTimeLimit: setTimeMs,
+          singleRunTimeLimit: setTimeMs,
+          // The heatmaps come from the density, so no paths need to be kept
+          maxRetainedPaths: 0,
+          progressCallback: (progress) => reportProgress(index, progress.attempts)
+        });
+
+        // A set cut short by cancelling is not representative
+        if (this.isCancelled) break;
+
+        Object.assign(entry, this._summarizeSet(entry.params, results));
+        attempts += results.totalAttempts;
+        reportProgress(index + 1);
+      }
+    } finally {
+      this.isRunning = false;
+    }
+
+    return {
+      sets: entries,
+      comparisons: this._compareWithBaseline(entries),
+      runsPerSet,
+      seed,
+      totalAttempts: attempts,
+      totalTimeMs: performance.now() - startTime,
+      setsDone: entries.filter((entry) => entry.status === 'done').length,
+      wasCancelled: this.isCancelled,
+      hitTimeBudget
+    };
+  }
+
+  /**
+   * Cancel the comparison; the set in progress is stopped and discarded
+   */
+  cancel() {
+    if (!this.isRunning) return;
+    this.isCancelled = true;
+    this.simulator.cancel();
+  }
+
+  /**
+   * Reduce a set's simulation results to what the table, the tests and the heatmaps need
+   * @private
+   */
+  _summarizeSet(params, results) {
+    const hittingTimes = Float64Array.from(
+      results.allAttempts.filter((attempt) => attempt.completed),
+      (attempt) => attempt.iterations
+    );
+    return {
+      status: 'done',
+      stats: this.statisticsCalculator.calculateStats(results, params.maxValue),
+      successes: results.actualSuccesses,
+      attempts: results.totalAttempts,
+      efficiency: results.actualCompletionRate,
+      steps: hittingTimes,
+      density: results.density,
+      topValue: results.topValue ?? params.maxValue,
+      reachedTarget: results.reachedDesiredCount,
+      timeMs: results.totalTimeMs,
+      avgRunTimeMs: results.averageRunTime
+    };
+  }
+
+  /**
+   * Tests of every finished set against the baseline (the first set)
+   * @private
+   */
+  _compareWithBaseline(entries) {
+    const [baseline, ...others] = entries;
+    if (baseline.status !== 'done') return [];
+
+    return others
+      .map((entry, offset) => ({ entry, index: offset + 1 }))
+      .filter(({ entry }) => entry.status === 'done')
+      .map(({ entry, index }) => ({
+        index,
+        hittingTimes: kolmogorovSmirnovTest(baseline.steps, entry.steps),
+        efficiency: twoProportionTest(baseline.successes, baseline.attempts, entry.successes, entry.attempts),
+        deltas: Object.fromEntries(Object.entries(COMPARISON_METRICS).map(([key, metric]) => {
+          const base = metric.value(baseline);
+          const value = metric.value(entry);
+          const available = Number.isFinite(base) && Number.isFinite(value);
+          return [key, available ? { absolute: value - base, relative: base !== 0 ? (value - base) / base : null } : null];
+        }))
+      }));
+  }
+}
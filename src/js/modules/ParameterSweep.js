@@ -0,0 +1,213 @@
+/**
+ * Parameter sweep over a grid of exponential-model parameters
+ *
+ * Every cell of the (initialProb × decayFactor [× maxValue]) grid is an
+ * ordinary simulation run through the simulator handed in - the worker pool
+ * or a SimulationEngine - so a cell reports the same numbers the main view
+ * would. The total time budget is shared out evenly over the cells that are
+ * still to run, so time left over by easy cells goes to the harder ones.
+ */
+import { deriveSeed, generateSeed, RNG_ALGORITHMS } from '../utils/RandomGenerator.js';
+import { formatCount } from '../utils/Formatters.js';
+
+// Cells get at least this long, even when the budget is nearly used up, so a
+// grid may hold at most budget / MIN_CELL_TIME_MS cells
+export const MIN_CELL_TIME_MS = 50;
+
+/**
+ * Quantities a sweep map can show
+ *
+ *   label             - shown in the metric selector and the map legend
+ *   value(cell)       - number to color by, or null when the cell has none
+ *   logScale          - color on a log scale (values span orders of magnitude)
+ *   higherIsBetter    - whether the hot end of the ramp is the good end
+ *   format(value)     - text for cell labels and tooltips
+ */
+export const SWEEP_METRICS = {
+  'efficiency': {
+    label: 'Efficiency',
+    value: (cell) => cell.efficiency,
+    logScale: false,
+    higherIsBetter: true,
+    format: (value) => `${value.toFixed(1)}%`
+  },
+  'meanSteps': {
+    label: 'Mean Hitting Time',
+    value: (cell) => cell.meanSteps,
+    logScale: true,
+    higherIsBetter: false,
+    format: (value) => `${formatCount(value, 0)} steps`
+  }
+};
+
+export const DEFAULT_SWEEP_METRIC = 'efficiency';
+
+/**
+ * Evenly spaced values between min and max (inclusive)
+ * @param {Object} axis - Axis range
+ * @param {number} axis.min - First value
+ * @param {number} axis.max - Last value
+ * @param {number} axis.steps - Number of values
+ * @returns {Array<number>}
+ */
+export function createSweepAxis({ min, max, steps }) {
+  if (steps <= 1) return [min];
+  // Rounded so that labels and loaded parameters do not show float noise
+  return Array.from({ length: steps }, (_, index) =>
+    Number((min + ((max - min) * index) / (steps - 1)).toFixed(6)));
+}
+
+export class ParameterSweep {
+  /**
+   * @param {Object} simulator - Anything with runMultipleSimulations() and cancel(), e.g. SimulationWorkerPool
+   */
+  constructor(simulator) {
+    this.simulator = simulator;
+    this.isRunning = false;
+    this.isCancelled = false;
+  }
+
+  /**
+   * Run every cell of the grid
+   * @param {Object} params - Sweep parameters
+   * @param {Object} params.baseParams - Simulation parameters shared by all cells (failure mode, step sizes, modifiers, generator, seed, ...)
+   * @param {Array<number>} params.initialProbs - Initial probabilities to try
+   * @param {Array<number>} params.decayFactors - Decay factors to try
+   * @param {Array<number>} params.maxValues - Target values to try
+   * @param {number} params.runsPerCell - Successful runs sought per cell
+   * @param {number} params.timeBudgetMs - Total time for the whole sweep
+   * @param {Function} params.progressCallback - Optional, called with { cellsDone, totalCells, attempts, elapsedMs, timeBudgetMs }
+   * @returns {Promise<Object>} Sweep results: the axes, one entry per cell and how the sweep ended
+   */
+  async run({
+    baseParams,
+    initialProbs,
+    decayFactors,
+    maxValues,
+    runsPerCell,
+    timeBudgetMs,
+    progressCallback = null
+  }) {
+    this.isRunning = true;
+    this.isCancelled = false;
+
+    const startTime = performance.now();
+    const seedable = RNG_ALGORITHMS[baseParams.rngAlgorithm]?.seedable ?? false;
+    const seed = !seedable ? null :
+                 (baseParams.seed !== null && baseParams.seed !== undefined && baseParams.seed !== '') ? baseParams.seed : generateSeed();
+
+    const cells = [];
+    maxValues.forEach((maxValue) => {
+      initialProbs.forEach((initialProb) => {
+        decayFactors.forEach((decayFactor) => {
+          cells.push({ initialProb, decayFactor, maxValue, status: 'pending' });
+        });
+      });
+    });
+
+    let attempts = 0;
+    let hitTimeBudget = false;
+    const reportProgress = (cellsDone, cellAttempts = 0) => {
+      if (!progressCallback) return;
+      progressCallback({
+        cellsDone,
+        totalCells: cells.length,
+        attempts: attempts + cellAttempts,
+        elapsedMs: performance.now() - startTime,
+        timeBudgetMs
+      });
+    };
+
+    try {
+      for (let index = 0; index < cells.length; index++) {
+        if (this.isCancelled) break;
+
+        const remainingMs = timeBudgetMs - (performance.now() - startTime);
+        if (remainingMs <= 0) {
+          hitTimeBudget = true;
+          break;
+        }
+        const cellTimeMs = Math.max(MIN_CELL_TIME_MS, remainingMs / (cells.length - index));
+
+        const cell = cells[index];
+        const results = await this.simulator.runMultipleSimulations({
+          ...baseParams,
+          numRuns: runsPerCell,
+          maxValue: cell.maxValue,
+          model: 'exponential',
+          modelParams: { initialProb: cell.initialProb, decayFactor: cell.decayFactor },
+          seed: seed === null ? null : deriveSeed(seed, index),
+          totalTimeLimit: cellTimeMs,
+          // Cells are short and many - yield on the time interval only, whatever their share of the budget
+          yieldToUi: false,
+          // Only the summaries matter here - no paths need to be kept
+          maxRetainedPaths: 0,
+          progressCallback: (progress) => reportProgress(index, progress.attempts)
+        });
+
+        // A cell cut short by cancelling is not representative
+        if (this.isCancelled) break;
+
+        Object.assign(cell, this._summarizeCell(results));
+        attempts += results.totalAttempts;
+        reportProgress(index + 1);
+      }
+    } finally {
+      this.isRunning = false;
+    }
+
+    return {
+      initialProbs,
+      decayFactors,
+      maxValues,
+      cells,
+      runsPerCell,
+      seed,
+      rngAlgorithm: baseParams.rngAlgorithm,
+      failureMode: baseParams.failureMode,
+      failureParams: baseParams.failureParams,
+      successStep: baseParams.successStep,
+      successStepParams: baseParams.successStepParams,
+      failureStep: baseParams.failureStep,
+      failureStepParams: baseParams.failureStepParams,
+      overshoot: baseParams.overshoot,
+      timeModifier: baseParams.timeModifier,
+      timeModifierParams: baseParams.timeModifierParams,
+      historyModifier: baseParams.historyModifier,
+      historyModifierParams: baseParams.historyModifierParams,
+      totalAttempts: attempts,
+      totalTimeMs: performance.now() - startTime,
+      cellsDone: cells.filter((cell) => cell.status === 'done').length,
+      wasCancelled: this.isCancelled,
+      hitTimeBudget
+    };
+  }
+
+  /**
+   * Cancel the sweep; the cell in progress is stopped and discarded
+   */
+  cancel() {
+    if (!this.isRunning) return;
+    this.isCancelled = true;
+    this.simulator.cancel();
+  }
+
+  /**
+   * Reduce a cell's simulation results to the numbers shown on the map
+   * @private
+   */
+  _summarizeCell(results) {
+    const successes = results.allAttempts.filter((attempt) => attempt.completed);
+    return {
+      status: 'done',
+      successes: results.actualSuccesses,
+      attempts: results.totalAttempts,
+      efficiency: results.actualCompletionRate,
+      meanSteps: successes.length > 0
+        ? successes.reduce((sum, attempt) => sum + attempt.iterations, 0) / successes.length
+        : null,
+      reachedTarget: results.reachedDesiredCount,
+      timeMs: results.totalTimeMs
+    };
+  }
+}
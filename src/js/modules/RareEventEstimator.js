@@ -0,0 +1,170 @@
+/**
+ * Rare-event estimation by importance sampling
+ *
+ * For near-impossible parameters plain simulation finds no successes, so
+ * nothing can be said beyond "too hard". In rare-event mode each step is
+ * drawn with a raised P(increment) q = max(p, floor) instead of the model's
+ * p (see createImportanceTilt), so runs reach the target quickly, and every
+ * run carries its likelihood ratio
+ *
+ *   W = Π over successful steps (p / q) · Π over failed steps ((1 − p) / (1 − q))
+ *
+ * as a log weight. Step sizes, failure modes and modifiers are drawn exactly
+ * as without the tilt, so they do not enter W. Then
+ *
+ *   P(success) ≈ (1 / attempts) · Σ over successes of W
+ *
+ * is unbiased (for success within the iteration limit), and W-weighted
+ * averages over the successful runs give the hitting-time distribution.
+ * Weights span hundreds of orders of magnitude, so all sums are taken
+ * relative to the largest log weight.
+ */
+import { DensityAccumulator } from '../utils/DensityAccumulator.js';
+
+// P(increment) floors offered by the UI
+export const MIN_RARE_EVENT_FLOOR = 0.05;
+export const MAX_RARE_EVENT_FLOOR = 0.95;
+
+// Below this many effective successes the weights are too uneven to trust the error bar
+const MIN_EFFECTIVE_SUCCESSES = 30;
+
+// Quantiles of the hitting time reported with the estimate
+const HITTING_TIME_QUANTILES = [0.1, 0.5, 0.9];
+
+/**
+ * Build the tilt applied to P(increment) while drawing in rare-event mode
+ * @param {number|null} floor - Lowest P(increment) to draw with; null or 0 disables the tilt
+ * @returns {Function|null} (p) => q, or null when there is no tilt. Steps that can
+ *   never succeed (p = 0) or always succeed (p = 1) are left alone, so W stays finite.
+ */
+export function createImportanceTilt(floor) {
+  if (!floor) return null;
+  return (p) => (p <= 0 || p >= 1 ? p : Math.max(p, floor));
+}
+
+export class RareEventEstimator {
+  /**
+   * @param {Object} options - Estimator options
+   * @param {number} options.confidence - Two-sided z value of the error bar (1.96 for 95%)
+   */
+  constructor({ confidence = 1.96 } = {}) {
+    this.confidence = confidence;
+  }
+
+  /**
+   * Estimate the success probability and hitting-time distribution from weighted attempts
+   * @param {Object} results - Results of a rare-event run (attempts carry logWeight)
+   * @returns {Object|null} Estimate, or null when the results were not produced in rare-event mode
+   */
+  estimate(results) {
+    if (!results?.rareEventFloor) return null;
+
+    const attempts = results.allAttempts.length;
+    const successes = results.allAttempts.filter((attempt) => attempt.completed);
+    const base = {
+      floor: results.rareEventFloor,
+      attempts,
+      successes: successes.length
+    };
+    if (successes.length === 0 || attempts === 0) {
+      return { ...base, probability: 0, log10Probability: -Infinity, relativeError: null, interval: [0, 0], reliable: false };
+    }
+
+    // Sums of W and W² relative to the largest weight
+    const maxLogWeight = successes.reduce((max, attempt) => Math.max(max, attempt.logWeight), -Infinity);
+    const weights = successes.map((attempt) => Math.exp(attempt.logWeight - maxLogWeight));
+    const sum = weights.reduce((a, b) => a + b, 0);
+    const sumSquares = weights.reduce((a, b) => a + b * b, 0);
+
+    // Variance of W·1{success} over all attempts (failures contribute 0), relative to the mean
+    const mean = sum / attempts;
+    const variance = attempts > 1 ? (sumSquares / attempts - mean * mean) * attempts / (attempts - 1) : NaN;
+    const relativeError = Math.sqrt(Math.max(0, variance) / attempts) / mean;
+
+    const log10Probability = (maxLogWeight + Math.log(mean)) / Math.LN10;
+    const probability = Math.pow(10, log10Probability);
+    const halfWidth = this.confidence * relativeError * probability;
+    const effectiveSuccesses = (sum * sum) / sumSquares;
+
+    return {
+      ...base,
+      probability, // 0 when below the smallest double - see log10Probability
+      log10Probability,
+      standardError: relativeError * probability,
+      relativeError: Number.isFinite(relativeError) ? relativeError : null,
+      interval: [Math.max(0, probability - halfWidth), probability + halfWidth],
+      // Successes that carry most of the weight - few means the estimate rests on a handful of runs
+      effectiveSuccesses,
+      // A few dominant weights usually mean the tilt misses the runs that matter
+      // (e.g. long runs with many resets), and then the error bar is too small as well
+      reliable: effectiveSuccesses >= MIN_EFFECTIVE_SUCCESSES && relativeError < 0.5,
+      hittingTime: this._hittingTime(successes, weights)
+    };
+  }
+
+  /**
+   * Resample retained successful paths in proportion to their weights, so the
+   * drawn paths are distributed like successful runs of the untilted process
+   * @param {Object} results - Results of a rare-event run (completedLogWeights parallel to completedRuns)
+   * @param {Function} random - Uniform [0, 1) source
+   * @param {number} count - Paths to draw (defaults to the number retained)
+   * @returns {Array<CompactPath>} Paths, heavy ones repeated
+   */
+  resamplePaths(results, random = Math.random, count = null) {
+    const paths = results?.completedRuns || [];
+    const logWeights = results?.completedLogWeights || [];
+    if (paths.length === 0 || logWeights.length !== paths.length) return [];
+
+    const maxLogWeight = Math.max(...logWeights);
+    const weights = logWeights.map((logWeight) => Math.exp(logWeight - maxLogWeight));
+    const total = weights.reduce((a, b) => a + b, 0);
+    const draws = count ?? paths.length;
+
+    // Systematic resampling: one uniform offset, evenly spaced pointers
+    const resampled = [];
+    const spacing = total / draws;
+    let pointer = random() * spacing;
+    let cumulative = weights[0];
+    let index = 0;
+    for (let draw = 0; draw < draws; draw++) {
+      while (pointer > cumulative && index < paths.length - 1) {
+        cumulative += weights[++index];
+      }
+      resampled.push(paths[index]);
+      pointer += spacing;
+    }
+    return resampled;
+  }
+
+  /**
+   * Density of resampled paths for the heatmap
+   * @param {Array<CompactPath>} paths - Output of resamplePaths
+   * @param {number} topValue - Highest counter value a path can hold
+   * @returns {DensityAccumulator}
+   */
+  buildDensity(paths, topValue) {
+    return DensityAccumulator.fromRuns(paths, topValue).compact();
+  }
+
+  /**
+   * Weighted mean, standard deviation and quantiles of the steps of a successful run
+   * @private
+   */
+  _hittingTime(successes, weights) {
+    const total = weights.reduce((a, b) => a + b, 0);
+    const mean = successes.reduce((sum, attempt, i) => sum + weights[i] * attempt.iterations, 0) / total;
+    const variance = successes.reduce((sum, attempt, i) => sum + weights[i] * (attempt.iterations - mean) ** 2, 0) / total;
+
+    const order = successes.map((attempt, i) => i).sort((a, b) => successes[a].iterations - successes[b].iterations);
+    const quantiles = HITTING_TIME_QUANTILES.map((q) => {
+      let cumulative = 0;
+      for (const i of order) {
+        cumulative += weights[i];
+        if (cumulative >= q * total) return { q, steps: successes[i].iterations };
+      }
+      return { q, steps: successes[order[order.length - 1]].iterations };
+    });
+
+    return { mean, std: Math.sqrt(variance), quantiles };
+  }
+}
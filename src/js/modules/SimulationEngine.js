@@ -1,177 +1,444 @@
 /**
  * Core simulation engine for probabilistic counter runs
  */
+import { createRandomGenerator, generateSeed, RNG_ALGORITHMS, DEFAULT_RNG_ALGORITHM } from '../utils/RandomGenerator.js';
+import { createProbabilityFunction, DEFAULT_MODEL } from '../models/ProbabilityModels.js';
+import { createFailureFunction, getDefaultFailureParams, DEFAULT_FAILURE_MODE } from '../models/FailureModes.js';
+import {
+  createStepSampler,
+  resolveStepSettings,
+  DEFAULT_STEP_DISTRIBUTION,
+  DEFAULT_OVERSHOOT
+} from '../models/StepDistributions.js';
+import {
+  createModifierFunction,
+  resolveModifierSettings,
+  DEFAULT_TIME_MODIFIER,
+  DEFAULT_HISTORY_MODIFIER
+} from '../models/ProbabilityModifiers.js';
+import {
+  resolveStoppingSettings,
+  getActiveRules,
+  checkStoppingRules,
+  describeStoppingProgress,
+  tallyAttempts
+} from '../models/StoppingRules.js';
+import { createImportanceTilt } from './RareEventEstimator.js';
+import { SimulationRun } from './SimulationRun.js';
+import { CompactPath } from '../utils/CompactPath.js';
+import { DensityAccumulator } from '../utils/DensityAccumulator.js';
+import { TransitionCounter } from '../utils/TransitionCounter.js';
+
+// Steps after which a single run is cut off in the time-limited phases
+export const ITERATION_SAFETY_LIMIT = 10000000;
+
+// Paths kept for line drawing and exports; the heatmap and the statistics cover every run
+export const DEFAULT_MAX_RETAINED_PATHS = 5000;
+
+// Longest stretch a run with a handle computes without yielding, so pause and cancel requests get through
+const RUN_YIELD_INTERVAL_MS = 100;
+
 export class SimulationEngine {
-  constructor() {
-    this.defaultIterationSafetyLimit = 10000000; // 10M iterations - much higher safety limit
+  /**
+   * @param {Object} options - Engine options
+   * @param {Object} options.logger - Receives progress messages via log/warn/error (console by default; pass a quiet one for batch jobs)
+   * @param {Function} options.now - Millisecond clock used for time limits and run timings
+   */
+  constructor({ logger = console, now = () => performance.now() } = {}) {
+    this.logger = logger;
+    this.now = now;
+    this.defaultIterationSafetyLimit = ITERATION_SAFETY_LIMIT; // 10M iterations - much higher safety limit
     this.isRunning = false;
-    this.shouldStop = false;
+    this.currentRun = null; // SimulationRun of the simulation in progress
   }
 
   /**
-   * Simulate a single probabilistic counter run (runs until completion or iteration limit)
-   * @param {number} initialProb - Starting probability of increment
-   * @param {number} decayFactor - Factor by which probability changes per level
+   * Simulate a single probabilistic counter run (runs until completion, absorption or iteration limit)
+   * @param {Object} rules - Transition rules for the run
+   * @param {Function} rules.probability - (counter) => P(increment), from the selected probability model
+   * @param {Function|null} rules.timeFactor - (iteration) => multiplier of P(increment), from the time modifier
+   * @param {Function|null} rules.historyAdjustment - ({ streak, sinceFailure }) => amount added to P(increment), from the history modifier
+   * @param {Function} rules.failure - (counter, step) => ({ counter, absorbed }), from the selected failure mode
+   * @param {Function} rules.successStep - (random) => levels gained by a successful step (1 when omitted)
+   * @param {Function} rules.failureStep - (random) => step size handed to the failure mode (1 when omitted)
+   * @param {string} rules.overshoot - 'clamp' stops successful steps at the target, 'success' keeps the value past it
+   * @param {number} rules.topValue - Highest value a path can hold (maxValue unless overshooting is kept)
+   * @param {Function|null} rules.tilt - (p) => q, P(increment) to draw with in rare-event mode; the run then reports its log likelihood ratio
    * @param {number} maxValue - Target value to reach
    * @param {number} maxTimeMs - Legacy parameter (no longer used for timeouts)
    * @param {number} iterationSafetyLimit - Safety limit to prevent infinite loops (default: 100,000)
    * @param {boolean} allowYielding - Whether to yield during long runs for browser responsiveness
    * @param {Function} progressCallback - Callback for progress updates during long runs
    * @param {Object} progressData - Current progress data for callback
-   * @returns {Promise<Object>} Result object with complete path, timing metrics, and completion status
+   * @param {Function} random - Uniform [0, 1) source; pass a seeded generator's next() for reproducible runs
+   * @param {SimulationRun|null} run - Handle checked every 1000 steps: pauses wait there and cancelling ends the run
+   *   with reason 'cancelled'. Its elapsed time (without pauses) is used for the timings.
+   * @returns {Promise<Object>} Result object with complete path (a CompactPath), timing metrics, and completion status
    */
-  async simulateRun(initialProb, decayFactor, maxValue, maxTimeMs = 5000, iterationSafetyLimit = this.defaultIterationSafetyLimit, allowYielding = false, progressCallback = null, progressData = null) {
-    const startTime = performance.now();
-    const path = [];
+  async simulateRun(rules, maxValue, maxTimeMs = 5000, iterationSafetyLimit = this.defaultIterationSafetyLimit, allowYielding = false, progressCallback = null, progressData = null, random = Math.random, run = null) {
+    const {
+      probability,
+      timeFactor = null,
+      historyAdjustment = null,
+      failure,
+      successStep = () => 1,
+      failureStep = () => 1,
+      overshoot = DEFAULT_OVERSHOOT,
+      topValue = maxValue,
+      tilt = null
+    } = rules;
+    const clock = run ? () => run.elapsedMs() : () => this.now();
+    const startTime = clock();
+    let lastYieldTime = this.now();
+    let cancelled = false;
+    const path = new CompactPath(topValue);
     let counter = 0;
+    let maxLevel = 0;
     let iterations = 0;
+    let absorbed = false;
+    // Levels actually moved, so the stats can report observed step sizes
+    let upSteps = 0, upLevels = 0, downSteps = 0, downLevels = 0;
+    // Recent outcomes for the history modifier (reused to avoid an allocation per step)
+    const history = { streak: 0, sinceFailure: Infinity };
+    // log of the likelihood ratio between the model and the tilted draws (rare-event mode)
+    let logWeight = 0;
 
-    // Keep running until we reach maxValue or hit iteration safety limit
-    while (counter < maxValue && iterations < iterationSafetyLimit) {
+    // Keep running until we reach maxValue, get absorbed at the floor or hit iteration safety limit
+    while (counter < maxValue && !absorbed && iterations < iterationSafetyLimit) {
       // Yield control periodically during long individual runs
       if (iterations % 1000 === 0) {
+        if (run) {
+          if (run.isPaused) await run.whenRunnable();
+          if (run.signal.aborted) {
+            cancelled = true;
+            break;
+          }
+        }
+
         // Yield control during long individual runs if allowed (for browser responsiveness)
         if (allowYielding) {
           // Update progress during long runs
           if (progressCallback && progressData) {
-            const elapsed = performance.now() - startTime;
-            console.log(`📊 Long run in progress: ${iterations} steps, ${elapsed.toFixed(0)}ms, counter at ${counter}`);
+            const elapsed = clock() - startTime;
+            this.logger.log(`📊 Long run in progress: ${iterations} steps, ${elapsed.toFixed(0)}ms, counter at ${counter}`);
             progressCallback({
               ...progressData,
               elapsedMs: progressData.elapsedMs + elapsed
             });
           }
           await new Promise(resolve => setTimeout(resolve, 0));
+          lastYieldTime = this.now();
+        } else if (run && this.now() - lastYieldTime > RUN_YIELD_INTERVAL_MS) {
+          // Let pause and cancel requests (worker messages, signal handlers) through
+          await new Promise(resolve => setTimeout(resolve, 0));
+          lastYieldTime = this.now();
         }
       }
       
       path.push(counter);
 
-      // Calculate probability of going up using user-defined initial probability
-      const pUp = initialProb * Math.pow(decayFactor, counter);
+      // Calculate probability of going up using the selected probability model and modifiers
+      let pUp = probability(counter);
+      if (timeFactor) pUp *= timeFactor(iterations);
+      if (historyAdjustment) pUp += historyAdjustment(history);
 
       // Cap probability at 0 and 1
       const cappedPUp = Math.max(0, Math.min(1, pUp));
 
-      // Determine if counter goes up or down
-      if (Math.random() < cappedPUp) {
-        counter++;
+      // In rare-event mode the step is drawn with the tilted probability and the run reweighted
+      const drawPUp = tilt ? tilt(cappedPUp) : cappedPUp;
+
+      // Determine if counter goes up or fails (failure mode decides where it lands)
+      const previous = counter;
+      if (random() < drawPUp) {
+        if (tilt) logWeight += Math.log(cappedPUp / drawPUp);
+        counter += successStep(random);
+        if (counter > maxValue && overshoot === 'clamp') counter = maxValue;
+        upSteps++;
+        upLevels += counter - previous;
+        history.streak++;
+        history.sinceFailure++;
       } else {
-        counter = Math.max(0, counter - 1);
+        if (tilt) logWeight += Math.log((1 - cappedPUp) / (1 - drawPUp));
+        ({ counter, absorbed } = failure(counter, failureStep(random)));
+        downSteps++;
+        downLevels += previous - counter;
+        history.streak = 0;
+        history.sinceFailure = 0;
       }
+      maxLevel = Math.max(maxLevel, counter);
 
       iterations++;
     }
 
-    // Add final state if we reached maxValue
-    if (counter === maxValue) {
-      path.push(maxValue);
+    // Add final state if we reached maxValue or were absorbed at the floor
+    if (counter >= maxValue || absorbed) {
+      path.push(counter);
     }
 
-    const totalTime = performance.now() - startTime;
-    const hitIterationLimit = iterations >= iterationSafetyLimit;
-    const completed = counter === maxValue;
+    const totalTime = clock() - startTime;
+    const completed = counter >= maxValue;
+    const hitIterationLimit = !completed && !absorbed && !cancelled && iterations >= iterationSafetyLimit;
 
     return {
-      path,
+      path: path.trim(),
       completed,
       iterations,
+      maxLevel, // Highest counter value reached - how far failed runs got
+      upSteps,
+      upLevels,
+      downSteps,
+      downLevels,
+      ...(tilt ? { logWeight } : {}), // Likelihood ratio of the run, rare-event mode only
       timeMs: totalTime, // Keep timing for difficulty metrics
       hitIterationLimit,
+      absorbed,
       reason: completed ? 'success' : 
-              hitIterationLimit ? 'iteration_limit' : 'unknown'
+              absorbed ? 'absorbed' :
+              hitIterationLimit ? 'iteration_limit' :
+              cancelled ? 'cancelled' : 'unknown'
     };
   }
 
   /**
-   * Stop the current simulation
+   * Pause the current simulation
    */
-  stop() {
-    this.shouldStop = true;
-    
-    // Track when pause started for accurate time calculation
-    if (this.isRunning) {
-      this.pauseStartTime = performance.now();
-    }
+  pause() {
+    this.currentRun?.pause();
   }
-  
+
   /**
-   * Get actual simulation time excluding paused periods
+   * Resume the paused simulation
    */
-  getSimulationTime(startTime, pausedTime, pauseStartTime) {
-    const currentTime = performance.now();
-    const wallClockTime = currentTime - startTime;
-    
-    // If currently paused, add time since pause started
-    const currentPausedTime = pauseStartTime ? pausedTime + (currentTime - pauseStartTime) : pausedTime;
-    
-    return wallClockTime - currentPausedTime;
+  resume() {
+    this.currentRun?.resume();
+  }
+
+  /**
+   * Cancel the current simulation; it resolves with the results collected so far
+   */
+  cancel() {
+    this.currentRun?.cancel();
   }
 
   /**
-   * Run simulations asynchronously until we get the desired number of successes or hit time limit
+   * Run simulations asynchronously until the stopping rules are met (by default: the desired number
+   * of successes) or the time limit is hit
    * @param {Object} params - Simulation parameters
    * @param {number} params.numRuns - Number of SUCCESSFUL runs desired
-   * @param {number} params.initialProb - Initial probability
-   * @param {number} params.decayFactor - Decay factor
+   * @param {string} params.model - Key from PROBABILITY_MODELS
+   * @param {Object} params.modelParams - Parameters of the selected model
+   * @param {number} params.initialProb - Initial probability (exponential model shorthand when modelParams is omitted)
+   * @param {number} params.decayFactor - Decay factor (exponential model shorthand when modelParams is omitted)
+   * @param {string} params.failureMode - Key from FAILURE_MODES
+   * @param {Object} params.failureParams - Parameters of the selected failure mode
+   * @param {string} params.successStep - Key from STEP_DISTRIBUTIONS for successful steps
+   * @param {Object} params.successStepParams - Its parameters
+   * @param {string} params.failureStep - Key from STEP_DISTRIBUTIONS for failed steps
+   * @param {Object} params.failureStepParams - Its parameters
+   * @param {string} params.overshoot - Key from OVERSHOOT_POLICIES
+   * @param {string} params.timeModifier - Key from TIME_MODIFIERS (dependence on the iteration index)
+   * @param {Object} params.timeModifierParams - Its parameters
+   * @param {string} params.historyModifier - Key from HISTORY_MODIFIERS (dependence on recent outcomes)
+   * @param {Object} params.historyModifierParams - Its parameters
    * @param {number} params.maxValue - Target value
-   * @param {number} params.totalTimeLimit - Total time limit in milliseconds (2000, 10000, or null for unlimited)
+   * @param {number} params.totalTimeLimit - Total time limit in milliseconds (2000 and 10000 in the UI, null for unlimited)
    * @param {number} params.singleRunTimeLimit - Time limit per individual run in milliseconds
+   * @param {number|null} params.safetyTimeLimit - Hard stop for unlimited runs on the UI thread (null disables it, e.g. inside a worker)
    * @param {Function} params.progressCallback - Optional callback for progress updates
+   * @param {number|string|null} params.seed - PRNG seed; a fresh one is generated when omitted
+   * @param {string} params.rngAlgorithm - Key from RNG_ALGORITHMS
+   * @param {number} params.maxRetainedPaths - Successful (and, separately, failed) paths to keep; later runs only feed the density
+   * @param {number|null} params.rareEventFloor - Rare-event mode: draw steps with P(increment) raised to at least this and weight the runs (see RareEventEstimator)
+   * @param {Object|null} params.stopping - Further stopping rules { combine, rules } next to the success target (see StoppingRules)
+   * @param {number|null} params.checkpointInterval - Milliseconds between checkpoints (null disables them)
+   * @param {Function} params.checkpointCallback - Called with a copy of the results so far; passing it back as
+   *   existingResults continues exactly where the checkpoint was taken
+   * @param {boolean} params.yieldToUi - Also yield after every second success so a page redraws promptly; false
+   *   without a page (workers, the CLI), which only yield on a time interval so pause and cancel get through
+   * @param {SimulationRun|null} params.run - Handle to pause, resume or cancel the simulation with (one is created when
+   *   omitted and exposed as currentRun); it is finished when the simulation returns
    * @returns {Promise<Object>} Promise that resolves to results containing all runs and completion stats
    */
   async runMultipleSimulations({ 
     numRuns, 
+    model = DEFAULT_MODEL,
+    modelParams = null,
     initialProb, 
     decayFactor, 
+    failureMode = DEFAULT_FAILURE_MODE,
+    failureParams = null,
+    successStep = DEFAULT_STEP_DISTRIBUTION,
+    successStepParams = null,
+    failureStep = DEFAULT_STEP_DISTRIBUTION,
+    failureStepParams = null,
+    overshoot = DEFAULT_OVERSHOOT,
+    timeModifier = DEFAULT_TIME_MODIFIER,
+    timeModifierParams = null,
+    historyModifier = DEFAULT_HISTORY_MODIFIER,
+    historyModifierParams = null,
     maxValue, 
     totalTimeLimit = 2000,
     singleRunTimeLimit = 1000,
+    safetyTimeLimit = 300000,
     progressCallback = null,
+    seed = null,
+    rngAlgorithm = DEFAULT_RNG_ALGORITHM,
+    maxRetainedPaths = DEFAULT_MAX_RETAINED_PATHS,
+    rareEventFloor = null,
+    stopping = null,
+    checkpointInterval = null,
+    checkpointCallback = null,
+    run = null,
+    yieldToUi = true,
     // Continuation parameters
     existingResults = null
   }) {
+    const simulationRun = run || new SimulationRun({ now: () => this.now() });
+    this.currentRun = simulationRun;
     this.isRunning = true;
-    this.shouldStop = false;
-    this.lastYieldTime = null; // Reset yield tracking
-    
-    const startTime = performance.now();
-    let pausedTime = 0; // Track time spent paused
-    let pauseStartTime = null;
+    this.lastYieldTime = this.now(); // Reset yield tracking
     
     // Initialize with existing data if continuing, otherwise start fresh
     const allAttempts = existingResults ? [...existingResults.allAttempts] : [];
     const completedRuns = existingResults ? [...existingResults.completedRuns] : [];
     const failedRuns = existingResults ? [...existingResults.failedRuns] : [];
+    // Log weights of the retained successful paths, parallel to completedRuns (rare-event mode only)
+    const completedLogWeights = existingResults?.completedLogWeights ? [...existingResults.completedLogWeights] : [];
+    const stepSettings = resolveStepSettings({
+      maxValue, successStep, successStepParams, failureStep, failureStepParams, overshoot
+    });
+    // Paths and density grids must hold values past the target when overshooting is kept
+    const { topValue } = stepSettings;
+    const density = existingResults?.density ? existingResults.density.clone() : new DensityAccumulator(topValue);
+    const failedDensity = existingResults?.failedDensity ? existingResults.failedDensity.clone() : new DensityAccumulator(topValue);
+    const transitions = existingResults?.transitions ? existingResults.transitions.clone() : new TransitionCounter(topValue);
     
     let totalAttempts = existingResults ? existingResults.totalAttempts : 0;
     let successfulRuns = existingResults ? existingResults.actualSuccesses : 0;
+    // Sums over the steps of successful runs, for the hitting-time precision rule
+    let { stepSum, stepSquareSum } = tallyAttempts(allAttempts);
+
+    const stoppingSettings = resolveStoppingSettings(stopping);
+    const activeRules = getActiveRules(stoppingSettings, numRuns);
+
+    // Continuations keep drawing from the same stream so that a run split across
+    // phases produces the same paths as one uninterrupted run
+    const algorithm = existingResults?.rngAlgorithm || rngAlgorithm;
+    const seedable = RNG_ALGORITHMS[algorithm]?.seedable ?? false;
+    const runSeed = existingResults ? existingResults.seed :
+                    !seedable ? null :
+                    (seed !== null && seed !== '') ? seed : generateSeed();
+    const rng = createRandomGenerator(algorithm, runSeed ?? 0);
+    if (existingResults?.rngState) {
+      rng.setState(existingResults.rngState);
+    }
+    const random = () => rng.next();
+
+    const resolvedModelParams = modelParams || { initialProb, decayFactor };
+    const resolvedFailureParams = failureParams || getDefaultFailureParams(failureMode);
+    const modifierSettings = resolveModifierSettings({
+      timeModifier, timeModifierParams, historyModifier, historyModifierParams
+    });
+    const rules = {
+      probability: createProbabilityFunction(model, resolvedModelParams, maxValue),
+      timeFactor: createModifierFunction('time', modifierSettings.timeModifier, modifierSettings.timeModifierParams),
+      historyAdjustment: createModifierFunction('history', modifierSettings.historyModifier, modifierSettings.historyModifierParams),
+      failure: createFailureFunction(failureMode, resolvedFailureParams),
+      successStep: createStepSampler(successStep, stepSettings.successStepParams),
+      failureStep: createStepSampler(failureStep, stepSettings.failureStepParams),
+      overshoot,
+      topValue,
+      tilt: createImportanceTilt(rareEventFloor)
+    };
     
     // Track cumulative time from previous phases (only actual simulation time)
     const previousTimeMs = existingResults ? existingResults.totalSimulationTimeMs || existingResults.totalTimeMs : 0;
     
     const timeoutName = totalTimeLimit === 2000 ? '2-second' : 
-                       totalTimeLimit === 10000 ? '10-second' : 'unlimited';
+                       totalTimeLimit === 10000 ? '10-second' :
+                       totalTimeLimit ? `${(totalTimeLimit / 1000).toFixed(1)}-second` : 'unlimited';
     
-    console.log(`Starting simulation: seeking ${numRuns} successful runs with ${timeoutName} time limit`);
+    // Where the stopping rules stand
+    const tally = () => ({
+      successes: successfulRuns,
+      attempts: totalAttempts,
+      stepSum,
+      stepSquareSum,
+      elapsedMs: previousTimeMs + simulationRun.elapsedMs()
+    });
+    const progressUpdate = () => {
+      const current = tally();
+      return {
+        ...current,
+        target: numRuns,
+        stopping: describeStoppingProgress(stoppingSettings, activeRules, current)
+      };
+    };
+
+    // Everything accumulated so far in the results shape; copies for checkpoints, since the run goes on
+    const collectResults = ({ copy, totalTimeMs, stopReason = null, stoppedBy = [] }) => this.buildResults({
+      completedRuns: copy ? [...completedRuns] : completedRuns,
+      allAttempts: copy ? [...allAttempts] : allAttempts,
+      failedRuns: copy ? [...failedRuns] : failedRuns,
+      density: copy ? density.clone() : density.compact(),
+      failedDensity: copy ? failedDensity.clone() : failedDensity.compact(),
+      transitions: copy ? transitions.clone() : transitions,
+      numRuns,
+      totalTimeMs,
+      totalTimeLimit,
+      stopReason,
+      stoppedBy,
+      seed: runSeed,
+      rngAlgorithm: algorithm,
+      rngState: rng.getState(),
+      model,
+      modelParams: resolvedModelParams,
+      failureMode,
+      failureParams: resolvedFailureParams,
+      ...stepSettings,
+      ...modifierSettings,
+      rareEventFloor: rareEventFloor || null,
+      stopping: stoppingSettings,
+      completedLogWeights: copy ? [...completedLogWeights] : completedLogWeights
+    });
+    let lastCheckpointElapsed = 0;
+
+    this.logger.log(`Starting simulation: seeking ${numRuns} successful runs with ${timeoutName} time limit (${algorithm}, seed ${runSeed ?? 'none'})`);
     
-    // Keep running until we get numRuns successes, hit time limit, or are stopped
-    while (successfulRuns < numRuns && !this.shouldStop) {
-      // Check total time limit
-      const elapsed = performance.now() - startTime;
+    // Why the loop ended: 'rules', 'time-limit', 'safety-limit' or 'cancelled'
+    let stopReason = null;
+    let stoppedBy = [];
+
+    // Keep running until the stopping rules are met, we hit the time limit, or are cancelled
+    while (!simulationRun.signal.aborted) {
+      if (simulationRun.isPaused) {
+        await simulationRun.whenRunnable();
+        continue;
+      }
+
+      const metRules = checkStoppingRules(stoppingSettings, activeRules, tally());
+      if (metRules) {
+        stopReason = 'rules';
+        stoppedBy = metRules;
+        break;
+      }
+
+      // Check total time limit (paused periods do not count)
+      const elapsed = simulationRun.elapsedMs();
       if (totalTimeLimit && elapsed > totalTimeLimit) {
-        console.log(`Hit ${timeoutName} time limit at ${elapsed.toFixed(0)}ms`);
+        this.logger.log(`Hit ${timeoutName} time limit at ${elapsed.toFixed(0)}ms`);
+        stopReason = 'time-limit';
         break;
       }
       
-      // Safety check for unlimited mode - warn after 60 seconds, offer to stop after 120 seconds
-      if (!totalTimeLimit && elapsed > 60000) {
-        if (elapsed > 120000) {
-          console.warn(`Unlimited simulation running for ${(elapsed/1000).toFixed(0)}s - consider stopping to prevent browser freeze`);
-          if (elapsed > 300000) { // 5 minutes absolute safety limit
-            console.error(`Stopping simulation after 5 minutes for browser safety`);
-            break;
-          }
+      // Safety check for unlimited mode on the UI thread - warn after 120 seconds, stop at the safety limit
+      if (!totalTimeLimit && safetyTimeLimit && elapsed > 120000) {
+        this.logger.warn(`Unlimited simulation running for ${(elapsed/1000).toFixed(0)}s - consider stopping to prevent browser freeze`);
+        if (elapsed > safetyTimeLimit) { // 5 minutes absolute safety limit by default
+          this.logger.error(`Stopping simulation after ${(safetyTimeLimit/60000).toFixed(0)} minutes for browser safety`);
+          stopReason = 'safety-limit';
+          break;
         }
       }
       
@@ -184,51 +451,62 @@ export class SimulationEngine {
       // For unlimited phase, use much higher iteration limit (effectively no limit)
       const iterationLimit = totalTimeLimit === null ? Number.MAX_SAFE_INTEGER : this.defaultIterationSafetyLimit;
       // Prepare progress data for individual run updates
-      const progressData = {
-        successes: successfulRuns,
-        target: numRuns,
-        attempts: totalAttempts,
-        elapsedMs: previousTimeMs + (performance.now() - startTime)
-      };
+      const progressData = progressUpdate();
       
-      const result = await this.simulateRun(initialProb, decayFactor, maxValue, singleRunTimeLimit, iterationLimit, allowYielding, progressCallback, progressData);
-      allAttempts.push(result);
+      const stateBeforeRun = rng.getState();
+      const result = await this.simulateRun(rules, maxValue, singleRunTimeLimit, iterationLimit, allowYielding, progressCallback, progressData, random, simulationRun);
+      if (result.reason === 'cancelled') {
+        // Drop the interrupted run and rewind its draws, so continuing these results simulates it again in full
+        rng.setState(stateBeforeRun);
+        totalAttempts--;
+        break;
+      }
+      // Attempts only keep the summary - the path lives in completedRuns or failedRuns
+      const { path, ...attempt } = result;
+      allAttempts.push(attempt);
+      transitions.addRun(result.path);
       
       if (result.completed) {
-        completedRuns.push(result.path);
+        density.addRun(result.path);
+        if (completedRuns.length < maxRetainedPaths) {
+          completedRuns.push(result.path);
+          if (rules.tilt) completedLogWeights.push(result.logWeight);
+        }
         successfulRuns++;
+        stepSum += result.iterations;
+        stepSquareSum += result.iterations * result.iterations;
       } else {
-        failedRuns.push(result);
+        failedDensity.addRun(result.path);
+        if (failedRuns.length < maxRetainedPaths) {
+          failedRuns.push(result);
+        }
       }
       
       // For extended/unlimited phases, provide frequent async updates with DOM yielding
-      const elapsedMs = performance.now() - startTime;
+      const elapsedMs = simulationRun.elapsedMs();
       const isExtendedOrUnlimited = totalTimeLimit > 2000 || totalTimeLimit === null;
       
       // Time-based yielding - yield if we haven't yielded recently
-      const timeSinceLastYield = performance.now() - (this.lastYieldTime || startTime);
+      const timeSinceLastYield = this.now() - this.lastYieldTime;
       const yieldInterval = totalTimeLimit === null ? 100 : 250; // 100ms for unlimited, 250ms for extended
       
-      const shouldYield = isExtendedOrUnlimited && (
-        timeSinceLastYield > yieldInterval || // Primary: Time-based yielding
-        (successfulRuns > 0 && successfulRuns % 2 === 0) // Secondary: Every 2 successes
-      );
+      const shouldYield = yieldToUi
+        ? isExtendedOrUnlimited && (
+          timeSinceLastYield > yieldInterval || // Primary: Time-based yielding
+          (result.completed && successfulRuns % 2 === 0) // Secondary: Every 2 successes
+        )
+        : timeSinceLastYield > yieldInterval;
       
       if (shouldYield) {
-        console.log(`🔄 Yielding after ${timeSinceLastYield.toFixed(0)}ms - Successes: ${successfulRuns}/${numRuns}, Attempts: ${totalAttempts}`);
+        this.logger.log(`🔄 Yielding after ${timeSinceLastYield.toFixed(0)}ms - Successes: ${successfulRuns}/${numRuns}, Attempts: ${totalAttempts}`);
         
         // Update progress and yield to browser for DOM updates
         if (progressCallback) {
-          progressCallback({
-            successes: successfulRuns,
-            target: numRuns,
-            attempts: totalAttempts,
-            elapsedMs: previousTimeMs + elapsedMs // Include time from previous phases
-          });
+          progressCallback(progressUpdate()); // Elapsed time includes previous phases
         }
         
         // Track yield time for more reliable time-based yielding
-        this.lastYieldTime = performance.now();
+        this.lastYieldTime = this.now();
         
         // Yield to browser for DOM updates - this is the key!
         await new Promise(resolve => setTimeout(resolve, 0));
@@ -237,29 +515,76 @@ export class SimulationEngine {
       // Console logging for large runs
       if (numRuns >= 50 && (successfulRuns % 10 === 0 || successfulRuns === numRuns)) {
         const elapsedSec = elapsedMs / 1000;
-        console.log(`Progress: ${successfulRuns}/${numRuns} successes in ${totalAttempts} attempts (${elapsedSec.toFixed(1)}s)`);
+        this.logger.log(`Progress: ${successfulRuns}/${numRuns} successes in ${totalAttempts} attempts (${elapsedSec.toFixed(1)}s)`);
       }
       
+      // Checkpoints are taken between runs, so the generator state matches the runs recorded so far
+      if (checkpointCallback && checkpointInterval && simulationRun.elapsedMs() - lastCheckpointElapsed >= checkpointInterval) {
+        lastCheckpointElapsed = simulationRun.elapsedMs();
+        checkpointCallback(collectResults({
+          copy: true,
+          totalTimeMs: previousTimeMs + lastCheckpointElapsed
+        }));
+      }
+
       // Track timing for difficulty metrics (informational only)
       if (result.timeMs > 10000) { // Log runs taking >10 seconds for interest
-        console.log(`📊 Long run completed: ${result.timeMs.toFixed(0)}ms (${result.iterations.toLocaleString()} steps) - challenging parameters!`);
+        this.logger.log(`📊 Long run completed: ${result.timeMs.toFixed(0)}ms (${result.iterations.toLocaleString()} steps) - challenging parameters!`);
       }
     }
     
+    // The loop only ends without a reason when the run was cancelled
+    stopReason = stopReason || 'cancelled';
+    simulationRun.finish();
     this.isRunning = false;
-    const totalTimeMs = previousTimeMs + (performance.now() - startTime);
+    const totalTimeMs = previousTimeMs + simulationRun.elapsedMs();
     const parameterEfficiency = totalAttempts > 0 ? (successfulRuns / totalAttempts) * 100 : 0;
-    const reachedDesiredCount = successfulRuns === numRuns;
-    const hitTimeLimit = totalTimeLimit && totalTimeMs >= totalTimeLimit;
-    const wasStopped = this.shouldStop;
     
-    console.log(`Simulation ${wasStopped ? 'stopped' : 'complete'}: ${successfulRuns}/${numRuns} successes in ${totalAttempts} attempts (${parameterEfficiency.toFixed(1)}% efficiency, ${(totalTimeMs/1000).toFixed(1)}s)`);
+    this.logger.log(`Simulation ${stopReason === 'cancelled' ? 'stopped' : 'complete'}: ${successfulRuns}/${numRuns} successes in ${totalAttempts} attempts (${parameterEfficiency.toFixed(1)}% efficiency, ${(totalTimeMs/1000).toFixed(1)}s)`);
     
+    return collectResults({ copy: false, totalTimeMs, stopReason, stoppedBy });
+  }
+
+  /**
+   * Assemble the results object consumed by StatisticsCalculator and the visualizer.
+   * Also used to merge partial results from several workers into the same shape.
+   * Counts come from the attempt summaries, since completedRuns and failedRuns
+   * only hold the retained paths.
+   * @param {Object} data - Raw run collections and run metadata
+   * @returns {Object} Results object
+   */
+  buildResults({
+    completedRuns,
+    allAttempts,
+    failedRuns,
+    density = null,
+    failedDensity = null,
+    transitions = null,
+    numRuns,
+    totalTimeMs,
+    totalTimeLimit,
+    stopReason = null,
+    stoppedBy = [],
+    seed = null,
+    rngAlgorithm = null,
+    rngState = null,
+    ...extra
+  }) {
+    const successfulAttempts = allAttempts.filter((attempt) => attempt.completed);
+    const successfulRuns = successfulAttempts.length;
+    const totalAttempts = allAttempts.length;
+    const absorbedRuns = failedRuns.filter((run) => run.absorbed);
+    const parameterEfficiency = totalAttempts > 0 ? (successfulRuns / totalAttempts) * 100 : 0;
+
     return {
       // Core results
-      completedRuns,
+      completedRuns, // Retained successful paths (the first maxRetainedPaths)
       allAttempts,
-      failedRuns,
+      failedRuns, // Retained failed runs
+      absorbedRuns, // Subset of failedRuns that ended at an absorbing floor
+      density, // DensityAccumulator over every successful run
+      failedDensity, // DensityAccumulator over every failed (absorbed or censored) run
+      transitions, // TransitionCounter over every run
       
       // Statistics
       desiredSuccesses: numRuns,
@@ -269,30 +594,44 @@ export class SimulationEngine {
       parameterEfficiency,
       totalTimeMs,
       totalSimulationTimeMs: totalTimeMs, // Actual simulation time for pause tracking
+
+      // Reproducibility
+      seed,
+      rngAlgorithm,
+      rngState, // Generator state to continue the same stream
       
       // Status flags
-      reachedDesiredCount,
-      hitTimeLimit,
-      wasStopped,
+      reachedDesiredCount: successfulRuns >= numRuns,
+      stopReason, // 'rules', 'time-limit', 'safety-limit' or 'cancelled' (null in checkpoints)
+      stoppedBy, // Keys of the stopping rules that were met when stopReason is 'rules'
+      hitTimeLimit: stopReason === 'time-limit',
+      hitAttemptLimit: stoppedBy.includes('attempts'),
+      wasStopped: stopReason === 'cancelled',
       hasAnyData: successfulRuns > 0,
       
-      // Timeout information
-      timeoutPhase: totalTimeLimit === 2000 ? 'initial' : 
-                   totalTimeLimit === 10000 ? 'extended' : 'unlimited',
+      // Timeout information - the UI's phases use 2 s, 10 s and no limit, anything else was set elsewhere (e.g. the CLI)
+      totalTimeLimit: totalTimeLimit ?? null,
+      timeoutPhase: totalTimeLimit == null ? 'unlimited' :
+                   totalTimeLimit === 2000 ? 'initial' :
+                   totalTimeLimit === 10000 ? 'extended' : 'custom',
       
       // For compatibility with existing visualization code
       allPaths: completedRuns,
       completionRate: parameterEfficiency,
       totalCompleted: successfulRuns,
-      totalIncomplete: failedRuns.length,
+      totalIncomplete: totalAttempts - successfulRuns,
+      totalAbsorbed: allAttempts.filter((attempt) => attempt.absorbed).length,
       
       // Performance metrics
       averageIterations: allAttempts.length > 0 ? 
         allAttempts.reduce((sum, run) => sum + run.iterations, 0) / allAttempts.length : 0,
-      averageSuccessfulIterations: completedRuns.length > 0 ?
-        completedRuns.reduce((sum, run) => sum + run.length, 0) / completedRuns.length : 0,
+      // Path length of a successful run, i.e. its steps plus the final state
+      averageSuccessfulIterations: successfulRuns > 0 ?
+        successfulAttempts.reduce((sum, run) => sum + run.iterations + 1, 0) / successfulRuns : 0,
       averageRunTime: allAttempts.length > 0 ?
         allAttempts.reduce((sum, run) => sum + run.timeMs, 0) / allAttempts.length : 0,
+
+      ...extra
     };
   }
 }
\ No newline at end of file
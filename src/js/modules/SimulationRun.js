@@ -0,0 +1,166 @@
+/**
+ * Handle of one simulation while it runs: pause, resume or cancel it and
+ * read how long it has been sampling
+ *
+ * The engine checks the handle between runs and every 1000 steps of a run.
+ * A paused simulation waits there and later continues exactly where it
+ * stood. Cancelling aborts `signal`, which also interrupts a run in
+ * progress; that run is discarded and its random draws rewound, so the
+ * results still continue like an uninterrupted simulation.
+ *
+ * Elapsed time is kept here and nowhere else: it is the time spent running,
+ * with paused periods left out, and every time limit and progress report
+ * reads it.
+ */
+
+export const RUN_STATUS = Object.freeze({
+  RUNNING: 'running',
+  PAUSED: 'paused',
+  CANCELLED: 'cancelled',
+  FINISHED: 'finished'
+});
+
+export class SimulationRun {
+  /**
+   * @param {Object} options - Handle options
+   * @param {Function} options.now - Millisecond clock (the engine passes its own)
+   */
+  constructor({ now = () => performance.now() } = {}) {
+    this.now = now;
+    this.status = RUN_STATUS.RUNNING;
+    this.controller = new AbortController();
+    this.startTime = now();
+    this.endTime = null;
+    this.pausedMs = 0;
+    this.pauseStartTime = null;
+    this.listeners = new Set();
+    this.resumeWaiters = [];
+  }
+
+  /**
+   * Aborted when the run is cancelled
+   * @returns {AbortSignal}
+   */
+  get signal() {
+    return this.controller.signal;
+  }
+
+  get isPaused() {
+    return this.status === RUN_STATUS.PAUSED;
+  }
+
+  get isCancelled() {
+    return this.status === RUN_STATUS.CANCELLED;
+  }
+
+  /**
+   * Whether the run can still be paused, resumed or cancelled
+   * @returns {boolean}
+   */
+  get isActive() {
+    return this.status === RUN_STATUS.RUNNING || this.status === RUN_STATUS.PAUSED;
+  }
+
+  /**
+   * Time spent running so far, without paused periods
+   * @returns {number} Milliseconds
+   */
+  elapsedMs() {
+    const end = this.endTime ?? this.pauseStartTime ?? this.now();
+    return end - this.startTime - this.pausedMs;
+  }
+
+  /**
+   * Suspend the run at its next check
+   * @returns {boolean} Whether the status changed
+   */
+  pause() {
+    if (this.status !== RUN_STATUS.RUNNING) return false;
+    this.pauseStartTime = this.now();
+    this._setStatus(RUN_STATUS.PAUSED);
+    return true;
+  }
+
+  /**
+   * Continue a paused run
+   * @returns {boolean} Whether the status changed
+   */
+  resume() {
+    if (this.status !== RUN_STATUS.PAUSED) return false;
+    this._endPause();
+    this._setStatus(RUN_STATUS.RUNNING);
+    this._wakeWaiters();
+    return true;
+  }
+
+  /**
+   * End the run early; the results collected so far are still returned
+   * @returns {boolean} Whether the status changed
+   */
+  cancel() {
+    if (!this.isActive) return false;
+    this._endPause();
+    this.endTime = this.now();
+    this._setStatus(RUN_STATUS.CANCELLED);
+    this.controller.abort();
+    this._wakeWaiters();
+    return true;
+  }
+
+  /**
+   * Mark the run as done (called by whoever ran it; a cancelled run stays cancelled)
+   */
+  finish() {
+    if (!this.isActive) return;
+    this._endPause();
+    this.endTime = this.now();
+    this._setStatus(RUN_STATUS.FINISHED);
+    this._wakeWaiters();
+  }
+
+  /**
+   * Wait while the run is paused
+   * @returns {Promise<void>} Resolves once the run is resumed, cancelled or finished
+   */
+  whenRunnable() {
+    if (!this.isPaused) return Promise.resolve();
+    return new Promise((resolve) => this.resumeWaiters.push(resolve));
+  }
+
+  /**
+   * Listen for status changes
+   * @param {Function} listener - (status, run) => void
+   * @returns {Function} Removes the listener
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * @private
+   */
+  _endPause() {
+    if (this.pauseStartTime !== null) {
+      this.pausedMs += this.now() - this.pauseStartTime;
+      this.pauseStartTime = null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _setStatus(status) {
+    this.status = status;
+    this.listeners.forEach((listener) => listener(status, this));
+  }
+
+  /**
+   * @private
+   */
+  _wakeWaiters() {
+    const waiters = this.resumeWaiters;
+    this.resumeWaiters = [];
+    waiters.forEach((resolve) => resolve());
+  }
+}
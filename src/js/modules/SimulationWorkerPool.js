@@ -0,0 +1,441 @@
+/**
+ * Pool of Web Workers that run SimulationEngine off the main thread
+ *
+ * The requested successes are split over a fixed number of random streams,
+ * each with its own seed derived from the run seed. Streams are handed to
+ * workers as they become free and their results are merged back into the
+ * shape produced by SimulationEngine.runMultipleSimulations, so the rest of
+ * the app does not care where the simulation ran. Because the stream count
+ * does not depend on the number of CPU cores (or on workers being available
+ * at all - streams then run on the main thread), a seed reproduces the same
+ * paths on every machine.
+ *
+ * With a checkpoint callback, streams report copies of their results every
+ * checkpointInterval ms; the pool merges the latest copy of every stream into
+ * one results object that can later be passed back as existingResults.
+ *
+ * The simulation is controlled through a SimulationRun handle: pausing,
+ * resuming and cancelling it is forwarded to every stream that is running,
+ * and streams that have not started yet wait for a paused run to resume.
+ *
+ * Stopping rules are shared out like the success target (see StoppingRules):
+ * every stream stops on its share, and the merged results record why.
+ */
+import { SimulationEngine, DEFAULT_MAX_RETAINED_PATHS } from './SimulationEngine.js';
+import { SimulationRun, RUN_STATUS } from './SimulationRun.js';
+import { DEFAULT_MODEL } from '../models/ProbabilityModels.js';
+import { DEFAULT_FAILURE_MODE, getDefaultFailureParams } from '../models/FailureModes.js';
+import { resolveStepSettings } from '../models/StepDistributions.js';
+import { resolveModifierSettings } from '../models/ProbabilityModifiers.js';
+import {
+  STOPPING_RULES,
+  resolveStoppingSettings,
+  getActiveRules,
+  getStreamStoppingSettings,
+  describeStoppingProgress,
+  tallyAttempts
+} from '../models/StoppingRules.js';
+import { reviveRunPaths } from '../utils/CompactPath.js';
+import { deriveSeed, generateSeed, RNG_ALGORITHMS, DEFAULT_RNG_ALGORITHM } from '../utils/RandomGenerator.js';
+
+/**
+ * Raised when workers cannot be started at all (no Worker support, module
+ * workers blocked on file:// URLs, ...). The pool then falls back to the
+ * main thread.
+ */
+export class WorkerUnavailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WorkerUnavailableError';
+  }
+}
+
+export class SimulationWorkerPool {
+  /**
+   * @param {Object} options - Pool options
+   * @param {number} options.streamCount - Number of independent random streams per simulation
+   * @param {number} options.maxWorkers - Upper bound on concurrent workers (defaults to cores - 1)
+   */
+  constructor({ streamCount = 4, maxWorkers = null } = {}) {
+    this.streamCount = streamCount;
+    const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+    this.maxWorkers = maxWorkers || Math.max(1, Math.min(streamCount, cores - 1));
+
+    this.workers = [];
+    this.workersFailed = false;
+    this.isRunning = false;
+    this.currentRun = null; // SimulationRun of the simulation in progress
+    this.nextTaskId = 0;
+
+    // Main-thread engines running streams when workers are unavailable
+    this.localEngines = new Set();
+    this.resultsBuilder = new SimulationEngine();
+  }
+
+  /**
+   * Whether simulations will run in workers
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return !this.workersFailed && typeof Worker !== 'undefined';
+  }
+
+  /**
+   * Run simulations in the worker pool. Accepts the same parameters and
+   * resolves to the same results shape as SimulationEngine.runMultipleSimulations.
+   * @param {Object} params - Simulation parameters
+   * @param {SimulationRun|null} params.run - Handle to pause, resume or cancel the simulation with (one is created
+   *   when omitted and exposed as currentRun)
+   * @returns {Promise<Object>} Merged results
+   */
+  async runMultipleSimulations({ run = null, ...params }) {
+    const simulationRun = run || new SimulationRun();
+    this.currentRun = simulationRun;
+    this.isRunning = true;
+    const unsubscribe = simulationRun.onChange((status) => this._forwardStatus(status));
+
+    try {
+      return await this._runStreams(params, simulationRun);
+    } catch (error) {
+      simulationRun.cancel();
+      throw error;
+    } finally {
+      unsubscribe();
+      simulationRun.finish();
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Pause the current simulation
+   */
+  pause() {
+    this.currentRun?.pause();
+  }
+
+  /**
+   * Resume the paused simulation
+   */
+  resume() {
+    this.currentRun?.resume();
+  }
+
+  /**
+   * Cancel the current simulation; it resolves with the results collected so far
+   */
+  cancel() {
+    this.currentRun?.cancel();
+  }
+
+  /**
+   * Terminate all workers
+   */
+  terminate() {
+    this.workers.forEach(({ worker }) => worker.terminate());
+    this.workers = [];
+  }
+
+  /**
+   * Pass a status change of the run handle on to the running streams
+   * @private
+   */
+  _forwardStatus(status) {
+    const message = status === RUN_STATUS.PAUSED ? 'pause' :
+                    status === RUN_STATUS.RUNNING ? 'resume' :
+                    status === RUN_STATUS.CANCELLED ? 'cancel' : null;
+    if (!message) return;
+
+    this.localEngines.forEach((engine) => engine[message]());
+    this.workers.forEach(({ worker, busy }) => {
+      if (busy) {
+        worker.postMessage({ type: message });
+      }
+    });
+  }
+
+  /**
+   * Distribute the simulation over the random streams and merge the results
+   * @private
+   */
+  async _runStreams(params, run) {
+    const { progressCallback = null, checkpointCallback = null, existingResults = null, ...workerParams } = params;
+    const { numRuns, totalTimeLimit = 2000, maxRetainedPaths = DEFAULT_MAX_RETAINED_PATHS } = params;
+
+    const previousTimeMs = existingResults ? existingResults.totalSimulationTimeMs || existingResults.totalTimeMs : 0;
+
+    // Resolve the run seed once, then give every stream its own derived seed
+    const algorithm = existingResults?.rngAlgorithm || params.rngAlgorithm || DEFAULT_RNG_ALGORITHM;
+    const seedable = RNG_ALGORITHMS[algorithm]?.seedable ?? false;
+    const baseSeed = existingResults ? existingResults.seed :
+                     !seedable ? null :
+                     (params.seed !== null && params.seed !== undefined && params.seed !== '') ? params.seed : generateSeed();
+
+    const streamCount = existingResults?.streams?.length || this.streamCount;
+    const streams = Array.from({ length: streamCount }, (_, index) => ({
+      index,
+      quota: Math.floor(numRuns / streamCount) + (index < numRuns % streamCount ? 1 : 0),
+      existing: existingResults?.streams?.[index] || null
+    }));
+
+    const stopping = resolveStoppingSettings(params.stopping);
+    const activeRules = getActiveRules(stopping, numRuns);
+
+    // Latest progress per stream, summed for the progress callback
+    const streamProgress = streams.map(({ existing }) => tallyAttempts(existing ? existing.allAttempts : []));
+    const reportProgress = () => {
+      if (!progressCallback) return;
+      const sum = (key) => streamProgress.reduce((total, p) => total + p[key], 0);
+      const tally = {
+        successes: sum('successes'),
+        attempts: sum('attempts'),
+        stepSum: sum('stepSum'),
+        stepSquareSum: sum('stepSquareSum'),
+        elapsedMs: previousTimeMs + run.elapsedMs()
+      };
+      progressCallback({
+        ...tally,
+        target: numRuns,
+        stopping: describeStoppingProgress(stopping, activeRules, tally)
+      });
+    };
+
+    const settings = {
+      numRuns,
+      totalTimeLimit,
+      seed: baseSeed,
+      rngAlgorithm: algorithm,
+      model: params.model || DEFAULT_MODEL,
+      modelParams: params.modelParams || { initialProb: params.initialProb, decayFactor: params.decayFactor },
+      failureMode: params.failureMode || DEFAULT_FAILURE_MODE,
+      failureParams: params.failureParams || getDefaultFailureParams(params.failureMode),
+      ...resolveStepSettings(params),
+      ...resolveModifierSettings(params),
+      rareEventFloor: params.rareEventFloor || null,
+      stopping
+    };
+
+    // Latest results per stream for checkpoints; streams that have not reported yet stay null
+    // and start from scratch when a checkpoint is continued
+    const latestResults = streams.map(({ existing }) => existing);
+    const reportCheckpoint = () => {
+      // Copied, since the entries keep changing after the checkpoint is handed out
+      checkpointCallback(this._mergeResults([...latestResults], {
+        ...settings,
+        totalTimeMs: previousTimeMs + run.elapsedMs(),
+        cancelled: false,
+        checkpoint: true
+      }));
+    };
+
+    const runStream = async (stream) => {
+      await run.whenRunnable();
+      // A stream that never started stays null, so continuing starts it on its own seed
+      if (run.isCancelled) {
+        return stream.existing;
+      }
+
+      // Streams that start late only get what is left of the time budget
+      const remainingTime = totalTimeLimit ? Math.max(1, totalTimeLimit - run.elapsedMs()) : null;
+      // ...and of a time budget rule, since the stream's clock starts at its own earlier time
+      const streamTimeMs = stream.existing ? stream.existing.totalSimulationTimeMs : 0;
+
+      const taskParams = {
+        ...workerParams,
+        numRuns: stream.quota,
+        stopping: getStreamStoppingSettings(stopping, {
+          index: stream.index,
+          streamCount,
+          quota: stream.quota,
+          clockOffsetMs: previousTimeMs + run.elapsedMs() - streamTimeMs
+        }),
+        totalTimeLimit: remainingTime,
+        seed: baseSeed === null ? null : deriveSeed(baseSeed, stream.index),
+        rngAlgorithm: algorithm,
+        maxRetainedPaths: Math.ceil(maxRetainedPaths / streamCount),
+        checkpointInterval: checkpointCallback ? workerParams.checkpointInterval : null,
+        existingResults: stream.existing
+      };
+      const onProgress = (progress) => {
+        streamProgress[stream.index] = progress;
+        reportProgress();
+      };
+      const onCheckpoint = (results) => {
+        latestResults[stream.index] = results;
+        reportCheckpoint();
+      };
+
+      if (this.isAvailable()) {
+        try {
+          // Workers cannot freeze the page, so they need no safety cutoff
+          return await this._runTask({ ...taskParams, safetyTimeLimit: null }, onProgress, onCheckpoint);
+        } catch (error) {
+          if (!(error instanceof WorkerUnavailableError)) throw error;
+          console.warn(`⚠️ ${error.message} - running simulation on the main thread`);
+          this.workersFailed = true;
+          this.terminate();
+        }
+      }
+      return this._runLocalTask(taskParams, onProgress, onCheckpoint);
+    };
+
+    // Hand streams to workers as they become free
+    const queue = [...streams];
+    const streamResults = new Array(streamCount);
+    const workerLoop = async () => {
+      while (queue.length > 0) {
+        const stream = queue.shift();
+        streamResults[stream.index] = await runStream(stream);
+        latestResults[stream.index] = streamResults[stream.index];
+      }
+    };
+
+    const concurrency = this.isAvailable() ? Math.min(this.maxWorkers, streamCount) : 1;
+    await Promise.all(Array.from({ length: concurrency }, workerLoop));
+
+    return this._mergeResults(streamResults, {
+      ...settings,
+      totalTimeMs: previousTimeMs + run.elapsedMs(),
+      cancelled: run.isCancelled,
+      checkpoint: false
+    });
+  }
+
+  /**
+   * Run one stream on a free worker
+   * @private
+   */
+  _runTask(taskParams, onProgress, onCheckpoint) {
+    const slot = this._acquireWorker();
+    const taskId = this.nextTaskId++;
+
+    return new Promise((resolve, reject) => {
+      const cleanup = () => {
+        slot.busy = false;
+        slot.worker.removeEventListener('message', handleMessage);
+        slot.worker.removeEventListener('error', handleError);
+      };
+
+      const handleMessage = (event) => {
+        const message = event.data;
+        if (message.taskId !== taskId) return;
+
+        switch (message.type) {
+          case 'progress':
+            onProgress(message.progress);
+            break;
+          case 'checkpoint':
+            onCheckpoint(reviveRunPaths(message.results));
+            break;
+          case 'result':
+            cleanup();
+            resolve(reviveRunPaths(message.results));
+            break;
+          case 'error':
+            cleanup();
+            reject(new Error(message.message));
+            break;
+        }
+      };
+
+      const handleError = (event) => {
+        cleanup();
+        event.preventDefault?.();
+        const reason = event.message || 'worker script failed to load';
+        reject(slot.ready
+          ? new Error(`Simulation worker crashed: ${reason}`)
+          : new WorkerUnavailableError(`Simulation workers unavailable (${reason})`));
+      };
+
+      slot.busy = true;
+      slot.worker.addEventListener('message', handleMessage);
+      slot.worker.addEventListener('error', handleError);
+      slot.worker.postMessage({ type: 'run', taskId, params: taskParams });
+    });
+  }
+
+  /**
+   * Run one stream on the main thread
+   * @private
+   */
+  async _runLocalTask(taskParams, onProgress, onCheckpoint) {
+    const engine = new SimulationEngine();
+    this.localEngines.add(engine);
+    try {
+      return await engine.runMultipleSimulations({
+        ...taskParams,
+        progressCallback: onProgress,
+        checkpointCallback: onCheckpoint
+      });
+    } finally {
+      this.localEngines.delete(engine);
+    }
+  }
+
+  /**
+   * Get an idle worker, creating one if the pool is not full yet
+   * @private
+   */
+  _acquireWorker() {
+    const idle = this.workers.find((slot) => !slot.busy);
+    if (idle) return idle;
+
+    let worker;
+    try {
+      worker = new Worker(new URL('../workers/simulationWorker.js', import.meta.url), { type: 'module' });
+    } catch (error) {
+      throw new WorkerUnavailableError(`Simulation workers unavailable (${error.message})`);
+    }
+
+    const slot = { worker, busy: false, ready: false };
+    worker.addEventListener('message', (event) => {
+      if (event.data.type === 'ready') slot.ready = true;
+    });
+    this.workers.push(slot);
+    return slot;
+  }
+
+  /**
+   * Merge per-stream results into a single results object. Entries are null for
+   * streams that have not reported yet (checkpoints) or never started (stopped early).
+   * @private
+   */
+  _mergeResults(allStreamResults, { numRuns, totalTimeLimit, totalTimeMs, cancelled, checkpoint, seed, rngAlgorithm, ...settings }) {
+    const streamResults = allStreamResults.filter(Boolean);
+
+    // The simulation ended by its rules only if every stream did; a stream cut off by a limit decides otherwise
+    const stopReason = checkpoint ? null :
+                       cancelled ? 'cancelled' :
+                       streamResults.some((r) => r.stopReason === 'safety-limit') ? 'safety-limit' :
+                       streamResults.every((r) => r.stopReason === 'rules') ? 'rules' : 'time-limit';
+    const stoppedBy = stopReason !== 'rules' ? [] :
+      Object.keys(STOPPING_RULES).filter((rule) => streamResults.some((r) => r.stoppedBy.includes(rule)));
+
+    // Stream accumulators stay untouched - each is continued in the next phase
+    const mergeAccumulators = (key) => {
+      const accumulators = streamResults.map((r) => r[key]).filter(Boolean);
+      return accumulators.length > 0 ?
+        accumulators.slice(1).reduce((merged, a) => merged.merge(a), accumulators[0].clone()) : null;
+    };
+
+    return this.resultsBuilder.buildResults({
+      completedRuns: streamResults.flatMap((r) => r.completedRuns),
+      completedLogWeights: streamResults.flatMap((r) => r.completedLogWeights || []),
+      allAttempts: streamResults.flatMap((r) => r.allAttempts),
+      failedRuns: streamResults.flatMap((r) => r.failedRuns),
+      density: mergeAccumulators('density'),
+      failedDensity: mergeAccumulators('failedDensity'),
+      transitions: mergeAccumulators('transitions'),
+      numRuns,
+      totalTimeMs,
+      totalTimeLimit,
+      stopReason,
+      stoppedBy,
+      seed,
+      rngAlgorithm,
+      ...settings,
+      // Per-stream results, needed to continue each stream in the next phase
+      streams: allStreamResults,
+      workerCount: this.isAvailable() ? Math.min(this.maxWorkers, streamResults.length) : 0
+    });
+  }
+}
@@ -1,14 +1,42 @@
 /**
  * Statistics calculator for simulation results
  */
+import { RNG_ALGORITHMS } from '../utils/RandomGenerator.js';
+import { formatCount, formatPercent } from '../utils/Formatters.js';
+import {
+  wilsonInterval,
+  clopperPearsonInterval,
+  proportionStandardError,
+  meanWithStandardError,
+  bootstrapIntervals
+} from '../utils/ConfidenceIntervals.js';
+import { getStepDistribution, isFixedStep } from '../models/StepDistributions.js';
+import { describeModifiers, hasStaticProbability } from '../models/ProbabilityModifiers.js';
+import { describeStoppingSettings, describeStoppedBy } from '../models/StoppingRules.js';
+import { RareEventEstimator } from './RareEventEstimator.js';
+import { SurvivalAnalysis } from './SurvivalAnalysis.js';
+
+// Relative 95% half-widths up to which the estimates count as precise / usable
+const HIGH_PRECISION = 0.02;
+const MODERATE_PRECISION = 0.1;
+
+// Relative half-width the "runs needed" hint aims for
+const TARGET_PRECISION = 0.05;
+
 export class StatisticsCalculator {
+  constructor() {
+    this.rareEventEstimator = new RareEventEstimator();
+    this.survivalAnalysis = new SurvivalAnalysis();
+  }
+
   /**
    * Calculate comprehensive statistics from simulation results
    * @param {Object} results - Results object from SimulationEngine
    * @param {number} maxValue - Target value
+   * @param {Object} analysis - Optional exact results from MarkovChainSolver for the same parameters
    * @returns {Object} Statistics object
    */
-  calculateStats(results, maxValue) {
+  calculateStats(results, maxValue, analysis = null) {
     if (!results || !results.hasAnyData) {
       return {
         completionRate: "0.0",
@@ -22,12 +50,25 @@ export class StatisticsCalculator {
         reachedTarget: false,
         hitLimit: results?.hitAttemptLimit || false,
         avgIterations: 0,
+        seed: results?.seed ?? null,
+        rngAlgorithm: results?.rngAlgorithm || null,
+        failureMode: results?.failureMode || null,
+        totalAbsorbed: results?.totalAbsorbed || 0,
+        absorptionRate: this._absorptionRate(results),
+        failedLevels: this._failedLevels(results, maxValue),
+        levels: null,
+        survival: this._survival(results),
+        stepSizes: this._stepSizes(results),
+        modifiers: this._modifiers(results),
+        stopping: this._stopping(results),
+        uncertainty: this._uncertainty(results, [], this.rareEventEstimator.estimate(results)),
+        rareEvent: this.rareEventEstimator.estimate(results),
+        analysis,
         hasData: false,
       };
     }
 
     const { 
-      completedRuns, 
       allAttempts, 
       desiredSuccesses,
       actualSuccesses,
@@ -39,21 +80,47 @@ export class StatisticsCalculator {
       timeoutPhase,
       averageIterations,
       averageSuccessfulIterations,
-      averageRunTime
+      averageRunTime,
+      seed,
+      rngAlgorithm,
+      failureMode,
+      totalAbsorbed
     } = results;
     
-    // Calculate stats from completed runs for path length analysis
+    // Path lengths of every successful attempt - completedRuns only holds the retained paths
     let avgLength = 0, medianLength = 0, maxLength = 0, minLength = 0;
+    let meanSteps = 0, stdSteps = 0, medianSteps = 0;
     
-    if (completedRuns.length > 0) {
-      const lengths = completedRuns.map((run) => run.length);
+    const steps = allAttempts
+      .filter((attempt) => attempt.completed)
+      .map((attempt) => attempt.iterations);
+    const lengths = steps.map((count) => count + 1);
+    if (lengths.length > 0) {
       avgLength = lengths.reduce((a, b) => a + b, 0) / lengths.length;
-      maxLength = Math.max(...lengths);
-      minLength = Math.min(...lengths);
+      maxLength = lengths.reduce((a, b) => Math.max(a, b), 0);
+      minLength = lengths.reduce((a, b) => Math.min(a, b), Infinity);
 
       // Calculate median length
       const sortedLengths = [...lengths].sort((a, b) => a - b);
       medianLength = sortedLengths[Math.floor(sortedLengths.length / 2)];
+
+      // Steps taken (a path holds the starting 0 plus one value per step)
+      meanSteps = avgLength - 1;
+      medianSteps = medianLength - 1;
+      stdSteps = lengths.length > 1
+        ? Math.sqrt(lengths.reduce((sum, length) => sum + (length - avgLength) ** 2, 0) / (lengths.length - 1))
+        : 0;
+    }
+
+    // In rare-event mode the runs were drawn tilted - path figures come from the weighted estimate instead
+    const rareEvent = this.rareEventEstimator.estimate(results);
+    if (rareEvent?.hittingTime) {
+      const { hittingTime } = rareEvent;
+      meanSteps = hittingTime.mean;
+      stdSteps = hittingTime.std;
+      medianSteps = hittingTime.quantiles.find(({ q }) => q === 0.5).steps;
+      avgLength = meanSteps + 1;
+      medianLength = medianSteps + 1;
     }
 
     return {
@@ -70,6 +137,9 @@ export class StatisticsCalculator {
       medianLength: medianLength,
       maxLength: maxLength,
       minLength: minLength,
+      meanSteps,
+      stdSteps,
+      medianSteps,
       
       // Performance metrics
       avgIterations: Math.round(averageIterations),
@@ -77,6 +147,42 @@ export class StatisticsCalculator {
       totalTimeMs: totalTimeMs,
       timeoutPhase: timeoutPhase,
       avgRunTime: averageRunTime ? Math.round(averageRunTime) : 0,
+
+      // Absorbing floor outcomes
+      failureMode: failureMode || null,
+      totalAbsorbed: totalAbsorbed || 0,
+      absorptionRate: this._absorptionRate(results),
+
+      // How far the failed runs got
+      failedLevels: this._failedLevels(results, maxValue),
+
+      // Where successful runs spend their time on the way up, level by level
+      levels: this._levels(results, maxValue, analysis),
+
+      // Hitting time over every attempt, with the runs cut off at a limit as censored observations
+      survival: this._survival(results),
+
+      // Observed step sizes (only when they are not all ±1)
+      stepSizes: this._stepSizes(results),
+
+      // Time/history dependence of P(increment) the results were produced with
+      modifiers: this._modifiers(results),
+
+      // Stopping rules besides the success target, and which of them ended the simulation
+      stopping: this._stopping(results),
+
+      // Confidence intervals and standard errors of the figures above, and how settled they are
+      uncertainty: this._uncertainty(results, steps, rareEvent),
+
+      // Importance-sampling estimate (rare-event mode only)
+      rareEvent,
+
+      // Reproducibility
+      seed: seed ?? null,
+      rngAlgorithm: rngAlgorithm || null,
+
+      // Exact values for comparison
+      analysis,
       
       hasData: true,
     };
@@ -93,13 +199,28 @@ export class StatisticsCalculator {
         ? `Hit ${stats.totalAttempts} attempt limit with 0 successes` 
         : `${stats.totalAttempts} attempts, 0 completed`;
       
+      // Zero successes still bound the efficiency from above
+      const efficiency = stats.uncertainty?.efficiency;
+      const bound = efficiency
+        ? `<div class="stat-exact">Efficiency below ${formatPercent(efficiency.clopperPearson[1])} (95% Clopper-Pearson)</div>`
+        : '';
+
       statsContainer.innerHTML = `
         <div class="stat-card" style="grid-column: 1 / -1; background: #ffebee;">
           <div class="stat-label">No Successful Runs</div>
           <div class="stat-value" style="color: #c62828; font-size: 16px;">
             ${statusMsg}
           </div>
+          ${bound}
         </div>
+        ${this._renderSurvivalCard(stats)}
+        ${this._renderAbsorbedCard(stats)}
+        ${this._renderFailedLevelsCard(stats)}
+        ${this._renderStepSizesCard(stats)}
+        ${this._renderModifiersCard(stats)}
+        ${this._renderStoppingCard(stats)}
+        ${this._renderExactSummary(stats)}
+        ${this._renderSeedCard(stats)}
       `;
       return;
     }
@@ -117,13 +238,25 @@ export class StatisticsCalculator {
         ? `⚠ Hit attempt limit`
         : `${stats.actualSuccesses}/${stats.desiredRuns}`;
 
+    const uncertainty = stats.uncertainty;
+    const interval = ([lower, upper], format) => `${format(lower)} – ${format(upper)}`;
+    const length = (steps) => formatCount(steps + 1, 0);
+    const efficiencyTitle = uncertainty?.efficiency
+      ? `Clopper-Pearson (exact) 95% CI ${interval(uncertainty.efficiency.clopperPearson, formatPercent)} · standard error ${formatPercent(uncertainty.efficiency.standardError)}`
+      : '';
+    const lengthNote = uncertainty?.meanSteps?.interval
+      ? `95% CI ${interval(uncertainty.meanSteps.interval, length)} · median ${stats.medianLength} (${interval(uncertainty.medianSteps.interval, length)})`
+      : '';
+
     statsContainer.innerHTML = `
-      <div class="stat-card">
+      ${stats.rareEvent ? this._renderRareEventCards(stats) : `
+      <div class="stat-card" title="${efficiencyTitle}">
         <div class="stat-label">Parameter Efficiency</div>
         <div class="stat-value" style="color: ${stats.completionRate > 50 ? '#2e7d32' : stats.completionRate > 10 ? '#f57c00' : '#d32f2f'}">
           ${stats.completionRate}%
         </div>
-      </div>
+        ${uncertainty?.efficiency ? `<div class="stat-exact">95% CI ${interval(uncertainty.efficiency.wilson, formatPercent)} (Wilson)</div>` : ''}
+      </div>`}
       <div class="stat-card">
         <div class="stat-label">Target Progress</div>
         <div class="stat-value" style="color: ${statusColor}; font-size: 18px;">
@@ -138,13 +271,610 @@ export class StatisticsCalculator {
         <div class="stat-label">Total Attempts</div>
         <div class="stat-value">${stats.totalAttempts}</div>
       </div>
-      <div class="stat-card">
+      <div class="stat-card" title="${lengthNote ? `Bootstrap intervals from ${uncertainty.bootstrapResamples} resamples of the successful runs` : ''}">
         <div class="stat-label">Avg. Success Length</div>
         <div class="stat-value">${stats.avgLength || 'N/A'}</div>
+        ${lengthNote ? `<div class="stat-exact">${lengthNote}</div>` : ''}
       </div>
       <div class="stat-card">
         <div class="stat-label">Avg. Run Time</div>
         <div class="stat-value">${stats.avgRunTime ? stats.avgRunTime + 'ms' : 'N/A'}</div>
+        ${stats.avgRunTime && Number.isFinite(uncertainty?.runTimeStandardError) ? `<div class="stat-exact">± ${formatCount(uncertainty.runTimeStandardError)}ms standard error</div>` : ''}
+      </div>
+      ${this._renderPrecisionCard(stats)}
+      ${this._renderSurvivalCard(stats)}
+      ${this._renderAbsorbedCard(stats)}
+      ${this._renderFailedLevelsCard(stats)}
+      ${this._renderLevelsCard(stats)}
+      ${this._renderStepSizesCard(stats)}
+      ${this._renderModifiersCard(stats)}
+      ${this._renderStoppingCard(stats)}
+      ${this._renderTheoryCards(stats)}
+      ${this._renderSeedCard(stats)}
+    `;
+  }
+
+  /**
+   * Render the importance-sampling estimate in place of the efficiency card
+   * @private
+   */
+  _renderRareEventCards(stats) {
+    const estimate = stats.rareEvent;
+    const probability = estimate.probability > 0 || estimate.log10Probability === -Infinity
+      ? formatPercent(estimate.probability)
+      : `10^${estimate.log10Probability.toFixed(1)}`;
+    const errorBar = estimate.relativeError === null
+      ? ''
+      : `95% CI ${formatPercent(estimate.interval[0])} – ${formatPercent(estimate.interval[1])} (±${formatPercent(estimate.relativeError)} relative)`;
+    const quantiles = estimate.hittingTime.quantiles
+      .map(({ q, steps }) => `p${Math.round(q * 100)} ${formatCount(steps, 0)}`)
+      .join(' · ');
+
+    return `
+      <div class="stat-card stat-card-wide" title="Importance sampling: steps drawn with P(increment) ≥ ${estimate.floor}, every run weighted by its likelihood ratio">
+        <div class="stat-label">Success Probability (rare-event estimate)</div>
+        <div class="stat-value" style="color: ${estimate.reliable ? '#2e7d32' : '#d32f2f'}">${probability}</div>
+        <div class="stat-exact">${errorBar}${estimate.reliable ? '' : ' · unreliable: a few runs carry most of the weight - try another P(increment) floor'}</div>
+      </div>
+      <div class="stat-card" title="Weighted over the successful runs - how the untilted process reaches the target">
+        <div class="stat-label">Steps to Target (weighted)</div>
+        <div class="stat-value">${formatCount(estimate.hittingTime.mean, 0)}</div>
+        <div class="stat-exact">${quantiles}</div>
+      </div>
+      <div class="stat-card" title="Successes carrying most of the weight; much fewer than the successes means the estimate rests on a few runs">
+        <div class="stat-label">Effective Successes</div>
+        <div class="stat-value">${formatCount(estimate.effectiveSuccesses, 0)} / ${formatCount(estimate.successes, 0)}</div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the exact expectations when there are no successes to compare against
+   * @private
+   */
+  _renderExactSummary(stats) {
+    const analysis = stats.analysis;
+    if (!analysis) return '';
+
+    const text = analysis.successProbability === 0
+      ? 'Exact: the target can never be reached with these parameters'
+      : `Exact: P(success) ${formatPercent(analysis.successProbability)} · ` +
+        `mean ${formatCount(analysis.expectedSteps, 0)} steps to target`;
+
+    return `
+      <div class="stat-card stat-card-wide" title="Computed from the Markov chain of the counter">
+        <div class="stat-value">${text}</div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render simulated values beside the exact Markov-chain values, with the
+   * difference in standard errors so sampling noise can be told apart from a
+   * real discrepancy
+   * @private
+   */
+  _renderTheoryCards(stats) {
+    const analysis = stats.analysis;
+    if (!analysis || analysis.successProbability === 0) return '';
+
+    const successes = stats.actualSuccesses;
+    const median = analysis.quantiles.find(({ q }) => q === 0.5);
+    const standardErrors = (observed, expected, standardError) => {
+      if (!(standardError > 0) || !Number.isFinite(standardError)) return '';
+      const z = (observed - expected) / standardError;
+      return ` · ${z >= 0 ? '+' : '−'}${Math.abs(z).toFixed(1)} SE`;
+    };
+
+    // Weighted runs count as fewer independent successes
+    const effectiveSuccesses = stats.rareEvent ? stats.rareEvent.effectiveSuccesses : successes;
+    const cards = [
+      {
+        label: 'Mean Steps to Target',
+        simulated: formatCount(stats.meanSteps),
+        exact: formatCount(analysis.expectedSteps) +
+          standardErrors(stats.meanSteps, analysis.expectedSteps, analysis.stdSteps / Math.sqrt(effectiveSuccesses))
+      },
+      {
+        label: 'Std. Dev. of Steps',
+        simulated: formatCount(stats.stdSteps),
+        exact: formatCount(analysis.stdSteps)
+      },
+      {
+        label: 'Median Steps',
+        simulated: formatCount(stats.medianSteps, 0),
+        exact: median ? `${median.extrapolated ? '≈' : ''}${formatCount(median.steps, 0)}` : 'N/A'
+      }
+    ];
+
+    if (stats.rareEvent) {
+      const { probability, standardError } = stats.rareEvent;
+      cards.unshift({
+        label: 'Success Probability',
+        simulated: formatPercent(probability),
+        exact: formatPercent(analysis.successProbability) +
+          standardErrors(probability, analysis.successProbability, standardError)
+      });
+    } else if (analysis.successProbability < 1) {
+      const p = analysis.successProbability;
+      cards.unshift({
+        label: 'Success Probability',
+        simulated: `${stats.completionRate}%`,
+        exact: formatPercent(p) +
+          standardErrors(stats.actualSuccesses / stats.totalAttempts, p, Math.sqrt(p * (1 - p) / stats.totalAttempts))
+      });
+    }
+
+    return cards.map(({ label, simulated, exact }) => `
+      <div class="stat-card" title="Simulated value, with the exact Markov-chain value below">
+        <div class="stat-label">${label}</div>
+        <div class="stat-value">${simulated}</div>
+        <div class="stat-exact">exact ${exact}</div>
+      </div>
+    `).join('');
+  }
+
+  /**
+   * Censoring-aware summary of the Kaplan-Meier estimate (the curve itself is drawn by SurvivalChart)
+   * @private
+   */
+  _survival(results) {
+    const estimate = this.survivalAnalysis.estimate(results);
+    if (!estimate) return null;
+    const { weighted, events, censored, absorbed, median, finishedByLast } = estimate;
+    return { weighted, events, censored, absorbed, median, finishedByLast };
+  }
+
+  /**
+   * Render the Kaplan-Meier median and the share of runs finished within the observed steps
+   * @private
+   */
+  _renderSurvivalCard(stats) {
+    const survival = stats.survival;
+    if (!survival) return '';
+
+    const { median, finishedByLast } = survival;
+    const steps = (value) => (value === Infinity ? '∞' : formatCount(value, 0));
+    const value = median.reached ? steps(median.steps) : `> ${steps(median.lastTime)}`;
+    const interval = median.reached && median.interval ? `95% CI ${steps(median.interval[0])} – ${steps(median.interval[1])} · ` : '';
+    const finished = `${formatPercent(finishedByLast.probability)} finished within ${steps(finishedByLast.steps)} steps` +
+      (finishedByLast.interval ? ` (${formatPercent(finishedByLast.interval[0])} – ${formatPercent(finishedByLast.interval[1])})` : '');
+
+    return `
+      <div class="stat-card" title="Kaplan-Meier estimate over all ${formatCount(survival.events + survival.censored + survival.absorbed, 0)} attempts: ${formatCount(survival.events, 0)} successes, ${formatCount(survival.censored, 0)} runs cut off at a limit (censored), ${formatCount(survival.absorbed, 0)} absorbed (never finish)${survival.weighted ? '; weighted by the likelihood ratios, without intervals' : ''}">
+        <div class="stat-label">Median Steps (censoring-aware)</div>
+        <div class="stat-value">${value}</div>
+        <div class="stat-exact">${interval}${formatCount(survival.censored, 0)} censored · ${formatCount(survival.absorbed, 0)} absorbed</div>
+        <div class="stat-exact">${finished}</div>
+      </div>
+    `;
+  }
+
+  /**
+   * Share of attempts that ended at an absorbing floor, as a percentage string
+   * @private
+   */
+  _absorptionRate(results) {
+    if (!results || !results.totalAttempts) return "0.0";
+    return (((results.totalAbsorbed || 0) / results.totalAttempts) * 100).toFixed(1);
+  }
+
+  /**
+   * Render the absorbed-runs card (absorbing failure mode only)
+   * @private
+   */
+  _renderAbsorbedCard(stats) {
+    if (stats.failureMode !== 'absorbing') return '';
+
+    return `
+      <div class="stat-card" title="Attempts that fell back to 0 and ended there">
+        <div class="stat-label">Absorbed at 0</div>
+        <div class="stat-value" style="color: #dc2626;">${stats.totalAbsorbed} (${stats.absorptionRate}%)</div>
+      </div>
+    `;
+  }
+
+  /**
+   * Distribution of the highest level reached by failed attempts
+   * @private
+   */
+  _failedLevels(results, maxValue) {
+    const levels = (results?.allAttempts || [])
+      .filter((attempt) => !attempt.completed && attempt.maxLevel !== undefined)
+      .map((attempt) => attempt.maxLevel);
+    if (levels.length === 0) return null;
+
+    // Failed runs never reach the target, so levels run 0..maxValue-1
+    const counts = new Array(maxValue).fill(0);
+    levels.forEach((level) => counts[Math.min(level, maxValue - 1)]++);
+
+    const sorted = [...levels].sort((a, b) => a - b);
+    return {
+      count: levels.length,
+      counts,
+      mean: levels.reduce((a, b) => a + b, 0) / levels.length,
+      median: sorted[Math.floor(sorted.length / 2)],
+      highest: sorted[sorted.length - 1],
+      target: maxValue
+    };
+  }
+
+  /**
+   * Render the maximum-level histogram of the failed runs
+   * @private
+   */
+  _renderFailedLevelsCard(stats) {
+    const failed = stats.failedLevels;
+    if (!failed) return '';
+
+    const largest = Math.max(...failed.counts);
+    const bars = failed.counts.map((count, level) => `
+      <div class="level-bar" style="height: ${largest > 0 ? Math.max(count > 0 ? 2 : 0, (count / largest) * 100) : 0}%"
+           title="Max level ${level}: ${count} run${count === 1 ? '' : 's'} (${formatPercent(count / failed.count)})"></div>
+    `).join('');
+
+    return `
+      <div class="stat-card stat-card-wide" title="Highest counter value reached by runs that did not hit the target">
+        <div class="stat-label">Failed Runs: Highest Level Reached</div>
+        <div class="level-histogram">${bars}</div>
+        <div class="stat-value">
+          ${formatCount(failed.count, 0)} runs · mean ${formatCount(failed.mean)} · median ${failed.median} · best ${failed.highest}/${failed.target}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * First-passage times, time spent and falls per level, from the retained
+   * successful paths (weighted by their likelihood ratios in rare-event mode).
+   * Level k is first reached when the counter first gets to k or above, so a
+   * level skipped by a larger step takes no time to climb.
+   * @param {Object} results - Simulation results
+   * @param {number} maxValue - Target value
+   * @param {Object|null} analysis - Exact results, whose per-level climb times are shown alongside
+   * @returns {Object|null} { paths, weighted, bottleneck, levels } where levels[k] holds
+   *   { level, reached, climb, occupancy, falls } summaries ({ mean, median, p90 }) and the exact mean climb
+   * @private
+   */
+  _levels(results, maxValue, analysis) {
+    const paths = results?.completedRuns || [];
+    if (paths.length === 0) return null;
+
+    const logWeights = results.completedLogWeights || [];
+    const weighted = Boolean(results.rareEventFloor) && logWeights.length === paths.length;
+    const maxLogWeight = weighted ? Math.max(...logWeights) : 0;
+    const weights = paths.map((_, p) => (weighted ? Math.exp(logWeights[p] - maxLogWeight) : 1));
+
+    // One block of paths.length values per level: first passage of k + 1, steps at k, falls from k
+    const count = paths.length;
+    const reached = new Float64Array(maxValue * count);
+    const occupancy = new Float64Array(maxValue * count);
+    const falls = new Float64Array(maxValue * count);
+    paths.forEach((path, p) => {
+      let highest = 0;
+      let previous = null;
+      let index = 0;
+      path.forEach((value) => {
+        if (previous !== null && value < previous && previous < maxValue) falls[previous * count + p]++;
+        if (value < maxValue) occupancy[value * count + p]++;
+        while (highest < Math.min(value, maxValue)) {
+          highest++;
+          reached[(highest - 1) * count + p] = index;
+        }
+        previous = value;
+        index++;
+      });
+    });
+
+    const levels = [];
+    for (let level = 0; level < maxValue; level++) {
+      const block = (values) => values.subarray(level * count, (level + 1) * count);
+      // Level 0 is where every run starts
+      const arrival = level > 0 ? reached.subarray((level - 1) * count, level * count) : new Float64Array(count);
+      const climb = block(reached).map((time, p) => time - arrival[p]);
+      levels.push({
+        level,
+        reached: this._levelSummary(arrival, weights),
+        climb: this._levelSummary(climb, weights),
+        occupancy: this._levelSummary(block(occupancy), weights),
+        falls: this._levelSummary(block(falls), weights),
+        exactClimb: analysis?.levelSteps?.[level] ?? null
+      });
+    }
+
+    const bottleneck = levels.reduce((best, entry) => (entry.climb.mean > best.climb.mean ? entry : best), levels[0]);
+    return { paths: count, weighted, bottleneck: bottleneck.level, levels };
+  }
+
+  /**
+   * Mean, median and 90th percentile of one per-level quantity over the paths
+   * @private
+   */
+  _levelSummary(values, weights) {
+    const order = Array.from(values.keys()).sort((a, b) => values[a] - values[b]);
+    const total = weights.reduce((a, b) => a + b, 0);
+    const quantile = (q) => {
+      let seen = 0;
+      for (const index of order) {
+        seen += weights[index];
+        if (seen >= q * total) return values[index];
+      }
+      return values[order[order.length - 1]];
+    };
+    const mean = order.reduce((sum, index) => sum + weights[index] * values[index], 0) / total;
+    return { mean, median: quantile(0.5), p90: quantile(0.9) };
+  }
+
+  /**
+   * Render the per-level table with a bar chart of the mean climb time per level
+   * @private
+   */
+  _renderLevelsCard(stats) {
+    const levels = stats.levels;
+    if (!levels) return '';
+
+    const hasExact = levels.levels.some((entry) => entry.exactClimb !== null);
+    const largest = Math.max(...levels.levels.map((entry) => entry.climb.mean));
+    const bars = levels.levels.map((entry) => `
+      <div class="level-bar" style="height: ${largest > 0 ? Math.max(entry.climb.mean > 0 ? 2 : 0, (entry.climb.mean / largest) * 100) : 0}%;${entry.level === levels.bottleneck ? ' background: #dc2626;' : ''}"
+           title="Level ${entry.level} → ${entry.level + 1}: mean ${formatCount(entry.climb.mean)} steps${entry.exactClimb !== null ? ` (exact ${formatCount(entry.exactClimb)})` : ''}"></div>
+    `).join('');
+
+    const summary = ({ mean, median, p90 }) => `${formatCount(mean)} <span class="level-quantiles">${formatCount(median, 0)} / ${formatCount(p90, 0)}</span>`;
+    const rows = levels.levels.map((entry) => `
+      <tr${entry.level === levels.bottleneck ? ' class="level-bottleneck"' : ''}>
+        <td>${entry.level}</td>
+        <td>${summary(entry.reached)}</td>
+        <td>${summary(entry.climb)}</td>
+        ${hasExact ? `<td>${entry.exactClimb !== null ? formatCount(entry.exactClimb) : 'N/A'}</td>` : ''}
+        <td>${summary(entry.occupancy)}</td>
+        <td>${summary(entry.falls)}</td>
+      </tr>
+    `).join('');
+    const bottleneck = levels.levels[levels.bottleneck];
+
+    return `
+      <div class="stat-card stat-card-wide" title="From ${formatCount(levels.paths, 0)} retained successful paths${levels.weighted ? ', weighted by their likelihood ratios' : ''}. Each cell shows the mean, then the median / 90th percentile.">
+        <div class="stat-label">Successful Runs: Steps to Climb Each Level (bottleneck in red)</div>
+        <div class="level-histogram">${bars}</div>
+        <div class="stat-value">
+          Bottleneck: level ${bottleneck.level} → ${bottleneck.level + 1}, mean ${formatCount(bottleneck.climb.mean)} steps
+          (${formatPercent(largest > 0 ? bottleneck.climb.mean / levels.levels.reduce((sum, entry) => sum + entry.climb.mean, 0) : 0)} of the steps to target)
+        </div>
+        <div class="level-table">
+          <table>
+            <tr>
+              <th>Level k</th><th>First reached</th><th>Climb to k + 1</th>${hasExact ? '<th>Exact climb</th>' : ''}
+              <th>Steps at k</th><th>Falls from k</th>
+            </tr>
+            ${rows}
+          </table>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Mean levels actually moved per successful and per failed step, over every attempt.
+   * These can differ from the configured distributions: climbs are clamped at the
+   * target and falls at 0, and reset or stay ignore the failure step entirely.
+   * @private
+   */
+  _stepSizes(results) {
+    if (!results?.allAttempts || !results.successStep) return null;
+    if (isFixedStep(results.successStep, results.successStepParams, 1) &&
+        isFixedStep(results.failureStep, results.failureStepParams, 1)) {
+      return null;
+    }
+
+    const totals = { upSteps: 0, upLevels: 0, downSteps: 0, downLevels: 0 };
+    results.allAttempts.forEach((attempt) => {
+      Object.keys(totals).forEach((key) => { totals[key] += attempt[key] || 0; });
+    });
+
+    return {
+      successLabel: getStepDistribution(results.successStep).label(results.successStepParams),
+      failureLabel: getStepDistribution(results.failureStep).label(results.failureStepParams),
+      overshoot: results.overshoot,
+      meanUp: totals.upSteps > 0 ? totals.upLevels / totals.upSteps : null,
+      meanDown: totals.downSteps > 0 ? totals.downLevels / totals.downSteps : null,
+      upSteps: totals.upSteps,
+      downSteps: totals.downSteps
+    };
+  }
+
+  /**
+   * Render the observed step sizes
+   * @private
+   */
+  _renderStepSizesCard(stats) {
+    const steps = stats.stepSizes;
+    if (!steps) return '';
+
+    const mean = (value) => (value === null ? 'N/A' : formatCount(value, 2));
+    return `
+      <div class="stat-card" title="Levels actually moved per step, averaged over every attempt (${formatCount(steps.upSteps, 0)} successful and ${formatCount(steps.downSteps, 0)} failed steps). Climbs ${steps.overshoot === 'success' ? 'may pass' : 'are clamped at'} the target and falls stop at 0.">
+        <div class="stat-label">Mean Step Size (up / down)</div>
+        <div class="stat-value">+${mean(steps.meanUp)} / −${mean(steps.meanDown)}</div>
+        <div class="stat-label">configured +${steps.successLabel} / −${steps.failureLabel}</div>
+      </div>
+    `;
+  }
+
+  /**
+   * Time and history modifiers of the results, or null when P(increment)
+   * depended on the counter value alone
+   * @private
+   */
+  _modifiers(results) {
+    if (!results?.timeModifier || hasStaticProbability(results)) return null;
+    return {
+      timeModifier: results.timeModifier,
+      timeModifierParams: results.timeModifierParams,
+      historyModifier: results.historyModifier,
+      historyModifierParams: results.historyModifierParams,
+      label: describeModifiers(results)
+    };
+  }
+
+  /**
+   * Render the modifiers line - these runs are not comparable with the exact solution
+   * @private
+   */
+  _renderModifiersCard(stats) {
+    if (!stats.modifiers) return '';
+
+    return `
+      <div class="stat-card stat-card-wide" title="P(increment) also depended on the iteration index or on recent outcomes, so there is no exact solution to compare with">
+        <div class="stat-label">Probability Modifiers</div>
+        <div class="stat-value">${stats.modifiers.label}</div>
+      </div>
+    `;
+  }
+
+  /**
+   * Confidence intervals of the efficiency, the hitting time and the run time,
+   * and a verdict on whether more runs would still move them
+   * @param {Object} results - Simulation results
+   * @param {Array<number>} steps - Steps of every successful run
+   * @param {Object|null} rareEvent - Rare-event estimate, whose own error bar then replaces the plain intervals
+   * @private
+   */
+  _uncertainty(results, steps, rareEvent) {
+    const attempts = results?.allAttempts || [];
+    if (attempts.length === 0) return null;
+
+    const runTime = meanWithStandardError(attempts.map((attempt) => attempt.timeMs));
+    if (rareEvent) {
+      // Tilted draws: plain intervals would describe the tilted process, not the real one
+      return {
+        efficiency: null,
+        meanSteps: null,
+        medianSteps: null,
+        runTimeStandardError: runTime.standardError,
+        precision: this._precision([rareEvent.relativeError ?? Infinity], rareEvent.successes)
+      };
+    }
+
+    const successes = steps.length;
+    const efficiency = {
+      standardError: proportionStandardError(successes, attempts.length),
+      wilson: wilsonInterval(successes, attempts.length),
+      clopperPearson: clopperPearsonInterval(successes, attempts.length)
+    };
+    const mean = meanWithStandardError(steps);
+    const bootstrap = bootstrapIntervals(steps);
+
+    // Relative 95% half-widths; Infinity while there is too little to go on
+    const halfWidth = ([lower, upper], value) => (value > 0 ? (upper - lower) / 2 / value : Infinity);
+    const relativeErrors = [
+      successes > 0 ? halfWidth(efficiency.wilson, successes / attempts.length) : Infinity,
+      bootstrap ? halfWidth(bootstrap.mean, mean.mean) : Infinity
+    ];
+
+    return {
+      efficiency,
+      meanSteps: successes > 0 ? {
+        standardError: mean.standardError,
+        interval: bootstrap ? bootstrap.mean : null
+      } : null,
+      medianSteps: bootstrap ? { interval: bootstrap.median } : null,
+      bootstrapResamples: bootstrap ? bootstrap.resamples : 0,
+      runTimeStandardError: runTime.standardError,
+      precision: this._precision(relativeErrors, successes)
+    };
+  }
+
+  /**
+   * Rate how settled the estimates are from their widest relative half-width
+   * @param {Array<number>} relativeErrors - Relative 95% half-widths of the estimates
+   * @param {number} successes - Successful runs behind them
+   * @returns {Object} { level: 'high'|'moderate'|'low', relativeError, successesForTarget }
+   * @private
+   */
+  _precision(relativeErrors, successes) {
+    const relativeError = Math.max(...relativeErrors.map((error) => (Number.isFinite(error) ? error : Infinity)));
+    const level = relativeError <= HIGH_PRECISION ? 'high' : relativeError <= MODERATE_PRECISION ? 'moderate' : 'low';
+
+    // Half-widths shrink with 1/√n, so this many successes would bring the widest one to the target
+    const successesForTarget = Number.isFinite(relativeError) && relativeError > TARGET_PRECISION
+      ? Math.ceil(successes * (relativeError / TARGET_PRECISION) ** 2)
+      : null;
+
+    return { level, relativeError, successesForTarget };
+  }
+
+  /**
+   * Render how settled the estimates are
+   * @private
+   */
+  _renderPrecisionCard(stats) {
+    const precision = stats.uncertainty?.precision;
+    if (!precision) return '';
+
+    const error = Number.isFinite(precision.relativeError) ? `±${formatPercent(precision.relativeError)}` : 'unknown';
+    const more = precision.successesForTarget
+      ? ` about ${formatCount(precision.successesForTarget, 0)} successful runs would narrow them to ±${formatPercent(TARGET_PRECISION)}`
+      : '';
+    const text = {
+      high: `High - estimates within ${error}; more runs would barely change them`,
+      moderate: `Moderate - estimates within ${error};${more || ' more runs would only refine them'}`,
+      low: `Low - estimates within ${error}; more runs would noticeably change the picture${more ? ` (${more.trim()})` : ''}`
+    }[precision.level];
+    const color = { high: '#2e7d32', moderate: '#f57c00', low: '#d32f2f' }[precision.level];
+
+    return `
+      <div class="stat-card stat-card-wide" title="Widest relative 95% confidence half-width of the efficiency and the mean steps to target">
+        <div class="stat-label">Precision</div>
+        <div class="stat-value" style="color: ${color}">${text}</div>
+      </div>
+    `;
+  }
+
+  /**
+   * Configured stopping rules of the results, or null when the success target was the only one
+   * @private
+   */
+  _stopping(results) {
+    const label = describeStoppingSettings(results?.stopping);
+    if (!label) return null;
+    return {
+      label,
+      stoppedBy: results.stopReason === 'rules' ? describeStoppedBy(results.stoppedBy) : null
+    };
+  }
+
+  /**
+   * Render the stopping rules and the one that ended the simulation
+   * @private
+   */
+  _renderStoppingCard(stats) {
+    if (!stats.stopping) return '';
+
+    const outcome = stats.stopping.stoppedBy ? `stopped by ${stats.stopping.stoppedBy}` : 'not met';
+    return `
+      <div class="stat-card stat-card-wide" title="Rules that end the simulation besides the success target">
+        <div class="stat-label">Stopping Rules</div>
+        <div class="stat-value">${stats.stopping.label} · ${outcome}</div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the seed/generator line shown under the stats
+   * @private
+   */
+  _renderSeedCard(stats) {
+    if (!stats.rngAlgorithm) return '';
+
+    const generatorName = RNG_ALGORITHMS[stats.rngAlgorithm]?.name || stats.rngAlgorithm;
+    const seedText = stats.seed !== null
+      ? `Seed ${String(stats.seed).replace(/[&<>"]/g, (c) => `&#${c.charCodeAt(0)};`)} · ${generatorName}`
+      : `${generatorName} · not reproducible`;
+
+    return `
+      <div class="stat-card stat-card-wide" title="Enter this seed and generator to reproduce the run">
+        <div class="stat-value">${seedText}</div>
       </div>
     `;
   }
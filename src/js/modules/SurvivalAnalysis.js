@@ -0,0 +1,144 @@
+/**
+ * Kaplan-Meier estimate of P(a run has not finished by step t)
+ *
+ * Successful runs are events at their step count. Runs cut off at the
+ * iteration limit (or cancelled) are right-censored there: they were still
+ * under way and might have finished later. Absorbed runs never finish, so
+ * they stay at risk for good and the curve levels off at the absorption
+ * probability instead of falling to 0. The path-length statistics only see
+ * the successes, which makes hard parameters look faster than they are;
+ * this estimate counts every attempt.
+ *
+ * Intervals are pointwise 95% log-log intervals from Greenwood's variance.
+ * In rare-event mode every attempt carries its likelihood-ratio weight and
+ * the intervals are left out, since Greenwood's formula assumes plain counts.
+ */
+import { CONFIDENCE_Z } from '../utils/ConfidenceIntervals.js';
+
+export class SurvivalAnalysis {
+  /**
+   * Estimate the survival curve of a set of results
+   * @param {Object} results - Simulation results (every attempt is used)
+   * @returns {Object|null} Curve and summary (see below), or null without attempts
+   */
+  estimate(results) {
+    const attempts = results?.allAttempts || [];
+    if (attempts.length === 0) return null;
+
+    const weighted = Boolean(results.rareEventFloor);
+    const maxLogWeight = weighted ? attempts.reduce((max, attempt) => Math.max(max, attempt.logWeight), -Infinity) : 0;
+    const observations = attempts
+      .map((attempt) => ({
+        // Absorbed runs are never going to finish
+        time: attempt.absorbed ? Infinity : attempt.iterations,
+        event: attempt.completed,
+        weight: weighted ? Math.exp(attempt.logWeight - maxLogWeight) : 1
+      }))
+      .sort((a, b) => a.time - b.time);
+
+    const times = [];
+    const survival = [];
+    const lower = [];
+    const upper = [];
+    const atRisk = [];
+    const censoredTimes = [];
+    let risk = observations.reduce((sum, observation) => sum + observation.weight, 0);
+    const total = risk;
+    let current = 1;
+    let greenwood = 0;
+
+    // Events at a time come before the censorings at that time
+    for (let i = 0; i < observations.length && observations[i].time !== Infinity;) {
+      const time = observations[i].time;
+      let events = 0;
+      let censored = 0;
+      let censoredRuns = 0;
+      for (; i < observations.length && observations[i].time === time; i++) {
+        if (observations[i].event) {
+          events += observations[i].weight;
+        } else {
+          censored += observations[i].weight;
+          censoredRuns++;
+        }
+      }
+
+      if (events > 0) {
+        current *= 1 - events / risk;
+        greenwood += risk > events ? events / (risk * (risk - events)) : Infinity;
+        const [low, high] = weighted ? [NaN, NaN] : this._interval(current, greenwood);
+        times.push(time);
+        survival.push(current);
+        lower.push(low);
+        upper.push(high);
+        atRisk.push(risk);
+      }
+      if (censoredRuns > 0) {
+        censoredTimes.push({ time, runs: censoredRuns, survival: current });
+      }
+      risk -= events + censored;
+    }
+
+    const counts = { events: 0, censored: 0, absorbed: 0 };
+    attempts.forEach((attempt) => {
+      if (attempt.completed) counts.events++;
+      else if (attempt.absorbed) counts.absorbed++;
+      else counts.censored++;
+    });
+
+    const lastTime = Math.max(times.length > 0 ? times[times.length - 1] : 0,
+      censoredTimes.length > 0 ? censoredTimes[censoredTimes.length - 1].time : 0);
+    const last = survival.length - 1;
+
+    return {
+      weighted,
+      attempts: attempts.length,
+      ...counts,
+      times,
+      survival,
+      lower: weighted ? null : lower,
+      upper: weighted ? null : upper,
+      atRisk: atRisk.map((value) => (value / total) * attempts.length),
+      censoredTimes,
+      lastTime,
+      // Longest time the curve covers, and P(finished within it)
+      finishedByLast: {
+        steps: lastTime,
+        probability: last >= 0 ? 1 - survival[last] : 0,
+        interval: last >= 0 && !weighted ? [1 - upper[last], 1 - lower[last]] : null
+      },
+      median: this._median(times, survival, weighted ? null : lower, weighted ? null : upper, lastTime)
+    };
+  }
+
+  /**
+   * Log-log interval of a survival probability
+   * @private
+   */
+  _interval(survival, greenwood) {
+    if (survival <= 0 || survival >= 1 || !Number.isFinite(greenwood)) return [survival, survival];
+    const logSurvival = Math.log(survival);
+    const spread = Math.exp((CONFIDENCE_Z * Math.sqrt(greenwood)) / Math.abs(logSurvival));
+    return [Math.pow(survival, spread), Math.pow(survival, 1 / spread)];
+  }
+
+  /**
+   * First step at which the curve (and its bands) reach 1/2; a median the
+   * curve never reaches is reported as "beyond the last observed step"
+   * @private
+   */
+  _median(times, survival, lower, upper, lastTime) {
+    const firstAtHalf = (curve) => {
+      if (!curve) return null;
+      const index = curve.findIndex((value) => value <= 0.5);
+      return index >= 0 ? times[index] : Infinity;
+    };
+    const steps = firstAtHalf(survival);
+    return {
+      steps,
+      reached: steps !== Infinity,
+      lastTime,
+      // The lower band reaches 1/2 first, the upper band last
+      interval: lower ? [firstAtHalf(lower), firstAtHalf(upper)] : null
+    };
+  }
+}
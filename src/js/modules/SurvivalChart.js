@@ -0,0 +1,290 @@
+/**
+ * Kaplan-Meier chart: P(a run has not finished by step t) over all attempts
+ *
+ * The curve steps down at every success, the shaded band is its pointwise
+ * 95% interval, ticks mark the runs censored at a limit and the dashed line
+ * the median. Absorbed runs keep the curve above 0 for good.
+ */
+import { formatCount, formatPercent } from '../utils/Formatters.js';
+
+const CURVE_COLOR = "#7c3aed";
+const CENSORED_COLOR = "#64748b";
+
+export class SurvivalChart {
+  /**
+   * @param {HTMLCanvasElement} canvas - Canvas to draw on
+   */
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext("2d");
+    this.margin = { top: 20, right: 20, bottom: 45, left: 55 };
+
+    this.estimate = null;
+    this.logX = false;
+    this.range = null;
+
+    this.canvas.addEventListener('mousemove', (e) => {
+      const time = this._timeAt(e);
+      this.canvas.title = time === null ? '' : this._describeTime(time);
+    });
+  }
+
+  /**
+   * Draw an estimate
+   * @param {Object|null} estimate - From SurvivalAnalysis.estimate
+   * @param {boolean} logX - Logarithmic step axis
+   * @param {Object|null} range - Only show the steps { start, end }, e.g. those of the zoomed main view
+   */
+  draw(estimate, logX = false, range = null) {
+    this.estimate = estimate;
+    this.logX = logX;
+    this.range = range;
+
+    const ctx = this.ctx;
+    ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    if (!estimate || estimate.lastTime === 0) {
+      ctx.font = "14px Arial";
+      ctx.fillStyle = "#999";
+      ctx.textAlign = "center";
+      ctx.fillText("No attempts to show", this.canvas.width / 2, this.canvas.height / 2);
+      return;
+    }
+
+    const { plotWidth, plotHeight } = this._layout();
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(this.margin.left, this.margin.top, plotWidth, plotHeight);
+    ctx.clip();
+    if (estimate.lower) {
+      this._drawBand();
+    }
+    this._drawCurve();
+    this._drawCensored();
+    this._drawMedian();
+    ctx.restore();
+
+    this._drawAxes(plotWidth, plotHeight);
+  }
+
+  /**
+   * Shaded interval, stepping with the curve
+   * @private
+   */
+  _drawBand() {
+    const ctx = this.ctx;
+    const { times, lower, upper, lastTime } = this.estimate;
+    const ends = times.map((_, i) => (i + 1 < times.length ? times[i + 1] : lastTime));
+
+    ctx.fillStyle = CURVE_COLOR;
+    ctx.globalAlpha = 0.15;
+    ctx.beginPath();
+    times.forEach((time, i) => {
+      ctx.lineTo(this._x(time), this._y(upper[i]));
+      ctx.lineTo(this._x(ends[i]), this._y(upper[i]));
+    });
+    for (let i = times.length - 1; i >= 0; i--) {
+      ctx.lineTo(this._x(ends[i]), this._y(lower[i]));
+      ctx.lineTo(this._x(times[i]), this._y(lower[i]));
+    }
+    ctx.closePath();
+    ctx.fill();
+    ctx.globalAlpha = 1;
+  }
+
+  /**
+   * Step curve from 1 at step 0 to the last observed step
+   * @private
+   */
+  _drawCurve() {
+    const ctx = this.ctx;
+    const { times, survival, lastTime } = this.estimate;
+    ctx.strokeStyle = CURVE_COLOR;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(this._x(0), this._y(1));
+    let current = 1;
+    times.forEach((time, i) => {
+      ctx.lineTo(this._x(time), this._y(current));
+      current = survival[i];
+      ctx.lineTo(this._x(time), this._y(current));
+    });
+    ctx.lineTo(this._x(lastTime), this._y(current));
+    ctx.stroke();
+  }
+
+  /**
+   * Tick marks where runs were censored
+   * @private
+   */
+  _drawCensored() {
+    const ctx = this.ctx;
+    ctx.strokeStyle = CENSORED_COLOR;
+    ctx.lineWidth = 1.5;
+    this.estimate.censoredTimes.forEach(({ time, survival }) => {
+      const x = this._x(time);
+      const y = this._y(survival);
+      ctx.beginPath();
+      ctx.moveTo(x, y - 5);
+      ctx.lineTo(x, y + 5);
+      ctx.stroke();
+    });
+  }
+
+  /**
+   * Dashed line at 1/2 down to the median
+   * @private
+   */
+  _drawMedian() {
+    const ctx = this.ctx;
+    const { median, lastTime } = this.estimate;
+    const y = this._y(0.5);
+    const end = median.reached ? this._x(median.steps) : this._x(lastTime);
+
+    ctx.save();
+    ctx.strokeStyle = "#16a34a";
+    ctx.lineWidth = 1;
+    ctx.setLineDash([4, 3]);
+    ctx.beginPath();
+    ctx.moveTo(this.margin.left, y);
+    ctx.lineTo(end, y);
+    if (median.reached) {
+      ctx.lineTo(end, this._y(0));
+    }
+    ctx.stroke();
+    ctx.restore();
+
+    ctx.fillStyle = "#16a34a";
+    ctx.font = "11px Arial";
+    ctx.textAlign = "left";
+    const label = median.reached ? `median ${formatCount(median.steps, 0)}` : `median > ${formatCount(lastTime, 0)}`;
+    ctx.fillText(label, Math.min(end + 5, this.canvas.width - this.margin.right - 90), y - 5);
+  }
+
+  /**
+   * Plot area size
+   * @private
+   */
+  _layout() {
+    return {
+      plotWidth: this.canvas.width - this.margin.left - this.margin.right,
+      plotHeight: this.canvas.height - this.margin.top - this.margin.bottom
+    };
+  }
+
+  /**
+   * Horizontal position of a step (step + 1 on the log axis, so step 0 fits)
+   * @private
+   */
+  _x(time) {
+    const { plotWidth } = this._layout();
+    const [first, last] = this._steps();
+    const scale = (value) => (this.logX ? Math.log10(value + 1) : value);
+    return this.margin.left + ((scale(time) - scale(first)) / (scale(last) - scale(first))) * plotWidth;
+  }
+
+  /**
+   * First and last step on the axis
+   * @private
+   */
+  _steps() {
+    return this.range ? [this.range.start, this.range.end] : [0, this.estimate.lastTime];
+  }
+
+  /**
+   * Vertical position of a probability
+   * @private
+   */
+  _y(probability) {
+    const { plotHeight } = this._layout();
+    return this.margin.top + plotHeight - probability * plotHeight;
+  }
+
+  /**
+   * Draw tick labels and axis titles
+   * @private
+   */
+  _drawAxes(plotWidth, plotHeight) {
+    const ctx = this.ctx;
+    const [first, last] = this._steps();
+    ctx.strokeStyle = "#333";
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(this.margin.left, this.margin.top);
+    ctx.lineTo(this.margin.left, this.margin.top + plotHeight);
+    ctx.lineTo(this.margin.left + plotWidth, this.margin.top + plotHeight);
+    ctx.stroke();
+
+    ctx.fillStyle = "#666";
+    ctx.font = "10px Arial";
+    ctx.textAlign = "center";
+    const powers = Array.from({ length: Math.floor(Math.log10(last + 1)) + 1 }, (_, power) => Math.pow(10, power) - 1)
+      .filter((time) => time >= first);
+    // A narrow zoom may hold fewer than two powers of ten
+    const ticks = this.logX && powers.length >= 2
+      ? powers
+      : Array.from({ length: 6 }, (_, i) => Math.round(first + ((last - first) * i) / 5));
+    ticks.forEach((time) => {
+      ctx.fillText(formatCount(time, 0), this._x(time), this.margin.top + plotHeight + 15);
+    });
+
+    ctx.textAlign = "right";
+    [0, 0.25, 0.5, 0.75, 1].forEach((probability) => {
+      ctx.fillText(formatPercent(probability), this.margin.left - 5, this._y(probability) + 3);
+    });
+
+    const { events, censored, absorbed } = this.estimate;
+    ctx.font = "12px Arial";
+    ctx.fillStyle = "#333";
+    ctx.textAlign = "center";
+    ctx.fillText(
+      `Steps${this.range ? ' (zoomed with the view above)' : ''} · ${formatCount(events, 0)} successes, ${formatCount(censored, 0)} censored (ticks), ${formatCount(absorbed, 0)} absorbed`,
+      this.margin.left + plotWidth / 2,
+      this.canvas.height - 8
+    );
+    ctx.save();
+    ctx.translate(15, this.margin.top + plotHeight / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.fillText("P(not finished)", 0, 0);
+    ctx.restore();
+  }
+
+  /**
+   * Step under the mouse, if any
+   * @private
+   */
+  _timeAt(e) {
+    if (!this.estimate || this.estimate.lastTime === 0) return null;
+
+    const rect = this.canvas.getBoundingClientRect();
+    // The canvas may be scaled by CSS
+    const canvasX = (e.clientX - rect.left) * (this.canvas.width / rect.width);
+    const { plotWidth } = this._layout();
+    const t = (canvasX - this.margin.left) / plotWidth;
+    if (t < 0 || t > 1) return null;
+
+    const [first, last] = this._steps();
+    return Math.round(this.logX
+      ? Math.pow(first + 1, 1 - t) * Math.pow(last + 1, t) - 1
+      : first + t * (last - first));
+  }
+
+  /**
+   * Tooltip text for a step
+   * @private
+   */
+  _describeTime(time) {
+    const { times, survival, lower, upper, atRisk } = this.estimate;
+    // Last success at or before the step
+    let low = -1;
+    let high = times.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (times[middle] <= time) low = middle; else high = middle - 1;
+    }
+    if (low < 0) return `Step ${formatCount(time, 0)}: no run finished yet`;
+
+    const interval = lower ? ` (95% CI ${formatPercent(lower[low])} – ${formatPercent(upper[low])})` : '';
+    return `Step ${formatCount(time, 0)}: P(not finished) ${formatPercent(survival[low])}${interval}\n` +
+      `${formatCount(atRisk[low], 0)} runs still under way at step ${formatCount(times[low], 0)}`;
+  }
+}
@@ -0,0 +1,215 @@
+/**
+ * Efficiency / hitting-time map of a parameter sweep
+ *
+ * Columns are decay factors, rows are initial probabilities (lowest at the
+ * bottom) and one target value is shown at a time. The hot end of the color
+ * ramp is always the good end of the metric. Clicking a cell hands it to the
+ * select callback so the main view can load its parameters.
+ */
+import { SWEEP_METRICS, DEFAULT_SWEEP_METRIC } from './ParameterSweep.js';
+import { heatColor } from '../utils/ColorScale.js';
+
+export class SweepHeatmap {
+  /**
+   * @param {HTMLCanvasElement} canvas - Canvas to draw on
+   * @param {Function} onSelect - Called with the clicked cell
+   */
+  constructor(canvas, onSelect) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext("2d");
+    this.margin = { top: 20, right: 20, bottom: 45, left: 55 };
+    this.onSelect = onSelect;
+
+    this.sweep = null;
+    this.metricKey = DEFAULT_SWEEP_METRIC;
+    this.maxValue = null;
+
+    this.canvas.addEventListener('click', (e) => {
+      const cell = this._cellAt(e);
+      if (cell && cell.status === 'done') {
+        this.onSelect(cell);
+      }
+    });
+    this.canvas.addEventListener('mousemove', (e) => {
+      const cell = this._cellAt(e);
+      this.canvas.title = cell ? this._describeCell(cell) : '';
+      this.canvas.style.cursor = cell && cell.status === 'done' ? 'pointer' : 'default';
+    });
+  }
+
+  /**
+   * Draw a sweep
+   * @param {Object} sweep - Results from ParameterSweep.run (may be partial)
+   * @param {string} metricKey - Key from SWEEP_METRICS
+   * @param {number} maxValue - Target value whose slice is shown
+   */
+  draw(sweep, metricKey, maxValue) {
+    this.sweep = sweep;
+    this.metricKey = SWEEP_METRICS[metricKey] ? metricKey : DEFAULT_SWEEP_METRIC;
+    this.maxValue = maxValue;
+
+    const ctx = this.ctx;
+    ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    if (!sweep) return;
+
+    const metric = SWEEP_METRICS[this.metricKey];
+    const { decayFactors, initialProbs } = sweep;
+    const { plotWidth, plotHeight, cellWidth, cellHeight } = this._layout();
+    const slice = this._sliceCells();
+
+    // Normalize over the cells of this slice that have a value
+    const transform = (value) => (metric.logScale ? Math.log10(Math.max(value, 1)) : value);
+    const values = slice.map((cell) => this._metricValue(cell)).filter((value) => value !== null).map(transform);
+    const low = Math.min(...values);
+    const high = Math.max(...values);
+    const normalize = (value) => {
+      const t = high > low ? (transform(value) - low) / (high - low) : 1;
+      return metric.higherIsBetter ? t : 1 - t;
+    };
+
+    let best = null;
+    ctx.font = "10px Arial";
+    ctx.textAlign = "center";
+    slice.forEach((cell) => {
+      const x = this.margin.left + decayFactors.indexOf(cell.decayFactor) * cellWidth;
+      const y = this.margin.top + plotHeight - (initialProbs.indexOf(cell.initialProb) + 1) * cellHeight;
+      const value = this._metricValue(cell);
+
+      if (cell.status !== 'done') {
+        ctx.fillStyle = "#eee";
+      } else if (value === null) {
+        ctx.fillStyle = "#444";
+      } else {
+        const t = normalize(value);
+        ctx.fillStyle = heatColor(t);
+        if (!best || t > best.t) best = { x, y, t };
+      }
+      ctx.fillRect(x, y, cellWidth - 1, cellHeight - 1);
+
+      // Values only fit into reasonably large cells
+      if (cell.status === 'done' && cellWidth >= 50 && cellHeight >= 18) {
+        ctx.fillStyle = value === null ? "#ccc" : "#fff";
+        ctx.fillText(value === null ? 'no successes' : metric.format(value), x + cellWidth / 2, y + cellHeight / 2 + 3);
+      }
+    });
+
+    if (best) {
+      ctx.strokeStyle = "#111";
+      ctx.lineWidth = 2;
+      ctx.strokeRect(best.x + 1, best.y + 1, cellWidth - 3, cellHeight - 3);
+    }
+
+    this._drawAxes(plotWidth, plotHeight, cellWidth, cellHeight, metric);
+  }
+
+  /**
+   * Cells of the shown target value
+   * @private
+   */
+  _sliceCells() {
+    return this.sweep.cells.filter((cell) => cell.maxValue === this.maxValue);
+  }
+
+  /**
+   * Metric value of a cell, or null if it has none
+   * @private
+   */
+  _metricValue(cell) {
+    if (cell.status !== 'done') return null;
+    const value = SWEEP_METRICS[this.metricKey].value(cell);
+    return Number.isFinite(value) ? value : null;
+  }
+
+  /**
+   * Plot area and cell sizes
+   * @private
+   */
+  _layout() {
+    const plotWidth = this.canvas.width - this.margin.left - this.margin.right;
+    const plotHeight = this.canvas.height - this.margin.top - this.margin.bottom;
+    return {
+      plotWidth,
+      plotHeight,
+      cellWidth: plotWidth / this.sweep.decayFactors.length,
+      cellHeight: plotHeight / this.sweep.initialProbs.length
+    };
+  }
+
+  /**
+   * Draw tick labels and axis titles
+   * @private
+   */
+  _drawAxes(plotWidth, plotHeight, cellWidth, cellHeight, metric) {
+    const ctx = this.ctx;
+    const { decayFactors, initialProbs } = this.sweep;
+    ctx.fillStyle = "#666";
+    ctx.font = "10px Arial";
+
+    // Thin out the labels so they do not overlap
+    const xEvery = Math.ceil(40 / cellWidth);
+    ctx.textAlign = "center";
+    decayFactors.forEach((value, index) => {
+      if (index % xEvery !== 0) return;
+      ctx.fillText(String(value), this.margin.left + (index + 0.5) * cellWidth, this.margin.top + plotHeight + 15);
+    });
+
+    const yEvery = Math.ceil(14 / cellHeight);
+    ctx.textAlign = "right";
+    initialProbs.forEach((value, index) => {
+      if (index % yEvery !== 0) return;
+      ctx.fillText(String(value), this.margin.left - 5, this.margin.top + plotHeight - (index + 0.5) * cellHeight + 3);
+    });
+
+    ctx.font = "12px Arial";
+    ctx.fillStyle = "#333";
+    ctx.textAlign = "center";
+    ctx.fillText(
+      `Decay Factor · ${metric.label} at target ${this.maxValue} (outlined: best)`,
+      this.margin.left + plotWidth / 2,
+      this.canvas.height - 8
+    );
+    ctx.save();
+    ctx.translate(15, this.margin.top + plotHeight / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.fillText("Initial Probability", 0, 0);
+    ctx.restore();
+  }
+
+  /**
+   * Cell under the mouse, if any
+   * @private
+   */
+  _cellAt(e) {
+    if (!this.sweep) return null;
+
+    const rect = this.canvas.getBoundingClientRect();
+    // The canvas may be scaled by CSS
+    const canvasX = (e.clientX - rect.left) * (this.canvas.width / rect.width);
+    const canvasY = (e.clientY - rect.top) * (this.canvas.height / rect.height);
+    const { plotHeight, cellWidth, cellHeight } = this._layout();
+
+    const column = Math.floor((canvasX - this.margin.left) / cellWidth);
+    const row = Math.floor((this.margin.top + plotHeight - canvasY) / cellHeight);
+    const decayFactor = this.sweep.decayFactors[column];
+    const initialProb = this.sweep.initialProbs[row];
+    if (decayFactor === undefined || initialProb === undefined) return null;
+
+    return this._sliceCells().find((cell) =>
+      cell.decayFactor === decayFactor && cell.initialProb === initialProb) || null;
+  }
+
+  /**
+   * Tooltip text for a cell
+   * @private
+   */
+  _describeCell(cell) {
+    const head = `initialProb ${cell.initialProb} · decay ${cell.decayFactor} · target ${cell.maxValue}`;
+    if (cell.status !== 'done') return `${head}\nNot simulated (sweep stopped first)`;
+
+    const meanSteps = cell.meanSteps === null ? 'N/A' : SWEEP_METRICS.meanSteps.format(cell.meanSteps);
+    return `${head}\n` +
+      `Efficiency ${SWEEP_METRICS.efficiency.format(cell.efficiency)} (${cell.successes} successes in ${cell.attempts} attempts)\n` +
+      `Mean hitting time ${meanSteps}\n` +
+      'Click to load these parameters';
+  }
+}
@@ -0,0 +1,83 @@
+/**
+ * Empirical transition probabilities per level against the configured model
+ *
+ * From the TransitionCounter of a set of results, the share of steps from
+ * level k that went up estimates P(up | k). A successful step always moves
+ * up and a failed one never does, whatever the step sizes and failure mode,
+ * so this is directly comparable to the model's P(increment | k), capped to
+ * [0, 1]. Each estimate gets a 95% Wilson interval and a z score against the
+ * model; about 5% of the levels miss by chance alone.
+ *
+ * Rare-event runs are drawn with the tilted probability, so they are checked
+ * against the tilt rather than the model. Time and history modifiers make
+ * P(up) depend on more than the level; the model curve then only shows the
+ * unmodified rule and deviations are expected.
+ */
+import { createProbabilityFunction, getProbabilityModel } from '../models/ProbabilityModels.js';
+import { DEFAULT_TIME_MODIFIER, DEFAULT_HISTORY_MODIFIER } from '../models/ProbabilityModifiers.js';
+import { wilsonInterval } from '../utils/ConfidenceIntervals.js';
+import { createImportanceTilt } from './RareEventEstimator.js';
+
+export class TransitionAnalysis {
+  /**
+   * Compare the counted moves of a set of results with its model
+   * @param {Object} results - Simulation results carrying transitions and the model settings
+   * @param {number} maxValue - Target value
+   * @returns {Object|null} { levels, counter, formula, tilted, modified, checked, outside, largestDeviation },
+   *   where levels[k] is { level, up, stay, down, total, observed, interval, model, drawn, deviation, outside };
+   *   null when no moves were counted
+   */
+  estimate(results, maxValue) {
+    const counter = results?.transitions;
+    if (!counter || counter.runCount === 0) return null;
+
+    const probability = createProbabilityFunction(results.model, results.modelParams, maxValue);
+    const tilt = createImportanceTilt(results.rareEventFloor);
+
+    // Runs end on reaching the target, so only the levels below it have moves
+    const levels = [];
+    for (let level = 0; level < maxValue; level++) {
+      const moves = counter.moves(level);
+      const model = Math.max(0, Math.min(1, probability(level)));
+      const drawn = tilt ? tilt(model) : model;
+      const interval = wilsonInterval(moves.up, moves.total);
+      levels.push({
+        level,
+        ...moves,
+        observed: moves.total > 0 ? moves.up / moves.total : null,
+        interval,
+        model,
+        drawn,
+        deviation: this._deviation(moves.up, moves.total, drawn),
+        outside: interval !== null && (drawn < interval[0] || drawn > interval[1])
+      });
+    }
+
+    const checked = levels.filter((entry) => entry.total > 0);
+    return {
+      levels,
+      counter,
+      formula: getProbabilityModel(results.model).formula(results.modelParams),
+      tilted: Boolean(tilt),
+      modified: (results.timeModifier || DEFAULT_TIME_MODIFIER) !== DEFAULT_TIME_MODIFIER ||
+        (results.historyModifier || DEFAULT_HISTORY_MODIFIER) !== DEFAULT_HISTORY_MODIFIER,
+      checked: checked.length,
+      outside: checked.filter((entry) => entry.outside).length,
+      largestDeviation: checked.reduce((largest, entry) =>
+        (largest === null || Math.abs(entry.deviation) > Math.abs(largest.deviation) ? entry : largest), null)
+    };
+  }
+
+  /**
+   * z score of the up moves against the binomial count the model predicts
+   * @private
+   */
+  _deviation(up, total, probability) {
+    if (total === 0) return 0;
+    const expected = total * probability;
+    const variance = expected * (1 - probability);
+    if (variance > 0) return (up - expected) / Math.sqrt(variance);
+    // A certain outcome: any other count is impossible under the model
+    return up === expected ? 0 : Math.sign(up - expected) * Infinity;
+  }
+}
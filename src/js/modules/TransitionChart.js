@@ -0,0 +1,295 @@
+/**
+ * Empirical transitions against the configured model
+ *
+ * Left: P(up | level) as counted, with 95% Wilson error bars, over the
+ * model's curve (and the tilted curve the steps were actually drawn with in
+ * rare-event mode). Levels whose interval misses the curve are drawn in red.
+ * Right: the full empirical transition matrix, each row normalized to the
+ * share of the steps from that level landing on each level.
+ */
+import { heatColor } from '../utils/ColorScale.js';
+import { formatCount, formatPercent } from '../utils/Formatters.js';
+
+const OBSERVED_COLOR = "#7c3aed";
+const OUTSIDE_COLOR = "#dc2626";
+const MODEL_COLOR = "#16a34a";
+const DRAWN_COLOR = "#d97706";
+const EMPTY_ROW_COLOR = "#f1f5f9";
+
+// Space between the curve and the matrix, room for the matrix's row labels
+const PANEL_GAP = 70;
+
+export class TransitionChart {
+  /**
+   * @param {HTMLCanvasElement} canvas - Canvas to draw on
+   */
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext("2d");
+    this.margin = { top: 25, right: 20, bottom: 45, left: 55 };
+
+    this.estimate = null;
+
+    this.canvas.addEventListener('mousemove', (e) => {
+      this.canvas.title = this.estimate ? this._describePoint(e) : '';
+    });
+  }
+
+  /**
+   * Draw an estimate
+   * @param {Object|null} estimate - From TransitionAnalysis.estimate
+   */
+  draw(estimate) {
+    this.estimate = estimate;
+
+    const ctx = this.ctx;
+    ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    if (!estimate || estimate.checked === 0) {
+      ctx.font = "14px Arial";
+      ctx.fillStyle = "#999";
+      ctx.textAlign = "center";
+      ctx.fillText("No moves to show", this.canvas.width / 2, this.canvas.height / 2);
+      return;
+    }
+
+    this._drawCurvePanel();
+    this._drawMatrix();
+  }
+
+  /**
+   * Write the model check below the chart
+   * @param {HTMLElement} container - Element to fill
+   */
+  renderSummary(container) {
+    const estimate = this.estimate;
+    if (!estimate || estimate.checked === 0) {
+      container.innerHTML = '';
+      return;
+    }
+
+    const lines = [
+      `Model: P(up | counter) = ${estimate.formula}${estimate.tilted ? ' - steps drawn with the rare-event tilt (orange), checked against it' : ''}`,
+      `${estimate.outside} of ${estimate.checked} levels have the ${estimate.tilted ? 'tilted' : 'model'} probability outside ` +
+        `their 95% interval (about ${formatCount(0.05 * estimate.checked, 1)} expected by chance)`
+    ];
+    const largest = estimate.largestDeviation;
+    if (largest) {
+      lines.push(`Largest deviation: level ${largest.level}, observed ${formatPercent(largest.observed)} vs ` +
+        `${formatPercent(largest.drawn)} (z = ${Number.isFinite(largest.deviation) ? largest.deviation.toFixed(2) : '∞'}, ` +
+        `${formatCount(largest.total, 0)} steps)`);
+    }
+    if (estimate.modified) {
+      lines.push('Time or history modifiers are active: the curve shows the unmodified model, so deviations are expected');
+    }
+    const moves = estimate.levels.reduce((sum, entry) => sum + entry.total, 0);
+    lines.push(`${formatCount(moves, 0)} moves counted over ${formatCount(estimate.counter.runCount, 0)} runs`);
+
+    container.innerHTML = lines.map((line) => `<div class="stat-exact">${line}</div>`).join('');
+  }
+
+  /**
+   * Sizes and positions of the two panels
+   * @private
+   */
+  _layout() {
+    const plotHeight = this.canvas.height - this.margin.top - this.margin.bottom;
+    const matrixSize = plotHeight;
+    const matrixLeft = this.canvas.width - this.margin.right - matrixSize;
+    return {
+      plotHeight,
+      curveWidth: matrixLeft - PANEL_GAP - this.margin.left,
+      matrixSize,
+      matrixLeft
+    };
+  }
+
+  /**
+   * Horizontal center of a level in the curve panel
+   * @private
+   */
+  _x(level) {
+    const { curveWidth } = this._layout();
+    return this.margin.left + ((level + 0.5) / this.estimate.levels.length) * curveWidth;
+  }
+
+  /**
+   * Vertical position of a probability in the curve panel
+   * @private
+   */
+  _y(probability) {
+    const { plotHeight } = this._layout();
+    return this.margin.top + plotHeight - probability * plotHeight;
+  }
+
+  /**
+   * P(up | level): model curve(s), counted estimates and their error bars
+   * @private
+   */
+  _drawCurvePanel() {
+    const ctx = this.ctx;
+    const { levels, tilted } = this.estimate;
+    const { plotHeight, curveWidth } = this._layout();
+
+    const drawCurve = (key, color, dashed) => {
+      ctx.save();
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 2;
+      if (dashed) ctx.setLineDash([5, 4]);
+      ctx.beginPath();
+      levels.forEach((entry) => ctx.lineTo(this._x(entry.level), this._y(entry[key])));
+      ctx.stroke();
+      ctx.restore();
+    };
+    drawCurve('model', MODEL_COLOR, tilted);
+    if (tilted) drawCurve('drawn', DRAWN_COLOR, false);
+
+    const cap = Math.min(5, (curveWidth / levels.length) * 0.3);
+    levels.filter((entry) => entry.total > 0).forEach((entry) => {
+      const x = this._x(entry.level);
+      const color = entry.outside ? OUTSIDE_COLOR : OBSERVED_COLOR;
+      ctx.strokeStyle = color;
+      ctx.fillStyle = color;
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      ctx.moveTo(x, this._y(entry.interval[0]));
+      ctx.lineTo(x, this._y(entry.interval[1]));
+      ctx.moveTo(x - cap, this._y(entry.interval[0]));
+      ctx.lineTo(x + cap, this._y(entry.interval[0]));
+      ctx.moveTo(x - cap, this._y(entry.interval[1]));
+      ctx.lineTo(x + cap, this._y(entry.interval[1]));
+      ctx.stroke();
+      ctx.beginPath();
+      ctx.arc(x, this._y(entry.observed), 3, 0, 2 * Math.PI);
+      ctx.fill();
+    });
+
+    // Axes
+    ctx.strokeStyle = "#333";
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(this.margin.left, this.margin.top);
+    ctx.lineTo(this.margin.left, this.margin.top + plotHeight);
+    ctx.lineTo(this.margin.left + curveWidth, this.margin.top + plotHeight);
+    ctx.stroke();
+
+    ctx.fillStyle = "#666";
+    ctx.font = "10px Arial";
+    ctx.textAlign = "center";
+    const every = Math.ceil(levels.length / 10);
+    levels.filter((entry) => entry.level % every === 0).forEach((entry) => {
+      ctx.fillText(String(entry.level), this._x(entry.level), this.margin.top + plotHeight + 15);
+    });
+    ctx.textAlign = "right";
+    [0, 0.25, 0.5, 0.75, 1].forEach((probability) => {
+      ctx.fillText(formatPercent(probability), this.margin.left - 5, this._y(probability) + 3);
+    });
+
+    ctx.font = "12px Arial";
+    ctx.fillStyle = "#333";
+    ctx.textAlign = "center";
+    ctx.fillText("Level", this.margin.left + curveWidth / 2, this.canvas.height - 8);
+    ctx.save();
+    ctx.translate(15, this.margin.top + plotHeight / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.fillText("P(up | level)", 0, 0);
+    ctx.restore();
+
+    // Legend
+    ctx.font = "11px Arial";
+    ctx.textAlign = "left";
+    const legend = [
+      [OBSERVED_COLOR, 'counted (95% CI)'],
+      [OUTSIDE_COLOR, 'model outside CI'],
+      [MODEL_COLOR, 'model'],
+      ...(tilted ? [[DRAWN_COLOR, 'tilted draws']] : [])
+    ];
+    let legendX = this.margin.left;
+    legend.forEach(([color, label]) => {
+      ctx.fillStyle = color;
+      ctx.fillRect(legendX, this.margin.top - 15, 10, 10);
+      ctx.fillStyle = "#333";
+      ctx.fillText(label, legendX + 14, this.margin.top - 6);
+      legendX += 24 + ctx.measureText(label).width;
+    });
+  }
+
+  /**
+   * Row-normalized transition matrix, from-level down, to-level across
+   * @private
+   */
+  _drawMatrix() {
+    const ctx = this.ctx;
+    const { counter } = this.estimate;
+    const { matrixSize, matrixLeft } = this._layout();
+    const height = counter.height;
+    const cell = matrixSize / height;
+
+    for (let from = 0; from < height; from++) {
+      const total = counter.moves(from).total;
+      for (let to = 0; to < height; to++) {
+        const count = counter.count(from, to);
+        ctx.fillStyle = total === 0 ? EMPTY_ROW_COLOR : count === 0 ? "white" : heatColor(count / total);
+        // Slight overlap hides the seams between cells
+        ctx.fillRect(matrixLeft + to * cell, this.margin.top + from * cell, cell + 0.5, cell + 0.5);
+      }
+    }
+    ctx.strokeStyle = "#333";
+    ctx.lineWidth = 1;
+    ctx.strokeRect(matrixLeft, this.margin.top, matrixSize, matrixSize);
+
+    ctx.fillStyle = "#666";
+    ctx.font = "10px Arial";
+    const every = Math.ceil(height / 10);
+    for (let level = 0; level < height; level += every) {
+      ctx.textAlign = "right";
+      ctx.fillText(String(level), matrixLeft - 4, this.margin.top + (level + 0.5) * cell + 3);
+      ctx.textAlign = "center";
+      ctx.fillText(String(level), matrixLeft + (level + 0.5) * cell, this.margin.top + matrixSize + 15);
+    }
+
+    ctx.font = "12px Arial";
+    ctx.fillStyle = "#333";
+    ctx.textAlign = "center";
+    ctx.fillText("To level", matrixLeft + matrixSize / 2, this.canvas.height - 8);
+    ctx.fillText("Transition matrix", matrixLeft + matrixSize / 2, this.margin.top - 6);
+    ctx.save();
+    ctx.translate(matrixLeft - 35, this.margin.top + matrixSize / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.fillText("From level", 0, 0);
+    ctx.restore();
+  }
+
+  /**
+   * Tooltip text for the level or matrix cell under the mouse
+   * @private
+   */
+  _describePoint(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    // The canvas may be scaled by CSS
+    const x = (e.clientX - rect.left) * (this.canvas.width / rect.width);
+    const y = (e.clientY - rect.top) * (this.canvas.height / rect.height);
+    const { plotHeight, curveWidth, matrixSize, matrixLeft } = this._layout();
+    const { levels, counter, tilted } = this.estimate;
+    if (y < this.margin.top || y > this.margin.top + plotHeight) return '';
+
+    if (x >= this.margin.left && x <= this.margin.left + curveWidth) {
+      const entry = levels[Math.min(levels.length - 1, Math.floor(((x - this.margin.left) / curveWidth) * levels.length))];
+      const expected = `model ${formatPercent(entry.model)}${tilted ? `, drawn with ${formatPercent(entry.drawn)}` : ''}`;
+      if (entry.total === 0) return `Level ${entry.level}: never visited (${expected})`;
+      return `Level ${entry.level}: ${formatCount(entry.up, 0)} up, ${formatCount(entry.stay, 0)} stayed, ` +
+        `${formatCount(entry.down, 0)} down of ${formatCount(entry.total, 0)} steps\n` +
+        `P(up) ${formatPercent(entry.observed)} (95% CI ${formatPercent(entry.interval[0])} – ${formatPercent(entry.interval[1])}), ${expected}`;
+    }
+
+    if (x >= matrixLeft && x <= matrixLeft + matrixSize) {
+      const cell = matrixSize / counter.height;
+      const from = Math.min(counter.height - 1, Math.floor((y - this.margin.top) / cell));
+      const to = Math.min(counter.height - 1, Math.floor((x - matrixLeft) / cell));
+      const total = counter.moves(from).total;
+      const count = counter.count(from, to);
+      return `${from} → ${to}: ${formatCount(count, 0)} moves` +
+        (total > 0 ? ` (${formatPercent(count / total)} of the steps from ${from})` : '');
+    }
+    return '';
+  }
+}
@@ -1,9 +1,75 @@
 /**
  * UI Controller for managing user interactions and form state
  */
+import {
+  PROBABILITY_MODELS,
+  DEFAULT_MODEL,
+  getProbabilityModel,
+  getDefaultModelParams
+} from '../models/ProbabilityModels.js';
+import {
+  FAILURE_MODES,
+  DEFAULT_FAILURE_MODE,
+  getFailureMode,
+  getDefaultFailureParams
+} from '../models/FailureModes.js';
+import {
+  STEP_DISTRIBUTIONS,
+  DEFAULT_STEP_DISTRIBUTION,
+  DEFAULT_OVERSHOOT,
+  getStepDistribution,
+  getDefaultStepParams
+} from '../models/StepDistributions.js';
+import {
+  TIME_MODIFIERS,
+  HISTORY_MODIFIERS,
+  DEFAULT_TIME_MODIFIER,
+  DEFAULT_HISTORY_MODIFIER,
+  getProbabilityModifier,
+  getDefaultModifierParams,
+  describeModifiers
+} from '../models/ProbabilityModifiers.js';
+import {
+  STOPPING_RULES,
+  DEFAULT_STOP_COMBINATION,
+  getDefaultStoppingParams
+} from '../models/StoppingRules.js';
+import {
+  validateSimulationParameters,
+  validateFailureSettings,
+  validateStepSettings,
+  validateModifierSettings
+} from '../models/SimulationParameters.js';
+import { ITERATION_SAFETY_LIMIT } from './SimulationEngine.js';
+import { MIN_CELL_TIME_MS } from './ParameterSweep.js';
+import { formatCount, formatPercent, formatDuration } from '../utils/Formatters.js';
+import { resolveEnvelopeSettings } from '../utils/PercentileEnvelope.js';
+
+// Simulation speed assumed for the forecast until a run has been measured
+const DEFAULT_STEPS_PER_SECOND = 10000000;
+
+// Limits on the parameter sweep grid
+const MAX_SWEEP_STEPS = 25;
+const MAX_SWEEP_TARGETS = 5;
+
+// Parameter sets a comparison can hold
+const MAX_COMPARISON_SETS = 4;
+
 export class UIController {
-  constructor() {
+  /**
+   * @param {MarkovChainSolver} solver - Optional solver used for the pre-run forecast
+   */
+  constructor(solver = null) {
+    this.solver = solver;
+    this.stepsPerSecond = DEFAULT_STEPS_PER_SECOND;
     this.elements = this._getUIElements();
+    this.renderModelParameters(this.elements.model ? this.elements.model.value : DEFAULT_MODEL);
+    this.renderFailureParameters(this.elements.failureMode ? this.elements.failureMode.value : DEFAULT_FAILURE_MODE);
+    this.renderStepParameters('success', this.elements.successStep ? this.elements.successStep.value : DEFAULT_STEP_DISTRIBUTION);
+    this.renderStepParameters('failure', this.elements.failureStep ? this.elements.failureStep.value : DEFAULT_STEP_DISTRIBUTION);
+    this.renderModifierParameters('time', this.elements.timeModifier ? this.elements.timeModifier.value : DEFAULT_TIME_MODIFIER);
+    this.renderModifierParameters('history', this.elements.historyModifier ? this.elements.historyModifier.value : DEFAULT_HISTORY_MODIFIER);
+    this.renderStoppingRules();
     this._setupEventListeners();
     this.timeoutPhase = 'initial'; // initial, extended, unlimited
     this.originalButtonText = 'Run Simulation';
@@ -14,18 +80,67 @@ export class UIController {
       // Input elements
       numRuns: document.getElementById("numRuns"),
       maxValue: document.getElementById("maxValue"),
-      initialProb: document.getElementById("initialProb"),
-      decayFactor: document.getElementById("decayFactor"),
+      model: document.getElementById("model"),
+      modelParams: document.getElementById("modelParams"),
+      failureMode: document.getElementById("failureMode"),
+      failureParams: document.getElementById("failureParams"),
+      successStep: document.getElementById("successStep"),
+      successStepParams: document.getElementById("successStepParams"),
+      failureStep: document.getElementById("failureStep"),
+      failureStepParams: document.getElementById("failureStepParams"),
+      overshoot: document.getElementById("overshoot"),
+      timeModifier: document.getElementById("timeModifier"),
+      timeModifierParams: document.getElementById("timeModifierParams"),
+      historyModifier: document.getElementById("historyModifier"),
+      historyModifierParams: document.getElementById("historyModifierParams"),
+      stopCombine: document.getElementById("stopCombine"),
+      stopRules: document.getElementById("stopRules"),
+      rareEvent: document.getElementById("rareEvent"),
+      rareEventFloor: document.getElementById("rareEventFloor"),
+      rngAlgorithm: document.getElementById("rngAlgorithm"),
+      seed: document.getElementById("seed"),
       visualization: document.getElementById("visualization"),
       colorScaling: document.getElementById("colorScaling"),
+      showFailed: document.getElementById("showFailed"),
+      showEnvelope: document.getElementById("showEnvelope"),
+      envelopeInner: document.getElementById("envelopeInner"),
+      envelopeOuter: document.getElementById("envelopeOuter"),
+      envelopeFinished: document.getElementById("envelopeFinished"),
+      sweepProbMin: document.getElementById("sweepProbMin"),
+      sweepProbMax: document.getElementById("sweepProbMax"),
+      sweepProbSteps: document.getElementById("sweepProbSteps"),
+      sweepDecayMin: document.getElementById("sweepDecayMin"),
+      sweepDecayMax: document.getElementById("sweepDecayMax"),
+      sweepDecaySteps: document.getElementById("sweepDecaySteps"),
+      sweepTargets: document.getElementById("sweepTargets"),
+      sweepRunsPerCell: document.getElementById("sweepRunsPerCell"),
+      sweepBudget: document.getElementById("sweepBudget"),
+      sweepMetric: document.getElementById("sweepMetric"),
+      sweepTargetView: document.getElementById("sweepTargetView"),
+      hittingTimeView: document.getElementById("hittingTimeView"),
+      hittingTimeScale: document.getElementById("hittingTimeScale"),
+      hittingTimeFits: document.getElementById("hittingTimeFits"),
+      hittingTimeTail: document.getElementById("hittingTimeTail"),
+      survivalScale: document.getElementById("survivalScale"),
+      linkStepAxes: document.getElementById("linkStepAxes"),
+      resetZoomButton: document.getElementById("resetZoomButton"),
+      compareSets: document.getElementById("compareSets"),
+      compareRunsPerSet: document.getElementById("compareRunsPerSet"),
+      compareBudget: document.getElementById("compareBudget"),
+      compareView: document.getElementById("compareView"),
+      compareOther: document.getElementById("compareOther"),
       
       // Display elements
-      formulaInitial: document.getElementById("formulaInitial"),
-      formulaDecay: document.getElementById("formulaDecay"),
+      formula: document.getElementById("formula"),
+      forecast: document.getElementById("forecast"),
       stats: document.getElementById("stats"),
       
       // Button elements
-      runButton: document.querySelector('button[onclick="runSimulation()"]')
+      runButton: document.querySelector('button[onclick="runSimulation()"]'),
+      sweepButton: document.getElementById("sweepButton"),
+      sweepCancelButton: document.getElementById("sweepCancelButton"),
+      compareButton: document.getElementById("compareButton"),
+      compareCancelButton: document.getElementById("compareCancelButton")
     };
     
     // Debug: Check if button was found
@@ -41,9 +156,319 @@ export class UIController {
   }
 
   _setupEventListeners() {
-    // Real-time formula updates
-    this.elements.initialProb.addEventListener("input", () => this.updateFormula());
-    this.elements.decayFactor.addEventListener("input", () => this.updateFormula());
+    // Real-time formula updates (parameter inputs are regenerated, so listen on their container)
+    this.elements.modelParams.addEventListener("input", () => this.updateFormula());
+    this.elements.maxValue.addEventListener("input", () => this.updateFormula());
+    this.elements.numRuns.addEventListener("input", () => this.updateForecast());
+
+    // Switching models swaps in that model's parameter inputs
+    if (this.elements.model) {
+      this.elements.model.addEventListener("change", () => {
+        this.renderModelParameters(this.elements.model.value);
+        this.updateFormula();
+      });
+    }
+
+    // Failure modes also bring their own parameter inputs
+    if (this.elements.failureMode) {
+      this.elements.failureMode.addEventListener("change", () => {
+        this.renderFailureParameters(this.elements.failureMode.value);
+        this.updateFormula();
+      });
+    }
+    if (this.elements.failureParams) {
+      this.elements.failureParams.addEventListener("input", () => this.updateFormula());
+    }
+
+    // So do the step-size distributions
+    ['success', 'failure'].forEach((kind) => {
+      const select = this.elements[`${kind}Step`];
+      const container = this.elements[`${kind}StepParams`];
+      if (select) {
+        select.addEventListener("change", () => {
+          this.renderStepParameters(kind, select.value);
+          this.updateFormula();
+        });
+      }
+      if (container) {
+        container.addEventListener("input", () => this.updateFormula());
+      }
+    });
+    if (this.elements.overshoot) {
+      this.elements.overshoot.addEventListener("change", () => this.updateFormula());
+    }
+
+    // And the time and history modifiers
+    ['time', 'history'].forEach((kind) => {
+      const select = this.elements[`${kind}Modifier`];
+      const container = this.elements[`${kind}ModifierParams`];
+      if (select) {
+        select.addEventListener("change", () => {
+          this.renderModifierParameters(kind, select.value);
+          this.updateFormula();
+        });
+      }
+      if (container) {
+        container.addEventListener("input", () => this.updateFormula());
+      }
+    });
+
+    // The tilt only matters in rare-event mode
+    if (this.elements.rareEvent && this.elements.rareEventFloor) {
+      this.elements.rareEvent.addEventListener("change", () => {
+        this.elements.rareEventFloor.disabled = !this.elements.rareEvent.checked;
+      });
+    }
+
+    // Seeds are meaningless for the unseeded generator
+    if (this.elements.rngAlgorithm && this.elements.seed) {
+      this.elements.rngAlgorithm.addEventListener("change", () => {
+        this.elements.seed.disabled = this.elements.rngAlgorithm.value === "native";
+      });
+    }
+  }
+
+  /**
+   * Render inputs for the parameters declared by a probability model
+   * @param {string} modelKey - Key from PROBABILITY_MODELS
+   * @param {Object} values - Optional parameter values (defaults to the model's defaults)
+   */
+  renderModelParameters(modelKey, values = null) {
+    const model = getProbabilityModel(modelKey);
+    this._renderParameterInputs(this.elements.modelParams, model.parameters, {
+      ...getDefaultModelParams(modelKey),
+      ...(values || {})
+    });
+    this.currentModel = modelKey;
+  }
+
+  /**
+   * Read the selected model's parameter values from the inputs
+   * @returns {Object} Parameter values keyed by parameter key
+   */
+  getModelParameters() {
+    return this._readParameterInputs(this.elements.modelParams, getProbabilityModel(this.currentModel).parameters);
+  }
+
+  /**
+   * Render inputs for the parameters declared by a failure mode
+   * @param {string} modeKey - Key from FAILURE_MODES
+   * @param {Object} values - Optional parameter values (defaults to the mode's defaults)
+   */
+  renderFailureParameters(modeKey, values = null) {
+    const mode = getFailureMode(modeKey);
+    this._renderParameterInputs(this.elements.failureParams, mode.parameters, {
+      ...getDefaultFailureParams(modeKey),
+      ...(values || {})
+    });
+    this.currentFailureMode = modeKey;
+    this._updateFailureStepAvailability();
+  }
+
+  /**
+   * Read the selected failure mode's parameter values from the inputs
+   * @returns {Object} Parameter values keyed by parameter key
+   */
+  getFailureParameters() {
+    return this._readParameterInputs(this.elements.failureParams, getFailureMode(this.currentFailureMode).parameters);
+  }
+
+  /**
+   * Render inputs for the parameters declared by a step-size distribution
+   * @param {string} kind - 'success' or 'failure'
+   * @param {string} distributionKey - Key from STEP_DISTRIBUTIONS
+   * @param {Object} values - Optional parameter values (defaults to the distribution's defaults)
+   */
+  renderStepParameters(kind, distributionKey, values = null) {
+    const distribution = getStepDistribution(distributionKey);
+    // Both step distributions can declare the same parameter keys, so their input ids are prefixed
+    this._renderParameterInputs(this.elements[`${kind}StepParams`], distribution.parameters, {
+      ...getDefaultStepParams(distributionKey),
+      ...(values || {})
+    }, `${kind}Step-`);
+    if (kind === 'success') {
+      this.currentSuccessStep = distributionKey;
+    } else {
+      this.currentFailureStep = distributionKey;
+      this._updateFailureStepAvailability();
+    }
+  }
+
+  /**
+   * Read a step-size distribution's parameter values from the inputs
+   * @param {string} kind - 'success' or 'failure'
+   * @returns {Object} Parameter values keyed by parameter key
+   */
+  getStepParameters(kind) {
+    const distributionKey = kind === 'success' ? this.currentSuccessStep : this.currentFailureStep;
+    return this._readParameterInputs(this.elements[`${kind}StepParams`], getStepDistribution(distributionKey).parameters);
+  }
+
+  /**
+   * Render inputs for the parameters declared by a time or history modifier
+   * @param {string} kind - 'time' or 'history'
+   * @param {string} modifierKey - Key from TIME_MODIFIERS or HISTORY_MODIFIERS
+   * @param {Object} values - Optional parameter values (defaults to the modifier's defaults)
+   */
+  renderModifierParameters(kind, modifierKey, values = null) {
+    const modifier = getProbabilityModifier(kind, modifierKey);
+    this._renderParameterInputs(this.elements[`${kind}ModifierParams`], modifier.parameters, {
+      ...getDefaultModifierParams(kind, modifierKey),
+      ...(values || {})
+    }, `${kind}Modifier-`);
+    if (kind === 'time') {
+      this.currentTimeModifier = modifierKey;
+    } else {
+      this.currentHistoryModifier = modifierKey;
+    }
+  }
+
+  /**
+   * Render a checkbox and parameter inputs for every stopping rule besides the
+   * success target (which the Successful Runs input sets)
+   * @param {Object} stopping - Optional stopping settings { combine, rules } to show (defaults to none ticked)
+   */
+  renderStoppingRules(stopping = null) {
+    const container = this.elements.stopRules;
+    if (this.elements.stopCombine) {
+      this.elements.stopCombine.value = stopping?.combine || DEFAULT_STOP_COMBINATION;
+    }
+    if (!container) return;
+    container.innerHTML = '';
+
+    Object.entries(STOPPING_RULES).forEach(([key, rule]) => {
+      if (key === 'successes') return;
+      const selected = stopping?.rules?.find((entry) => entry.rule === key);
+
+      const group = document.createElement('div');
+      group.className = 'control-group';
+      const label = document.createElement('label');
+      label.htmlFor = `stop-${key}`;
+      label.textContent = rule.name;
+      const toggle = document.createElement('div');
+      toggle.className = 'checkbox-label';
+      toggle.title = rule.description;
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.id = `stop-${key}`;
+      checkbox.dataset.rule = key;
+      checkbox.checked = Boolean(selected);
+      const text = document.createElement('span');
+      text.textContent = 'Stop on this rule';
+      toggle.appendChild(checkbox);
+      toggle.appendChild(text);
+      group.appendChild(label);
+      group.appendChild(toggle);
+      container.appendChild(group);
+
+      const params = document.createElement('div');
+      params.dataset.ruleParams = key;
+      container.appendChild(params);
+      this._renderParameterInputs(params, rule.parameters, { ...getDefaultStoppingParams(key), ...selected }, `stop-${key}-`);
+    });
+  }
+
+  /**
+   * Read the ticked stopping rules from the inputs
+   * @returns {Object|null} { combine, rules }, or null when only the success target applies
+   */
+  getStoppingSettings() {
+    const container = this.elements.stopRules;
+    if (!container) return null;
+
+    const rules = Array.from(container.querySelectorAll('input[data-rule]'))
+      .filter((checkbox) => checkbox.checked)
+      .map((checkbox) => {
+        const key = checkbox.dataset.rule;
+        const params = container.querySelector(`[data-rule-params="${key}"]`);
+        return { rule: key, ...this._readParameterInputs(params, STOPPING_RULES[key].parameters) };
+      });
+    if (rules.length === 0) return null;
+
+    return {
+      combine: this.elements.stopCombine ? this.elements.stopCombine.value : DEFAULT_STOP_COMBINATION,
+      rules
+    };
+  }
+
+  /**
+   * Read a modifier's parameter values from the inputs
+   * @param {string} kind - 'time' or 'history'
+   * @returns {Object} Parameter values keyed by parameter key
+   */
+  getModifierParameters(kind) {
+    const modifierKey = kind === 'time' ? this.currentTimeModifier : this.currentHistoryModifier;
+    return this._readParameterInputs(this.elements[`${kind}ModifierParams`], getProbabilityModifier(kind, modifierKey).parameters);
+  }
+
+  /**
+   * Failure modes that ignore the step size (reset, stay) have no use for the failure step inputs
+   * @private
+   */
+  _updateFailureStepAvailability() {
+    if (!this.currentFailureMode) return;
+    const usesStep = getFailureMode(this.currentFailureMode).usesStep;
+    if (this.elements.failureStep) {
+      this.elements.failureStep.disabled = !usesStep;
+    }
+    if (this.elements.failureStepParams) {
+      this.elements.failureStepParams.querySelectorAll('input').forEach((input) => {
+        input.disabled = !usesStep;
+      });
+    }
+  }
+
+  /**
+   * Build one control group per declared parameter
+   * @param {string} idPrefix - Prefix for the input ids, for containers whose keys could clash
+   * @private
+   */
+  _renderParameterInputs(container, parameters, values, idPrefix = '') {
+    if (!container) return;
+    container.innerHTML = '';
+
+    parameters.forEach((param) => {
+      const group = document.createElement('div');
+      group.className = 'control-group';
+
+      const label = document.createElement('label');
+      label.htmlFor = idPrefix + param.key;
+      label.textContent = param.label;
+
+      const input = document.createElement('input');
+      input.id = idPrefix + param.key;
+      input.dataset.param = param.key;
+      input.value = values[param.key];
+      if (param.title) input.title = param.title;
+
+      if (param.type === 'text') {
+        input.type = 'text';
+        input.className = 'wide-input';
+      } else {
+        input.type = 'number';
+        input.min = param.min;
+        input.max = param.max;
+        input.step = param.step;
+      }
+
+      group.appendChild(label);
+      group.appendChild(input);
+      container.appendChild(group);
+    });
+  }
+
+  /**
+   * Read values of generated parameter inputs
+   * @private
+   */
+  _readParameterInputs(container, parameters) {
+    const values = {};
+    parameters.forEach((param) => {
+      const input = container ? container.querySelector(`[data-param="${param.key}"]`) : null;
+      const raw = input ? input.value : param.default;
+      values[param.key] = param.type === 'text' ? String(raw).trim() : parseFloat(raw);
+    });
+    return values;
   }
 
   /**
@@ -54,8 +479,25 @@ export class UIController {
     return {
       numRuns: parseInt(this.elements.numRuns.value),
       maxValue: parseInt(this.elements.maxValue.value),
-      initialProb: parseFloat(this.elements.initialProb.value),
-      decayFactor: parseFloat(this.elements.decayFactor.value),
+      model: this.currentModel,
+      modelParams: this.getModelParameters(),
+      failureMode: this.currentFailureMode,
+      failureParams: this.getFailureParameters(),
+      successStep: this.currentSuccessStep,
+      successStepParams: this.getStepParameters('success'),
+      failureStep: this.currentFailureStep,
+      failureStepParams: this.getStepParameters('failure'),
+      overshoot: this.elements.overshoot ? this.elements.overshoot.value : DEFAULT_OVERSHOOT,
+      timeModifier: this.currentTimeModifier,
+      timeModifierParams: this.getModifierParameters('time'),
+      historyModifier: this.currentHistoryModifier,
+      historyModifierParams: this.getModifierParameters('history'),
+      rareEventFloor: this.elements.rareEvent && this.elements.rareEvent.checked
+        ? parseFloat(this.elements.rareEventFloor.value)
+        : null,
+      rngAlgorithm: this.elements.rngAlgorithm ? this.elements.rngAlgorithm.value : undefined,
+      seed: this.elements.seed && this.elements.seed.value.trim() !== '' ? this.elements.seed.value.trim() : null,
+      stopping: this.getStoppingSettings(),
     };
   }
 
@@ -67,30 +509,469 @@ export class UIController {
     return {
       visualizationType: this.elements.visualization.value,
       colorScaling: this.elements.colorScaling.value,
+      showFailed: this.elements.showFailed ? this.elements.showFailed.checked : false,
+      envelope: this.elements.showEnvelope?.checked ? resolveEnvelopeSettings({
+        inner: parseFloat(this.elements.envelopeInner.value),
+        outer: parseFloat(this.elements.envelopeOuter.value),
+        finished: this.elements.envelopeFinished.value
+      }) : null,
+    };
+  }
+
+  /**
+   * Get the parameter sweep settings from the UI. The failure mode, step
+   * sizes, modifiers and generator come from the main simulation panel.
+   * @returns {Object} Sweep settings (time budget in milliseconds)
+   */
+  getSweepParameters() {
+    const number = (element) => parseFloat(element.value);
+    // Everything but the swept model parameters, the target and the run count - and no
+    // rare-event mode or stopping rules, since the map compares plain efficiencies within its own budget
+    const { numRuns, maxValue, model, modelParams, rareEventFloor, stopping, ...baseParams } = this.getSimulationParameters();
+    return {
+      baseParams,
+      initialProb: {
+        min: number(this.elements.sweepProbMin),
+        max: number(this.elements.sweepProbMax),
+        steps: parseInt(this.elements.sweepProbSteps.value)
+      },
+      decayFactor: {
+        min: number(this.elements.sweepDecayMin),
+        max: number(this.elements.sweepDecayMax),
+        steps: parseInt(this.elements.sweepDecaySteps.value)
+      },
+      maxValues: this.elements.sweepTargets.value.split(',')
+        .map((value) => value.trim())
+        .filter(Boolean)
+        .map(Number),
+      runsPerCell: parseInt(this.elements.sweepRunsPerCell.value),
+      timeBudgetMs: number(this.elements.sweepBudget) * 1000
+    };
+  }
+
+  /**
+   * Validate the parameter sweep settings
+   * @returns {Object} Validation result with isValid flag, errors and the sweep settings
+   */
+  validateSweepParameters() {
+    const sweep = this.getSweepParameters();
+    const errors = [];
+
+    const checkAxis = (axis, label, min, max) => {
+      if (!(axis.min > min && axis.min <= max) || !(axis.max > min && axis.max <= max)) {
+        errors.push(`${label} range must lie within (${min}, ${max}]`);
+      } else if (axis.min > axis.max) {
+        errors.push(`${label} range must start below its end`);
+      }
+      if (!Number.isInteger(axis.steps) || axis.steps < 1 || axis.steps > MAX_SWEEP_STEPS) {
+        errors.push(`${label} steps must be between 1 and ${MAX_SWEEP_STEPS}`);
+      }
+    };
+    checkAxis(sweep.initialProb, 'Initial probability', 0, 1);
+    checkAxis(sweep.decayFactor, 'Decay factor', 0, 2);
+
+    if (sweep.maxValues.length === 0 || sweep.maxValues.length > MAX_SWEEP_TARGETS ||
+        sweep.maxValues.some((value) => !Number.isInteger(value) || value < 1 || value > 100)) {
+      errors.push(`Sweep targets must be 1 to ${MAX_SWEEP_TARGETS} whole numbers between 1 and 100`);
+    }
+
+    if (!Number.isInteger(sweep.runsPerCell) || sweep.runsPerCell < 1 || sweep.runsPerCell > 1000) {
+      errors.push("Successes per cell must be between 1 and 1000");
+    }
+
+    if (!(sweep.timeBudgetMs >= 1000 && sweep.timeBudgetMs <= 600000)) {
+      errors.push("Sweep time budget must be between 1 and 600 seconds");
+    } else if (errors.length === 0) {
+      // Every cell gets at least MIN_CELL_TIME_MS, so a larger grid would overrun the budget
+      const cellCount = sweep.initialProb.steps * sweep.decayFactor.steps * sweep.maxValues.length;
+      const neededMs = cellCount * MIN_CELL_TIME_MS;
+      if (neededMs > sweep.timeBudgetMs) {
+        errors.push(`A grid of ${formatCount(cellCount, 0)} cells needs a sweep time budget of at least ${Math.ceil(neededMs / 1000)} seconds (${MIN_CELL_TIME_MS} ms per cell)`);
+      }
+    }
+
+    errors.push(...validateFailureSettings(sweep.baseParams));
+    errors.push(...validateStepSettings(sweep.baseParams));
+    errors.push(...validateModifierSettings(sweep.baseParams));
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+      sweep
+    };
+  }
+
+  /**
+   * Get the parameter sweep display settings
+   * @returns {Object} { metric, maxValue }
+   */
+  getSweepViewSettings() {
+    return {
+      metric: this.elements.sweepMetric.value,
+      maxValue: parseInt(this.elements.sweepTargetView.value)
+    };
+  }
+
+  /**
+   * Get the hitting-time panel settings
+   * @returns {Object} { view, scale, fits, tailLength } - tailLength is null when left empty
+   */
+  getHittingTimeSettings() {
+    const tailLength = parseInt(this.elements.hittingTimeTail.value);
+    return {
+      view: this.elements.hittingTimeView.value,
+      scale: this.elements.hittingTimeScale.value,
+      fits: Array.from(this.elements.hittingTimeFits.querySelectorAll('input[data-fit]'))
+        .filter((input) => input.checked)
+        .map((input) => input.dataset.fit),
+      tailLength: tailLength > 0 ? tailLength : null
+    };
+  }
+
+  /**
+   * Get the survival chart settings
+   * @returns {Object} { logX } - logarithmic step axis
+   */
+  getSurvivalSettings() {
+    return { logX: this.elements.survivalScale.value === 'log' };
+  }
+
+  /**
+   * Get the zoom settings of the main view
+   * @returns {Object} { linkAxes } - zooming the main view also narrows the step axes of the hitting-time and survival panels
+   */
+  getZoomSettings() {
+    // Pages without the checkbox keep the panels linked, its default
+    return { linkAxes: this.elements.linkStepAxes ? this.elements.linkStepAxes.checked : true };
+  }
+
+  /**
+   * Enable the reset button while the main view is zoomed
+   * @param {boolean} zoomed - Whether the view is zoomed
+   */
+  setZoomed(zoomed) {
+    if (this.elements.resetZoomButton) {
+      this.elements.resetZoomButton.disabled = !zoomed;
+    }
+  }
+
+  /**
+   * Offer the swept target values in the sweep view selector
+   * @param {Array<number>} maxValues - Target values of the sweep
+   */
+  setSweepTargets(maxValues) {
+    const select = this.elements.sweepTargetView;
+    select.innerHTML = '';
+    maxValues.forEach((value) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = value;
+      select.appendChild(option);
+    });
+    // A single target needs no selector
+    select.parentElement.style.display = maxValues.length > 1 ? '' : 'none';
+  }
+
+  /**
+   * Current parameters as a comparison set
+   * @param {Array<Object>} sets - Sets added so far
+   * @returns {Object} Validation result with isValid flag, errors and the set { description, params }
+   */
+  getComparisonSet(sets) {
+    const validation = this.validateParameters();
+    // Like the sweep: plain runs within the comparison's budget, so the tests compare like with like
+    const { numRuns, rareEventFloor, stopping, ...params } = validation.params;
+    const errors = [...validation.errors];
+    if (sets.length >= MAX_COMPARISON_SETS) {
+      errors.push(`A comparison holds at most ${MAX_COMPARISON_SETS} parameter sets`);
+    }
+    return {
+      isValid: errors.length === 0,
+      errors,
+      set: { description: `${this.describeParameters(params)} · target ${params.maxValue}`, params }
+    };
+  }
+
+  /**
+   * Validate the comparison settings for a list of sets
+   * @param {Array<Object>} sets - Sets added so far
+   * @returns {Object} Validation result with isValid flag, errors and the settings { runsPerSet, timeBudgetMs }
+   */
+  validateComparisonSettings(sets) {
+    const settings = {
+      runsPerSet: parseInt(this.elements.compareRunsPerSet.value),
+      timeBudgetMs: parseFloat(this.elements.compareBudget.value) * 1000
+    };
+    const errors = [];
+
+    if (sets.length < 2) {
+      errors.push("Add at least two parameter sets to compare");
+    }
+    if (!Number.isInteger(settings.runsPerSet) || settings.runsPerSet < 10 || settings.runsPerSet > 10000) {
+      errors.push("Successes per set must be between 10 and 10000");
+    }
+    if (!(settings.timeBudgetMs >= 1000 && settings.timeBudgetMs <= 600000)) {
+      errors.push("Comparison time budget must be between 1 and 600 seconds");
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+      settings
+    };
+  }
+
+  /**
+   * List the comparison sets, each with a remove button (data-remove holds its index)
+   * @param {Array<Object>} sets - { label, description } per set; the first is the baseline
+   */
+  setComparisonSets(sets) {
+    const list = this.elements.compareSets;
+    list.innerHTML = '';
+    if (sets.length === 0) {
+      list.textContent = `No sets yet - set up parameters above and add them (up to ${MAX_COMPARISON_SETS}).`;
+    }
+    sets.forEach((set, index) => {
+      const item = document.createElement('div');
+      item.className = 'comparison-set';
+      const text = document.createElement('span');
+      text.textContent = `${set.label}${index === 0 ? ' (baseline)' : ''}: ${set.description}`;
+      const remove = document.createElement('button');
+      remove.className = 'secondary-button';
+      remove.textContent = '✕';
+      remove.title = 'Remove this set';
+      remove.dataset.remove = index;
+      item.appendChild(text);
+      item.appendChild(remove);
+      list.appendChild(item);
+    });
+
+    // The difference map compares one set at a time with the baseline
+    const select = this.elements.compareOther;
+    const previous = select.value;
+    select.innerHTML = '';
+    sets.slice(1).forEach((set, offset) => {
+      const option = document.createElement('option');
+      option.value = offset + 1;
+      option.textContent = set.label;
+      select.appendChild(option);
+    });
+    if (sets.some((_, index) => index > 0 && String(index) === previous)) {
+      select.value = previous;
+    }
+  }
+
+  /**
+   * Get the comparison view settings
+   * @returns {Object} { view, other, colorScaling } - other is the set index shown against the baseline
+   */
+  getComparisonViewSettings() {
+    return {
+      view: this.elements.compareView.value,
+      other: parseInt(this.elements.compareOther.value) || 1,
+      colorScaling: this.elements.colorScaling.value
     };
   }
 
+  /**
+   * Switch the comparison buttons between running and idle
+   * @param {boolean} isRunning - Whether a comparison is running
+   */
+  setComparisonRunningState(isRunning) {
+    this.elements.compareButton.disabled = isRunning;
+    this.elements.compareButton.textContent = isRunning ? 'Comparing...' : 'Run Comparison';
+    this.elements.compareCancelButton.style.display = isRunning ? 'inline-block' : 'none';
+  }
+
+  /**
+   * Switch the sweep buttons between running and idle
+   * @param {boolean} isRunning - Whether a sweep is running
+   */
+  setSweepRunningState(isRunning) {
+    this.elements.sweepButton.disabled = isRunning;
+    this.elements.sweepButton.textContent = isRunning ? 'Sweeping...' : 'Run Sweep';
+    this.elements.sweepCancelButton.style.display = isRunning ? 'inline-block' : 'none';
+  }
+
+  /**
+   * Set the target value input (e.g. when loading a sweep cell)
+   * @param {number} maxValue - Target value
+   */
+  setMaxValue(maxValue) {
+    this.elements.maxValue.value = maxValue;
+    this.updateFormula();
+  }
+
   /**
    * Update the formula display
    */
   updateFormula() {
     const params = this.getSimulationParameters();
-    this.elements.formulaInitial.textContent = params.initialProb.toFixed(2);
-    this.elements.formulaDecay.textContent = params.decayFactor.toFixed(2);
+    const model = getProbabilityModel(params.model);
+    const failureMode = getFailureMode(params.failureMode);
+    this.elements.formula.textContent = this.describeParameters(params);
+    this.elements.formula.title = `${model.description}. ${failureMode.description}.`;
+    this.updateForecast();
+  }
+
+  /**
+   * One-line description of a parameter set, as shown in the formula display
+   * @param {Object} params - Simulation parameters
+   * @returns {string}
+   */
+  describeParameters(params) {
+    const model = getProbabilityModel(params.model);
+    const failureMode = getFailureMode(params.failureMode);
+    const successStep = getStepDistribution(params.successStep);
+    const failureStep = getStepDistribution(params.failureStep);
+    // One-level climbs are the classic setup and need no mention
+    const climb = params.successStep === DEFAULT_STEP_DISTRIBUTION && params.successStepParams.size === 1
+      ? ''
+      : ` · success: +${successStep.label(params.successStepParams)}` +
+        (params.overshoot === 'success' ? ' (overshoot kept)' : '');
+    const modifiers = describeModifiers(params);
+    return `P(increment) = ${model.formula(params.modelParams, params.maxValue)}${modifiers ? ` ${modifiers}` : ''}${climb} · ` +
+      failureMode.label(params.failureParams, failureStep.label(params.failureStepParams));
+  }
+
+  /**
+   * Show the exact expectations for the current parameters before running
+   */
+  updateForecast() {
+    const forecast = this.elements.forecast;
+    if (!forecast || !this.solver) return;
+
+    const validation = this.validateParameters();
+    if (!validation.isValid) {
+      forecast.textContent = '';
+      return;
+    }
+
+    const params = validation.params;
+    let analysis;
+    try {
+      analysis = this.solver.solve(params, { horizons: [ITERATION_SAFETY_LIMIT] });
+    } catch (error) {
+      forecast.textContent = '';
+      return;
+    }
+
+    if (analysis.successProbability === 0) {
+      forecast.textContent = 'Exact: the target can never be reached with these parameters';
+      forecast.className = 'forecast forecast-warning';
+      return;
+    }
+
+    const parts = [];
+    if (analysis.successProbability < 1) {
+      parts.push(`P(success) ${formatPercent(analysis.successProbability)}`);
+    }
+    const median = analysis.quantiles.find(({ q }) => q === 0.5);
+    parts.push(`mean ${formatCount(analysis.expectedSteps, 0)} steps` +
+      (median ? ` (median ${formatCount(median.steps, 0)})` : ''));
+
+    const totalMs = (params.numRuns * analysis.expectedStepsPerSuccess / this.stepsPerSecond) * 1000;
+    parts.push(`≈ ${formatDuration(totalMs)} for ${params.numRuns} runs`);
+
+    // Runs in the time-limited phases are cut off at the iteration safety limit
+    const withinLimit = analysis.horizons[0].probability / analysis.successProbability;
+    if (withinLimit < 0.99) {
+      parts.push(`only ${formatPercent(withinLimit)} of successes finish within ${formatCount(ITERATION_SAFETY_LIMIT)} steps`);
+    }
+
+    forecast.textContent = `Exact: ${parts.join(' · ')}`;
+    forecast.title = analysis.stallProbability > 0
+      ? `${formatPercent(analysis.stallProbability)} of runs get stuck and never finish`
+      : 'Computed from the Markov chain of the counter - no simulation needed';
+    forecast.className = totalMs > 60000 || withinLimit < 0.99 || analysis.stallProbability > 0
+      ? 'forecast forecast-warning'
+      : 'forecast';
+  }
+
+  /**
+   * Calibrate the forecast's time estimate with the speed of the last simulation
+   * @param {number} stepsPerSecond - Simulated steps per second of wall-clock time
+   */
+  setMeasuredSpeed(stepsPerSecond) {
+    if (Number.isFinite(stepsPerSecond) && stepsPerSecond > 0) {
+      this.stepsPerSecond = stepsPerSecond;
+      this.updateForecast();
+    }
   }
 
   /**
    * Set preset values
-   * @param {number} initial - Initial probability
-   * @param {number} decay - Decay factor
-   * @param {string} name - Preset name
+   * @param {Object} preset - Preset configuration from PresetManager
+   * @param {string} preset.model - Probability model key
+   * @param {Object} preset.params - Model parameter values
+   * @param {string} preset.failureMode - Optional failure mode key
+   * @param {Object} preset.failureParams - Optional failure mode parameter values
+   * @param {string} preset.successStep - Optional step distribution of successful steps (and successStepParams)
+   * @param {string} preset.failureStep - Optional step distribution of failed steps (and failureStepParams)
+   * @param {string} preset.overshoot - Optional overshoot policy
+   * @param {string} preset.timeModifier - Optional time modifier (and timeModifierParams)
+   * @param {string} preset.historyModifier - Optional history modifier (and historyModifierParams)
    */
-  setPreset(initial, decay, name) {
-    this.elements.initialProb.value = initial;
-    this.elements.decayFactor.value = decay;
+  setPreset(preset) {
+    const modelKey = preset.model || DEFAULT_MODEL;
+    if (this.elements.model) {
+      this.elements.model.value = modelKey;
+    }
+    this.renderModelParameters(modelKey, preset.params);
+
+    const failureMode = preset.failureMode || DEFAULT_FAILURE_MODE;
+    if (this.elements.failureMode) {
+      this.elements.failureMode.value = failureMode;
+    }
+    this.renderFailureParameters(failureMode, preset.failureParams);
+
+    ['success', 'failure'].forEach((kind) => {
+      const distributionKey = preset[`${kind}Step`] || DEFAULT_STEP_DISTRIBUTION;
+      if (this.elements[`${kind}Step`]) {
+        this.elements[`${kind}Step`].value = distributionKey;
+      }
+      this.renderStepParameters(kind, distributionKey, preset[`${kind}StepParams`]);
+    });
+    if (this.elements.overshoot) {
+      this.elements.overshoot.value = preset.overshoot || DEFAULT_OVERSHOOT;
+    }
+
+    [['time', DEFAULT_TIME_MODIFIER], ['history', DEFAULT_HISTORY_MODIFIER]].forEach(([kind, defaultKey]) => {
+      const modifierKey = preset[`${kind}Modifier`] || defaultKey;
+      if (this.elements[`${kind}Modifier`]) {
+        this.elements[`${kind}Modifier`].value = modifierKey;
+      }
+      this.renderModifierParameters(kind, modifierKey, preset[`${kind}ModifierParams`]);
+    });
     this.updateFormula();
   }
 
+  /**
+   * Load a complete set of simulation parameters into the inputs, e.g. those
+   * of a saved checkpoint
+   * @param {Object} params - Parameters in the shape getSimulationParameters returns
+   */
+  setSimulationParameters(params) {
+    this.elements.numRuns.value = params.numRuns;
+    this.elements.maxValue.value = params.maxValue;
+    if (this.elements.rareEvent && this.elements.rareEventFloor) {
+      this.elements.rareEvent.checked = params.rareEventFloor !== null;
+      this.elements.rareEventFloor.disabled = params.rareEventFloor === null;
+      if (params.rareEventFloor !== null) {
+        this.elements.rareEventFloor.value = params.rareEventFloor;
+      }
+    }
+    if (this.elements.rngAlgorithm && params.rngAlgorithm) {
+      this.elements.rngAlgorithm.value = params.rngAlgorithm;
+    }
+    if (this.elements.seed) {
+      this.elements.seed.value = params.seed ?? '';
+      this.elements.seed.disabled = params.rngAlgorithm === "native";
+    }
+    this.renderStoppingRules(params.stopping);
+    this.setPreset({ ...params, params: params.modelParams });
+  }
+
   /**
    * Set button loading state
    * @param {boolean} isLoading - Whether button is in loading state
@@ -128,11 +1009,11 @@ export class UIController {
           break;
           
         case 'unlimited':
-          this.elements.runButton.textContent = `Run without safety limit (not recommended)${partialInfo}`;
+          this.elements.runButton.textContent = `Run without time limit${partialInfo}`;
           this.elements.runButton.style.background = "linear-gradient(135deg, #d32f2f 0%, #c62828 100%)";
           this.elements.runButton.style.color = "white";
           this.elements.runButton.disabled = false;
-          this.elements.runButton.title = "Continue simulation without time limits - may freeze browser!";
+          this.elements.runButton.title = "Continue simulation without time limits - runs in background workers, use Stop to end it";
           break;
           
         case 'initial':
@@ -214,7 +1095,7 @@ export class UIController {
    */
   showCompletionState(results) {
     const elapsedSec = (results.totalTimeMs / 1000).toFixed(1);
-    const resultText = results.reachedDesiredCount ? 
+    const resultText = results.stopReason === 'rules' ? 
       `Completed! ${results.actualSuccesses}/${results.desiredSuccesses} in ${elapsedSec}s` :
       `Stopped: ${results.actualSuccesses}/${results.desiredSuccesses} in ${elapsedSec}s`;
     
@@ -233,23 +1114,7 @@ export class UIController {
    */
   validateParameters() {
     const params = this.getSimulationParameters();
-    const errors = [];
-
-    if (params.numRuns < 1 || params.numRuns > 5000) {
-      errors.push("Number of runs must be between 1 and 5000");
-    }
-
-    if (params.maxValue < 1 || params.maxValue > 100) {
-      errors.push("Target value must be between 1 and 100");
-    }
-
-    if (params.initialProb <= 0 || params.initialProb > 1) {
-      errors.push("Initial probability must be between 0 and 1");
-    }
-
-    if (params.decayFactor <= 0 || params.decayFactor > 2) {
-      errors.push("Decay factor must be between 0 and 2");
-    }
+    const errors = validateSimulationParameters(params);
 
     return {
       isValid: errors.length === 0,
@@ -267,6 +1132,64 @@ export class UIController {
     alert(`Error: ${message}`);
   }
 
+  /**
+   * Ask whether to resume an unfinished simulation. The banner stays until one
+   * of its buttons is clicked.
+   * @param {string} message - Description of the unfinished simulation
+   * @param {Object} handlers - Button handlers
+   * @param {Function} handlers.onResume - Called when the user resumes
+   * @param {Function} handlers.onDiscard - Called when the user discards it
+   */
+  showResumePrompt(message, { onResume, onDiscard }) {
+    const existingPrompt = document.getElementById('resume-banner');
+    if (existingPrompt) {
+      existingPrompt.remove();
+    }
+
+    const banner = document.createElement('div');
+    banner.id = 'resume-banner';
+    banner.style.cssText = `
+      position: fixed;
+      top: 20px;
+      left: 50%;
+      transform: translateX(-50%);
+      background: #e3f2fd;
+      color: #0d47a1;
+      border: 1px solid #90caf9;
+      border-radius: 8px;
+      padding: 12px 20px;
+      box-shadow: 0 4px 12px rgba(0,0,0,0.15);
+      z-index: 1001;
+      max-width: 80%;
+      font-size: 14px;
+      text-align: center;
+    `;
+    const buttonStyle = `
+      color: white;
+      border: none;
+      padding: 4px 12px;
+      margin: 0 4px;
+      border-radius: 4px;
+      cursor: pointer;
+      font-size: 12px;
+    `;
+    banner.innerHTML = `
+      <div style="margin-bottom: 8px;">${message}</div>
+      <button data-action="resume" style="${buttonStyle} background: #1565c0;">Resume</button>
+      <button data-action="discard" style="${buttonStyle} background: #757575;">Discard</button>
+    `;
+    banner.querySelector('[data-action="resume"]').addEventListener('click', () => {
+      banner.remove();
+      onResume();
+    });
+    banner.querySelector('[data-action="discard"]').addEventListener('click', () => {
+      banner.remove();
+      onDiscard();
+    });
+
+    document.body.appendChild(banner);
+  }
+
   /**
    * Show warning message to user
    * @param {string} message - Warning message to display
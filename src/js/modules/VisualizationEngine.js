@@ -1,8 +1,31 @@
 /**
  * Visualization engine for rendering simulation results
  */
+import { DensityAccumulator } from '../utils/DensityAccumulator.js';
+import { heatColor } from '../utils/ColorScale.js';
+import { computePercentileEnvelope, envelopeAt } from '../utils/PercentileEnvelope.js';
+
+const ENVELOPE_COLOR = "#10b981";
+
+// Zoom per mouse-wheel notch
+const WHEEL_ZOOM = 1.25;
+// Narrowest window a zoom reaches, in steps and in counter values
+const MIN_VIEW_STEPS = 8;
+const MIN_VIEW_VALUES = 2;
+// Shorter drags are clicks rather than box zooms
+const MIN_BOX_PIXELS = 5;
+// Time bins of the density re-binned for a zoomed window
+const WINDOW_COLUMNS = 2048;
+// Re-binning walks every retained step in the window; past this many the coarse bins are stretched instead
+const MAX_REBIN_STEPS = 20000000;
+
 export class VisualizationEngine {
-  constructor(canvas) {
+  /**
+   * @param {HTMLCanvasElement} canvas - Canvas to draw on
+   * @param {Function|null} onViewChange - Called as (timeWindow, zoomed) whenever zooming or panning
+   *   changes the shown steps or zooms in or out: timeWindow is { start, end }, or null for every step
+   */
+  constructor(canvas, onViewChange = null) {
     this.canvas = canvas;
     this.ctx = canvas.getContext("2d");
     this.margin = { top: 20, right: 20, bottom: 40, left: 40 };
@@ -12,12 +35,29 @@ export class VisualizationEngine {
     this.currentRuns = null;
     this.currentVisualizationType = null;
     this.currentMaxValue = null;
+    this.currentMaxLength = null;
+    this.currentTopValue = null;
+    this.currentEnvelope = null;
+    // Finished drawing, restored before and after highlighting some runs over it
+    this.baseImage = null;
+    this.densityGridCache = new WeakMap();
+
+    // Visible window { start, end, low, high } in steps and counter values; null shows everything
+    this.view = null;
+    this.onViewChange = onViewChange;
+    // Arguments of the last drawVisualization, drawn again as the view changes
+    this.lastDraw = null;
+    // Density of the retained paths re-binned around the zoomed window, per layer
+    this.windowCache = {};
+    this.drag = null;
+    this.redrawPending = false;
     
     // Tooltip element (will be created when needed)
     this.tooltip = null;
     this.isTooltipActive = false;
     
     this._setupTooltipHandlers();
+    this._setupZoomHandlers();
   }
 
   /**
@@ -32,6 +72,8 @@ export class VisualizationEngine {
    */
   showNoDataMessage(customMessage = null) {
     this.clear();
+    this.baseImage = null;
+    this.lastDraw = null;
     this.ctx.font = "16px Arial";
     this.ctx.fillStyle = "#999";
     this.ctx.textAlign = "center";
@@ -47,10 +89,15 @@ export class VisualizationEngine {
   }
 
   /**
-   * Create heatmap data from simulation runs
+   * Create heatmap data from a density accumulator
+   * @param {DensityAccumulator} density - Accumulated density of the successful runs
+   * @param {string} colorScaling - linear, sqrt, log or percentile
+   * @param {string} visualizationType - 'peak' for the peak trajectory, anything else for full path density
+   * @param {Object|null} columns - Only the bins { from, to } (to exclusive), so the colors scale to what is visible
+   * @returns {Object} Scaled and raw grids with their dimensions; `start` is the step where the first column begins
    */
-  createHeatmap(runs, colorScaling, visualizationType, maxValue) {
-    if (!runs || runs.length === 0) {
+  createHeatmap(density, colorScaling, visualizationType, columns = null) {
+    if (!density || density.runCount === 0) {
       return {
         colorDensity: [],
         alphaDensity: [],
@@ -59,22 +106,16 @@ export class VisualizationEngine {
       };
     }
 
-    const maxLength = Math.max(...runs.map((run) => run.length));
-    const gridWidth = Math.min(maxLength, 1000);
-    const gridHeight = maxValue + 1;
-
-    // Track both count and horizontal collapse
-    const verticalDensity = Array(gridHeight)
-      .fill(null)
-      .map(() => Array(gridWidth).fill(0));
-    const horizontalDensity = Array(gridHeight)
-      .fill(null)
-      .map(() => Array(gridWidth).fill(0));
-
-    if (visualizationType === "peak") {
-      this._calculatePeakDensity(runs, verticalDensity, horizontalDensity, maxLength, gridWidth, gridHeight);
-    } else {
-      this._calculateFullDensity(runs, verticalDensity, horizontalDensity, maxLength, gridWidth, gridHeight);
+    const grid = this._getDensityGrid(density, visualizationType === "peak" ? "peak" : "full");
+    let { runs: verticalDensity, points: horizontalDensity, gridWidth } = grid;
+    const { gridHeight } = grid;
+    let firstColumn = 0;
+    if (columns) {
+      firstColumn = Math.max(0, Math.min(gridWidth - 1, columns.from));
+      const lastColumn = Math.max(firstColumn + 1, Math.min(gridWidth, columns.to));
+      verticalDensity = verticalDensity.map((row) => row.slice(firstColumn, lastColumn));
+      horizontalDensity = horizontalDensity.map((row) => row.slice(firstColumn, lastColumn));
+      gridWidth = lastColumn - firstColumn;
     }
 
     const scaledDensity = this._applyColorScaling(verticalDensity, colorScaling, gridWidth, gridHeight);
@@ -87,55 +128,29 @@ export class VisualizationEngine {
       rawHorizontalDensity: horizontalDensity,
       gridWidth,
       gridHeight,
-      maxLength,
-      totalRuns: runs.length,
+      binWidth: grid.binWidth,
+      start: grid.start + firstColumn * grid.binWidth,
+      maxLength: grid.start + grid.maxLength,
+      totalRuns: grid.totalRuns,
     };
   }
 
-  _calculatePeakDensity(runs, verticalDensity, horizontalDensity, maxLength, gridWidth, gridHeight) {
-    runs.forEach((run) => {
-      const peakValues = Array(gridWidth).fill(-1);
-      const peakCounts = Array(gridWidth).fill(0);
-
-      run.forEach((value, index) => {
-        const x = Math.floor((index * gridWidth) / maxLength);
-        if (x < gridWidth) {
-          peakValues[x] = Math.max(peakValues[x], value);
-          peakCounts[x]++;
-        }
-      });
-
-      peakValues.forEach((peak, x) => {
-        if (peak >= 0) {
-          verticalDensity[peak][x]++;
-          horizontalDensity[peak][x] += peakCounts[x];
-        }
-      });
-    });
-  }
-
-  _calculateFullDensity(runs, verticalDensity, horizontalDensity, maxLength, gridWidth, gridHeight) {
-    runs.forEach((run) => {
-      const binCounts = Array(gridHeight)
-        .fill(null)
-        .map(() => Array(gridWidth).fill(0));
-
-      run.forEach((value, index) => {
-        const x = Math.floor((index * gridWidth) / maxLength);
-        if (x < gridWidth) {
-          binCounts[value][x]++;
-        }
-      });
-
-      for (let y = 0; y < gridHeight; y++) {
-        for (let x = 0; x < gridWidth; x++) {
-          if (binCounts[y][x] > 0) {
-            verticalDensity[y][x]++;
-            horizontalDensity[y][x] += binCounts[y][x];
-          }
-        }
-      }
-    });
+  /**
+   * Raw grids of an accumulator, kept per mode until the accumulator changes
+   * so switching mode or scaling does not read the accumulator again
+   * @private
+   */
+  _getDensityGrid(density, mode) {
+    let cache = this.densityGridCache.get(density);
+    if (!cache || cache.runCount !== density.runCount) {
+      cache = { runCount: density.runCount, grids: {} };
+      this.densityGridCache.set(density, cache);
+    }
+    const grids = cache.grids;
+    if (!grids[mode]) {
+      grids[mode] = density.getGrid(mode);
+    }
+    return grids[mode];
   }
 
   _applyColorScaling(verticalDensity, colorScaling, gridWidth, gridHeight) {
@@ -217,49 +232,53 @@ export class VisualizationEngine {
   getHeatmapColor(colorValue, alphaValue) {
     if (colorValue === 0 && alphaValue === 0) return "rgba(255, 255, 255, 0)";
 
-    let r, g, b;
-    if (colorValue < 0.2) {
-      const t = colorValue * 5;
-      r = 30 + t * 20;
-      g = 30 + t * 20;
-      b = 60 + t * 90;
-    } else if (colorValue < 0.4) {
-      const t = (colorValue - 0.2) * 5;
-      r = 50;
-      g = 50 + t * 100;
-      b = 150;
-    } else if (colorValue < 0.6) {
-      const t = (colorValue - 0.4) * 5;
-      r = 50 + t * 205;
-      g = 150 + t * 50;
-      b = 150 - t * 150;
-    } else if (colorValue < 0.8) {
-      const t = (colorValue - 0.6) * 5;
-      r = 255;
-      g = 200 - t * 50;
-      b = 0;
-    } else {
-      const t = (colorValue - 0.8) * 5;
-      r = 255;
-      g = 150 - t * 100;
-      b = 50 - t * 50;
-    }
-
     const alpha = Math.min(0.1 + alphaValue * 0.9, 1);
-    return `rgba(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)}, ${alpha})`;
+    return heatColor(colorValue, alpha);
+  }
+
+  /**
+   * Get color for the failed-run layer: a grey ramp, so it cannot be mistaken for success density
+   */
+  getFailedHeatmapColor(colorValue, alphaValue) {
+    if (colorValue === 0 && alphaValue === 0) return "rgba(255, 255, 255, 0)";
+
+    const shade = Math.round(190 - colorValue * 140);
+    const alpha = Math.min(0.1 + alphaValue * 0.6, 0.7);
+    return `rgba(${shade}, ${shade + 8}, ${shade + 20}, ${alpha})`;
   }
 
   /**
    * Draw the complete visualization
+   * @param {Array<Array<number>>} runs - Paths of successful runs
+   * @param {string} visualizationType - heatmap, lines, both or peak
+   * @param {string} colorScaling - linear, sqrt, log or percentile
+   * @param {number} maxValue - Target value
+   * @param {Object} options - Extra layers
+   * @param {Array<Array<number>>} options.absorbedRuns - Paths of runs that ended at an absorbing floor
+   * @param {DensityAccumulator} options.density - Density over every successful run; built from `runs` when omitted
+   * @param {boolean} options.showFailed - Add the failed runs as a grey layer in every mode
+   * @param {DensityAccumulator} options.failedDensity - Density over every failed run
+   * @param {Array<Array<number>>} options.failedRuns - Paths of failed runs that were not absorbed (censored at a limit)
+   * @param {number} options.topValue - Top of the value axis; above maxValue when steps that overshoot the target are kept
+   * @param {Object|null} options.envelope - Percentile bands of the successful runs over every mode:
+   *   { inner, outer, finished } (see PercentileEnvelope), or null for none
    */
-  drawVisualization(runs, visualizationType, colorScaling, maxValue) {
+  drawVisualization(runs, visualizationType, colorScaling, maxValue, options = {}) {
+    this.lastDraw = [runs, visualizationType, colorScaling, maxValue, options];
+    const { absorbedRuns = [], showFailed = false, failedDensity = null, failedRuns = [] } = options;
+    const topValue = Math.max(maxValue, options.topValue ?? maxValue);
+    runs = runs || [];
+    const density = options.density || DensityAccumulator.fromRuns(runs, topValue);
+    const failedLayer = showFailed && failedDensity && failedDensity.runCount > 0 ? failedDensity : null;
     this.clear();
 
-    if (!runs || runs.length === 0) {
+    // Failed runs alone are worth drawing - they show where hard parameters get stuck
+    if (runs.length === 0 && !failedLayer) {
       this.showNoDataMessage();
       // Clear stored data when no data to show
       this.currentHeatmapData = null;
       this.currentRuns = null;
+      this.currentEnvelope = null;
       return;
     }
 
@@ -267,83 +286,346 @@ export class VisualizationEngine {
     this.currentRuns = runs;
     this.currentVisualizationType = visualizationType;
     this.currentMaxValue = maxValue;
+    this.currentTopValue = topValue;
+    // The density covers every run, the retained paths may not include the longest one
+    this.currentMaxLength = Math.max(
+      1,
+      density.maxLength,
+      failedLayer ? failedLayer.maxLength : 0,
+      ...runs.map((run) => run.length)
+    );
+    this.currentHeatmapData = null;
+    // New results may be shorter than the window zoomed into on the last ones
+    this.view = this._clampView(this.view);
 
     const plotWidth = this.canvas.width - this.margin.left - this.margin.right;
     const plotHeight = this.canvas.height - this.margin.top - this.margin.bottom;
 
-    // Draw heatmap/peak visualization
+    // Draw heatmap/peak visualization - failed runs underneath, in grey
     if (["heatmap", "both", "peak"].includes(visualizationType)) {
-      this._drawHeatmap(runs, visualizationType, colorScaling, maxValue, plotWidth, plotHeight);
+      if (failedLayer) {
+        this._drawHeatmap(failedLayer, [failedRuns, absorbedRuns], visualizationType, colorScaling, plotWidth, plotHeight, "failed");
+      }
+      if (density.runCount > 0) {
+        this._drawHeatmap(density, [runs], visualizationType, colorScaling, plotWidth, plotHeight, "success");
+      }
     }
 
     // Draw individual lines
     if (["lines", "both"].includes(visualizationType)) {
-      this._drawLines(runs, visualizationType, maxValue, plotWidth, plotHeight);
+      if (failedLayer && failedRuns.length > 0) {
+        this._drawOverlayRuns(failedRuns, "#64748b", plotWidth, plotHeight);
+      }
+      this._drawLines(runs, visualizationType, plotWidth, plotHeight);
+    }
+
+    // Absorbed runs are drawn on top in their own color so they are not mistaken for successes
+    if (absorbedRuns.length > 0) {
+      this._drawOverlayRuns(absorbedRuns, "#dc2626", plotWidth, plotHeight);
+    }
+
+    this.currentEnvelope = options.envelope && runs.length > 0
+      ? computePercentileEnvelope(runs, { ...options.envelope, topValue, maxLength: this.currentMaxLength })
+      : null;
+    if (this.currentEnvelope) {
+      this._drawEnvelope(this.currentEnvelope, plotWidth, plotHeight);
     }
 
     // Draw axes and labels
-    this._drawAxes(runs, maxValue, plotWidth, plotHeight);
-    this._drawLabels(visualizationType, colorScaling, runs);
+    this._drawAxes(maxValue, plotWidth, plotHeight, topValue);
+    this._drawLabels(visualizationType, colorScaling, absorbedRuns, failedLayer ? failedLayer.runCount : 0, this.currentEnvelope);
+    this.baseImage = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
   }
 
-  _drawHeatmap(runs, visualizationType, colorScaling, maxValue, plotWidth, plotHeight) {
-    const heatmapData = this.createHeatmap(
-      runs,
-      colorScaling,
-      visualizationType,
-      maxValue
-    );
+  /**
+   * Highlight some runs over the drawn view, e.g. those of the bin hovered in the hitting-time panel
+   * @param {Array<Array<number>>} runs - Paths to draw in the highlight color
+   * @param {Object|null} range - Lengths { from, to } (to exclusive) whose end points are shaded on the
+   *   time axis; null removes the highlight
+   */
+  highlightRuns(runs, range) {
+    if (!this.baseImage) return;
+    this.ctx.putImageData(this.baseImage, 0, 0);
+    if (!range) return;
+
+    const plotWidth = this.canvas.width - this.margin.left - this.margin.right;
+    const plotHeight = this.canvas.height - this.margin.top - this.margin.bottom;
+
+    // A run of length L ends at iteration L - 1
+    const left = this._x(range.from - 1, plotWidth);
+    const right = this._x(range.to - 1, plotWidth);
+    this.ctx.save();
+    this._clipToPlot(plotWidth, plotHeight);
+    this.ctx.fillStyle = "rgba(14, 165, 233, 0.15)";
+    this.ctx.fillRect(left, this.margin.top, Math.max(1, right - left), plotHeight);
+    this.ctx.restore();
+
+    if (runs.length > 0) {
+      this._drawOverlayRuns(runs, "#0ea5e9", plotWidth, plotHeight);
+    }
+  }
+
+  /**
+   * Zoom back out to every step and value
+   * @param {boolean} redraw - Draw the full view now and report the change; false when new results
+   *   are about to be drawn anyway and the caller updates whatever follows the view
+   */
+  resetView(redraw = true) {
+    const zoomed = this.view !== null;
+    this.view = null;
+    this.windowCache = {};
+    if (!zoomed || !redraw) return;
+    if (this.lastDraw) this.drawVisualization(...this.lastDraw);
+    this.onViewChange?.(null, false);
+  }
+
+  /**
+   * Steps shown, when zoomed into time
+   * @returns {Object|null} { start, end }, or null when every step is shown
+   */
+  getTimeWindow() {
+    if (!this.view || (this.view.start <= 0 && this.view.end >= this.currentMaxLength)) return null;
+    return { start: this.view.start, end: this.view.end };
+  }
+
+  /**
+   * Shown window, the full extent when not zoomed
+   * @private
+   */
+  _viewWindow() {
+    return this.view || { start: 0, end: this.currentMaxLength, low: 0, high: this.currentTopValue };
+  }
+
+  /**
+   * Horizontal canvas position of a step
+   * @private
+   */
+  _x(time, plotWidth) {
+    const { start, end } = this._viewWindow();
+    return this.margin.left + ((time - start) / (end - start)) * plotWidth;
+  }
+
+  /**
+   * Vertical canvas position of a counter value
+   * @private
+   */
+  _y(value, plotHeight) {
+    const { low, high } = this._viewWindow();
+    return this.margin.top + plotHeight - ((value - low) / (high - low)) * plotHeight;
+  }
+
+  /**
+   * Step under a horizontal canvas position
+   * @private
+   */
+  _timeAt(canvasX) {
+    const { start, end } = this._viewWindow();
+    const plotWidth = this.canvas.width - this.margin.left - this.margin.right;
+    return start + ((canvasX - this.margin.left) / plotWidth) * (end - start);
+  }
+
+  /**
+   * Counter value under a vertical canvas position
+   * @private
+   */
+  _valueAt(canvasY) {
+    const { low, high } = this._viewWindow();
+    const plotHeight = this.canvas.height - this.margin.top - this.margin.bottom;
+    return low + ((this.margin.top + plotHeight - canvasY) / plotHeight) * (high - low);
+  }
+
+  /**
+   * Restrict drawing to the plot area (inside a save/restore)
+   * @private
+   */
+  _clipToPlot(plotWidth, plotHeight) {
+    this.ctx.beginPath();
+    this.ctx.rect(this.margin.left, this.margin.top, plotWidth, plotHeight);
+    this.ctx.clip();
+  }
+
+  /**
+   * Density to draw a layer from: the accumulator over every run, or - zoomed
+   * in so far that its bins would be several pixels wide - the retained paths
+   * re-binned over the window and half a window either side, so small pans
+   * and zooms reuse it
+   * @private
+   */
+  _visibleDensity(density, pathSets, layer, plotWidth) {
+    if (!this.view || density.binWidth === 1) return density;
+    const { start, end } = this.view;
+    const span = end - start;
+    if ((span / density.binWidth) * 2 >= plotWidth) return density;
+    const paths = pathSets.flat();
+    if (paths.length === 0) return density;
+
+    const cached = this.windowCache[layer];
+    if (cached && cached.density.maxValue === density.maxValue &&
+        cached.pathSets.length === pathSets.length && cached.pathSets.every((set, i) => set === pathSets[i]) &&
+        cached.from <= start && end <= cached.to && span * 4 > cached.span * 3) {
+      return cached.density;
+    }
+
+    const from = Math.max(0, Math.floor(start - span / 2));
+    const to = Math.ceil(end + span / 2) + 1;
+    const steps = paths.reduce((sum, path) => sum + Math.max(0, Math.min(path.length, to) - from), 0);
+    if (steps > MAX_REBIN_STEPS) return density;
+    const windowDensity = DensityAccumulator.fromRunWindow(paths, density.maxValue, from, to, { columns: WINDOW_COLUMNS });
+    this.windowCache[layer] = { pathSets, from, to, span, density: windowDensity };
+    return windowDensity;
+  }
+
+  _drawHeatmap(density, pathSets, visualizationType, colorScaling, plotWidth, plotHeight, layer) {
+    const source = this._visibleDensity(density, pathSets, layer, plotWidth);
+    const { start, end } = this._viewWindow();
+    const heatmapData = {
+      ...this.createHeatmap(source, colorScaling, visualizationType, this.view ? {
+        from: Math.floor((start - source.start) / source.binWidth),
+        to: Math.ceil((end - source.start) / source.binWidth)
+      } : null),
+      layer,
+      // Runs behind a re-binned window, which only covers the retained paths
+      rebinnedRuns: source === density ? null : source.runCount
+    };
     
-    // Store heatmap data for tooltip access
+    // Store heatmap data for tooltip access - the success layer wins when both are drawn
     this.currentHeatmapData = heatmapData;
     
-    const { colorDensity, alphaDensity, gridWidth, gridHeight } = heatmapData;
-    const cellWidth = plotWidth / gridWidth;
-    const cellHeight = plotHeight / gridHeight;
+    const { colorDensity, alphaDensity, gridWidth, gridHeight, binWidth } = heatmapData;
+    if (gridWidth === 0) return;
+    const colorFor = layer === "failed" ? this.getFailedHeatmapColor : this.getHeatmapColor;
+    // Row y holds values y..y+1 of gridHeight, scaled over the top of the value axis
+    const rowValue = (y) => (y / gridHeight) * this.currentTopValue;
+    // Bins have a power-of-two width, so the last one may reach past the longest run
+    const columnLeft = (x) => this._x(heatmapData.start + x * binWidth, plotWidth);
+
+    this.ctx.save();
+    this._clipToPlot(plotWidth, plotHeight);
 
     for (let y = 0; y < gridHeight; y++) {
+      const top = this._y(rowValue(y + 1), plotHeight);
+      const cellHeight = this._y(rowValue(y), plotHeight) - top;
       for (let x = 0; x < gridWidth; x++) {
         const colorValue = colorDensity[y][x];
         const alphaValue = alphaDensity[y][x];
         if (colorValue > 0 || alphaValue > 0) {
-          this.ctx.fillStyle = this.getHeatmapColor(colorValue, alphaValue);
-          this.ctx.fillRect(
-            this.margin.left + x * cellWidth,
-            this.margin.top + plotHeight - (y + 1) * cellHeight,
-            cellWidth + 1,
-            cellHeight + 1
-          );
+          const left = columnLeft(x);
+          this.ctx.fillStyle = colorFor(colorValue, alphaValue);
+          this.ctx.fillRect(left, top, columnLeft(x + 1) - left + 1, cellHeight + 1);
         }
       }
     }
-  }
 
-  _drawLines(runs, visualizationType, maxValue, plotWidth, plotHeight) {
-    const maxLength = Math.max(...runs.map((run) => run.length));
+    this.ctx.restore();
+  }
 
+  _drawLines(runs, visualizationType, plotWidth, plotHeight) {
+    this.ctx.save();
+    this._clipToPlot(plotWidth, plotHeight);
     this.ctx.globalAlpha = visualizationType === "both" ? 0.02 : 0.05;
     this.ctx.strokeStyle = "purple";
     this.ctx.lineWidth = 1;
 
-    runs.forEach((run) => {
-      this.ctx.beginPath();
-      run.forEach((value, index) => {
-        const x = this.margin.left + (index / maxLength) * plotWidth;
-        const y = this.margin.top + plotHeight - (value / maxValue) * plotHeight;
-
-        if (index === 0) {
-          this.ctx.moveTo(x, y);
-        } else {
-          this.ctx.lineTo(x, y);
-        }
-      });
-      this.ctx.stroke();
+    runs.forEach((run) => this._tracePath(run, plotWidth, plotHeight));
+
+    this.ctx.restore();
+  }
+
+  /**
+   * Draw failed paths (absorbed or censored) in a single color over the plot
+   * @private
+   */
+  _drawOverlayRuns(overlayRuns, color, plotWidth, plotHeight) {
+    // Failed runs may be longer than the longest success - clip them to the plot area
+    this.ctx.save();
+    this._clipToPlot(plotWidth, plotHeight);
+
+    this.ctx.globalAlpha = Math.max(0.05, Math.min(0.4, 5 / overlayRuns.length));
+    this.ctx.strokeStyle = color;
+    this.ctx.lineWidth = 1;
+
+    overlayRuns.forEach((run) => this._tracePath(run, plotWidth, plotHeight));
+
+    this.ctx.restore();
+  }
+
+  /**
+   * Stroke one path, skipping the steps outside the shown window
+   * @private
+   */
+  _tracePath(run, plotWidth, plotHeight) {
+    const { start, end } = this._viewWindow();
+    // One step either side keeps the segments that cross the edges
+    const first = Math.max(0, Math.floor(start) - 1);
+    const last = Math.min(run.length, Math.ceil(end) + 2);
+    if (first >= last) return;
+
+    this.ctx.beginPath();
+    const visible = run.subarray ? run.subarray(first, last) : run.slice(first, last);
+    visible.forEach((value, offset) => {
+      const x = this._x(first + offset, plotWidth);
+      const y = this._y(value, plotHeight);
+      if (offset === 0) {
+        this.ctx.moveTo(x, y);
+      } else {
+        this.ctx.lineTo(x, y);
+      }
     });
+    this.ctx.stroke();
+  }
+
+  /**
+   * Fill the outer and inner percentile bands and draw the median over them
+   * @private
+   */
+  _drawEnvelope(envelope, plotWidth, plotHeight) {
+    const { times, values } = envelope;
+    const x = (time) => this._x(time, plotWidth);
+    const y = (value) => this._y(value, plotHeight);
+
+    // Stretches where enough runs remain for the bands to be defined
+    const segments = [];
+    let start = null;
+    times.forEach((_, j) => {
+      const defined = !Number.isNaN(values[0][j]);
+      if (defined && start === null) start = j;
+      if (!defined && start !== null) {
+        segments.push([start, j]);
+        start = null;
+      }
+    });
+    if (start !== null) segments.push([start, times.length]);
+
+    this.ctx.save();
+    this._clipToPlot(plotWidth, plotHeight);
+
+    // values holds [outer low, inner low, median, inner high, outer high]
+    const fillBand = (lower, upper, alpha) => {
+      this.ctx.globalAlpha = alpha;
+      this.ctx.fillStyle = ENVELOPE_COLOR;
+      segments.forEach(([from, to]) => {
+        this.ctx.beginPath();
+        for (let j = from; j < to; j++) this.ctx.lineTo(x(times[j]), y(values[lower][j]));
+        for (let j = to - 1; j >= from; j--) this.ctx.lineTo(x(times[j]), y(values[upper][j]));
+        this.ctx.closePath();
+        this.ctx.fill();
+      });
+    };
+    fillBand(0, 4, 0.2);
+    fillBand(1, 3, 0.3);
 
     this.ctx.globalAlpha = 1;
+    this.ctx.strokeStyle = ENVELOPE_COLOR;
+    this.ctx.lineWidth = 2;
+    segments.forEach(([from, to]) => {
+      this.ctx.beginPath();
+      for (let j = from; j < to; j++) this.ctx.lineTo(x(times[j]), y(values[2][j]));
+      this.ctx.stroke();
+    });
+    this.ctx.restore();
   }
 
-  _drawAxes(runs, maxValue, plotWidth, plotHeight) {
+  _drawAxes(maxValue, plotWidth, plotHeight, topValue = maxValue) {
     this.ctx.strokeStyle = "#333";
     this.ctx.lineWidth = 2;
     this.ctx.beginPath();
@@ -358,10 +640,12 @@ export class VisualizationEngine {
     this.ctx.fillStyle = "#666";
     this.ctx.font = "10px Arial";
 
+    const { start, end, low, high } = this._viewWindow();
+
     // Y-axis
-    const yStep = maxValue <= 20 ? 5 : 10;
-    for (let i = 0; i <= maxValue; i += yStep) {
-      const y = this.margin.top + plotHeight - (i / maxValue) * plotHeight;
+    const yStep = high - low < 5 ? 1 : high - low <= 20 ? 5 : 10;
+    for (let i = Math.ceil(low / yStep) * yStep; i <= high; i += yStep) {
+      const y = this._y(i, plotHeight);
       this.ctx.beginPath();
       this.ctx.moveTo(this.margin.left, y);
       this.ctx.lineTo(this.margin.left + plotWidth, y);
@@ -370,12 +654,30 @@ export class VisualizationEngine {
       this.ctx.fillText(i.toString(), this.margin.left - 5, y + 3);
     }
 
+    // Runs that overshoot end above the target, so mark where it is
+    if (topValue > maxValue && maxValue >= low && maxValue <= high) {
+      const y = this._y(maxValue, plotHeight);
+      this.ctx.save();
+      this.ctx.strokeStyle = "#16a34a";
+      this.ctx.lineWidth = 1;
+      this.ctx.setLineDash([4, 3]);
+      this.ctx.beginPath();
+      this.ctx.moveTo(this.margin.left, y);
+      this.ctx.lineTo(this.margin.left + plotWidth, y);
+      this.ctx.stroke();
+      this.ctx.restore();
+      this.ctx.fillStyle = "#16a34a";
+      this.ctx.textAlign = "right";
+      this.ctx.fillText(`target ${maxValue}`, this.margin.left + plotWidth, y - 3);
+      this.ctx.fillStyle = "#666";
+    }
+
     // X-axis
-    const maxLength = Math.max(...runs.map((run) => run.length));
+    const maxLength = this.currentMaxLength;
     this.ctx.textAlign = "center";
     for (let i = 0; i <= 5; i++) {
       const x = this.margin.left + (i / 5) * plotWidth;
-      const iterValue = Math.round((i / 5) * maxLength);
+      const iterValue = Math.round(start + (i / 5) * (end - start));
       this.ctx.fillText(iterValue.toString(), x, this.margin.top + plotHeight + 15);
     }
 
@@ -390,13 +692,30 @@ export class VisualizationEngine {
     this.ctx.restore();
     this.ctx.textAlign = "center";
     this.ctx.fillText(
-      `Iterations (longest run: ${maxLength})`,
+      this.view ? this._zoomTitle() : `Iterations (longest run: ${maxLength})`,
       this.canvas.width / 2,
       this.canvas.height - 5
     );
   }
 
-  _drawLabels(visualizationType, colorScaling, runs) {
+  /**
+   * Time axis title of a zoomed view: the window and how finely it is binned
+   * @private
+   */
+  _zoomTitle() {
+    const { start, end } = this.view;
+    let title = `Iterations ${Math.round(start)}-${Math.round(end)} of ${this.currentMaxLength} (zoomed`;
+    const heatmap = this.currentHeatmapData;
+    if (heatmap) {
+      const width = `${heatmap.binWidth} step${heatmap.binWidth === 1 ? '' : 's'} per bin`;
+      title += heatmap.rebinnedRuns === null
+        ? `, ${width}`
+        : `, re-binned to ${width} from ${heatmap.rebinnedRuns} retained path${heatmap.rebinnedRuns === 1 ? '' : 's'}`;
+    }
+    return `${title})`;
+  }
+
+  _drawLabels(visualizationType, colorScaling, absorbedRuns = [], failedCount = 0, envelope = null) {
     const scalingLabel = {
       linear: "Linear",
       sqrt: "Square Root",
@@ -419,6 +738,35 @@ export class VisualizationEngine {
       this.canvas.width - 25,
       15
     );
+
+    const overlayLabels = [];
+    if (absorbedRuns.length > 0) {
+      overlayLabels.push({
+        color: "#dc2626",
+        text: `Red: ${absorbedRuns.length} absorbed run${absorbedRuns.length === 1 ? '' : 's'}`
+      });
+    }
+    if (failedCount > 0) {
+      overlayLabels.push({
+        color: "#64748b",
+        text: `Grey: ${failedCount} failed run${failedCount === 1 ? '' : 's'}`
+      });
+    }
+    if (envelope) {
+      const [outer, inner] = envelope.percentiles;
+      overlayLabels.push({
+        color: ENVELOPE_COLOR,
+        text: `Green: median, p${inner}-p${100 - inner} and p${outer}-p${100 - outer} (finished runs ${envelope.finished === 'hold' ? 'held' : 'dropped'})`
+      });
+    }
+
+    this.ctx.textAlign = "left";
+    let labelX = this.margin.left + 5;
+    overlayLabels.forEach(({ color, text }) => {
+      this.ctx.fillStyle = color;
+      this.ctx.fillText(text, labelX, 15);
+      labelX += this.ctx.measureText(text).width + 15;
+    });
   }
 
   /**
@@ -442,32 +790,203 @@ export class VisualizationEngine {
     });
   }
 
+  /**
+   * Wheel zoom, drag to pan, Shift+drag to zoom to a box and double-click to reset
+   * @private
+   */
+  _setupZoomHandlers() {
+    this.canvas.style.cursor = 'grab';
+
+    this.canvas.addEventListener('wheel', (e) => {
+      const point = this._plotPoint(e);
+      if (!point || !this.lastDraw) return;
+      // Keep the page from scrolling while zooming
+      e.preventDefault();
+      // Some browsers turn Shift+wheel into a horizontal scroll
+      const delta = e.deltaY || e.deltaX;
+      if (!delta) return;
+
+      const factor = delta > 0 ? WHEEL_ZOOM : 1 / WHEEL_ZOOM;
+      const view = this._viewWindow();
+      if (e.shiftKey) {
+        const value = this._valueAt(point.y);
+        this._setView({ ...view, low: value - (value - view.low) * factor, high: value + (view.high - value) * factor });
+      } else {
+        const time = this._timeAt(point.x);
+        this._setView({ ...view, start: time - (time - view.start) * factor, end: time + (view.end - time) * factor });
+      }
+    }, { passive: false });
+
+    this.canvas.addEventListener('mousedown', (e) => {
+      const point = this._plotPoint(e);
+      if (!point || e.button !== 0 || !this.lastDraw) return;
+      e.preventDefault();
+      this.drag = { origin: point, view: this._viewWindow(), box: e.shiftKey };
+      this.canvas.style.cursor = this.drag.box ? 'crosshair' : 'grabbing';
+      this._hideTooltip();
+    });
+
+    // Follow the drag outside the canvas too
+    window.addEventListener('mousemove', (e) => this._handleDrag(e));
+    window.addEventListener('mouseup', (e) => this._endDrag(e));
+
+    this.canvas.addEventListener('dblclick', () => this.resetView());
+  }
+
+  /**
+   * Canvas position of a mouse event in canvas pixels
+   * @param {MouseEvent} e - Mouse event
+   * @param {boolean} clamp - Pull positions outside the plot area onto its edge instead of returning null
+   * @returns {Object|null} { x, y }
+   * @private
+   */
+  _plotPoint(e, clamp = false) {
+    const rect = this.canvas.getBoundingClientRect();
+    // The canvas may be scaled by CSS
+    const x = (e.clientX - rect.left) * (this.canvas.width / rect.width);
+    const y = (e.clientY - rect.top) * (this.canvas.height / rect.height);
+    const right = this.canvas.width - this.margin.right;
+    const bottom = this.canvas.height - this.margin.bottom;
+    if (clamp) {
+      return {
+        x: Math.max(this.margin.left, Math.min(right, x)),
+        y: Math.max(this.margin.top, Math.min(bottom, y))
+      };
+    }
+    if (x < this.margin.left || x > right || y < this.margin.top || y > bottom) return null;
+    return { x, y };
+  }
+
+  /**
+   * Pan with the mouse, or draw the zoom box over the finished image
+   * @private
+   */
+  _handleDrag(e) {
+    if (!this.drag) return;
+    const point = this._plotPoint(e, true);
+    const { origin, view } = this.drag;
+
+    if (this.drag.box) {
+      if (!this.baseImage) return;
+      this.ctx.putImageData(this.baseImage, 0, 0);
+      this.ctx.save();
+      this.ctx.fillStyle = "rgba(14, 165, 233, 0.1)";
+      this.ctx.strokeStyle = "#0ea5e9";
+      this.ctx.setLineDash([4, 3]);
+      this.ctx.fillRect(origin.x, origin.y, point.x - origin.x, point.y - origin.y);
+      this.ctx.strokeRect(origin.x, origin.y, point.x - origin.x, point.y - origin.y);
+      this.ctx.restore();
+      return;
+    }
+
+    const plotWidth = this.canvas.width - this.margin.left - this.margin.right;
+    const plotHeight = this.canvas.height - this.margin.top - this.margin.bottom;
+    const timeShift = ((point.x - origin.x) / plotWidth) * (view.end - view.start);
+    const valueShift = ((point.y - origin.y) / plotHeight) * (view.high - view.low);
+    this._setView({
+      start: view.start - timeShift,
+      end: view.end - timeShift,
+      low: view.low + valueShift,
+      high: view.high + valueShift
+    });
+  }
+
+  /**
+   * Finish a pan, or zoom to the box; a side shorter than a few pixels keeps that axis as it is
+   * @private
+   */
+  _endDrag(e) {
+    if (!this.drag) return;
+    const { origin, box } = this.drag;
+    this.drag = null;
+    this.canvas.style.cursor = 'grab';
+    if (!box) return;
+
+    if (this.baseImage) this.ctx.putImageData(this.baseImage, 0, 0);
+    const point = this._plotPoint(e, true);
+    const wide = Math.abs(point.x - origin.x) >= MIN_BOX_PIXELS;
+    const tall = Math.abs(point.y - origin.y) >= MIN_BOX_PIXELS;
+    if (!wide && !tall) return;
+
+    const view = this._viewWindow();
+    this._setView({
+      start: wide ? this._timeAt(Math.min(origin.x, point.x)) : view.start,
+      end: wide ? this._timeAt(Math.max(origin.x, point.x)) : view.end,
+      low: tall ? this._valueAt(Math.max(origin.y, point.y)) : view.low,
+      high: tall ? this._valueAt(Math.min(origin.y, point.y)) : view.high
+    });
+  }
+
+  /**
+   * Show a new window, redrawn on the next frame
+   * @private
+   */
+  _setView(view) {
+    const before = this.getTimeWindow();
+    const wasZoomed = this.view !== null;
+    this.view = this._clampView(view);
+    this._scheduleRedraw();
+
+    const after = this.getTimeWindow();
+    if (before?.start !== after?.start || before?.end !== after?.end || wasZoomed !== (this.view !== null)) {
+      this.onViewChange?.(after, this.view !== null);
+    }
+  }
+
+  /**
+   * Keep a window inside the data and no narrower than the minimum spans
+   * @returns {Object|null} The window, or null when it shows everything
+   * @private
+   */
+  _clampView(view) {
+    if (!view) return null;
+    const clampAxis = (from, to, limit, minSpan) => {
+      const span = Math.min(limit, Math.max(minSpan, to - from));
+      const center = (from + to) / 2;
+      const lower = Math.max(0, Math.min(limit - span, center - span / 2));
+      return [lower, lower + span];
+    };
+    const [start, end] = clampAxis(view.start, view.end, this.currentMaxLength, MIN_VIEW_STEPS);
+    const [low, high] = clampAxis(view.low, view.high, this.currentTopValue, MIN_VIEW_VALUES);
+    if (start <= 0 && end >= this.currentMaxLength && low <= 0 && high >= this.currentTopValue) return null;
+    return { start, end, low, high };
+  }
+
+  /**
+   * Draw the last results again, at most once per frame
+   * @private
+   */
+  _scheduleRedraw() {
+    if (this.redrawPending || !this.lastDraw) return;
+    this.redrawPending = true;
+    const nextFrame = typeof requestAnimationFrame === 'function'
+      ? requestAnimationFrame
+      : (callback) => setTimeout(callback, 16);
+    nextFrame(() => {
+      this.redrawPending = false;
+      if (this.lastDraw) this.drawVisualization(...this.lastDraw);
+    });
+  }
+
   /**
    * Handle mouse movement over canvas
    * @private
    */
   _handleMouseMove(e) {
-    if (!this.currentHeatmapData || !this.currentRuns) {
+    if (!this.currentHeatmapData || !this.currentRuns || this.drag) {
       this._hideTooltip();
       return;
     }
 
-    const rect = this.canvas.getBoundingClientRect();
-    const canvasX = e.clientX - rect.left;
-    const canvasY = e.clientY - rect.top;
-
     // Check if mouse is within plot area
-    const plotWidth = this.canvas.width - this.margin.left - this.margin.right;
-    const plotHeight = this.canvas.height - this.margin.top - this.margin.bottom;
-    
-    if (canvasX < this.margin.left || canvasX > this.margin.left + plotWidth ||
-        canvasY < this.margin.top || canvasY > this.margin.top + plotHeight) {
+    const point = this._plotPoint(e);
+    if (!point) {
       this._hideTooltip();
       return;
     }
 
     // Convert to grid coordinates
-    const gridCoords = this._canvasToGridCoordinates(canvasX, canvasY, plotWidth, plotHeight);
+    const gridCoords = this._canvasToGridCoordinates(point.x, point.y);
     if (!gridCoords) {
       this._hideTooltip();
       return;
@@ -486,18 +1005,14 @@ export class VisualizationEngine {
    * Convert canvas coordinates to grid coordinates
    * @private
    */
-  _canvasToGridCoordinates(canvasX, canvasY, plotWidth, plotHeight) {
+  _canvasToGridCoordinates(canvasX, canvasY) {
     if (!this.currentHeatmapData) return null;
 
-    const { gridWidth, gridHeight } = this.currentHeatmapData;
+    const { gridWidth, gridHeight, binWidth, start } = this.currentHeatmapData;
     
-    // Convert to relative plot coordinates (0-1)
-    const relX = (canvasX - this.margin.left) / plotWidth;
-    const relY = (this.margin.top + plotHeight - canvasY) / plotHeight;
-    
-    // Convert to grid coordinates
-    const gridX = Math.floor(relX * gridWidth);
-    const gridY = Math.floor(relY * gridHeight);
+    // Convert to grid coordinates through the shown window
+    const gridX = Math.floor((this._timeAt(canvasX) - start) / binWidth);
+    const gridY = Math.floor((this._valueAt(canvasY) / this.currentTopValue) * gridHeight);
     
     // Validate bounds
     if (gridX < 0 || gridX >= gridWidth || gridY < 0 || gridY >= gridHeight) {
@@ -519,10 +1034,11 @@ export class VisualizationEngine {
       rawHorizontalDensity,
       colorDensity,
       alphaDensity,
-      gridWidth,
-      gridHeight,
+      binWidth,
+      start,
       maxLength,
-      totalRuns
+      totalRuns,
+      layer
     } = this.currentHeatmapData;
 
     // Get raw density values
@@ -531,16 +1047,16 @@ export class VisualizationEngine {
     const scaledColorValue = colorDensity[gridY][gridX];
     const scaledAlphaValue = alphaDensity[gridY][gridX];
 
-    // Skip empty cells
-    if (verticalCount === 0 && horizontalCount === 0) {
-      return null;
-    }
-
     // Calculate data coordinates
     const counterValue = gridY;
-    const timePosition = (gridX / gridWidth) * maxLength;
-    const timeStart = Math.floor(timePosition);
-    const timeEnd = Math.floor(((gridX + 1) / gridWidth) * maxLength);
+    const timeStart = start + gridX * binWidth;
+    const timeEnd = Math.min(timeStart + binWidth, maxLength);
+    const envelope = envelopeAt(this.currentEnvelope, (timeStart + timeEnd) / 2);
+
+    // Skip empty cells, unless there are percentile bands to report
+    if (verticalCount === 0 && horizontalCount === 0 && !envelope) {
+      return null;
+    }
     
     // Calculate percentages
     const runPercentage = totalRuns > 0 ? ((verticalCount / totalRuns) * 100).toFixed(1) : '0.0';
@@ -555,7 +1071,9 @@ export class VisualizationEngine {
       totalRuns,
       scaledColorValue: (scaledColorValue * 100).toFixed(1),
       scaledAlphaValue: (scaledAlphaValue * 100).toFixed(1),
-      visualizationType: this.currentVisualizationType
+      visualizationType: this.currentVisualizationType,
+      layer,
+      envelope
     };
   }
 
@@ -603,29 +1121,39 @@ export class VisualizationEngine {
       totalRuns,
       scaledColorValue,
       scaledAlphaValue,
-      visualizationType
+      visualizationType,
+      layer,
+      envelope
     } = data;
 
     // Build tooltip content based on visualization type
     let content = '';
+    const layerSuffix = layer === 'failed' ? ' (Failed Runs)' : '';
+    const aboveTarget = counterValue > this.currentMaxValue ? ' (overshot the target)' : '';
     
     if (visualizationType === 'peak') {
-      content = `<strong>Peak Trajectory</strong><br/>`;
-      content += `Counter Value: ${counterValue}<br/>`;
+      content = `<strong>Peak Trajectory${layerSuffix}</strong><br/>`;
+      content += `Counter Value: ${counterValue}${aboveTarget}<br/>`;
       content += `Time Window: ${timeStart}-${timeEnd}<br/>`;
       content += `Runs w/ Peak Here: ${verticalCount} (${runPercentage}%)<br/>`;
       content += `Data Points: ${horizontalCount}`;
     } else {
-      content = `<strong>Path Density</strong><br/>`;
-      content += `Counter Value: ${counterValue}<br/>`;
+      content = `<strong>Path Density${layerSuffix}</strong><br/>`;
+      content += `Counter Value: ${counterValue}${aboveTarget}<br/>`;
       content += `Time Steps: ${timeStart}-${timeEnd}<br/>`;
-      content += `Runs Passing Through: ${verticalCount} (${runPercentage}%)<br/>`;
+      // Runs that jump several levels skip values, so count visits rather than passes
+      content += `Runs at This Value: ${verticalCount} (${runPercentage}%)<br/>`;
       content += `Total Data Points: ${horizontalCount}<br/>`;
       if (horizontalCount > verticalCount) {
         const avgSteps = (horizontalCount / verticalCount).toFixed(1);
         content += `Avg. Steps per Run: ${avgSteps}`;
       }
     }
+
+    if (envelope) {
+      const bands = envelope.values.map(({ percentile, value }) => `p${percentile} ${value}`).join(' · ');
+      content += `${content.endsWith('<br/>') ? '' : '<br/>'}<strong>Percentiles at step ${envelope.time}</strong> (${envelope.runs} runs)<br/>${bands}`;
+    }
     
     this.tooltip.innerHTML = content;
     
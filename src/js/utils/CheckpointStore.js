@@ -0,0 +1,118 @@
+/**
+ * IndexedDB storage for the checkpoint of an unfinished simulation
+ *
+ * Long extended/unlimited runs are saved periodically so that a reload, a
+ * crash or the safety cutoff does not throw the sampling away. A checkpoint
+ * is { version, savedAt, phase, params, results }: the phase to continue in,
+ * the validated UI parameters and the results so far, including the
+ * per-stream generator states. Results are stored as structured clones, like
+ * the copies workers send back, so CompactPath, DensityAccumulator and
+ * TransitionCounter instances are revived on load.
+ *
+ * Only one checkpoint is kept - a newer unfinished simulation replaces it.
+ */
+import { reviveRunPaths } from './CompactPath.js';
+
+// Bumped whenever the stored results shape changes; older checkpoints are discarded
+const CHECKPOINT_VERSION = 2;
+
+const DB_NAME = 'probability-visualizer';
+const STORE_NAME = 'checkpoints';
+const CHECKPOINT_KEY = 'current';
+
+export class CheckpointStore {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  /**
+   * Whether the browser offers IndexedDB at all (it may still refuse, e.g. in private mode)
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Save the checkpoint, replacing any earlier one
+   * @param {Object} checkpoint - Checkpoint to save
+   * @param {string} checkpoint.phase - Timeout phase to continue in ('extended' or 'unlimited')
+   * @param {Object} checkpoint.params - Validated simulation parameters (plain data, no callbacks)
+   * @param {Object} checkpoint.results - Results so far, in the shape SimulationWorkerPool produces
+   * @returns {Promise<void>}
+   */
+  async save({ phase, params, results }) {
+    await this._request('readwrite', (store) => store.put({
+      version: CHECKPOINT_VERSION,
+      savedAt: Date.now(),
+      phase,
+      params,
+      results
+    }, CHECKPOINT_KEY));
+  }
+
+  /**
+   * Load the saved checkpoint
+   * @returns {Promise<Object|null>} Checkpoint with revived results, or null if there is none (or it is outdated)
+   */
+  async load() {
+    const checkpoint = await this._request('readonly', (store) => store.get(CHECKPOINT_KEY));
+    if (!checkpoint || checkpoint.version !== CHECKPOINT_VERSION) {
+      return null;
+    }
+
+    reviveRunPaths(checkpoint.results);
+    (checkpoint.results.streams || []).forEach((stream) => {
+      if (stream) reviveRunPaths(stream);
+    });
+    return checkpoint;
+  }
+
+  /**
+   * Delete the saved checkpoint
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this._request('readwrite', (store) => store.delete(CHECKPOINT_KEY));
+  }
+
+  /**
+   * Run one request against the checkpoint store and resolve with its result
+   * once the transaction has committed
+   * @private
+   */
+  async _request(mode, makeRequest) {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = makeRequest(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Checkpoint transaction aborted'));
+    });
+  }
+
+  /**
+   * Open (and on first use create) the database
+   * @private
+   */
+  _open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        if (!this.isAvailable()) {
+          reject(new Error('IndexedDB is not available'));
+          return;
+        }
+        const request = indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      // Let a later call retry after a failure
+      this.dbPromise.catch(() => {
+        this.dbPromise = null;
+      });
+    }
+    return this.dbPromise;
+  }
+}
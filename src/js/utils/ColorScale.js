@@ -0,0 +1,53 @@
+/**
+ * Color ramps shared by the density heatmap, the parameter sweep map and the comparison view
+ */
+
+/**
+ * Map a normalized value to the blue → green → yellow → red ramp
+ * @param {number} value - Value in [0, 1]
+ * @param {number} alpha - Opacity
+ * @returns {string} rgba() color
+ */
+export function heatColor(value, alpha = 1) {
+  let r, g, b;
+  if (value < 0.2) {
+    const t = value * 5;
+    r = 30 + t * 20;
+    g = 30 + t * 20;
+    b = 60 + t * 90;
+  } else if (value < 0.4) {
+    const t = (value - 0.2) * 5;
+    r = 50;
+    g = 50 + t * 100;
+    b = 150;
+  } else if (value < 0.6) {
+    const t = (value - 0.4) * 5;
+    r = 50 + t * 205;
+    g = 150 + t * 50;
+    b = 150 - t * 150;
+  } else if (value < 0.8) {
+    const t = (value - 0.6) * 5;
+    r = 255;
+    g = 200 - t * 50;
+    b = 0;
+  } else {
+    const t = (value - 0.8) * 5;
+    r = 255;
+    g = 150 - t * 100;
+    b = 50 - t * 50;
+  }
+  return `rgba(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)}, ${alpha})`;
+}
+
+/**
+ * Map a signed value to a blue → white → red ramp, for difference maps
+ * @param {number} value - Value in [-1, 1]; negative is blue, positive red
+ * @returns {string} rgb() color
+ */
+export function divergingColor(value) {
+  const t = Math.min(1, Math.abs(value));
+  const fade = (channel) => Math.round(255 - t * (255 - channel));
+  return value >= 0
+    ? `rgb(${fade(220)}, ${fade(38)}, ${fade(38)})`
+    : `rgb(${fade(37)}, ${fade(99)}, ${fade(235)})`;
+}
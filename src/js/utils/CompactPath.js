@@ -0,0 +1,185 @@
+/**
+ * Compact storage for a run's trajectory
+ *
+ * A path is the counter value at every step. Stored as a plain array every
+ * value costs 8+ bytes, so a hard run of several million steps in unlimited
+ * mode can exhaust memory. CompactPath keeps the values in the smallest
+ * typed array that fits the target (1 byte per step for targets up to 255)
+ * and exposes the read-only part of the array API the rest of the app uses:
+ * `length`, `get(i)`, `forEach`, iteration and `reduce`.
+ *
+ * Paths cross worker boundaries via structured clone, which drops the class;
+ * use CompactPath.from() / reviveRunPaths() on the receiving side.
+ */
+
+import { DensityAccumulator } from './DensityAccumulator.js';
+import { TransitionCounter } from './TransitionCounter.js';
+
+const INITIAL_CAPACITY = 64;
+
+/**
+ * Typed array constructor able to hold counter values up to maxValue
+ * @private
+ */
+function arrayTypeFor(maxValue) {
+  if (maxValue <= 0xff) return Uint8Array;
+  if (maxValue <= 0xffff) return Uint16Array;
+  return Uint32Array;
+}
+
+export class CompactPath {
+  /**
+   * @param {number} maxValue - Largest value the path can hold (the target)
+   * @param {number} capacity - Initial number of steps to reserve
+   */
+  constructor(maxValue, capacity = INITIAL_CAPACITY) {
+    this.values = new (arrayTypeFor(maxValue))(Math.max(1, capacity));
+    this.length = 0;
+  }
+
+  /**
+   * Rebuild a CompactPath from a structured-cloned copy, or from a plain array
+   * @param {CompactPath|Object|Array<number>} data - Path data
+   * @returns {CompactPath}
+   */
+  static from(data) {
+    if (data instanceof CompactPath) return data;
+
+    if (Array.isArray(data)) {
+      const path = new CompactPath(data.reduce((max, value) => Math.max(max, value), 0), data.length);
+      data.forEach((value) => path.push(value));
+      return path;
+    }
+
+    const path = Object.create(CompactPath.prototype);
+    path.values = data.values;
+    path.length = data.length;
+    return path;
+  }
+
+  /**
+   * Append the value of the next step
+   * @param {number} value - Counter value
+   */
+  push(value) {
+    if (this.length === this.values.length) {
+      const grown = new this.values.constructor(this.values.length * 2);
+      grown.set(this.values);
+      this.values = grown;
+    }
+    this.values[this.length++] = value;
+  }
+
+  /**
+   * Release the unused capacity once the run is finished
+   * @returns {CompactPath} this
+   */
+  trim() {
+    if (this.values.length !== this.length) {
+      this.values = this.values.slice(0, this.length);
+    }
+    return this;
+  }
+
+  /**
+   * Value at a step
+   * @param {number} index - Step index
+   * @returns {number|undefined}
+   */
+  get(index) {
+    return index >= 0 && index < this.length ? this.values[index] : undefined;
+  }
+
+  /**
+   * Call a function for every step, like Array.prototype.forEach
+   * @param {Function} callback - (value, index) => void
+   */
+  forEach(callback) {
+    const { values, length } = this;
+    for (let i = 0; i < length; i++) {
+      callback(values[i], i);
+    }
+  }
+
+  /**
+   * Fold the path, like Array.prototype.reduce with an initial value
+   * @param {Function} callback - (accumulator, value, index) => accumulator
+   * @param {*} initialValue - Starting accumulator
+   * @returns {*}
+   */
+  reduce(callback, initialValue) {
+    const { values, length } = this;
+    let accumulator = initialValue;
+    for (let i = 0; i < length; i++) {
+      accumulator = callback(accumulator, values[i], i);
+    }
+    return accumulator;
+  }
+
+  /**
+   * Steps from `start` up to (not including) `end` as a view on the stored
+   * values, without copying - e.g. to re-bin the part of a run in a zoomed view
+   * @param {number} start - First step
+   * @param {number} end - Step after the last one
+   * @returns {TypedArray} Values, to be read only
+   */
+  subarray(start, end = this.length) {
+    return this.values.subarray(Math.min(start, this.length), Math.min(end, this.length));
+  }
+
+  *[Symbol.iterator]() {
+    for (let i = 0; i < this.length; i++) {
+      yield this.values[i];
+    }
+  }
+
+  /**
+   * Expand to a plain array (only for small paths, e.g. exports)
+   * @returns {Array<number>}
+   */
+  toArray() {
+    return Array.from(this.values.subarray(0, this.length));
+  }
+
+  /**
+   * Bytes used by the stored values
+   * @returns {number}
+   */
+  get byteLength() {
+    return this.values.byteLength;
+  }
+}
+
+/**
+ * Restore CompactPath instances (and the density accumulators and transition
+ * counts built from them) in a results object received from a worker
+ * @param {Object} results - Results in the shape produced by SimulationEngine
+ * @returns {Object} The same results object
+ */
+export function reviveRunPaths(results) {
+  if (!results) return results;
+
+  results.density = DensityAccumulator.from(results.density);
+  results.failedDensity = DensityAccumulator.from(results.failedDensity);
+  results.transitions = TransitionCounter.from(results.transitions);
+  results.completedRuns = results.completedRuns.map((path) => CompactPath.from(path));
+  results.failedRuns.forEach((run) => {
+    run.path = CompactPath.from(run.path);
+  });
+  results.allPaths = results.completedRuns;
+  results.absorbedRuns = results.failedRuns.filter((run) => run.absorbed);
+  return results;
+}
+
+/**
+ * Buffers of all paths in a results object, for transferring them to another
+ * thread instead of copying
+ * @param {Object} results - Results in the shape produced by SimulationEngine
+ * @returns {Array<ArrayBuffer>}
+ */
+export function getPathBuffers(results) {
+  const buffers = new Set();
+  results.completedRuns.forEach((path) => buffers.add(path.values.buffer));
+  results.failedRuns.forEach((run) => buffers.add(run.path.values.buffer));
+  return [...buffers];
+}
@@ -0,0 +1,250 @@
+/**
+ * Confidence intervals for the statistics of a simulation
+ *
+ * Proportions (the parameter efficiency) get the Wilson score interval, which
+ * behaves at 0 or 100% and for a handful of runs, and the exact
+ * Clopper-Pearson interval from the beta distribution. Means and medians of
+ * the hitting time get percentile bootstrap intervals, since the step counts
+ * are far from normal. Everything is at 95% confidence.
+ *
+ * Bootstrap resamples come from a fixed-seed generator, so the same results
+ * always show the same intervals.
+ */
+import { createRandomGenerator } from './RandomGenerator.js';
+
+// z value of a two-sided 95% interval
+export const CONFIDENCE_Z = 1.96;
+
+// Two-sided error probability of the intervals
+const ALPHA = 0.05;
+
+// Bootstrap resamples: at most this many, fewer for large samples to bound the work
+const MAX_BOOTSTRAP_RESAMPLES = 1000;
+const MIN_BOOTSTRAP_RESAMPLES = 200;
+const BOOTSTRAP_DRAW_BUDGET = 2000000;
+const BOOTSTRAP_SEED = 1;
+
+/**
+ * Wilson score interval of a proportion
+ * @param {number} successes - Number of successes
+ * @param {number} trials - Number of trials
+ * @returns {Array<number>|null} [lower, upper], or null without trials
+ */
+export function wilsonInterval(successes, trials) {
+  if (trials <= 0) return null;
+  const p = successes / trials;
+  const z2 = CONFIDENCE_Z * CONFIDENCE_Z;
+  const denominator = 1 + z2 / trials;
+  const center = (p + z2 / (2 * trials)) / denominator;
+  const halfWidth = (CONFIDENCE_Z / denominator) * Math.sqrt(p * (1 - p) / trials + z2 / (4 * trials * trials));
+  return [Math.max(0, center - halfWidth), Math.min(1, center + halfWidth)];
+}
+
+/**
+ * Exact (Clopper-Pearson) interval of a proportion
+ * @param {number} successes - Number of successes
+ * @param {number} trials - Number of trials
+ * @returns {Array<number>|null} [lower, upper], or null without trials
+ */
+export function clopperPearsonInterval(successes, trials) {
+  if (trials <= 0) return null;
+  const lower = successes === 0 ? 0 : betaQuantile(ALPHA / 2, successes, trials - successes + 1);
+  const upper = successes === trials ? 1 : betaQuantile(1 - ALPHA / 2, successes + 1, trials - successes);
+  return [lower, upper];
+}
+
+/**
+ * Standard error of a proportion
+ * @param {number} successes - Number of successes
+ * @param {number} trials - Number of trials
+ * @returns {number} NaN without trials
+ */
+export function proportionStandardError(successes, trials) {
+  if (trials <= 0) return NaN;
+  const p = successes / trials;
+  return Math.sqrt(p * (1 - p) / trials);
+}
+
+/**
+ * Mean and standard error of the mean of a sample
+ * @param {Array<number>} values - Sample
+ * @returns {Object} { mean, standardError } (standardError is NaN below two values)
+ */
+export function meanWithStandardError(values) {
+  const n = values.length;
+  if (n === 0) return { mean: NaN, standardError: NaN };
+  const mean = values.reduce((sum, value) => sum + value, 0) / n;
+  if (n < 2) return { mean, standardError: NaN };
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (n - 1);
+  return { mean, standardError: Math.sqrt(variance / n) };
+}
+
+/**
+ * Standard normal distribution function (erfc approximation, absolute error below 1.2e-7)
+ * @param {number} z - Standard score
+ * @returns {number} P(Z <= z)
+ */
+export function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.5 * x);
+  const erfc = t * Math.exp(-x * x - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 +
+    t * (-0.18628806 + t * (0.27886807 + t * (-1.13520628 + t * (1.48851587 +
+    t * (-0.82215223 + t * 0.17087277)))))))));
+  return z >= 0 ? 1 - erfc / 2 : erfc / 2;
+}
+
+/**
+ * Percentile bootstrap intervals of the mean and the median of a sample
+ * @param {Array<number>} values - Sample
+ * @returns {Object|null} { mean: [lower, upper], median: [lower, upper], resamples }, or null below two values
+ */
+export function bootstrapIntervals(values) {
+  const n = values.length;
+  if (n < 2) return null;
+
+  // Resampled medians are read off per-index counts of the sorted sample, so no resample is sorted
+  const sorted = Float64Array.from(values).sort();
+  const counts = new Uint32Array(n);
+  const resamples = Math.max(MIN_BOOTSTRAP_RESAMPLES, Math.min(MAX_BOOTSTRAP_RESAMPLES, Math.floor(BOOTSTRAP_DRAW_BUDGET / n)));
+  const random = createRandomGenerator('sfc32', BOOTSTRAP_SEED);
+  const means = new Float64Array(resamples);
+  const medians = new Float64Array(resamples);
+  const middle = Math.floor(n / 2);
+
+  for (let b = 0; b < resamples; b++) {
+    counts.fill(0);
+    let sum = 0;
+    for (let i = 0; i < n; i++) {
+      const index = Math.floor(random.next() * n);
+      counts[index]++;
+      sum += sorted[index];
+    }
+    means[b] = sum / n;
+
+    // Same convention as the reported median: the value at position floor(n / 2)
+    let seen = 0;
+    for (let index = 0; index < n; index++) {
+      seen += counts[index];
+      if (seen > middle) {
+        medians[b] = sorted[index];
+        break;
+      }
+    }
+  }
+
+  return {
+    mean: percentileInterval(means),
+    median: percentileInterval(medians),
+    resamples
+  };
+}
+
+/**
+ * Central 95% of bootstrap replicates
+ * @private
+ */
+function percentileInterval(replicates) {
+  replicates.sort();
+  const last = replicates.length - 1;
+  return [
+    replicates[Math.floor((ALPHA / 2) * last)],
+    replicates[Math.ceil((1 - ALPHA / 2) * last)]
+  ];
+}
+
+/**
+ * Quantile of the beta distribution by bisection on its distribution function
+ * @private
+ */
+function betaQuantile(probability, a, b) {
+  let low = 0;
+  let high = 1;
+  for (let i = 0; i < 200 && high - low > 1e-12 * high; i++) {
+    const middle = (low + high) / 2;
+    if (regularizedBeta(middle, a, b) < probability) {
+      low = middle;
+    } else {
+      high = middle;
+    }
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * Regularized incomplete beta function I_x(a, b)
+ * @private
+ */
+function regularizedBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const logFront = a * Math.log(x) + b * Math.log(1 - x) - logBeta(a, b);
+  // The continued fraction converges quickly on the side of the mean; use symmetry on the other
+  if (x < (a + 1) / (a + b + 2)) {
+    return Math.exp(logFront) * betaContinuedFraction(x, a, b) / a;
+  }
+  return 1 - Math.exp(logFront) * betaContinuedFraction(1 - x, b, a) / b;
+}
+
+/**
+ * Continued fraction of the incomplete beta function (modified Lentz)
+ * @private
+ */
+function betaContinuedFraction(x, a, b) {
+  const tiny = 1e-300;
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let result = d;
+
+  for (let m = 1; m <= 10000; m++) {
+    const m2 = 2 * m;
+    let term = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+    d = 1 + term * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + term / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    result *= d * c;
+
+    term = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+    d = 1 + term * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + term / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const step = d * c;
+    result *= step;
+    if (Math.abs(step - 1) < 1e-14) break;
+  }
+  return result;
+}
+
+/**
+ * log B(a, b)
+ * @private
+ */
+function logBeta(a, b) {
+  return logGamma(a) + logGamma(b) - logGamma(a + b);
+}
+
+/**
+ * log Γ(x) for x > 0 (Lanczos approximation)
+ * @private
+ */
+function logGamma(x) {
+  const coefficients = [
+    676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059,
+    12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+  ];
+  if (x < 0.5) {
+    return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  }
+  const shifted = x - 1;
+  let sum = 0.99999999999980993;
+  coefficients.forEach((coefficient, i) => {
+    sum += coefficient / (shifted + i + 1);
+  });
+  const t = shifted + coefficients.length - 0.5;
+  return 0.5 * Math.log(2 * Math.PI) + (shifted + 0.5) * Math.log(t) - t + Math.log(sum);
+}
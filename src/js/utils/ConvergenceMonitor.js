@@ -0,0 +1,126 @@
+/**
+ * Running estimates of a simulation in progress, and whether they have settled
+ *
+ * Fed with the progress tallies { successes, attempts, stepSum, stepSquareSum,
+ * elapsedMs }, it keeps the running mean hitting time and efficiency with
+ * their standard errors over time. The estimates count as stabilized once
+ *   - both 95% intervals are within ±STABLE_RELATIVE_ERROR of the estimates, and
+ *   - neither estimate has left its current 95% interval over the second
+ *     half of the successes so far.
+ * A narrow interval alone is not enough: when long runs only start to finish
+ * late, the mean keeps climbing while its interval already looks tight. The
+ * drift check catches that.
+ */
+import { CONFIDENCE_Z } from './ConfidenceIntervals.js';
+import { MIN_PRECISION_SAMPLES } from '../models/StoppingRules.js';
+
+// Relative 95% half-width both estimates need before they count as stable
+export const STABLE_RELATIVE_ERROR = 0.05;
+
+// Points kept for the chart; every other one is dropped beyond this
+const MAX_POINTS = 300;
+
+// Points the drift window needs before it says anything
+const MIN_DRIFT_POINTS = 5;
+
+export class ConvergenceMonitor {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Forget the history, e.g. when a new simulation starts
+   */
+  reset() {
+    this.points = [];
+  }
+
+  /**
+   * Record a progress tally
+   * @param {Object} tally - { successes, attempts, stepSum, stepSquareSum, elapsedMs }
+   */
+  add({ successes, attempts, stepSum, stepSquareSum, elapsedMs }) {
+    if (!(attempts > 0)) return;
+    // Updates from within a long run repeat the last tally
+    const last = this.points[this.points.length - 1];
+    if (last && last.attempts === attempts && last.successes === successes) return;
+
+    const mean = successes > 0 ? stepSum / successes : NaN;
+    const variance = successes > 1
+      ? Math.max(0, (stepSquareSum - successes * mean * mean) / (successes - 1))
+      : NaN;
+    const efficiency = successes / attempts;
+    this.points.push({
+      elapsedMs,
+      successes,
+      attempts,
+      mean,
+      meanError: Math.sqrt(variance / successes),
+      efficiency,
+      efficiencyError: Math.sqrt((efficiency * (1 - efficiency)) / attempts)
+    });
+
+    if (this.points.length > MAX_POINTS) {
+      const lastIndex = this.points.length - 1;
+      this.points = this.points.filter((_, index) => index % 2 === 0 || index === lastIndex);
+    }
+  }
+
+  /**
+   * Whether the estimates have settled
+   * @returns {Object} { stable, reason, meanRelativeError, efficiencyRelativeError, meanDrift, efficiencyDrift }
+   *   where the drifts are the largest distances over the second half, in current 95% half-widths
+   */
+  status() {
+    const last = this.points[this.points.length - 1];
+    if (!last || last.successes < MIN_PRECISION_SAMPLES) {
+      return {
+        stable: false,
+        reason: `Waiting for ${MIN_PRECISION_SAMPLES} successes (${last ? last.successes : 0} so far)`,
+        meanRelativeError: Infinity,
+        efficiencyRelativeError: Infinity,
+        meanDrift: Infinity,
+        efficiencyDrift: Infinity
+      };
+    }
+
+    const meanHalfWidth = CONFIDENCE_Z * last.meanError;
+    const efficiencyHalfWidth = CONFIDENCE_Z * last.efficiencyError;
+    const meanRelativeError = meanHalfWidth / last.mean;
+    const efficiencyRelativeError = efficiencyHalfWidth / last.efficiency;
+
+    const window = this.points.filter((point) => point.successes >= last.successes / 2);
+    const drift = (key, halfWidth) => {
+      if (window.length < MIN_DRIFT_POINTS) return Infinity;
+      const largest = window.reduce((max, point) => Math.max(max, Math.abs(point[key] - last[key])), 0);
+      if (halfWidth > 0) return largest / halfWidth;
+      return largest > 0 ? Infinity : 0;
+    };
+    const meanDrift = drift('mean', meanHalfWidth);
+    const efficiencyDrift = drift('efficiency', efficiencyHalfWidth);
+
+    const percent = (value) => `±${(value * 100).toPrecision(2)}%`;
+    const target = percent(STABLE_RELATIVE_ERROR);
+    let reason;
+    if (meanRelativeError > STABLE_RELATIVE_ERROR || efficiencyRelativeError > STABLE_RELATIVE_ERROR) {
+      reason = `Intervals still wide: mean ${percent(meanRelativeError)}, efficiency ${percent(efficiencyRelativeError)} (need ${target})`;
+    } else if (window.length < MIN_DRIFT_POINTS) {
+      reason = 'Intervals narrow, collecting more updates to check for drift';
+    } else if (meanDrift > 1 || efficiencyDrift > 1) {
+      reason = `Intervals narrow, but the ${meanDrift > 1 ? 'mean' : 'efficiency'} is still drifting`;
+    } else {
+      reason = `Mean ${percent(meanRelativeError)}, efficiency ${percent(efficiencyRelativeError)}, ` +
+        'no drift over the last half of the successes';
+    }
+
+    return {
+      stable: meanRelativeError <= STABLE_RELATIVE_ERROR && efficiencyRelativeError <= STABLE_RELATIVE_ERROR &&
+        meanDrift <= 1 && efficiencyDrift <= 1,
+      reason,
+      meanRelativeError,
+      efficiencyRelativeError,
+      meanDrift,
+      efficiencyDrift
+    };
+  }
+}
@@ -0,0 +1,335 @@
+/**
+ * Streaming path density for the heatmap and peak views
+ *
+ * Runs are added one at a time as they finish, so the visualization no
+ * longer needs every path in memory and switching mode or color scaling
+ * does not re-walk the paths. Time is binned into at most `columns` bins of
+ * a power-of-two width; when a longer run arrives the width doubles and
+ * neighbouring bins are merged.
+ *
+ * Summed counts (points per cell) merge exactly, but "runs passing through
+ * a cell" does not: a run visiting both halves of a merged bin must count
+ * once. Each view therefore keeps a pyramid of coarser levels - level k has
+ * bins 2^k times wider and columns >> k of them, spanning the same time as
+ * level 0 - and every run is counted at every level. Doubling the width then
+ * simply promotes level k + 1 to level k, so the counts stay exact.
+ *
+ * Grids are stored row-major per level: index = value * levelColumns + column.
+ */
+
+const DEFAULT_COLUMNS = 1024;
+
+export class DensityAccumulator {
+  /**
+   * @param {number} maxValue - Highest counter value a path can hold (rows 0..maxValue)
+   * @param {Object} options - Accumulator options
+   * @param {number} options.columns - Maximum time bins, rounded up to a power of two
+   */
+  constructor(maxValue, { columns = DEFAULT_COLUMNS } = {}) {
+    this.maxValue = maxValue;
+    this.height = maxValue + 1;
+    this.columns = 2 ** Math.ceil(Math.log2(Math.max(1, columns)));
+    this.levelCount = Math.log2(this.columns) + 1;
+
+    this.binWidth = 1; // Steps per level-0 bin, always a power of two
+    this.start = 0; // Step of bin 0, past 0 for the time window of a zoomed view
+    this.runCount = 0;
+    this.maxLength = 0;
+
+    // Full path density: runs per cell at every level, points per cell at level 0
+    this.fullRuns = this._createPyramid(Uint32Array);
+    this.fullPoints = new Float64Array(this.height * this.columns);
+
+    // Peak trajectory: each run's highest value per bin, with the points in that bin
+    this.peakRuns = this._createPyramid(Uint32Array);
+    this.peakPoints = this._createPyramid(Float64Array);
+
+    this._resetScratch();
+  }
+
+  /**
+   * Rebuild an accumulator from a structured-cloned copy (e.g. received from a worker)
+   * @param {DensityAccumulator|Object} data - Accumulator data
+   * @returns {DensityAccumulator}
+   */
+  static from(data) {
+    if (!data || data instanceof DensityAccumulator) return data;
+
+    const accumulator = Object.create(DensityAccumulator.prototype);
+    ['maxValue', 'height', 'columns', 'levelCount', 'binWidth', 'runCount', 'maxLength',
+     'fullRuns', 'fullPoints', 'peakRuns', 'peakPoints'].forEach((key) => {
+      accumulator[key] = data[key];
+    });
+    accumulator.start = data.start ?? 0;
+    accumulator._resetScratch();
+    return accumulator;
+  }
+
+  /**
+   * Build an accumulator from a list of paths
+   * @param {Array<CompactPath|Array<number>>} runs - Paths
+   * @param {number} maxValue - Target value
+   * @returns {DensityAccumulator}
+   */
+  static fromRuns(runs, maxValue) {
+    const accumulator = new DensityAccumulator(maxValue);
+    runs.forEach((run) => accumulator.addRun(run));
+    return accumulator;
+  }
+
+  /**
+   * Build an accumulator over a time window of a list of paths, so a zoomed
+   * view gets bins as fine as the window allows rather than those of the
+   * longest run. Bin 0 starts at step `start`, which the accumulator keeps.
+   * @param {Array<CompactPath|Array<number>>} runs - Paths
+   * @param {number} maxValue - Highest counter value a path can hold
+   * @param {number} start - First step of the window
+   * @param {number} end - Step after the window
+   * @param {Object} options - Accumulator options, as for the constructor
+   * @returns {DensityAccumulator} Accumulator over the runs still going at `start`
+   */
+  static fromRunWindow(runs, maxValue, start, end, options = {}) {
+    const accumulator = new DensityAccumulator(maxValue, options);
+    accumulator.start = start;
+    runs.forEach((run) => {
+      if (run.length <= start) return;
+      accumulator.addRun(run.subarray ? run.subarray(start, end) : run.slice(start, end));
+    });
+    return accumulator.compact();
+  }
+
+  /**
+   * Add a finished run
+   * @param {CompactPath|Array<number>} path - Counter value at every step
+   */
+  addRun(path) {
+    const length = path.length;
+    if (length === 0) return;
+
+    while (length > this.columns * this.binWidth) {
+      this._coarsen();
+    }
+    if (!this.levelStamps) this._allocateScratch();
+    this.runCount++;
+    this.maxLength = Math.max(this.maxLength, length);
+
+    const shift = Math.log2(this.binWidth);
+    const usedColumns = Math.ceil(length / this.binWidth);
+    const stamp = ++this.stampCounter;
+    const stamps = this.stamps;
+    const touched = this.touched;
+    const fullRuns = this.fullRuns[0];
+    const fullPoints = this.fullPoints;
+    const peaks = this.peakScratch.fill(-1, 0, usedColumns);
+    const counts = this.countScratch.fill(0, 0, usedColumns);
+    let touchedCount = 0;
+
+    path.forEach((value, index) => {
+      const column = index >> shift;
+      const cell = value * this.columns + column;
+
+      fullPoints[cell]++;
+      if (stamps[cell] !== stamp) {
+        stamps[cell] = stamp;
+        fullRuns[cell]++;
+        touched[touchedCount++] = cell;
+      }
+
+      if (value > peaks[column]) peaks[column] = value;
+      counts[column]++;
+    });
+
+    // Count the run once per cell at every coarser level
+    for (let level = 1; level < this.levelCount; level++) {
+      const levelColumns = this.columns >> level;
+      const levelRuns = this.fullRuns[level];
+      const levelStamps = this.levelStamps[level];
+      for (let i = 0; i < touchedCount; i++) {
+        const value = Math.floor(touched[i] / this.columns);
+        const cell = value * levelColumns + ((touched[i] % this.columns) >> level);
+        if (levelStamps[cell] !== stamp) {
+          levelStamps[cell] = stamp;
+          levelRuns[cell]++;
+        }
+      }
+    }
+
+    // Peaks: record level 0, then fold neighbouring bins pairwise for each coarser level
+    let columnsAtLevel = usedColumns;
+    for (let level = 0; level < this.levelCount; level++) {
+      const levelColumns = this.columns >> level;
+      for (let column = 0; column < columnsAtLevel; column++) {
+        if (peaks[column] < 0) continue;
+        const cell = peaks[column] * levelColumns + column;
+        this.peakRuns[level][cell]++;
+        this.peakPoints[level][cell] += counts[column];
+      }
+
+      const nextColumns = Math.ceil(columnsAtLevel / 2);
+      for (let column = 0; column < nextColumns; column++) {
+        const right = 2 * column + 1 < columnsAtLevel;
+        peaks[column] = right ? Math.max(peaks[2 * column], peaks[2 * column + 1]) : peaks[2 * column];
+        counts[column] = right ? counts[2 * column] + counts[2 * column + 1] : counts[2 * column];
+      }
+      columnsAtLevel = nextColumns;
+    }
+  }
+
+  /**
+   * Add the runs of another accumulator for the same target
+   * @param {DensityAccumulator} other - Accumulator to merge in (left unchanged)
+   * @returns {DensityAccumulator} this
+   */
+  merge(other) {
+    if (!other || other.runCount === 0) return this;
+    if (other.maxValue !== this.maxValue || other.columns !== this.columns || other.start !== this.start) {
+      throw new Error('Cannot merge density accumulators with different targets, resolutions or windows');
+    }
+
+    while (this.binWidth < other.binWidth) {
+      this._coarsen();
+    }
+    let source = other;
+    if (source.binWidth < this.binWidth) {
+      source = other.clone();
+      while (source.binWidth < this.binWidth) {
+        source._coarsen();
+      }
+    }
+
+    const add = (target, values) => {
+      for (let i = 0; i < values.length; i++) target[i] += values[i];
+    };
+    for (let level = 0; level < this.levelCount; level++) {
+      add(this.fullRuns[level], source.fullRuns[level]);
+      add(this.peakRuns[level], source.peakRuns[level]);
+      add(this.peakPoints[level], source.peakPoints[level]);
+    }
+    add(this.fullPoints, source.fullPoints);
+
+    this.runCount += source.runCount;
+    this.maxLength = Math.max(this.maxLength, source.maxLength);
+    return this;
+  }
+
+  /**
+   * Independent copy
+   * @returns {DensityAccumulator}
+   */
+  clone() {
+    return DensityAccumulator.from({
+      ...this,
+      fullRuns: this.fullRuns.map((grid) => grid.slice()),
+      fullPoints: this.fullPoints.slice(),
+      peakRuns: this.peakRuns.map((grid) => grid.slice()),
+      peakPoints: this.peakPoints.map((grid) => grid.slice())
+    });
+  }
+
+  /**
+   * Release the working buffers once no more runs are expected, so a copy
+   * sent to another thread only carries the accumulated grids
+   * @returns {DensityAccumulator} this
+   */
+  compact() {
+    this._resetScratch();
+    return this;
+  }
+
+  /**
+   * Density grids at the finest resolution covering the longest run
+   * @param {string} mode - 'peak' for the peak trajectory, anything else for full path density
+   * @returns {Object} { runs, points: Array<Array<number>> indexed [value][column], gridWidth, gridHeight, binWidth, start, maxLength, totalRuns }
+   */
+  getGrid(mode = 'full') {
+    const gridWidth = Math.max(1, Math.ceil(this.maxLength / this.binWidth));
+    const runs = mode === 'peak' ? this.peakRuns[0] : this.fullRuns[0];
+    const points = mode === 'peak' ? this.peakPoints[0] : this.fullPoints;
+
+    const toRows = (grid) => Array.from({ length: this.height }, (_, value) =>
+      Array.from(grid.subarray(value * this.columns, value * this.columns + gridWidth)));
+
+    return {
+      runs: toRows(runs),
+      points: toRows(points),
+      gridWidth,
+      gridHeight: this.height,
+      binWidth: this.binWidth,
+      start: this.start,
+      maxLength: this.maxLength,
+      totalRuns: this.runCount
+    };
+  }
+
+  /**
+   * Double the bin width: every level takes over the next coarser level
+   * @private
+   */
+  _coarsen() {
+    const promote = (pyramid) => pyramid.map((grid, level) => {
+      // The top level has a single column that already covers every run so far
+      if (level === this.levelCount - 1) return grid;
+
+      const levelColumns = this.columns >> level;
+      const coarserColumns = levelColumns >> 1;
+      const coarser = pyramid[level + 1];
+      const promoted = new grid.constructor(grid.length);
+      for (let value = 0; value < this.height; value++) {
+        promoted.set(coarser.subarray(value * coarserColumns, (value + 1) * coarserColumns), value * levelColumns);
+      }
+      return promoted;
+    });
+
+    this.fullRuns = promote(this.fullRuns);
+    this.peakRuns = promote(this.peakRuns);
+    this.peakPoints = promote(this.peakPoints);
+
+    // Point counts just add up
+    const points = new Float64Array(this.fullPoints.length);
+    for (let value = 0; value < this.height; value++) {
+      const row = value * this.columns;
+      for (let column = 0; column < this.columns / 2; column++) {
+        points[row + column] = this.fullPoints[row + 2 * column] + this.fullPoints[row + 2 * column + 1];
+      }
+    }
+    this.fullPoints = points;
+
+    this.binWidth *= 2;
+    this._resetScratch();
+  }
+
+  /**
+   * Allocate one grid per level
+   * @private
+   */
+  _createPyramid(ArrayType) {
+    return Array.from({ length: this.levelCount }, (_, level) =>
+      new ArrayType(this.height * (this.columns >> level)));
+  }
+
+  /**
+   * Drop the working buffers of addRun; they are allocated again on the next
+   * run, so merged or received accumulators that are only drawn stay small
+   * @private
+   */
+  _resetScratch() {
+    this.stampCounter = 0;
+    this.levelStamps = null;
+    this.stamps = null;
+    this.touched = null;
+    this.peakScratch = null;
+    this.countScratch = null;
+  }
+
+  /**
+   * Working buffers for addRun (not part of the accumulated state)
+   * @private
+   */
+  _allocateScratch() {
+    this.levelStamps = this._createPyramid(Uint32Array);
+    this.stamps = this.levelStamps[0];
+    this.touched = new Uint32Array(this.height * this.columns);
+    this.peakScratch = new Int32Array(this.columns);
+    this.countScratch = new Float64Array(this.columns);
+  }
+}
@@ -0,0 +1,250 @@
+/**
+ * Safe arithmetic expression compiler for user-supplied probability formulas
+ *
+ * Expressions are tokenized and parsed into a tree of closures - nothing is
+ * ever handed to eval() or new Function(), and only whitelisted variables,
+ * constants and functions can be referenced.
+ *
+ * Grammar (lowest to highest precedence):
+ *   comparison := sum (('<' | '<=' | '>' | '>=' | '==' | '!=') sum)?
+ *   sum        := product (('+' | '-') product)*
+ *   product    := unary (('*' | '/' | '%') unary)*
+ *   unary      := ('-' | '+') unary | power
+ *   power      := primary ('^' unary)?            (right associative)
+ *   primary    := number | name | name '(' args ')' | '(' comparison ')'
+ */
+
+/**
+ * Error raised for malformed expressions, with the character position
+ */
+export class ExpressionError extends Error {
+  constructor(message, position = null) {
+    super(position !== null ? `${message} (at position ${position + 1})` : message);
+    this.name = 'ExpressionError';
+    this.position = position;
+  }
+}
+
+const CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E
+};
+
+const FUNCTIONS = {
+  abs: { arity: 1, fn: Math.abs },
+  sqrt: { arity: 1, fn: Math.sqrt },
+  exp: { arity: 1, fn: Math.exp },
+  log: { arity: 1, fn: Math.log },
+  floor: { arity: 1, fn: Math.floor },
+  ceil: { arity: 1, fn: Math.ceil },
+  round: { arity: 1, fn: Math.round },
+  pow: { arity: 2, fn: Math.pow },
+  min: { arity: 2, fn: Math.min },
+  max: { arity: 2, fn: Math.max },
+  clamp: { arity: 3, fn: (x, lo, hi) => Math.min(hi, Math.max(lo, x)) },
+  if: { arity: 3, fn: (condition, a, b) => (condition ? a : b) }
+};
+
+const COMPARISONS = {
+  '<': (a, b) => (a < b ? 1 : 0),
+  '<=': (a, b) => (a <= b ? 1 : 0),
+  '>': (a, b) => (a > b ? 1 : 0),
+  '>=': (a, b) => (a >= b ? 1 : 0),
+  '==': (a, b) => (a === b ? 1 : 0),
+  '!=': (a, b) => (a !== b ? 1 : 0)
+};
+
+const MAX_EXPRESSION_LENGTH = 500;
+
+/**
+ * Split an expression into tokens
+ * @private
+ */
+function tokenize(text) {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|(<=|>=|==|!=|[-+*/%^(),<>]))/y;
+
+  let position = 0;
+  while (position < text.length) {
+    if (/^\s*$/.test(text.slice(position))) break;
+
+    pattern.lastIndex = position;
+    const match = pattern.exec(text);
+    if (!match) {
+      const offset = position + (text.slice(position).length - text.slice(position).trimStart().length);
+      throw new ExpressionError(`Unexpected character '${text[offset]}'`, offset);
+    }
+
+    const start = pattern.lastIndex - match[0].trimStart().length;
+    if (match[1] !== undefined) {
+      tokens.push({ type: 'number', value: parseFloat(match[1]), position: start });
+    } else if (match[2] !== undefined) {
+      tokens.push({ type: 'name', value: match[2], position: start });
+    } else {
+      tokens.push({ type: 'op', value: match[3], position: start });
+    }
+    position = pattern.lastIndex;
+  }
+
+  return tokens;
+}
+
+/**
+ * Compile an expression into a function of the given variables
+ * @param {string} text - Expression source, e.g. "0.5 * 0.98^k"
+ * @param {Array<string>} variables - Names the expression may reference
+ * @returns {Function} (scope) => number, where scope maps variable names to values
+ * @throws {ExpressionError} If the expression is malformed or references unknown names
+ */
+export function compileExpression(text, variables = []) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    throw new ExpressionError('Expression is empty');
+  }
+  if (text.length > MAX_EXPRESSION_LENGTH) {
+    throw new ExpressionError(`Expression is longer than ${MAX_EXPRESSION_LENGTH} characters`);
+  }
+
+  const tokens = tokenize(text);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isOp = (value) => peek()?.type === 'op' && peek().value === value;
+  const expect = (value) => {
+    if (!isOp(value)) {
+      const token = peek();
+      throw new ExpressionError(`Expected '${value}'`, token ? token.position : text.length);
+    }
+    index++;
+  };
+
+  const parseComparison = () => {
+    const left = parseSum();
+    const token = peek();
+    if (token?.type === 'op' && COMPARISONS[token.value]) {
+      index++;
+      const compare = COMPARISONS[token.value];
+      const right = parseSum();
+      return (scope) => compare(left(scope), right(scope));
+    }
+    return left;
+  };
+
+  const parseSum = () => {
+    let node = parseProduct();
+    while (isOp('+') || isOp('-')) {
+      const op = tokens[index++].value;
+      const left = node;
+      const right = parseProduct();
+      node = op === '+' ? (scope) => left(scope) + right(scope) : (scope) => left(scope) - right(scope);
+    }
+    return node;
+  };
+
+  const parseProduct = () => {
+    let node = parseUnary();
+    while (isOp('*') || isOp('/') || isOp('%')) {
+      const op = tokens[index++].value;
+      const left = node;
+      const right = parseUnary();
+      node = op === '*' ? (scope) => left(scope) * right(scope) :
+             op === '/' ? (scope) => left(scope) / right(scope) :
+             (scope) => left(scope) % right(scope);
+    }
+    return node;
+  };
+
+  const parseUnary = () => {
+    if (isOp('-')) {
+      index++;
+      const operand = parseUnary();
+      return (scope) => -operand(scope);
+    }
+    if (isOp('+')) {
+      index++;
+      return parseUnary();
+    }
+    return parsePower();
+  };
+
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (isOp('^')) {
+      index++;
+      const exponent = parseUnary();
+      return (scope) => Math.pow(base(scope), exponent(scope));
+    }
+    return base;
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) {
+      throw new ExpressionError('Unexpected end of expression', text.length);
+    }
+
+    if (token.type === 'number') {
+      index++;
+      const value = token.value;
+      return () => value;
+    }
+
+    if (token.type === 'name') {
+      index++;
+      const name = token.value;
+
+      if (isOp('(')) {
+        if (!Object.prototype.hasOwnProperty.call(FUNCTIONS, name)) {
+          throw new ExpressionError(`Unknown function '${name}'`, token.position);
+        }
+        const definition = FUNCTIONS[name];
+        index++;
+        const args = [];
+        if (!isOp(')')) {
+          args.push(parseComparison());
+          while (isOp(',')) {
+            index++;
+            args.push(parseComparison());
+          }
+        }
+        expect(')');
+        if (args.length !== definition.arity) {
+          throw new ExpressionError(`${name}() expects ${definition.arity} argument(s), got ${args.length}`, token.position);
+        }
+        return (scope) => definition.fn(...args.map((arg) => arg(scope)));
+      }
+
+      if (variables.includes(name)) {
+        return (scope) => scope[name];
+      }
+      if (Object.prototype.hasOwnProperty.call(CONSTANTS, name)) {
+        const value = CONSTANTS[name];
+        return () => value;
+      }
+      throw new ExpressionError(`Unknown name '${name}' (allowed: ${[...variables, ...Object.keys(CONSTANTS)].join(', ')})`, token.position);
+    }
+
+    if (isOp('(')) {
+      index++;
+      const node = parseComparison();
+      expect(')');
+      return node;
+    }
+
+    throw new ExpressionError(`Unexpected '${token.value}'`, token.position);
+  };
+
+  const root = parseComparison();
+  if (index < tokens.length) {
+    throw new ExpressionError(`Unexpected '${tokens[index].value}'`, tokens[index].position);
+  }
+
+  return (scope) => root(scope);
+}
+
+/**
+ * Names of the functions available in expressions
+ * @returns {Array<string>}
+ */
+export function getExpressionFunctions() {
+  return Object.keys(FUNCTIONS);
+}
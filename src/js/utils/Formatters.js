@@ -0,0 +1,54 @@
+/**
+ * Number formatting shared by the stats panel and the forecast
+ *
+ * Analytic results span many orders of magnitude (a hard configuration can
+ * expect 10^25 steps), so large values switch to scientific notation.
+ */
+
+/**
+ * Format a count such as a number of steps
+ * @param {number} value - Count (may be fractional or Infinity)
+ * @param {number} digits - Decimals kept below 1000
+ * @returns {string} e.g. "76.1", "12,345", "7.95e+25", "∞"
+ */
+export function formatCount(value, digits = 1) {
+  if (value === Infinity) return '∞';
+  if (!Number.isFinite(value)) return 'N/A';
+  if (Math.abs(value) >= 1e9) return value.toExponential(2);
+  if (Math.abs(value) >= 1000) return Math.round(value).toLocaleString('en-US');
+  return value.toFixed(digits);
+}
+
+/**
+ * Format a probability as a percentage, keeping tiny values readable
+ * @param {number} probability - Value in [0, 1]
+ * @returns {string} e.g. "20.0%", "0.0032%", "1.2e-9%"
+ */
+export function formatPercent(probability) {
+  if (!Number.isFinite(probability)) return 'N/A';
+  const percent = probability * 100;
+  if (percent === 0 || percent === 100) return `${percent}%`;
+  if (percent < 1e-4) return `${percent.toExponential(1)}%`;
+  if (percent < 0.1) return `${percent.toPrecision(2)}%`;
+  return `${percent.toFixed(1)}%`;
+}
+
+/**
+ * Format a duration
+ * @param {number} ms - Duration in milliseconds (may be Infinity)
+ * @returns {string} e.g. "850ms", "12.3s", "4.2 min", "3.1 h", "2.0 days", "1.5e+12 years"
+ */
+export function formatDuration(ms) {
+  if (ms === Infinity) return 'forever';
+  if (!Number.isFinite(ms)) return 'N/A';
+  if (ms < 1000) return `${Math.round(ms)}ms`;
+
+  const seconds = ms / 1000;
+  if (seconds < 60) return `${seconds.toFixed(1)}s`;
+  if (seconds < 3600) return `${(seconds / 60).toFixed(1)} min`;
+  if (seconds < 86400) return `${(seconds / 3600).toFixed(1)} h`;
+
+  const days = seconds / 86400;
+  if (days < 365) return `${days.toFixed(1)} days`;
+  return `${formatCount(days / 365.25)} years`;
+}
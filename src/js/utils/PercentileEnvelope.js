@@ -0,0 +1,121 @@
+/**
+ * Percentile bands of the counter value over time across a set of paths
+ *
+ * At a fixed number of time points the paths' values are counted per level
+ * and the percentiles read off the cumulative counts, so the cost does not
+ * depend on the length of the runs. A path that has already finished either
+ * keeps its final value (hold), which lets the bands reach the target, or
+ * leaves the computation (drop), so late times only describe the runs still
+ * under way; bands end where fewer than MIN_ENVELOPE_RUNS paths remain.
+ */
+import { CompactPath } from './CompactPath.js';
+
+export const ENVELOPE_FINISHED_MODES = {
+  hold: { name: 'Hold at final value', description: 'Finished runs count with the value they ended at' },
+  drop: { name: 'Drop finished runs', description: 'Only runs still under way count' }
+};
+
+// Bands p25-p75 and p10-p90 around the median, finished runs held
+export const DEFAULT_ENVELOPE = { inner: 25, outer: 10, finished: 'hold' };
+
+// Time points per envelope - about one per 4 pixels of the main canvas
+const ENVELOPE_POINTS = 250;
+
+// Fewer paths than this at a time point leave the bands undefined there
+const MIN_ENVELOPE_RUNS = 5;
+
+/**
+ * Clamp envelope settings to usable values
+ * @param {Object} settings - { inner, outer, finished }; inner and outer are lower percentiles below 50
+ * @returns {Object} Settings with 1 <= outer < inner <= 49 (swapped if given the other way round)
+ */
+export function resolveEnvelopeSettings({ inner, outer, finished } = {}) {
+  const clamp = (value, fallback) => (Number.isFinite(value) ? Math.max(1, Math.min(49, value)) : fallback);
+  const a = clamp(inner, DEFAULT_ENVELOPE.inner);
+  const b = clamp(outer, DEFAULT_ENVELOPE.outer);
+  return {
+    inner: Math.max(a, b),
+    outer: Math.min(a, b),
+    finished: ENVELOPE_FINISHED_MODES[finished] ? finished : DEFAULT_ENVELOPE.finished
+  };
+}
+
+/**
+ * Percentiles of the counter value over time
+ * @param {Array<CompactPath|Array<number>>} runs - Paths
+ * @param {Object} options - Envelope options
+ * @param {number} options.inner - Lower percentile of the inner band (upper is 100 - inner)
+ * @param {number} options.outer - Lower percentile of the outer band
+ * @param {string} options.finished - Key from ENVELOPE_FINISHED_MODES
+ * @param {number} options.topValue - Highest value a path can hold
+ * @param {number} options.maxLength - Time axis length; defaults to the longest path
+ * @returns {Object|null} { times, percentiles, values, runs, finished } where values[i][j] is
+ *   percentiles[i] at times[j] (NaN where too few paths remain) and runs[j] the paths counted;
+ *   null without paths
+ */
+export function computePercentileEnvelope(runs, options) {
+  if (!runs || runs.length === 0) return null;
+
+  const { inner, outer, finished } = resolveEnvelopeSettings(options);
+  const paths = runs.map((run) => CompactPath.from(run));
+  const maxLength = options.maxLength ?? paths.reduce((max, path) => Math.max(max, path.length), 0);
+  const topValue = options.topValue;
+  const percentiles = [outer, inner, 50, 100 - inner, 100 - outer];
+
+  const pointCount = Math.min(ENVELOPE_POINTS, maxLength);
+  const times = Array.from({ length: pointCount }, (_, j) =>
+    (pointCount > 1 ? Math.round((j * (maxLength - 1)) / (pointCount - 1)) : 0));
+  const values = percentiles.map(() => new Float64Array(pointCount).fill(NaN));
+  const counted = new Uint32Array(pointCount);
+  const counts = new Uint32Array(topValue + 1);
+
+  times.forEach((time, j) => {
+    counts.fill(0);
+    let total = 0;
+    paths.forEach((path) => {
+      if (time < path.length) {
+        counts[path.values[time]]++;
+      } else if (finished === 'hold') {
+        counts[path.values[path.length - 1]]++;
+      } else {
+        return;
+      }
+      total++;
+    });
+    counted[j] = total;
+    if (total < MIN_ENVELOPE_RUNS) return;
+
+    // Lowest value whose cumulative share reaches each percentile
+    let cumulative = 0;
+    let index = 0;
+    for (let value = 0; value <= topValue && index < percentiles.length; value++) {
+      cumulative += counts[value];
+      while (index < percentiles.length && cumulative >= (percentiles[index] / 100) * total) {
+        values[index][j] = value;
+        index++;
+      }
+    }
+  });
+
+  return { times, percentiles, values, runs: counted, finished };
+}
+
+/**
+ * Band values at the time point closest to a step
+ * @param {Object} envelope - From computePercentileEnvelope
+ * @param {number} time - Step index
+ * @returns {Object|null} { time, runs, values: [{ percentile, value }] }, or null where the bands are undefined
+ */
+export function envelopeAt(envelope, time) {
+  if (!envelope || envelope.times.length === 0) return null;
+  const last = envelope.times.length - 1;
+  const span = envelope.times[last] || 1;
+  const j = Math.max(0, Math.min(last, Math.round((time / span) * last)));
+  if (Number.isNaN(envelope.values[0][j])) return null;
+
+  return {
+    time: envelope.times[j],
+    runs: envelope.runs[j],
+    values: envelope.percentiles.map((percentile, i) => ({ percentile, value: envelope.values[i][j] }))
+  };
+}
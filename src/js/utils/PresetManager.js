@@ -1,44 +1,97 @@
 /**
  * Manages preset configurations for the simulation
+ *
+ * Each preset names a probability model (see models/ProbabilityModels.js)
+ * and the values for that model's parameters, and optionally a failure mode
+ * (see models/FailureModes.js) - presets without one use the default step down -
+ * and step-size distributions (see models/StepDistributions.js) - presets
+ * without them move one level per step - and time/history modifiers (see
+ * models/ProbabilityModifiers.js).
  */
 export class PresetManager {
   constructor() {
     this.presets = {
       'classic-easy': {
         name: 'Classic Easy',
-        initialProb: 0.6,
-        decayFactor: 0.95,
+        model: 'exponential',
+        params: { initialProb: 0.6, decayFactor: 0.95 },
         description: 'Easier starting probability with traditional decay - good for quick results'
       },
       'classic-hard': {
         name: 'Classic Hard',
-        initialProb: 0.5,
-        decayFactor: 0.95,
+        model: 'exponential',
+        params: { initialProb: 0.5, decayFactor: 0.95 },
         description: 'Traditional diminishing returns - shows why reaching high values with decay is challenging'
       },
       'balanced': {
         name: 'Balanced',
-        initialProb: 0.7,
-        decayFactor: 0.98,
+        model: 'exponential',
+        params: { initialProb: 0.7, decayFactor: 0.98 },
         description: 'Reasonable difficulty curve - good for seeing typical probability patterns'
       },
       'accelerating': {
         name: 'Slow Start, Accelerating',
-        initialProb: 0.3,
-        decayFactor: 1.05,
+        model: 'exponential',
+        params: { initialProb: 0.3, decayFactor: 1.05 },
         description: 'Initially challenging, becomes easier - demonstrates momentum effects'
       },
       'fast-decay': {
         name: 'Fast Start, Decaying',
-        initialProb: 0.9,
-        decayFactor: 0.90,
+        model: 'exponential',
+        params: { initialProb: 0.9, decayFactor: 0.90 },
         description: 'Strong start but rapid difficulty increase'
       },
       'extreme-acceleration': {
         name: 'Extreme Acceleration',
-        initialProb: 0.1,
-        decayFactor: 1.15,
+        model: 'exponential',
+        params: { initialProb: 0.1, decayFactor: 1.15 },
         description: 'Nearly impossible start, exponential improvement - shows dramatic phase transitions'
+      },
+      'linear-grind': {
+        name: 'Linear Grind',
+        model: 'linear',
+        params: { initialProb: 0.75, slope: 0.015 },
+        description: 'Each level costs the same fixed amount of probability'
+      },
+      'logistic-wall': {
+        name: 'Logistic Wall',
+        model: 'logistic',
+        params: { maxProb: 0.9, midpoint: 15, steepness: 0.4 },
+        description: 'Easy early levels, then a difficulty wall around level 15'
+      },
+      'stepped-tiers': {
+        name: 'Stepped Tiers',
+        model: 'stepped',
+        params: { steps: '0:0.8, 5:0.6, 10:0.45, 15:0.35' },
+        description: 'Difficulty jumps at tier boundaries every 5 levels'
+      },
+      'gamblers-ruin': {
+        name: "Gambler's Ruin",
+        model: 'exponential',
+        params: { initialProb: 0.6, decayFactor: 1.0 },
+        failureMode: 'absorbing',
+        description: 'Constant 60% odds, but falling back to 0 ends the run - most attempts are absorbed'
+      },
+      'jumpy-climb': {
+        name: 'Jumpy Climb',
+        model: 'exponential',
+        params: { initialProb: 0.4, decayFactor: 0.97 },
+        successStep: 'uniform',
+        successStepParams: { min: 1, max: 4 },
+        failureStep: 'geometric',
+        failureStepParams: { mean: 2, max: 8 },
+        overshoot: 'success',
+        description: 'Climbs 1-4 levels at a time and falls back geometrically - paths jump over levels and can overshoot the target'
+      },
+      'fatigue-momentum': {
+        name: 'Fatigue & Momentum',
+        model: 'exponential',
+        params: { initialProb: 0.55, decayFactor: 1.0 },
+        timeModifier: 'fatigue',
+        timeModifierParams: { halfLife: 200, floor: 0.7 },
+        historyModifier: 'streak-bonus',
+        historyModifierParams: { streak: 3, bonus: 0.15 },
+        description: 'Odds wear off the longer a run lasts, but three wins in a row give a boost - quick runs snowball, slow ones stall'
       }
     };
   }
@@ -1,6 +1,11 @@
 /**
  * Robust progress indicator for simulation phases
  */
+import { RUN_STATUS } from '../modules/SimulationRun.js';
+import { describeStoppedBy } from '../models/StoppingRules.js';
+import { ConvergenceMonitor } from './ConvergenceMonitor.js';
+import { ConvergenceChart } from '../modules/ConvergenceChart.js';
+
 export class ProgressIndicator {
   constructor() {
     this.elements = {
@@ -9,17 +14,27 @@ export class ProgressIndicator {
       bar: document.getElementById('progressBar'),
       details: document.getElementById('progressDetails'),
       button: document.getElementById('runButton'),
-      stopButton: document.getElementById('stopButton')
+      runControls: document.getElementById('runControls'),
+      pauseButton: document.getElementById('pauseButton'),
+      cancelButton: document.getElementById('cancelRunButton'),
+      convergence: document.getElementById('convergence'),
+      convergenceStatus: document.getElementById('convergenceStatus')
     };
     
+    // Running estimates of the current simulation, charted under the progress bar
+    this.convergence = new ConvergenceMonitor();
+    const convergenceCanvas = document.getElementById('convergenceCanvas');
+    this.convergenceChart = convergenceCanvas ? new ConvergenceChart(convergenceCanvas) : null;
+    
     this.isVisible = false;
     this.currentPhase = 'initial';
   }
 
   /**
-   * Show progress indicator for extended/unlimited phases
-   * @param {string} phase - 'extended' or 'unlimited'
-   * @param {Object} initialData - Initial progress data
+   * Show progress indicator for extended/unlimited phases and parameter sweeps
+   * @param {string} phase - 'extended', 'unlimited' or 'sweep'
+   * @param {Object} initialData - Initial progress data; rareEvent: true hides the
+   *   convergence chart, as tilted runs make the running estimates meaningless
    */
   show(phase, initialData = {}) {
     if (phase === 'initial') {
@@ -48,6 +63,12 @@ export class ProgressIndicator {
         border: '#d32f2f',
         bar: 'linear-gradient(90deg, #d32f2f, #c62828)',
         text: '#c62828'
+      },
+      sweep: {
+        bg: '#f0f8ff',
+        border: '#4a90e2',
+        bar: 'linear-gradient(90deg, #4a90e2, #63b3ed)',
+        text: '#2c5282'
       }
     };
     
@@ -64,12 +85,22 @@ export class ProgressIndicator {
       this.elements.button.style.opacity = '0.7';
     }
     
-    // Show stop button for unlimited phase
-    if (this.elements.stopButton) {
-      this.elements.stopButton.style.display = phase === 'unlimited' ? 'inline-block' : 'none';
+    // Pause and cancel apply to simulations, not to sweeps (which have their own cancel button)
+    if (this.elements.runControls) {
+      this.elements.runControls.style.display = phase === 'sweep' ? 'none' : 'block';
+    }
+    this.showRunStatus(RUN_STATUS.RUNNING);
+    
+    this.convergence.reset();
+    if (this.elements.convergence) {
+      this.elements.convergence.style.display = phase === 'sweep' || initialData.rareEvent ? 'none' : 'block';
     }
     
     // Initial progress update
+    if (phase === 'sweep') {
+      this.updateSweep({ cellsDone: 0, totalCells: 1, attempts: 0, elapsedMs: 0, ...initialData });
+      return;
+    }
     this.update({
       successes: 0,
       target: 100,
@@ -92,9 +123,12 @@ export class ProgressIndicator {
       return;
     }
 
-    const { successes, target, attempts, elapsedMs } = progress;
+    const { successes, target, attempts, elapsedMs, stopping } = progress;
     const elapsedSec = (elapsedMs / 1000).toFixed(1);
-    const progressPercent = target > 0 ? Math.min((successes / target) * 100, 100) : 0;
+    // With further stopping rules the bar follows the rules (see StoppingRules.describeStoppingProgress)
+    const extraRules = stopping ? stopping.rules.filter((rule) => rule.rule !== 'successes') : [];
+    const progressPercent = extraRules.length > 0 ? Math.min(stopping.progress * 100, 100) :
+                            target > 0 ? Math.min((successes / target) * 100, 100) : 0;
     
     // Update progress bar
     if (this.elements.bar) {
@@ -112,12 +146,97 @@ export class ProgressIndicator {
     // Update details
     if (this.elements.details) {
       const efficiency = attempts > 0 ? ((successes / attempts) * 100).toFixed(1) : '0.0';
-      this.elements.details.textContent = `${attempts} total attempts • ${efficiency}% efficiency`;
+      const ruleText = extraRules.map((rule) => ` • ${rule.status}`).join('');
+      const combineText = extraRules.length > 0 ? ` (stop when ${stopping.combine === 'all' ? 'all are' : 'any is'} met)` : '';
+      this.elements.details.textContent = `${attempts} total attempts • ${efficiency}% efficiency${ruleText}${combineText}`;
     }
     
+    this._updateConvergence(progress);
+    
     console.log(`📊 Progress: ${successes}/${target} (${progressPercent.toFixed(1)}%) in ${elapsedSec}s`);
   }
 
+  /**
+   * Add a tally to the running estimates and redraw their chart
+   * @param {Object} progress - Progress data with the step sums
+   * @private
+   */
+  _updateConvergence(progress) {
+    if (!this.elements.convergence || this.elements.convergence.style.display === 'none') return;
+    if (progress.stepSum === undefined) return;
+
+    this.convergence.add(progress);
+    const status = this.convergence.status();
+    if (this.convergenceChart) {
+      this.convergenceChart.draw(this.convergence.points, status.stable);
+    }
+    if (this.elements.convergenceStatus) {
+      this.elements.convergenceStatus.style.color = status.stable ? '#16a34a' : '#4a5568';
+      this.elements.convergenceStatus.textContent = status.stable
+        ? `✓ Estimates have stabilized (${status.reason}) - cancelling now keeps these results`
+        : status.reason;
+    }
+  }
+
+  /**
+   * Reflect the status of the simulation's run handle in the pause and cancel buttons
+   * @param {string} status - Value from RUN_STATUS
+   */
+  showRunStatus(status) {
+    const { pauseButton, cancelButton } = this.elements;
+    const isActive = status === RUN_STATUS.RUNNING || status === RUN_STATUS.PAUSED;
+    const isPaused = status === RUN_STATUS.PAUSED;
+
+    if (pauseButton) {
+      pauseButton.disabled = !isActive;
+      pauseButton.textContent = isPaused ? 'Resume Simulation' : 'Pause Simulation';
+      pauseButton.style.background = isPaused ? '#22c55e' : '#d97706'; // Green to resume, amber to pause
+      pauseButton.style.opacity = isActive ? '' : '0.5';
+    }
+    if (cancelButton) {
+      cancelButton.disabled = !isActive;
+      cancelButton.style.opacity = isActive ? '' : '0.5';
+    }
+
+    if (isPaused && this.elements.details) {
+      this.elements.details.textContent = '⏸ Paused - the timer is stopped until you resume';
+    }
+  }
+
+  /**
+   * Update progress indicator during a parameter sweep
+   * @param {Object} progress - Sweep progress
+   * @param {number} progress.cellsDone - Finished grid cells
+   * @param {number} progress.totalCells - Grid cells in the sweep
+   * @param {number} progress.attempts - Attempts over all cells so far
+   * @param {number} progress.elapsedMs - Elapsed time in milliseconds
+   * @param {number} progress.timeBudgetMs - Time budget of the sweep
+   * @param {string} progress.title - Heading, for batches that are not sweeps (e.g. 'Comparison')
+   * @param {string} progress.unit - What the cells are called (e.g. 'sets')
+   */
+  updateSweep(progress) {
+    if (!this.isVisible || this.currentPhase !== 'sweep') {
+      return;
+    }
+
+    const { cellsDone, totalCells, attempts, elapsedMs, timeBudgetMs, title = 'Parameter Sweep', unit = 'cells' } = progress;
+    const elapsedSec = (elapsedMs / 1000).toFixed(1);
+    const progressPercent = totalCells > 0 ? Math.min((cellsDone / totalCells) * 100, 100) : 0;
+
+    if (this.elements.bar) {
+      this.elements.bar.style.width = `${progressPercent}%`;
+    }
+
+    if (this.elements.text) {
+      const budgetText = timeBudgetMs ? ` / ${(timeBudgetMs / 1000).toFixed(0)}s` : '';
+      this.elements.text.textContent = `${title} (${elapsedSec}s${budgetText}) - ${cellsDone}/${totalCells} ${unit}`;
+    }
+
+    if (this.elements.details) {
+      this.elements.details.textContent = `${attempts} total attempts`;
+    }
+  }
+
   /**
    * Show completion message and then hide
    * @param {Object} results - Final simulation results
@@ -125,12 +244,16 @@ export class ProgressIndicator {
   showCompletion(results) {
     if (!this.isVisible) return;
     
-    const { actualSuccesses, desiredSuccesses, totalTimeMs, reachedDesiredCount } = results;
+    const { actualSuccesses, desiredSuccesses, totalTimeMs, stopReason, stoppedBy } = results;
     const elapsedSec = (totalTimeMs / 1000).toFixed(1);
+    const completed = stopReason === 'rules';
+    const byOtherRule = completed && !stoppedBy.includes('successes');
     
     // Update to completion state
     if (this.elements.text) {
-      const statusText = reachedDesiredCount 
+      const statusText = byOtherRule
+        ? `✅ Stopped by ${describeStoppedBy(stoppedBy)}: ${actualSuccesses}/${desiredSuccesses} successes`
+        : completed
         ? `✅ Completed! ${actualSuccesses}/${desiredSuccesses} successes` 
         : `⏱ Timeout: ${actualSuccesses}/${desiredSuccesses} successes`;
       this.elements.text.textContent = `${statusText} (${elapsedSec}s)`;
@@ -138,19 +261,21 @@ export class ProgressIndicator {
     
     if (this.elements.bar) {
       this.elements.bar.style.width = '100%';
-      this.elements.bar.style.background = reachedDesiredCount 
+      this.elements.bar.style.background = completed 
         ? 'linear-gradient(90deg, #4caf50, #2e7d32)'
         : 'linear-gradient(90deg, #ff9800, #f57c00)';
     }
     
     if (this.elements.details) {
-      this.elements.details.textContent = reachedDesiredCount 
+      this.elements.details.textContent = byOtherRule
+        ? 'Stopping rule met'
+        : completed
         ? 'All desired successes achieved!' 
         : 'Click button to continue or adjust parameters';
     }
     
     // Auto-hide after 3 seconds if completed successfully
-    if (reachedDesiredCount) {
+    if (completed) {
       setTimeout(() => {
         this.hide();
       }, 3000);
@@ -178,11 +303,9 @@ export class ProgressIndicator {
       this.elements.button.textContent = 'Run Simulation';
     }
     
-    // Hide and reset stop button
-    if (this.elements.stopButton) {
-      this.elements.stopButton.style.display = 'none';
-      this.elements.stopButton.textContent = 'Stop Simulation';
-      this.elements.stopButton.style.background = '#dc2626';
+    // Hide the run controls; show() resets them for the next simulation
+    if (this.elements.runControls) {
+      this.elements.runControls.style.display = 'none';
     }
   }
 
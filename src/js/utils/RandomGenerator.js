@@ -0,0 +1,191 @@
+/**
+ * Seedable pseudo-random number generators for reproducible simulations
+ *
+ * Every generator exposes the same small interface:
+ *   next()      -> float in [0, 1)
+ *   getState()  -> plain, serializable snapshot of the internal state
+ *   setState(s) -> restore a snapshot taken with getState()
+ */
+
+/**
+ * Mulberry32 (Tommy Ettinger, 2017).
+ * 32-bit state, period 2^32. Very fast and plenty for a single simulation,
+ * but streams from nearby seeds are not guaranteed to be independent.
+ */
+export class Mulberry32 {
+  constructor(seed) {
+    this.state = seed >>> 0;
+  }
+
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  getState() {
+    return { state: this.state };
+  }
+
+  setState({ state }) {
+    this.state = state >>> 0;
+  }
+}
+
+/**
+ * SFC32 - Small Fast Chaotic generator (Chris Doty-Humphrey, PractRand).
+ * 128-bit state with a 32-bit counter guaranteeing a minimum period of 2^32;
+ * passes PractRand and BigCrush. The state is expanded from the seed with
+ * SplitMix32 and the first 12 outputs are discarded.
+ */
+export class Sfc32 {
+  constructor(seed) {
+    let s = seed >>> 0;
+    const splitMix32 = () => {
+      s = (s + 0x9e3779b9) >>> 0;
+      let z = s;
+      z = Math.imul(z ^ (z >>> 16), 0x85ebca6b);
+      z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35);
+      return (z ^ (z >>> 16)) >>> 0;
+    };
+
+    this.a = splitMix32();
+    this.b = splitMix32();
+    this.c = splitMix32();
+    this.d = 1;
+
+    for (let i = 0; i < 12; i++) {
+      this.next();
+    }
+  }
+
+  next() {
+    const t = (((this.a + this.b) >>> 0) + this.d) >>> 0;
+    this.d = (this.d + 1) >>> 0;
+    this.a = this.b ^ (this.b >>> 9);
+    this.b = (this.c + (this.c << 3)) >>> 0;
+    this.c = ((this.c << 21) | (this.c >>> 11)) >>> 0;
+    this.c = (this.c + t) >>> 0;
+    return t / 4294967296;
+  }
+
+  getState() {
+    return { a: this.a, b: this.b, c: this.c, d: this.d };
+  }
+
+  setState({ a, b, c, d }) {
+    this.a = a >>> 0;
+    this.b = b >>> 0;
+    this.c = c >>> 0;
+    this.d = d >>> 0;
+  }
+}
+
+/**
+ * Wrapper around Math.random(). Not seedable and therefore not reproducible.
+ */
+export class NativeRandom {
+  next() {
+    return Math.random();
+  }
+
+  getState() {
+    return null;
+  }
+
+  setState() {
+    // Math.random() state cannot be restored
+  }
+}
+
+/**
+ * Available generator algorithms
+ */
+export const RNG_ALGORITHMS = {
+  'sfc32': {
+    name: 'SFC32',
+    description: 'Small Fast Chaotic 32-bit generator (PractRand) - recommended',
+    seedable: true,
+    create: (seed) => new Sfc32(seed)
+  },
+  'mulberry32': {
+    name: 'Mulberry32',
+    description: 'Minimal 32-bit state generator - fastest, shorter period',
+    seedable: true,
+    create: (seed) => new Mulberry32(seed)
+  },
+  'native': {
+    name: 'Math.random (unseeded)',
+    description: 'Browser built-in generator - runs cannot be reproduced',
+    seedable: false,
+    create: () => new NativeRandom()
+  }
+};
+
+export const DEFAULT_RNG_ALGORITHM = 'sfc32';
+
+/**
+ * Hash an arbitrary seed (number or text) to an unsigned 32-bit integer.
+ * Integer seeds in the 32-bit range map to themselves so "42" stays 42.
+ * @param {number|string} seed - User-provided seed
+ * @returns {number} Unsigned 32-bit seed
+ */
+export function hashSeed(seed) {
+  const text = String(seed).trim();
+  if (/^\d+$/.test(text) && Number(text) <= 0xffffffff) {
+    return Number(text) >>> 0;
+  }
+
+  // FNV-1a over the UTF-16 code units
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Derive the seed of an independent sub-stream (e.g. one per worker).
+ * Stream 0 uses the seed itself so single-stream runs match the plain engine.
+ * @param {number|string} seed - Base seed
+ * @param {number} streamIndex - Index of the sub-stream
+ * @returns {number} Unsigned 32-bit seed for the sub-stream
+ */
+export function deriveSeed(seed, streamIndex) {
+  const base = hashSeed(seed);
+  if (streamIndex === 0) return base;
+
+  // MurmurHash3 finalizer over base + golden-ratio multiple of the index
+  let z = (base + Math.imul(streamIndex, 0x9e3779b9)) >>> 0;
+  z = Math.imul(z ^ (z >>> 16), 0x85ebca6b);
+  z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35);
+  return (z ^ (z >>> 16)) >>> 0;
+}
+
+/**
+ * Generate a fresh random seed for runs where the user did not provide one
+ * @returns {number} Unsigned 32-bit seed
+ */
+export function generateSeed() {
+  if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+    return crypto.getRandomValues(new Uint32Array(1))[0];
+  }
+  return Math.floor(Math.random() * 4294967296);
+}
+
+/**
+ * Create a generator for the given algorithm and seed
+ * @param {string} algorithm - Key from RNG_ALGORITHMS
+ * @param {number|string} seed - Seed (ignored by unseeded algorithms)
+ * @returns {Object} Generator instance
+ */
+export function createRandomGenerator(algorithm = DEFAULT_RNG_ALGORITHM, seed = 0) {
+  const definition = RNG_ALGORITHMS[algorithm];
+  if (!definition) {
+    throw new Error(`Unknown random generator '${algorithm}'`);
+  }
+  return definition.create(hashSeed(seed));
+}
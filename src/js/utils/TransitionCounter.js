@@ -0,0 +1,104 @@
+/**
+ * Streaming count of the counter's moves between levels
+ *
+ * Every run - successful or not - adds each of its steps as a move from the
+ * value before the step to the value after it, so the counts cover all runs
+ * like the density does and not just the retained paths. A path records the
+ * value before every step and the final value of a run that finished or was
+ * absorbed; the last step of a run cut off at a limit has no recorded
+ * outcome and is left out.
+ *
+ * Counts are stored row-major: index = from * height + to.
+ */
+
+export class TransitionCounter {
+  /**
+   * @param {number} maxValue - Highest counter value a path can hold (levels 0..maxValue)
+   */
+  constructor(maxValue) {
+    this.maxValue = maxValue;
+    this.height = maxValue + 1;
+    this.counts = new Float64Array(this.height * this.height);
+    this.runCount = 0;
+  }
+
+  /**
+   * Rebuild a counter from a structured-cloned copy (e.g. received from a worker)
+   * @param {TransitionCounter|Object} data - Counter data
+   * @returns {TransitionCounter}
+   */
+  static from(data) {
+    if (!data || data instanceof TransitionCounter) return data;
+
+    const counter = Object.create(TransitionCounter.prototype);
+    ['maxValue', 'height', 'counts', 'runCount'].forEach((key) => {
+      counter[key] = data[key];
+    });
+    return counter;
+  }
+
+  /**
+   * Add a finished run
+   * @param {CompactPath|Array<number>} path - Counter value at every step
+   */
+  addRun(path) {
+    if (path.length === 0) return;
+    this.runCount++;
+
+    let previous = null;
+    path.forEach((value) => {
+      if (previous !== null) this.counts[previous * this.height + value]++;
+      previous = value;
+    });
+  }
+
+  /**
+   * Add the runs of another counter for the same target
+   * @param {TransitionCounter} other - Counter to merge in (left unchanged)
+   * @returns {TransitionCounter} this
+   */
+  merge(other) {
+    if (!other || other.runCount === 0) return this;
+    if (other.maxValue !== this.maxValue) {
+      throw new Error('Cannot merge transition counters with different targets');
+    }
+
+    for (let i = 0; i < this.counts.length; i++) this.counts[i] += other.counts[i];
+    this.runCount += other.runCount;
+    return this;
+  }
+
+  /**
+   * Independent copy
+   * @returns {TransitionCounter}
+   */
+  clone() {
+    return TransitionCounter.from({ ...this, counts: this.counts.slice() });
+  }
+
+  /**
+   * Moves counted from one level to another
+   * @param {number} from - Level before the step
+   * @param {number} to - Level after the step
+   * @returns {number}
+   */
+  count(from, to) {
+    return this.counts[from * this.height + to];
+  }
+
+  /**
+   * Steps taken from a level, split by direction
+   * @param {number} level - Level before the step
+   * @returns {Object} { up, stay, down, total }
+   */
+  moves(level) {
+    const row = this.counts.subarray(level * this.height, (level + 1) * this.height);
+    let up = 0;
+    let down = 0;
+    row.forEach((count, to) => {
+      if (to > level) up += count;
+      else if (to < level) down += count;
+    });
+    return { up, stay: row[level], down, total: up + row[level] + down };
+  }
+}
@@ -0,0 +1,94 @@
+/**
+ * Tests for whether two parameter sets behave differently
+ *
+ * Hitting times are compared with the two-sample Kolmogorov-Smirnov test,
+ * which looks at the whole distribution rather than just the mean. Step
+ * counts are whole numbers and ties make the asymptotic p-value
+ * conservative (too large), which errs on the side of "no difference".
+ * Efficiencies are compared with the pooled two-proportion z test, with
+ * Newcombe's interval for the difference built from the Wilson intervals
+ * the stats panel already shows.
+ */
+import { normalCdf, wilsonInterval } from './ConfidenceIntervals.js';
+
+// Terms of the Kolmogorov series before giving up on convergence
+const MAX_KOLMOGOROV_TERMS = 100;
+
+/**
+ * Two-sample Kolmogorov-Smirnov test
+ * @param {Array<number>} a - First sample
+ * @param {Array<number>} b - Second sample
+ * @returns {Object|null} { statistic, pValue, sizes: [n, m] } where statistic is the largest
+ *   distance between the two empirical distribution functions; null when a sample is empty
+ */
+export function kolmogorovSmirnovTest(a, b) {
+  const n = a.length;
+  const m = b.length;
+  if (n === 0 || m === 0) return null;
+
+  const x = Float64Array.from(a).sort();
+  const y = Float64Array.from(b).sort();
+  let i = 0;
+  let j = 0;
+  let statistic = 0;
+  // Step both functions past every copy of the next value, so ties never open a false gap
+  while (i < n && j < m) {
+    const value = Math.min(x[i], y[j]);
+    while (i < n && x[i] === value) i++;
+    while (j < m && y[j] === value) j++;
+    statistic = Math.max(statistic, Math.abs(i / n - j / m));
+  }
+
+  // Stephens' correction makes the asymptotic distribution usable for small samples
+  const root = Math.sqrt((n * m) / (n + m));
+  const lambda = (root + 0.12 + 0.11 / root) * statistic;
+  return { statistic, pValue: kolmogorovTail(lambda), sizes: [n, m] };
+}
+
+/**
+ * Pooled two-proportion z test
+ * @param {number} successesA - Successes in the first set
+ * @param {number} trialsA - Trials in the first set
+ * @param {number} successesB - Successes in the second set
+ * @param {number} trialsB - Trials in the second set
+ * @returns {Object|null} { difference, z, pValue, interval } for pB - pA, with its 95% interval;
+ *   null when a set has no trials
+ */
+export function twoProportionTest(successesA, trialsA, successesB, trialsB) {
+  if (trialsA <= 0 || trialsB <= 0) return null;
+
+  const pA = successesA / trialsA;
+  const pB = successesB / trialsB;
+  const pooled = (successesA + successesB) / (trialsA + trialsB);
+  const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / trialsA + 1 / trialsB));
+  const difference = pB - pA;
+  const z = standardError > 0 ? difference / standardError : 0;
+
+  const [lowerA, upperA] = wilsonInterval(successesA, trialsA);
+  const [lowerB, upperB] = wilsonInterval(successesB, trialsB);
+  return {
+    difference,
+    z,
+    // Two-sided, from the lower tail so tiny p-values keep their precision
+    pValue: standardError > 0 ? Math.min(1, 2 * normalCdf(-Math.abs(z))) : 1,
+    interval: [
+      difference - Math.sqrt((pB - lowerB) ** 2 + (upperA - pA) ** 2),
+      difference + Math.sqrt((upperB - pB) ** 2 + (pA - lowerA) ** 2)
+    ]
+  };
+}
+
+/**
+ * P(K > lambda) for the Kolmogorov distribution
+ * @private
+ */
+function kolmogorovTail(lambda) {
+  if (lambda < 0.2) return 1;
+  let sum = 0;
+  for (let k = 1; k <= MAX_KOLMOGOROV_TERMS; k++) {
+    const term = 2 * (k % 2 === 1 ? 1 : -1) * Math.exp(-2 * k * k * lambda * lambda);
+    sum += term;
+    if (Math.abs(term) < 1e-12) return Math.max(0, Math.min(1, sum));
+  }
+  return 1;
+}
@@ -0,0 +1,61 @@
+/**
+ * Web Worker entry point running SimulationEngine off the main thread
+ *
+ * Messages in:  { type: 'run', taskId, params }
+ *               { type: 'pause' } | { type: 'resume' } | { type: 'cancel' } (act on the task in progress)
+ * Messages out: { type: 'ready' } | { type: 'progress', taskId, progress }
+ *               { type: 'checkpoint', taskId, results } (when params.checkpointInterval is set)
+ *               { type: 'result', taskId, results } | { type: 'error', taskId, message }
+ */
+import { SimulationEngine } from '../modules/SimulationEngine.js';
+import { reviveRunPaths, getPathBuffers } from '../utils/CompactPath.js';
+
+// Quiet: a worker runs many short streams and has no console worth filling
+const engine = new SimulationEngine({
+  logger: { log: () => {}, warn: console.warn, error: console.error }
+});
+
+self.onmessage = async (event) => {
+  const { type, taskId, params } = event.data;
+
+  switch (type) {
+    case 'run':
+      try {
+        const results = await engine.runMultipleSimulations({
+          ...params,
+          existingResults: reviveRunPaths(params.existingResults),
+          // No page to redraw here - yield on the time interval only, for pause and cancel
+          yieldToUi: false,
+          progressCallback: (progress) => {
+            self.postMessage({ type: 'progress', taskId, progress });
+          },
+          // Copied rather than transferred - the run still needs its paths
+          checkpointCallback: (results) => {
+            self.postMessage({ type: 'checkpoint', taskId, results });
+          }
+        });
+        // Hand the path buffers over instead of copying them - this worker no longer needs them
+        self.postMessage({ type: 'result', taskId, results }, getPathBuffers(results));
+      } catch (error) {
+        self.postMessage({ type: 'error', taskId, message: error.message });
+      }
+      break;
+
+    case 'pause':
+      engine.pause();
+      break;
+
+    case 'resume':
+      engine.resume();
+      break;
+
+    case 'cancel':
+      engine.cancel();
+      break;
+
+    default:
+      console.warn(`Simulation worker received unknown message type '${type}'`);
+  }
+};
+
+self.postMessage({ type: 'ready' });